@@ -5,6 +5,7 @@ const compression = require('compression');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpecs = require('./config/swagger');
 const { logger } = require('./utils/logger');
+const { requestContext } = require('./utils/requestContext');
 const path = require('path');
 
 // Import routes
@@ -12,6 +13,18 @@ const routePlanningRoutes = require('./routes/routePlanning');
 const maintenanceRoutes = require('./routes/maintenance');
 const analyticsRoutes = require('./routes/analytics');
 const shipsRoutes = require('./routes/ships');
+const aisRoutes = require('./routes/ais');
+const fleetRoutes = require('./routes/fleets');
+const organizationRoutes = require('./routes/organizations');
+const certificateRoutes = require('./routes/certificates');
+const crewRoutes = require('./routes/crew');
+const restHoursRoutes = require('./routes/restHours');
+const auditRoutes = require('./routes/audit');
+const portRoutes = require('./routes/ports');
+const voyageRoutes = require('./routes/voyages');
+const chokepointRoutes = require('./routes/chokepoints');
+const ecaRoutes = require('./routes/ecas');
+const zoneRoutes = require('./routes/zones');
 const healthRouter = require('./routes/health');
 
 // Create Express app
@@ -35,7 +48,8 @@ app.use((req, res, next) => {
 const corsOptions = {
   origin: [prodUrl, /\.onrender\.com$/],
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id', 'X-Actor'],
+  exposedHeaders: ['X-Total-Count', 'Link', 'X-Request-Id'],
   credentials: true,
   optionsSuccessStatus: 200,
   preflightContinue: false
@@ -45,6 +59,7 @@ const corsOptions = {
 app.use(cors(corsOptions));
 app.use(compression());
 app.use(express.json());
+app.use(requestContext);
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
 
 // Swagger UI configuration
@@ -114,6 +129,18 @@ app.use('/api/v1/ships', shipsRoutes);
 app.use('/api/v1/route-plan', routePlanningRoutes);
 app.use('/api/v1/maintenance', maintenanceRoutes);
 app.use('/api/v1/analytics', analyticsRoutes);
+app.use('/api/v1/ais', aisRoutes);
+app.use('/api/v1/fleets', fleetRoutes);
+app.use('/api/v1/organizations', organizationRoutes);
+app.use('/api/v1/certificates', certificateRoutes);
+app.use('/api/v1/crew', crewRoutes);
+app.use('/api/v1/rest-hours', restHoursRoutes);
+app.use('/api/v1/audit', auditRoutes);
+app.use('/api/v1/ports', portRoutes);
+app.use('/api/v1/voyages', voyageRoutes);
+app.use('/api/v1/chokepoints', chokepointRoutes);
+app.use('/api/v1/ecas', ecaRoutes);
+app.use('/api/v1/zones', zoneRoutes);
 app.use('/api/v1/health', healthRouter);
 
 // Enable pre-flight requests for all routes
@@ -32,6 +32,47 @@ const baseOptions = {
         bearerFormat: 'JWT'
       }
     },
+    // Query language shared by the list endpoints (src/utils/queryBuilder.js)
+    parameters: {
+      Search: {
+        in: 'query',
+        name: 'q',
+        description: 'Case-insensitive text search',
+        schema: { type: 'string' }
+      },
+      Sort: {
+        in: 'query',
+        name: 'sort',
+        description: 'Comma-separated sort keys; prefix a key with "-" for descending order',
+        schema: { type: 'string', example: '-capacity,name' }
+      },
+      Fields: {
+        in: 'query',
+        name: 'fields',
+        description: 'Comma-separated fields to return',
+        schema: { type: 'string', example: 'name,type,capacity' }
+      },
+      Page: {
+        in: 'query',
+        name: 'page',
+        schema: { type: 'integer', minimum: 1, default: 1 }
+      },
+      Limit: {
+        in: 'query',
+        name: 'limit',
+        schema: { type: 'integer', minimum: 1, maximum: 200, default: 50 }
+      }
+    },
+    headers: {
+      XTotalCount: {
+        description: 'Number of documents matching the filters across all pages',
+        schema: { type: 'integer' }
+      },
+      Link: {
+        description: 'Links to the first, previous, next and last pages',
+        schema: { type: 'string' }
+      }
+    },
     schemas: {
       Ship: {
         type: 'object',
@@ -60,25 +101,164 @@ const baseOptions = {
             enum: ['HFO', 'MGO', 'LNG'],
             example: 'HFO'
           },
+          mmsi: {
+            type: 'string',
+            pattern: '^[0-9]{9}$',
+            description: 'Maritime Mobile Service Identity used to match AIS messages',
+            example: '477553000'
+          },
+          imoNumber: {
+            type: 'string',
+            pattern: '^[0-9]{7}$',
+            description: 'IMO ship identification number; the last digit is a check digit',
+            example: '9134270'
+          },
+          callSign: {
+            type: 'string',
+            example: '3FOF8'
+          },
+          flagState: {
+            type: 'string',
+            pattern: '^[A-Z]{2}$',
+            description: 'ISO 3166-1 alpha-2 code of the flag state',
+            example: 'PA'
+          },
+          classSociety: {
+            type: 'string',
+            example: 'ABS'
+          },
+          yearBuilt: {
+            type: 'number',
+            example: 1996
+          },
+          deadweight: {
+            type: 'number',
+            description: 'Deadweight tonnage (DWT) in metric tons',
+            example: 44900
+          },
+          grossTonnage: {
+            type: 'number',
+            example: 52090
+          },
+          netTonnage: {
+            type: 'number',
+            description: 'Net tonnage; cannot exceed the gross tonnage',
+            example: 29597
+          },
+          lengthOverall: {
+            type: 'number',
+            description: 'Length overall (LOA) in metres',
+            example: 294.1
+          },
+          beam: {
+            type: 'number',
+            description: 'Beam in metres',
+            example: 32.2
+          },
+          designDraft: {
+            type: 'number',
+            description: 'Design draft in metres',
+            example: 12.5
+          },
+          serviceSpeed: {
+            type: 'number',
+            description: 'Service speed in knots',
+            example: 21.5
+          },
+          fuelCurve: { $ref: '#/components/schemas/FuelCurve' },
+          builder: {
+            type: 'string',
+            example: 'Mitsubishi Heavy Industries'
+          },
+          aisStatic: {
+            type: 'object',
+            description: 'Static and voyage data last received over AIS',
+            properties: {
+              shipName: { type: 'string' },
+              callSign: { type: 'string' },
+              imoNumber: { type: 'string' },
+              shipType: { type: 'number' },
+              dimensions: {
+                type: 'object',
+                properties: {
+                  toBow: { type: 'number' },
+                  toStern: { type: 'number' },
+                  toPort: { type: 'number' },
+                  toStarboard: { type: 'number' }
+                }
+              },
+              draught: { type: 'number' },
+              destination: { type: 'string' },
+              eta: { type: 'string', format: 'date-time' },
+              updatedAt: { type: 'string', format: 'date-time' }
+            }
+          },
           currentLocation: {
             type: 'object',
+            description: 'Latest reported position of the ship',
             properties: {
+              type: { type: 'string', enum: ['Point'] },
               coordinates: {
                 type: 'array',
                 items: { type: 'number' },
                 minItems: 2,
                 maxItems: 2,
               },
+              timestamp: { type: 'string', format: 'date-time' },
+              speedOverGround: { type: 'number' },
+              courseOverGround: { type: 'number' },
+              heading: { type: 'number' }
             },
           },
           status: { 
             type: 'string', 
-            enum: ['ACTIVE', 'MAINTENANCE', 'INACTIVE'],
+            enum: ['ACTIVE', 'AT_SEA', 'IN_PORT', 'IN_MAINTENANCE', 'LAID_UP', 'DECOMMISSIONED'],
             default: 'ACTIVE'
           },
+          statusHistory: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                from: { type: 'string' },
+                to: { type: 'string' },
+                reason: { type: 'string' },
+                changedAt: { type: 'string', format: 'date-time' }
+              }
+            }
+          },
+          archivedAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+            description: 'Set when the ship is archived; archived ships are hidden from listings'
+          },
           engineHours: { 
             type: 'number',
-            default: 0
+            default: 0,
+            description: 'Total running hours of the main engines when machinery is recorded'
+          },
+          machinery: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                _id: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' },
+                name: { type: 'string', example: 'Main Engine' },
+                category: {
+                  type: 'string',
+                  enum: ['MAIN_ENGINE', 'AUXILIARY_ENGINE', 'BOILER', 'PUMP', 'COMPRESSOR', 'OTHER']
+                },
+                manufacturer: { type: 'string' },
+                model: { type: 'string' },
+                serialNumber: { type: 'string' },
+                runningHours: { type: 'number', description: 'Hour counter reading' },
+                serviceInterval: { type: 'number', description: 'Running hours between services' },
+                hoursAtLastService: { type: 'number' },
+                lastServiceDate: { type: 'string', format: 'date-time' },
+                lastReadingAt: { type: 'string', format: 'date-time' }
+              }
+            }
           },
           maintenanceHistory: { 
             type: 'array',
@@ -105,6 +285,7 @@ const baseOptions = {
                 maxItems: 2,
               },
               port: { type: 'string' },
+              portCode: { type: 'string', description: 'UN/LOCODE of the port', example: 'NLRTM' },
             },
           },
           destination: {
@@ -117,6 +298,7 @@ const baseOptions = {
                 maxItems: 2,
               },
               port: { type: 'string' },
+              portCode: { type: 'string', description: 'UN/LOCODE of the port', example: 'NLRTM' },
             },
           },
           estimatedDeparture: { type: 'string', format: 'date-time' },
@@ -125,20 +307,112 @@ const baseOptions = {
           actualArrival: { type: 'string', format: 'date-time' },
           status: { type: 'string', enum: ['PLANNED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'] },
           cargoWeight: { type: 'number' },
-          distance: { type: 'number' },
+          distance: { type: 'number', description: 'Distance in km along the planned path' },
+          plannedSpeed: { type: 'number', description: 'Speed in knots the waypoint times are planned at' },
+          pathType: { type: 'string', enum: ['GREAT_CIRCLE', 'RHUMB_LINE'] },
+          voyage: { type: 'string', pattern: '^[0-9a-fA-F]{24}$', description: 'Voyage the route is a leg of' },
+          legNumber: { type: 'integer', description: 'Position of the leg in its voyage, from 1' },
+          chokepoints: {
+            type: 'array',
+            description: 'Canals and straits transited',
+            items: { $ref: '#/components/schemas/ChokepointTransit' }
+          },
+          excludedChokepoints: {
+            type: 'array',
+            description: 'Chokepoints avoided on request or too small for the ship',
+            items: {
+              type: 'object',
+              properties: {
+                chokepoint: { type: 'string', example: 'PANAMA' },
+                reason: { type: 'string', example: 'Panama Canal: beam 61 m > 51.25 m' }
+              }
+            }
+          },
+          alternatives: {
+            type: 'array',
+            description: 'The same route without each canal it transits',
+            items: { $ref: '#/components/schemas/RouteAlternative' }
+          },
+          waypoints: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                coordinates: {
+                  type: 'array',
+                  items: { type: 'number' },
+                  description: '[longitude, latitude], wrapped into -180..180 across the antimeridian'
+                },
+                estimatedArrival: { type: 'string', format: 'date-time' },
+                actualArrival: { type: 'string', format: 'date-time' }
+              }
+            }
+          },
           fuelConsumption: {
             type: 'object',
             properties: {
               estimated: { type: 'number' },
-              actual: { type: 'number' }
+              actual: { type: 'number' },
+              byFuel: {
+                type: 'array',
+                description: 'The estimate split by the fuel burnt, see fuelPlan',
+                items: {
+                  type: 'object',
+                  properties: {
+                    fuel: { type: 'string', enum: ['HFO', 'MGO', 'LNG'] },
+                    estimated: { type: 'number' }
+                  }
+                }
+              }
             }
           },
-          weather: {
+          ecaPassages: {
+            type: 'array',
+            description: 'Stretches of the route inside Emission Control Areas, in order',
+            items: { $ref: '#/components/schemas/EcaPassage' }
+          },
+          fuelPlan: { $ref: '#/components/schemas/FuelPlan' },
+          riskZones: {
+            type: 'array',
+            description: 'Operator-defined risk zones the route passes through',
+            items: { $ref: '#/components/schemas/RiskZoneCrossing' }
+          },
+          zoneConflicts: {
+            type: 'array',
+            description: 'Zones added or changed after planning that the route enters',
+            items: { $ref: '#/components/schemas/ZoneConflict' }
+          },
+          weather: { $ref: '#/components/schemas/RouteWeather' },
+          speedOptimization: {
             type: 'object',
+            description: 'Speed chosen to arrive within the requested window at the least fuel',
             properties: {
-              departure: { type: 'object' },
-              destination: { type: 'object' },
-              average: { type: 'object' }
+              earliestArrival: { type: 'string', format: 'date-time' },
+              latestArrival: { type: 'string', format: 'date-time' },
+              speed: { type: 'number', description: 'Knots through calm water' },
+              waitingHours: { type: 'number', description: 'Hours waited when arriving before the window opens' },
+              tradeOff: {
+                type: 'array',
+                description: 'Fuel, duration and arrival at each whole knot of the ship\'s speed range',
+                items: { $ref: '#/components/schemas/SpeedOption' }
+              }
+            }
+          },
+          progress: { $ref: '#/components/schemas/RouteProgress' },
+          eta: { $ref: '#/components/schemas/RouteEta' },
+          etaRevisions: {
+            type: 'array',
+            description: 'Every ETA recalculated while the route was sailed, oldest first',
+            items: { $ref: '#/components/schemas/EtaRevision' }
+          },
+          weatherRouting: {
+            type: 'object',
+            description: 'What weather routing minimized and the safety limits it kept to',
+            properties: {
+              objective: { type: 'string', enum: ['FUEL', 'TIME'] },
+              maxWaveHeight: { type: 'number', description: 'Metres' },
+              maxWindSpeed: { type: 'number', description: 'm/s' },
+              ecaCostFactor: { type: 'number', description: 'Weight of fuel or time inside Emission Control Areas' }
             }
           }
         },
@@ -172,6 +446,728 @@ const baseOptions = {
           }
         },
       },
+      Position: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' },
+          ship: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' },
+          timestamp: { type: 'string', format: 'date-time' },
+          location: {
+            type: 'object',
+            properties: {
+              type: { type: 'string', enum: ['Point'] },
+              coordinates: {
+                type: 'array',
+                items: { type: 'number' },
+                minItems: 2,
+                maxItems: 2,
+              }
+            }
+          },
+          speedOverGround: { type: 'number', description: 'Knots' },
+          courseOverGround: { type: 'number', description: 'Degrees' },
+          heading: { type: 'number', description: 'Degrees' },
+          source: { type: 'string', enum: ['MANUAL', 'AIS', 'GPS'] }
+        },
+      },
+      Organization: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          _id: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' },
+          name: { type: 'string', example: 'Evergreen Marine Corp.' },
+          roles: {
+            type: 'array',
+            items: { type: 'string', enum: ['OWNER', 'MANAGER', 'CHARTERER'] }
+          },
+          country: { type: 'string', pattern: '^[A-Z]{2}$', example: 'TW' },
+          registrationNumber: { type: 'string' },
+          contact: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              email: { type: 'string', format: 'email' },
+              phone: { type: 'string' }
+            }
+          }
+        }
+      },
+      Fleet: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          _id: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' },
+          name: { type: 'string', example: 'Asia Container Service' },
+          description: { type: 'string' },
+          owner: { type: 'string', description: 'Owning organization' },
+          manager: { type: 'string', description: 'Managing organization' },
+          charterer: { type: 'string', description: 'Chartering organization' },
+          ships: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                ship: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' },
+                effectiveFrom: { type: 'string', format: 'date-time' },
+                effectiveTo: {
+                  type: 'string',
+                  format: 'date-time',
+                  nullable: true,
+                  description: 'Open-ended membership when null'
+                }
+              }
+            }
+          }
+        }
+      },
+      Certificate: {
+        type: 'object',
+        required: ['ship', 'type', 'issuingAuthority', 'issuedAt'],
+        properties: {
+          _id: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' },
+          ship: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' },
+          type: {
+            type: 'string',
+            enum: [
+              'SAFETY_CONSTRUCTION', 'SAFETY_EQUIPMENT', 'SAFETY_RADIO', 'LOAD_LINE',
+              'IOPP', 'IAPP', 'ISPP', 'BWM', 'ISM_DOC', 'ISM_SMC', 'ISSC', 'MLC',
+              'TONNAGE', 'REGISTRY', 'CLASS', 'OTHER'
+            ]
+          },
+          name: { type: 'string' },
+          certificateNumber: { type: 'string' },
+          issuingAuthority: { type: 'string', example: 'Panama Maritime Authority' },
+          issuedAt: { type: 'string', format: 'date-time' },
+          expiresAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+            description: 'Null for certificates that do not expire'
+          },
+          requiresAnnualEndorsement: { type: 'boolean' },
+          endorsements: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                anniversary: { type: 'string', format: 'date-time' },
+                endorsedAt: { type: 'string', format: 'date-time' },
+                endorsedBy: { type: 'string' },
+                place: { type: 'string' },
+                notes: { type: 'string' }
+              }
+            }
+          },
+          attachments: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                url: { type: 'string' },
+                contentType: { type: 'string' },
+                uploadedAt: { type: 'string', format: 'date-time' }
+              }
+            }
+          },
+          survey: { type: 'string', description: 'Maintenance record of the issuing survey' },
+          supersededBy: { type: 'string', nullable: true },
+          withdrawnAt: { type: 'string', format: 'date-time', nullable: true },
+          validity: {
+            type: 'object',
+            readOnly: true,
+            properties: {
+              status: {
+                type: 'string',
+                enum: ['VALID', 'DUE_SOON', 'ENDORSEMENT_OVERDUE', 'EXPIRED', 'SUPERSEDED', 'WITHDRAWN']
+              },
+              nextDueDate: { type: 'string', format: 'date-time' }
+            }
+          },
+          endorsementSchedule: {
+            type: 'array',
+            readOnly: true,
+            items: {
+              type: 'object',
+              properties: {
+                anniversary: { type: 'string', format: 'date-time' },
+                windowOpens: { type: 'string', format: 'date-time' },
+                windowCloses: { type: 'string', format: 'date-time' },
+                status: { type: 'string', enum: ['UPCOMING', 'OPEN', 'ENDORSED', 'OVERDUE'] },
+                endorsedAt: { type: 'string', format: 'date-time' }
+              }
+            }
+          }
+        }
+      },
+      CrewMember: {
+        type: 'object',
+        required: ['firstName', 'lastName', 'rank'],
+        properties: {
+          _id: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' },
+          firstName: { type: 'string', example: 'Maria' },
+          lastName: { type: 'string', example: 'Santos' },
+          rank: {
+            type: 'string',
+            enum: [
+              'MASTER', 'CHIEF_OFFICER', 'SECOND_OFFICER', 'THIRD_OFFICER',
+              'CHIEF_ENGINEER', 'SECOND_ENGINEER', 'THIRD_ENGINEER', 'FOURTH_ENGINEER',
+              'ELECTRO_TECHNICAL_OFFICER', 'BOSUN', 'ABLE_SEAMAN', 'ORDINARY_SEAMAN',
+              'OILER', 'WIPER', 'FITTER', 'COOK', 'STEWARD', 'CADET', 'OTHER'
+            ]
+          },
+          nationality: { type: 'string', pattern: '^[A-Z]{2}$', example: 'PH' },
+          dateOfBirth: { type: 'string', format: 'date' },
+          seamanBookNumber: { type: 'string' },
+          email: { type: 'string', format: 'email' },
+          phone: { type: 'string' },
+          status: { type: 'string', enum: ['ACTIVE', 'INACTIVE'] },
+          stcwCertificates: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                regulation: { type: 'string', example: 'II/2' },
+                name: { type: 'string' },
+                certificateNumber: { type: 'string' },
+                issuedBy: { type: 'string' },
+                issuedAt: { type: 'string', format: 'date' },
+                expiresAt: { type: 'string', format: 'date' }
+              }
+            }
+          },
+          contracts: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                startDate: { type: 'string', format: 'date' },
+                endDate: { type: 'string', format: 'date' },
+                rotation: {
+                  type: 'object',
+                  properties: {
+                    onboardDays: { type: 'integer' },
+                    offDays: { type: 'integer' }
+                  }
+                },
+                notes: { type: 'string' }
+              }
+            }
+          }
+        }
+      },
+      CrewAssignment: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' },
+          crewMember: {
+            oneOf: [
+              { type: 'string' },
+              { $ref: '#/components/schemas/CrewMember' }
+            ]
+          },
+          ship: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' },
+          rank: { type: 'string', description: 'Rank served in on board' },
+          signOnDate: { type: 'string', format: 'date-time' },
+          signOnPort: { type: 'string' },
+          signOffDate: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+            description: 'Null while the crew member is on board'
+          },
+          signOffPort: { type: 'string' },
+          notes: { type: 'string' }
+        }
+      },
+      EngineHourReading: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' },
+          ship: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' },
+          machinery: {
+            type: 'string',
+            nullable: true,
+            description: 'Machinery item read; null for the ship\'s single engine counter'
+          },
+          hours: { type: 'number' },
+          previousHours: { type: 'number' },
+          readAt: { type: 'string', format: 'date-time' },
+          flags: {
+            type: 'array',
+            items: { type: 'string', enum: ['EXCEEDS_ELAPSED_TIME'] }
+          },
+          notes: { type: 'string' }
+        }
+      },
+      RestHourRecord: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' },
+          crewMember: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' },
+          ship: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' },
+          date: { type: 'string', format: 'date', description: 'Calendar day in ship\'s time' },
+          restPeriods: {
+            type: 'array',
+            description: 'Rest taken during the day; rest over midnight is entered on both days',
+            items: {
+              type: 'object',
+              properties: {
+                start: { type: 'string', example: '00:00' },
+                end: { type: 'string', example: '06:00', description: '24:00 closes the day' }
+              }
+            }
+          },
+          notes: { type: 'string' }
+        }
+      },
+      RestHoursViolation: {
+        type: 'object',
+        properties: {
+          rule: {
+            type: 'string',
+            enum: ['MIN_REST_24H', 'MIN_REST_7D', 'REST_PERIODS', 'MAX_INTERVAL']
+          },
+          windowStart: { type: 'string', format: 'date-time' },
+          windowEnd: { type: 'string', format: 'date-time' },
+          restHours: { type: 'number' },
+          requiredHours: { type: 'number' },
+          restPeriods: { type: 'integer' },
+          longestRestHours: { type: 'number' },
+          intervalHours: { type: 'number' }
+        }
+      },
+      AuditLog: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' },
+          entityType: { type: 'string', enum: ['Ship', 'Route', 'Maintenance'] },
+          entityId: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' },
+          ship: { type: 'string', pattern: '^[0-9a-fA-F]{24}$', description: 'Ship the changed document belongs to' },
+          action: { type: 'string', enum: ['CREATE', 'UPDATE', 'DELETE'] },
+          changes: {
+            type: 'array',
+            description: 'Changed fields; arrays are compared as a whole',
+            items: {
+              type: 'object',
+              properties: {
+                path: { type: 'string', example: 'capacity' },
+                before: { nullable: true, example: 5000 },
+                after: { nullable: true, example: 5200 }
+              }
+            }
+          },
+          actor: { type: 'string', description: 'X-Actor header of the request; "system" for background jobs' },
+          requestId: { type: 'string', description: 'X-Request-Id of the request that made the change' },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      Port: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' },
+          code: { type: 'string', pattern: '^[A-Z]{2}[A-Z2-9]{3}$', example: 'NLRTM', description: 'UN/LOCODE' },
+          name: { type: 'string', example: 'Rotterdam' },
+          country: { type: 'string', example: 'NL', description: 'ISO 3166 alpha-2 country code' },
+          location: {
+            type: 'object',
+            properties: {
+              type: { type: 'string', enum: ['Point'] },
+              coordinates: {
+                type: 'array',
+                items: { type: 'number' },
+                description: '[longitude, latitude]',
+                example: [4.05, 51.95]
+              }
+            }
+          },
+          timeZone: { type: 'string', example: 'Europe/Amsterdam' },
+          maxDraft: { type: 'number', example: 24, description: 'Deepest draft accepted, in metres' },
+          distance: { type: 'number', description: 'Distance in km, in nearby searches only' }
+        }
+      },
+      Eca: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', example: 'NORTH_SEA' },
+          name: { type: 'string', example: 'North Sea' },
+          controls: { type: 'array', items: { type: 'string', enum: ['SOX', 'NOX'] } },
+          effectiveFrom: { type: 'string', format: 'date-time' },
+          polygons: {
+            type: 'array',
+            description: 'Simplified outlines as rings of [longitude, latitude]',
+            items: { type: 'array', items: { type: 'array', items: { type: 'number' } } }
+          },
+          inForce: { type: 'boolean' }
+        }
+      },
+      Chokepoint: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', example: 'PANAMA' },
+          name: { type: 'string', example: 'Panama Canal' },
+          type: { type: 'string', enum: ['CANAL', 'STRAIT'] },
+          edges: {
+            type: 'array',
+            description: 'Sea lane network edges the chokepoint covers',
+            items: { type: 'array', items: { type: 'string' } }
+          },
+          transitHours: { type: 'number' },
+          waitingHours: { type: 'number' },
+          vesselClasses: {
+            type: 'array',
+            description: 'Vessel classes admitted, smallest first; limits in metres',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', example: 'Neopanamax' },
+                maxLength: { type: 'number' },
+                maxBeam: { type: 'number' },
+                maxDraft: { type: 'number' }
+              }
+            }
+          },
+          tariff: {
+            type: 'object',
+            description: 'Tariff estimate in USD',
+            properties: {
+              base: { type: 'number' },
+              perGrossTonnage: { type: 'number' }
+            }
+          },
+          fits: { type: 'boolean', description: 'For a given ship only' },
+          vesselClass: { type: 'string', description: 'For a given ship only' },
+          reason: { type: 'string', description: 'Why the ship does not fit' },
+          tariffEstimate: { type: 'number', description: 'USD, for a given ship only' }
+        }
+      },
+      ChokepointTransit: {
+        type: 'object',
+        properties: {
+          chokepoint: { type: 'string', example: 'SUEZ' },
+          name: { type: 'string', example: 'Suez Canal' },
+          type: { type: 'string', enum: ['CANAL', 'STRAIT'] },
+          vesselClass: { type: 'string', example: 'Suezmax' },
+          transitHours: { type: 'number' },
+          waitingHours: { type: 'number' },
+          tariff: { type: 'number', description: 'Estimate in USD' }
+        }
+      },
+      RouteAlternative: {
+        type: 'object',
+        properties: {
+          avoids: { type: 'string', example: 'SUEZ' },
+          chokepoints: { type: 'array', items: { type: 'string' } },
+          distance: { type: 'number', description: 'km' },
+          duration: { type: 'number', description: 'Hours including chokepoint delays' },
+          estimatedArrival: { type: 'string', format: 'date-time' },
+          fuelConsumption: { type: 'number' },
+          ecaDistance: { type: 'number', description: 'km inside Emission Control Areas' },
+          tariff: { type: 'number', description: 'Chokepoint tariffs in USD' }
+        }
+      },
+      EcaPassage: {
+        type: 'object',
+        properties: {
+          eca: { type: 'string', enum: ['NORTH_SEA', 'BALTIC', 'NORTH_AMERICAN', 'US_CARIBBEAN', 'MEDITERRANEAN'] },
+          name: { type: 'string', example: 'North Sea' },
+          distance: { type: 'number', description: 'km' },
+          duration: { type: 'number', description: 'Hours' },
+          fuelConsumption: { type: 'number' },
+          entry: { $ref: '#/components/schemas/RoutePoint' },
+          exit: { $ref: '#/components/schemas/RoutePoint' }
+        }
+      },
+      RoutePoint: {
+        type: 'object',
+        properties: {
+          coordinates: { type: 'array', items: { type: 'number' }, description: '[longitude, latitude]' },
+          time: { type: 'string', format: 'date-time' }
+        }
+      },
+      FuelPlan: {
+        type: 'object',
+        description: 'Switches to ECA-compliant fuel and back for ships whose own fuel is not compliant',
+        properties: {
+          mainFuel: { type: 'string', enum: ['HFO', 'MGO', 'LNG'] },
+          compliantFuel: { type: 'string', nullable: true, description: 'Null when no switch is needed' },
+          changeovers: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                from: { type: 'string', example: 'HFO' },
+                to: { type: 'string', example: 'MGO' },
+                eca: { type: 'string', description: 'Area the switch is made for' },
+                coordinates: { type: 'array', items: { type: 'number' } },
+                time: { type: 'string', format: 'date-time' }
+              }
+            }
+          }
+        }
+      },
+      PortCall: {
+        type: 'object',
+        properties: {
+          port: { type: 'string', example: 'Rotterdam' },
+          portCode: { type: 'string', example: 'NLRTM', description: 'UN/LOCODE' },
+          coordinates: { type: 'array', items: { type: 'number' }, description: '[longitude, latitude]' },
+          plannedArrival: { type: 'string', format: 'date-time' },
+          plannedDeparture: { type: 'string', format: 'date-time' },
+          actualArrival: { type: 'string', format: 'date-time' },
+          actualDeparture: { type: 'string', format: 'date-time' },
+          cargoLoaded: { type: 'number', description: 'Metric tons loaded' },
+          cargoDischarged: { type: 'number', description: 'Metric tons discharged' }
+        }
+      },
+      Voyage: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' },
+          ship: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' },
+          voyageNumber: { type: 'string', example: '024W' },
+          status: { type: 'string', enum: ['PLANNED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'] },
+          portCalls: { type: 'array', items: { $ref: '#/components/schemas/PortCall' } },
+          legs: {
+            type: 'array',
+            description: 'Routes between consecutive port calls, in order',
+            items: { $ref: '#/components/schemas/Route' }
+          },
+          totals: {
+            type: 'object',
+            properties: {
+              distance: { type: 'number', description: 'Sailed distance in km' },
+              fuelConsumption: {
+                type: 'object',
+                properties: {
+                  estimated: { type: 'number' },
+                  actual: { type: 'number', description: 'Set once every leg has its actual consumption' },
+                  byFuel: {
+                    type: 'array',
+                    description: 'The estimate split by the fuel burnt on the legs',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        fuel: { type: 'string' },
+                        estimated: { type: 'number' }
+                      }
+                    }
+                  }
+                }
+              },
+              duration: {
+                type: 'object',
+                description: 'Hours from leaving the first port to arriving at the last',
+                properties: {
+                  planned: { type: 'number' },
+                  actual: { type: 'number' }
+                }
+              }
+            }
+          }
+        }
+      },
+      RouteWeather: {
+        type: 'object',
+        description: 'Forecast conditions along the route at the time the ship passes',
+        properties: {
+          average: {
+            type: 'object',
+            description: 'Weighted by the distance sailed in each condition',
+            properties: {
+              temperature: { type: 'number' },
+              windSpeed: { type: 'number', description: 'm/s' },
+              windDirection: { type: 'number', description: 'Degrees the wind blows from' },
+              waveHeight: { type: 'number', description: 'Metres' }
+            }
+          },
+          maximum: {
+            type: 'object',
+            properties: {
+              windSpeed: { type: 'number' },
+              waveHeight: { type: 'number' }
+            }
+          },
+          forecastCoverage: {
+            type: 'number',
+            description: 'Share of the legs with a forecast for the time they are sailed, 0-1'
+          },
+          legs: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                from: { type: 'array', items: { type: 'number' } },
+                to: { type: 'array', items: { type: 'number' } },
+                departure: { type: 'string', format: 'date-time' },
+                arrival: { type: 'string', format: 'date-time' },
+                distance: { type: 'number', description: 'km' },
+                speed: { type: 'number', description: 'Knots after speed lost to the weather' },
+                windSpeed: { type: 'number' },
+                windDirection: { type: 'number' },
+                waveHeight: { type: 'number' },
+                waveDirection: { type: 'number' },
+                temperature: { type: 'number' },
+                forecast: { type: 'boolean', description: 'False where calm water was assumed' },
+                fuelConsumption: { type: 'number' }
+              }
+            }
+          }
+        }
+      },
+      RouteProgress: {
+        type: 'object',
+        description: 'Where the last position report put the ship along the route',
+        properties: {
+          position: { type: 'array', items: { type: 'number' } },
+          reportedAt: { type: 'string', format: 'date-time' },
+          waypointsPassed: { type: 'integer' },
+          remainingDistance: { type: 'number', description: 'km' }
+        }
+      },
+      RouteEta: {
+        type: 'object',
+        description: 'Latest predicted arrival; estimatedArrival on the route stays the planned one',
+        properties: {
+          estimatedArrival: { type: 'string', format: 'date-time' },
+          delay: { type: 'number', description: 'Hours behind the planned arrival, negative when ahead' },
+          delayed: { type: 'boolean', description: 'Whether the delay is over the threshold' },
+          delayThreshold: { type: 'number', description: 'Hours' },
+          updatedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      EtaRevision: {
+        type: 'object',
+        properties: {
+          calculatedAt: { type: 'string', format: 'date-time' },
+          reportedAt: { type: 'string', format: 'date-time', description: 'Time of the position it was calculated from' },
+          source: { type: 'string', enum: ['POSITION', 'MANUAL'] },
+          position: { type: 'array', items: { type: 'number' } },
+          speedOverGround: { type: 'number', description: 'Knots, averaged over recent reports' },
+          speed: { type: 'number', description: 'Knots through the water the rest of the route is sailed at' },
+          remainingDistance: { type: 'number', description: 'km' },
+          estimatedArrival: { type: 'string', format: 'date-time' },
+          delay: { type: 'number' },
+          delayed: { type: 'boolean' }
+        }
+      },
+      FuelCurve: {
+        type: 'object',
+        description: 'Fuel per hour at a speed: referenceConsumption * (speed / referenceSpeed) ^ exponent',
+        properties: {
+          referenceSpeed: { type: 'number', description: 'Knots', example: 18 },
+          referenceConsumption: { type: 'number', description: 'Fuel per hour at the reference speed', example: 2400 },
+          exponent: { type: 'number', default: 3, minimum: 1, maximum: 5 },
+          minSpeed: { type: 'number', description: 'Slowest speed planned; half the service speed by default' },
+          maxSpeed: { type: 'number', description: 'Fastest speed planned; 10% over the service speed by default' }
+        }
+      },
+      SpeedOption: {
+        type: 'object',
+        description: 'One speed of the fuel-vs-speed trade-off',
+        properties: {
+          speed: { type: 'number', description: 'Knots through calm water' },
+          estimatedArrival: { type: 'string', format: 'date-time' },
+          duration: { type: 'number', description: 'Hours' },
+          fuelConsumption: { type: 'number' },
+          waitingHours: { type: 'number', description: 'Hours waited for the window to open' },
+          withinWindow: { type: 'boolean' }
+        }
+      },
+      RouteCandidate: {
+        type: 'object',
+        properties: {
+          rank: { type: 'integer', description: '1 for the best score' },
+          label: { type: 'string', example: 'Avoiding Suez Canal' },
+          variant: {
+            type: 'object',
+            description: 'What the candidate changes from the request',
+            properties: {
+              pathType: { type: 'string' },
+              plannedSpeed: { type: 'number' },
+              departureTime: { type: 'string', format: 'date-time' },
+              avoidChokepoints: { type: 'array', items: { type: 'string' } },
+              ecaCostFactor: { type: 'number' }
+            }
+          },
+          metrics: {
+            type: 'object',
+            properties: {
+              distance: { type: 'number', description: 'km' },
+              duration: { type: 'number', description: 'Hours' },
+              fuelConsumption: { type: 'number', description: 'Litres' },
+              cost: { type: 'number', description: 'Fuel and canal tariffs in USD' },
+              emissions: { type: 'number', description: 'Tonnes of CO2' },
+              weatherRisk: { type: 'number', description: 'Worst waves or wind as a share of the safety limits, 0-1' }
+            }
+          },
+          score: { type: 'number', description: '0-100, higher is better' },
+          route: { $ref: '#/components/schemas/Route' }
+        }
+      },
+      RoutePreview: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          ship: { type: 'string' },
+          candidates: { type: 'array', items: { $ref: '#/components/schemas/RouteCandidate' } },
+          expiresAt: {
+            type: 'string',
+            format: 'date-time',
+            description: 'The preview is deleted and can no longer be committed after this'
+          }
+        }
+      },
+      Zone: {
+        type: 'object',
+        required: ['name', 'type', 'severity', 'area'],
+        properties: {
+          _id: { type: 'string' },
+          name: { type: 'string', example: 'Gulf of Guinea high-risk area' },
+          description: { type: 'string' },
+          type: { type: 'string', enum: ['PIRACY', 'WAR_RISK', 'MILITARY_EXERCISE', 'ICE', 'OTHER'] },
+          severity: {
+            type: 'string',
+            enum: ['NO_GO', 'HIGH', 'MEDIUM', 'LOW'],
+            description: 'NO_GO zones are routed around; the others make routes through them costlier'
+          },
+          area: {
+            type: 'object',
+            description: 'GeoJSON Polygon or MultiPolygon, rings of [longitude, latitude]',
+            properties: {
+              type: { type: 'string', enum: ['Polygon', 'MultiPolygon'] },
+              coordinates: { type: 'array', items: { type: 'array' } }
+            }
+          },
+          validFrom: { type: 'string', format: 'date-time' },
+          validTo: { type: 'string', format: 'date-time', nullable: true, description: 'Open-ended when null' },
+          fleets: {
+            type: 'array',
+            description: 'Fleets whose ships the zone applies to; all ships when empty',
+            items: { type: 'string' }
+          }
+        }
+      },
+      RiskZoneCrossing: {
+        type: 'object',
+        properties: {
+          zone: { type: 'string' },
+          name: { type: 'string' },
+          type: { type: 'string' },
+          severity: { type: 'string', enum: ['HIGH', 'MEDIUM', 'LOW'] },
+          distance: { type: 'number', description: 'km' },
+          duration: { type: 'number', description: 'Hours' }
+        }
+      },
+      ZoneConflict: {
+        type: 'object',
+        properties: {
+          zone: { type: 'string' },
+          name: { type: 'string' },
+          severity: { type: 'string', enum: ['NO_GO', 'HIGH', 'MEDIUM', 'LOW'] },
+          detectedAt: { type: 'string', format: 'date-time' }
+        }
+      },
       Error: {
         type: 'object',
         properties: {
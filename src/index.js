@@ -5,21 +5,38 @@ const compression = require('compression');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpecs = require('./config/swagger');
 const { logger } = require('./utils/logger');
+const { requestContext } = require('./utils/requestContext');
 const { connectDB } = require('./config/database');
+const AisIngestionService = require('./services/AisIngestionService');
+const AisListener = require('./services/ais/AisListener');
+const PortService = require('./services/PortService');
 
 // Import routes
 const routePlanningRoutes = require('./routes/routePlanning');
 const maintenanceRoutes = require('./routes/maintenance');
 const analyticsRoutes = require('./routes/analytics');
 const shipsRoutes = require('./routes/ships');
+const aisRoutes = require('./routes/ais');
+const fleetRoutes = require('./routes/fleets');
+const organizationRoutes = require('./routes/organizations');
+const certificateRoutes = require('./routes/certificates');
+const crewRoutes = require('./routes/crew');
+const restHoursRoutes = require('./routes/restHours');
+const auditRoutes = require('./routes/audit');
+const portRoutes = require('./routes/ports');
+const voyageRoutes = require('./routes/voyages');
+const chokepointRoutes = require('./routes/chokepoints');
+const ecaRoutes = require('./routes/ecas');
+const zoneRoutes = require('./routes/zones');
 
 // Create Express app
 const app = express();
 
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['X-Total-Count', 'Link', 'X-Request-Id'] }));
 app.use(compression());
 app.use(express.json());
+app.use(requestContext);
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
 
 // API Documentation
@@ -39,6 +56,18 @@ app.use('/api/v1/ships', shipsRoutes);
 app.use('/api/v1/route-plan', routePlanningRoutes);
 app.use('/api/v1/maintenance', maintenanceRoutes);
 app.use('/api/v1/analytics', analyticsRoutes);
+app.use('/api/v1/ais', aisRoutes);
+app.use('/api/v1/fleets', fleetRoutes);
+app.use('/api/v1/organizations', organizationRoutes);
+app.use('/api/v1/certificates', certificateRoutes);
+app.use('/api/v1/crew', crewRoutes);
+app.use('/api/v1/rest-hours', restHoursRoutes);
+app.use('/api/v1/audit', auditRoutes);
+app.use('/api/v1/ports', portRoutes);
+app.use('/api/v1/voyages', voyageRoutes);
+app.use('/api/v1/chokepoints', chokepointRoutes);
+app.use('/api/v1/ecas', ecaRoutes);
+app.use('/api/v1/zones', zoneRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -46,14 +75,35 @@ app.use((err, req, res, next) => {
   res.status(500).json({ error: err.message });
 });
 
-// Connect to MongoDB
-connectDB();
-
-// Start the server
-const port = process.env.PORT || 3000;
-app.listen(port, () => {
-  logger.info(`Server is running`);
-  logger.info(`API Documentation available at ${process.env.NODE_ENV === 'production' 
-    ? 'https://ai-powered-ship-management-system.onrender.com/api-docs'
-    : 'http://localhost:3000/api-docs'}`);
-}); 
\ No newline at end of file
+// Start the server when run directly; the HTTP tests load the app without it
+if (require.main === module) {
+  // Connect to MongoDB and load the bundled port registry
+  connectDB()
+    .then(() => new PortService().seedPorts())
+    .catch(error => {
+      logger.error('Failed to seed port registry:', error);
+    });
+
+  // Start the AIS feed listener when a UDP or TCP port is configured
+  if (process.env.AIS_UDP_PORT || process.env.AIS_TCP_PORT) {
+    const aisListener = new AisListener(new AisIngestionService(), {
+      host: process.env.AIS_LISTEN_HOST,
+      udpPort: process.env.AIS_UDP_PORT && parseInt(process.env.AIS_UDP_PORT, 10),
+      tcpPort: process.env.AIS_TCP_PORT && parseInt(process.env.AIS_TCP_PORT, 10)
+    });
+    aisListener.start().catch(error => {
+      logger.error('Failed to start AIS listener:', error);
+    });
+  }
+
+  // Start the server
+  const port = process.env.PORT || 3000;
+  app.listen(port, () => {
+    logger.info(`Server is running`);
+    logger.info(`API Documentation available at ${process.env.NODE_ENV === 'production' 
+      ? 'https://ai-powered-ship-management-system.onrender.com/api-docs'
+      : 'http://localhost:3000/api-docs'}`);
+  });
+}
+
+module.exports = app;
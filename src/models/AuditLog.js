@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const AUDITED_ENTITIES = ['Ship', 'Route', 'Maintenance'];
+const AUDIT_ACTIONS = ['CREATE', 'UPDATE', 'DELETE'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLog:
+ *       type: object
+ *       properties:
+ *         entityType:
+ *           type: string
+ *           enum: [Ship, Route, Maintenance]
+ *         entityId:
+ *           type: string
+ *         ship:
+ *           type: string
+ *           description: Ship the changed document belongs to
+ *         action:
+ *           type: string
+ *           enum: [CREATE, UPDATE, DELETE]
+ *         changes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               path:
+ *                 type: string
+ *               before: {}
+ *               after: {}
+ *         actor:
+ *           type: string
+ *         requestId:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+const auditLogSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    enum: AUDITED_ENTITIES,
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  ship: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ship'
+  },
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  // { path, before, after } per changed field
+  changes: [mongoose.Schema.Types.Mixed],
+  actor: {
+    type: String,
+    required: true
+  },
+  requestId: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ ship: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+AuditLog.AUDITED_ENTITIES = AUDITED_ENTITIES;
+AuditLog.AUDIT_ACTIONS = AUDIT_ACTIONS;
+
+module.exports = AuditLog;
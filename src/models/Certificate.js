@@ -0,0 +1,242 @@
+const mongoose = require('mongoose');
+
+// Statutory and class certificates; those listed here are endorsed at annual surveys
+const CERTIFICATE_TYPES = [
+  'SAFETY_CONSTRUCTION',
+  'SAFETY_EQUIPMENT',
+  'SAFETY_RADIO',
+  'LOAD_LINE',
+  'IOPP',
+  'IAPP',
+  'ISPP',
+  'BWM',
+  'ISM_DOC',
+  'ISM_SMC',
+  'ISSC',
+  'MLC',
+  'TONNAGE',
+  'REGISTRY',
+  'CLASS',
+  'OTHER'
+];
+
+const ANNUALLY_ENDORSED_TYPES = [
+  'SAFETY_CONSTRUCTION',
+  'SAFETY_EQUIPMENT',
+  'LOAD_LINE',
+  'IOPP',
+  'IAPP',
+  'ISPP',
+  'BWM',
+  'ISM_DOC',
+  'CLASS'
+];
+
+// Annual surveys may be held this many months either side of the anniversary date
+const ENDORSEMENT_WINDOW_MONTHS = 3;
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Certificate:
+ *       type: object
+ *       required:
+ *         - ship
+ *         - type
+ *         - issuingAuthority
+ *         - issuedAt
+ *       properties:
+ *         ship:
+ *           type: string
+ *         type:
+ *           type: string
+ *         name:
+ *           type: string
+ *         certificateNumber:
+ *           type: string
+ *         issuingAuthority:
+ *           type: string
+ *         issuedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         requiresAnnualEndorsement:
+ *           type: boolean
+ *         endorsements:
+ *           type: array
+ *         attachments:
+ *           type: array
+ */
+const certificateSchema = new mongoose.Schema({
+  ship: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ship',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: CERTIFICATE_TYPES
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  certificateNumber: {
+    type: String,
+    trim: true
+  },
+  issuingAuthority: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  issuedAt: {
+    type: Date,
+    required: true
+  },
+  // Certificates such as the tonnage certificate do not expire
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  requiresAnnualEndorsement: {
+    type: Boolean,
+    default: function() {
+      return ANNUALLY_ENDORSED_TYPES.includes(this.type);
+    }
+  },
+  endorsements: [{
+    anniversary: {
+      type: Date,
+      required: true
+    },
+    endorsedAt: {
+      type: Date,
+      required: true
+    },
+    endorsedBy: String,
+    place: String,
+    notes: String
+  }],
+  attachments: [{
+    name: {
+      type: String,
+      required: true
+    },
+    url: {
+      type: String,
+      required: true
+    },
+    contentType: String,
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Survey during which the certificate was issued or renewed
+  survey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Maintenance'
+  },
+  supersededBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Certificate',
+    default: null
+  },
+  withdrawnAt: {
+    type: Date,
+    default: null
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+certificateSchema.index({ ship: 1, type: 1 });
+certificateSchema.index({ expiresAt: 1 });
+
+// Methods
+
+/**
+ * Lists the annual endorsements due over the life of the certificate.
+ * Anniversaries fall on the day and month of expiry in each year before
+ * it; each one opens a window three months either side.
+ */
+certificateSchema.methods.getEndorsementSchedule = function(at = new Date()) {
+  if (!this.requiresAnnualEndorsement || !this.expiresAt) return [];
+
+  const schedule = [];
+  for (let years = 1; ; years++) {
+    const anniversary = addMonths(this.expiresAt, -12 * years);
+    if (anniversary <= this.issuedAt) break;
+
+    const windowOpens = addMonths(anniversary, -ENDORSEMENT_WINDOW_MONTHS);
+    const windowCloses = addMonths(anniversary, ENDORSEMENT_WINDOW_MONTHS);
+    const endorsement = this.endorsements.find(e => e.anniversary.getTime() === anniversary.getTime());
+
+    let status;
+    if (endorsement) status = 'ENDORSED';
+    else if (at > windowCloses) status = 'OVERDUE';
+    else if (at >= windowOpens) status = 'OPEN';
+    else status = 'UPCOMING';
+
+    schedule.unshift({
+      anniversary,
+      windowOpens,
+      windowCloses,
+      status,
+      endorsedAt: endorsement ? endorsement.endorsedAt : null
+    });
+  }
+
+  return schedule;
+};
+
+/**
+ * Works out whether the certificate is currently in force. A missed
+ * annual endorsement invalidates the certificate just like expiry does.
+ */
+certificateSchema.methods.getValidity = function(at = new Date(), horizonDays = 30) {
+  if (this.withdrawnAt) return { status: 'WITHDRAWN', nextDueDate: null };
+  if (this.supersededBy) return { status: 'SUPERSEDED', nextDueDate: null };
+  if (this.expiresAt && this.expiresAt <= at) {
+    return { status: 'EXPIRED', nextDueDate: this.expiresAt };
+  }
+
+  const pending = this.getEndorsementSchedule(at).filter(entry => entry.status !== 'ENDORSED');
+  if (pending.some(entry => entry.status === 'OVERDUE')) {
+    const overdue = pending.find(entry => entry.status === 'OVERDUE');
+    return { status: 'ENDORSEMENT_OVERDUE', nextDueDate: overdue.windowCloses };
+  }
+
+  const dueDates = [
+    ...pending.map(entry => entry.windowCloses),
+    ...(this.expiresAt ? [this.expiresAt] : [])
+  ];
+  const nextDueDate = dueDates.length > 0 ? new Date(Math.min(...dueDates)) : null;
+  const horizon = new Date(at.getTime() + horizonDays * 24 * 60 * 60 * 1000);
+
+  return {
+    status: nextDueDate && nextDueDate <= horizon ? 'DUE_SOON' : 'VALID',
+    nextDueDate
+  };
+};
+
+const Certificate = mongoose.model('Certificate', certificateSchema);
+
+Certificate.CERTIFICATE_TYPES = CERTIFICATE_TYPES;
+Certificate.ANNUALLY_ENDORSED_TYPES = ANNUALLY_ENDORSED_TYPES;
+Certificate.ENDORSEMENT_WINDOW_MONTHS = ENDORSEMENT_WINDOW_MONTHS;
+
+module.exports = Certificate;
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const CrewMember = require('./CrewMember');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CrewAssignment:
+ *       type: object
+ *       required:
+ *         - crewMember
+ *         - ship
+ *         - rank
+ *         - signOnDate
+ *       properties:
+ *         crewMember:
+ *           type: string
+ *         ship:
+ *           type: string
+ *         rank:
+ *           type: string
+ *         signOnDate:
+ *           type: string
+ *           format: date-time
+ *         signOffDate:
+ *           type: string
+ *           format: date-time
+ */
+const crewAssignmentSchema = new mongoose.Schema({
+  crewMember: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CrewMember',
+    required: true
+  },
+  ship: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ship',
+    required: true
+  },
+  // Rank served in on this ship, which may differ from the usual rank
+  rank: {
+    type: String,
+    required: true,
+    enum: CrewMember.CREW_RANKS
+  },
+  signOnDate: {
+    type: Date,
+    required: true
+  },
+  signOnPort: String,
+  // Null while the crew member is still on board
+  signOffDate: {
+    type: Date,
+    default: null
+  },
+  signOffPort: String,
+  notes: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+crewAssignmentSchema.index({ ship: 1, signOnDate: -1 });
+crewAssignmentSchema.index({ crewMember: 1, signOnDate: -1 });
+
+// Methods
+crewAssignmentSchema.methods.isOnBoard = function(date = new Date()) {
+  return this.signOnDate <= date && (!this.signOffDate || this.signOffDate > date);
+};
+
+module.exports = mongoose.model('CrewAssignment', crewAssignmentSchema);
@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+
+const CREW_RANKS = [
+  'MASTER',
+  'CHIEF_OFFICER',
+  'SECOND_OFFICER',
+  'THIRD_OFFICER',
+  'CHIEF_ENGINEER',
+  'SECOND_ENGINEER',
+  'THIRD_ENGINEER',
+  'FOURTH_ENGINEER',
+  'ELECTRO_TECHNICAL_OFFICER',
+  'BOSUN',
+  'ABLE_SEAMAN',
+  'ORDINARY_SEAMAN',
+  'OILER',
+  'WIPER',
+  'FITTER',
+  'COOK',
+  'STEWARD',
+  'CADET',
+  'OTHER'
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CrewMember:
+ *       type: object
+ *       required:
+ *         - firstName
+ *         - lastName
+ *         - rank
+ *       properties:
+ *         firstName:
+ *           type: string
+ *         lastName:
+ *           type: string
+ *         rank:
+ *           type: string
+ *         nationality:
+ *           type: string
+ *         dateOfBirth:
+ *           type: string
+ *           format: date
+ *         stcwCertificates:
+ *           type: array
+ *         contracts:
+ *           type: array
+ */
+const crewMemberSchema = new mongoose.Schema({
+  firstName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  lastName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  rank: {
+    type: String,
+    required: true,
+    enum: CREW_RANKS,
+    index: true
+  },
+  nationality: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z]{2}$/, 'Nationality must be an ISO 3166-1 alpha-2 code']
+  },
+  dateOfBirth: Date,
+  seamanBookNumber: {
+    type: String,
+    unique: true,
+    sparse: true,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  phone: String,
+  // Certificates of competency and proficiency, identified by STCW regulation (e.g. "II/1", "VI/1")
+  stcwCertificates: [{
+    regulation: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    name: String,
+    certificateNumber: String,
+    issuedBy: String,
+    issuedAt: Date,
+    expiresAt: Date
+  }],
+  // Employment contracts, each covering one tour of duty and the leave that follows
+  contracts: [{
+    startDate: {
+      type: Date,
+      required: true
+    },
+    endDate: {
+      type: Date,
+      required: true
+    },
+    rotation: {
+      onboardDays: Number,
+      offDays: Number
+    },
+    notes: String
+  }],
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'INACTIVE'],
+    default: 'ACTIVE'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+crewMemberSchema.index({ lastName: 1, firstName: 1 });
+
+// Methods
+crewMemberSchema.methods.getContractAt = function(date) {
+  return this.contracts.find(contract =>
+    contract.startDate <= date && contract.endDate >= date
+  ) || null;
+};
+
+/**
+ * Returns the STCW certificates that are out of date on the given day.
+ * Only the latest certificate under each regulation counts, so renewed
+ * certificates are not reported.
+ */
+crewMemberSchema.methods.getExpiredStcwCertificates = function(date = new Date()) {
+  const latest = new Map();
+  this.stcwCertificates.forEach(certificate => {
+    const current = latest.get(certificate.regulation);
+    const expiry = certificate.expiresAt ? certificate.expiresAt.getTime() : Infinity;
+    const currentExpiry = current?.expiresAt ? current.expiresAt.getTime() : Infinity;
+    if (!current || expiry > currentExpiry) {
+      latest.set(certificate.regulation, certificate);
+    }
+  });
+
+  return [...latest.values()].filter(certificate =>
+    certificate.expiresAt && certificate.expiresAt < date
+  );
+};
+
+const CrewMember = mongoose.model('CrewMember', crewMemberSchema);
+
+CrewMember.CREW_RANKS = CREW_RANKS;
+
+module.exports = CrewMember;
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Reasons a reading is stored but marked for review
+const READING_FLAGS = ['EXCEEDS_ELAPSED_TIME'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EngineHourReading:
+ *       type: object
+ *       required:
+ *         - ship
+ *         - hours
+ *         - readAt
+ *       properties:
+ *         ship:
+ *           type: string
+ *         machinery:
+ *           type: string
+ *           nullable: true
+ *         hours:
+ *           type: number
+ *         previousHours:
+ *           type: number
+ *         readAt:
+ *           type: string
+ *           format: date-time
+ *         flags:
+ *           type: array
+ *           items:
+ *             type: string
+ */
+const engineHourReadingSchema = new mongoose.Schema({
+  ship: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ship',
+    required: true
+  },
+  // Machinery item on the ship; null for the ship's single engine counter
+  machinery: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  hours: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Counter value before this reading, restored if the reading is deleted
+  previousHours: {
+    type: Number,
+    min: 0
+  },
+  readAt: {
+    type: Date,
+    required: true
+  },
+  flags: [{
+    type: String,
+    enum: READING_FLAGS
+  }],
+  notes: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+engineHourReadingSchema.index({ ship: 1, machinery: 1, readAt: -1 });
+
+const EngineHourReading = mongoose.model('EngineHourReading', engineHourReadingSchema);
+
+EngineHourReading.READING_FLAGS = READING_FLAGS;
+
+module.exports = EngineHourReading;
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Fleet:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         owner:
+ *           type: string
+ *           description: Reference to the owning Organization
+ *         manager:
+ *           type: string
+ *           description: Reference to the managing Organization
+ *         charterer:
+ *           type: string
+ *           description: Reference to the chartering Organization
+ *         ships:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               ship:
+ *                 type: string
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date-time
+ *               effectiveTo:
+ *                 type: string
+ *                 format: date-time
+ */
+const fleetSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: String,
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  manager: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  charterer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  // A ship may belong to several fleets; each membership has its own dates
+  ships: [{
+    ship: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ship',
+      required: true
+    },
+    effectiveFrom: {
+      type: Date,
+      default: Date.now
+    },
+    effectiveTo: {
+      type: Date,
+      default: null
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+fleetSchema.index({ 'ships.ship': 1 });
+fleetSchema.index({ owner: 1 });
+fleetSchema.index({ manager: 1 });
+fleetSchema.index({ charterer: 1 });
+
+// Methods
+fleetSchema.methods.isMembershipActive = function(membership, at = new Date()) {
+  return membership.effectiveFrom <= at &&
+    (!membership.effectiveTo || membership.effectiveTo > at);
+};
+
+fleetSchema.methods.getActiveShipIds = function(at = new Date()) {
+  return this.ships
+    .filter(membership => this.isMembershipActive(membership, at))
+    .map(membership => membership.ship._id || membership.ship);
+};
+
+// Query matching the records of the fleet's ships dated while each was assigned
+fleetSchema.methods.membershipFilter = function(dateField) {
+  if (this.ships.length === 0) {
+    return { ship: { $in: [] } };
+  }
+  return {
+    $or: this.ships.map(membership => ({
+      ship: membership.ship._id || membership.ship,
+      [dateField]: membership.effectiveTo
+        ? { $gte: membership.effectiveFrom, $lt: membership.effectiveTo }
+        : { $gte: membership.effectiveFrom }
+    }))
+  };
+};
+
+module.exports = mongoose.model('Fleet', fleetSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 /**
  * @swagger
@@ -62,6 +63,8 @@ const maintenanceSchema = new mongoose.Schema({
       required: true
     },
     actualDuration: Number,
+    // Machinery item on the ship that the task services, if any
+    machinery: mongoose.Schema.Types.ObjectId,
     notes: String
   }],
   parts: [{
@@ -109,6 +112,8 @@ maintenanceSchema.index({ date: 1 });
 maintenanceSchema.index({ status: 1 });
 maintenanceSchema.index({ type: 1 });
 
+maintenanceSchema.plugin(auditTrail);
+
 // Methods
 maintenanceSchema.methods.calculateTotalCost = function() {
   let totalCost = 0;
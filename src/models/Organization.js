@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Organization:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *         roles:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [OWNER, MANAGER, CHARTERER]
+ *         country:
+ *           type: string
+ *         registrationNumber:
+ *           type: string
+ *         contact:
+ *           type: object
+ */
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  roles: [{
+    type: String,
+    enum: ['OWNER', 'MANAGER', 'CHARTERER']
+  }],
+  country: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z]{2}$/, 'Country must be an ISO 3166-1 alpha-2 code']
+  },
+  registrationNumber: {
+    type: String,
+    trim: true
+  },
+  contact: {
+    name: String,
+    email: String,
+    phone: String
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Organization', organizationSchema);
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+// UN/LOCODE: ISO 3166 country code followed by a three character location code
+const LOCODE_PATTERN = /^[A-Z]{2}[A-Z2-9]{3}$/;
+
+const isTimeZone = value => {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Port:
+ *       type: object
+ *       required:
+ *         - code
+ *         - name
+ *         - country
+ *         - location
+ *         - timeZone
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: UN/LOCODE of the port
+ *           example: NLRTM
+ *         name:
+ *           type: string
+ *         country:
+ *           type: string
+ *           description: ISO 3166 alpha-2 country code
+ *         location:
+ *           type: object
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [Point]
+ *             coordinates:
+ *               type: array
+ *               items:
+ *                 type: number
+ *               description: [longitude, latitude]
+ *         timeZone:
+ *           type: string
+ *           description: IANA time zone of the port
+ *           example: Europe/Amsterdam
+ *         maxDraft:
+ *           type: number
+ *           description: Deepest draft the port accepts, in metres
+ */
+const portSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [LOCODE_PATTERN, 'Invalid UN/LOCODE']
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  country: {
+    type: String,
+    required: true,
+    uppercase: true,
+    match: [/^[A-Z]{2}$/, 'Invalid country code']
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number],
+      required: true,
+      validate: {
+        validator: function(v) {
+          return v.length === 2 &&
+                 v[0] >= -180 && v[0] <= 180 &&
+                 v[1] >= -90 && v[1] <= 90;
+        },
+        message: 'Invalid coordinates'
+      }
+    }
+  },
+  timeZone: {
+    type: String,
+    required: true,
+    validate: {
+      validator: isTimeZone,
+      message: 'Invalid time zone'
+    }
+  },
+  maxDraft: {
+    type: Number, // in metres
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+portSchema.index({ location: '2dsphere' });
+portSchema.index({ country: 1, name: 1 });
+
+const Port = mongoose.model('Port', portSchema);
+
+Port.LOCODE_PATTERN = LOCODE_PATTERN;
+
+module.exports = Port;
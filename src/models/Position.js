@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Position:
+ *       type: object
+ *       required:
+ *         - ship
+ *         - timestamp
+ *         - location
+ *       properties:
+ *         ship:
+ *           type: string
+ *           description: Reference to the Ship model
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ *           description: Time the position was observed
+ *         location:
+ *           type: object
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [Point]
+ *             coordinates:
+ *               type: array
+ *               items:
+ *                 type: number
+ *               description: [longitude, latitude]
+ *         speedOverGround:
+ *           type: number
+ *           description: Speed over ground in knots
+ *         courseOverGround:
+ *           type: number
+ *           description: Course over ground in degrees
+ *         heading:
+ *           type: number
+ *           description: True heading in degrees
+ *         source:
+ *           type: string
+ *           enum: [MANUAL, AIS, GPS]
+ */
+const positionSchema = new mongoose.Schema({
+  ship: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ship',
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number],
+      required: true,
+      validate: {
+        validator: function(v) {
+          return v.length === 2 &&
+                 v[0] >= -180 && v[0] <= 180 &&
+                 v[1] >= -90 && v[1] <= 90;
+        },
+        message: 'Invalid coordinates'
+      }
+    }
+  },
+  speedOverGround: {
+    type: Number, // in knots
+    min: 0
+  },
+  courseOverGround: {
+    type: Number, // in degrees
+    min: 0,
+    max: 360
+  },
+  heading: {
+    type: Number, // in degrees
+    min: 0,
+    max: 359
+  },
+  source: {
+    type: String,
+    enum: ['MANUAL', 'AIS', 'GPS'],
+    default: 'MANUAL'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+positionSchema.index({ location: '2dsphere' });
+positionSchema.index({ ship: 1, timestamp: -1 }, { unique: true });
+
+const Position = mongoose.model('Position', positionSchema);
+
+module.exports = Position;
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// Times of day in ship's time; "24:00" may close the last period of the day
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+const toMinutes = time => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RestHourRecord:
+ *       type: object
+ *       required:
+ *         - crewMember
+ *         - ship
+ *         - date
+ *       properties:
+ *         crewMember:
+ *           type: string
+ *         ship:
+ *           type: string
+ *         date:
+ *           type: string
+ *           format: date
+ *         restPeriods:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               start:
+ *                 type: string
+ *                 example: "00:00"
+ *               end:
+ *                 type: string
+ *                 example: "06:00"
+ */
+const restHourRecordSchema = new mongoose.Schema({
+  crewMember: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CrewMember',
+    required: true
+  },
+  ship: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ship',
+    required: true
+  },
+  // Calendar day of the record, stored as midnight UTC
+  date: {
+    type: Date,
+    required: true
+  },
+  restPeriods: {
+    type: [{
+      _id: false,
+      start: {
+        type: String,
+        required: true,
+        match: [TIME_PATTERN, 'Rest period times must be HH:MM']
+      },
+      end: {
+        type: String,
+        required: true,
+        match: [TIME_PATTERN, 'Rest period times must be HH:MM']
+      }
+    }],
+    validate: {
+      validator: periods => {
+        const sorted = [...periods].sort((a, b) => toMinutes(a.start) - toMinutes(b.start));
+        return sorted.every((period, index) =>
+          toMinutes(period.end) > toMinutes(period.start) &&
+          (index === 0 || toMinutes(period.start) >= toMinutes(sorted[index - 1].end))
+        );
+      },
+      message: 'Rest periods must end after they start and must not overlap'
+    }
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+restHourRecordSchema.index({ crewMember: 1, date: 1 }, { unique: true });
+restHourRecordSchema.index({ ship: 1, date: 1 });
+
+module.exports = mongoose.model('RestHourRecord', restHourRecordSchema);
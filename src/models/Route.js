@@ -1,4 +1,17 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const { PATH_TYPES, ROUTING_OBJECTIVES } = require('../utils/geo');
+
+// Route statuses and the transitions allowed out of each of them
+const STATUS_TRANSITIONS = {
+  PLANNED: ['IN_PROGRESS', 'CANCELLED'],
+  IN_PROGRESS: ['COMPLETED', 'CANCELLED'],
+  COMPLETED: [],
+  CANCELLED: []
+};
+
+// What an ETA revision was recalculated from
+const ETA_SOURCES = ['POSITION', 'MANUAL'];
 
 /**
  * @swagger
@@ -20,6 +33,9 @@ const mongoose = require('mongoose');
  *           properties:
  *             port:
  *               type: string
+ *             portCode:
+ *               type: string
+ *               description: UN/LOCODE of the port
  *             coordinates:
  *               type: array
  *               items:
@@ -29,13 +45,104 @@ const mongoose = require('mongoose');
  *           properties:
  *             port:
  *               type: string
+ *             portCode:
+ *               type: string
+ *               description: UN/LOCODE of the port
  *             coordinates:
  *               type: array
  *               items:
  *                 type: number
+ *         voyage:
+ *           type: string
+ *           description: Voyage the route is a leg of
+ *         legNumber:
+ *           type: integer
+ *           description: Position of the leg in its voyage, from 1
  *         status:
  *           type: string
  *           enum: [PLANNED, IN_PROGRESS, COMPLETED, CANCELLED]
+ *         plannedSpeed:
+ *           type: number
+ *           description: Speed in knots the waypoint times are planned at
+ *         pathType:
+ *           type: string
+ *           enum: [GREAT_CIRCLE, RHUMB_LINE]
+ *         weather:
+ *           $ref: '#/components/schemas/RouteWeather'
+ *         weatherRouting:
+ *           type: object
+ *           properties:
+ *             objective:
+ *               type: string
+ *               enum: [FUEL, TIME]
+ *             maxWaveHeight:
+ *               type: number
+ *             maxWindSpeed:
+ *               type: number
+ *             ecaCostFactor:
+ *               type: number
+ *         ecaPassages:
+ *           type: array
+ *           description: Stretches of the route inside Emission Control Areas
+ *           items:
+ *             $ref: '#/components/schemas/EcaPassage'
+ *         fuelPlan:
+ *           $ref: '#/components/schemas/FuelPlan'
+ *         riskZones:
+ *           type: array
+ *           description: Operator-defined risk zones the route passes through
+ *           items:
+ *             $ref: '#/components/schemas/RiskZoneCrossing'
+ *         zoneConflicts:
+ *           type: array
+ *           description: Zones added or changed after planning that the route enters
+ *           items:
+ *             $ref: '#/components/schemas/ZoneConflict'
+ *         chokepoints:
+ *           type: array
+ *           description: Canals and straits transited
+ *           items:
+ *             $ref: '#/components/schemas/ChokepointTransit'
+ *         excludedChokepoints:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               chokepoint:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *         alternatives:
+ *           type: array
+ *           description: The same route without each canal it transits
+ *           items:
+ *             $ref: '#/components/schemas/RouteAlternative'
+ *         speedOptimization:
+ *           type: object
+ *           description: Speed chosen to arrive within the requested window
+ *           properties:
+ *             earliestArrival:
+ *               type: string
+ *               format: date-time
+ *             latestArrival:
+ *               type: string
+ *               format: date-time
+ *             speed:
+ *               type: number
+ *             waitingHours:
+ *               type: number
+ *             tradeOff:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SpeedOption'
+ *         progress:
+ *           $ref: '#/components/schemas/RouteProgress'
+ *         eta:
+ *           $ref: '#/components/schemas/RouteEta'
+ *         etaRevisions:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/EtaRevision'
  */
 const routeSchema = new mongoose.Schema({
   ship: {
@@ -43,11 +150,25 @@ const routeSchema = new mongoose.Schema({
     ref: 'Ship',
     required: true
   },
+  // Set on the legs of a multi-port voyage
+  voyage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Voyage'
+  },
+  legNumber: {
+    type: Number,
+    min: 1
+  },
   departure: {
     port: {
       type: String,
       required: true
     },
+    // UN/LOCODE when the port was picked from the port registry
+    portCode: {
+      type: String,
+      uppercase: true
+    },
     coordinates: {
       type: [Number],
       required: true,
@@ -66,6 +187,11 @@ const routeSchema = new mongoose.Schema({
       type: String,
       required: true
     },
+    // UN/LOCODE when the port was picked from the port registry
+    portCode: {
+      type: String,
+      uppercase: true
+    },
     coordinates: {
       type: [Number],
       required: true,
@@ -103,13 +229,57 @@ const routeSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
-  weather: [{
-    timestamp: Date,
-    windSpeed: Number,
-    windDirection: Number,
-    waveHeight: Number,
-    temperature: Number
-  }],
+  // Speed in knots the waypoint times are planned at
+  plannedSpeed: {
+    type: Number,
+    min: 0
+  },
+  pathType: {
+    type: String,
+    enum: PATH_TYPES,
+    default: 'GREAT_CIRCLE'
+  },
+  // Forecast conditions along the planned route, see services/routing/WeatherRouter
+  weather: {
+    average: {
+      temperature: Number,
+      windSpeed: Number, // m/s
+      windDirection: Number,
+      waveHeight: Number // m
+    },
+    maximum: {
+      windSpeed: Number,
+      waveHeight: Number
+    },
+    // Share of the legs with a forecast for the time the ship passes
+    forecastCoverage: Number,
+    // Conditions expected on each leg between consecutive waypoints
+    legs: [{
+      from: [Number],
+      to: [Number],
+      departure: Date,
+      arrival: Date,
+      distance: Number, // km
+      speed: Number, // knots, after weather speed loss
+      windSpeed: Number,
+      windDirection: Number,
+      waveHeight: Number,
+      waveDirection: Number,
+      temperature: Number,
+      forecast: Boolean,
+      fuelConsumption: Number
+    }]
+  },
+  // How the route was chosen: what was minimized and the weather safety limits
+  weatherRouting: {
+    objective: {
+      type: String,
+      enum: ROUTING_OBJECTIVES
+    },
+    maxWaveHeight: Number,
+    maxWindSpeed: Number,
+    ecaCostFactor: Number
+  },
   fuelConsumption: {
     estimated: {
       type: Number,
@@ -119,8 +289,86 @@ const routeSchema = new mongoose.Schema({
     actual: {
       type: Number,
       min: 0
+    },
+    // The estimate split by the fuel burnt, see fuelPlan
+    byFuel: [{
+      _id: false,
+      fuel: String,
+      estimated: Number
+    }]
+  },
+  // Stretches inside Emission Control Areas, see data/ecas.json
+  ecaPassages: [{
+    eca: String,
+    name: String,
+    distance: Number, // km
+    duration: Number, // hours
+    fuelConsumption: Number,
+    entry: {
+      coordinates: [Number],
+      time: Date
+    },
+    exit: {
+      coordinates: [Number],
+      time: Date
     }
+  }],
+  // Switches to ECA-compliant fuel and back
+  fuelPlan: {
+    mainFuel: String,
+    compliantFuel: String,
+    changeovers: [{
+      from: String,
+      to: String,
+      eca: String,
+      coordinates: [Number],
+      time: Date
+    }]
   },
+  // Operator-defined risk zones passed through, see models/Zone
+  riskZones: [{
+    _id: false,
+    zone: { type: mongoose.Schema.Types.ObjectId, ref: 'Zone' },
+    name: String,
+    type: { type: String },
+    severity: String,
+    distance: Number, // km
+    duration: Number // hours
+  }],
+  // Zones added or changed after planning that the route enters
+  zoneConflicts: [{
+    _id: false,
+    zone: { type: mongoose.Schema.Types.ObjectId, ref: 'Zone' },
+    name: String,
+    severity: String,
+    detectedAt: { type: Date, default: Date.now }
+  }],
+  // Canals and straits transited, see data/chokepoints.json
+  chokepoints: [{
+    chokepoint: String,
+    name: String,
+    type: { type: String },
+    vesselClass: String,
+    transitHours: Number,
+    waitingHours: Number,
+    tariff: Number // estimate in USD
+  }],
+  // Chokepoints left out of the route: avoided on request or too small for the ship
+  excludedChokepoints: [{
+    chokepoint: String,
+    reason: String
+  }],
+  // The same route without each canal it transits
+  alternatives: [{
+    avoids: String,
+    chokepoints: [String],
+    distance: Number,
+    duration: Number, // hours
+    estimatedArrival: Date,
+    fuelConsumption: Number,
+    ecaDistance: Number, // km inside Emission Control Areas
+    tariff: Number
+  }],
   waypoints: [{
     coordinates: {
       type: [Number],
@@ -135,6 +383,52 @@ const routeSchema = new mongoose.Schema({
     },
     estimatedArrival: Date,
     actualArrival: Date
+  }],
+  // Speed chosen to arrive within a requested window, see RouteOptimizer.optimizeSpeed
+  speedOptimization: {
+    earliestArrival: Date,
+    latestArrival: Date,
+    speed: Number, // knots
+    waitingHours: Number,
+    // Fuel-vs-speed trade-off at whole knots across the ship's speed range
+    tradeOff: [{
+      speed: Number,
+      estimatedArrival: Date,
+      duration: Number, // hours
+      fuelConsumption: Number,
+      waitingHours: Number,
+      withinWindow: Boolean
+    }]
+  },
+  // Where the last position report put the ship, see services/EtaService
+  progress: {
+    position: [Number],
+    reportedAt: Date,
+    waypointsPassed: Number,
+    remainingDistance: Number // km
+  },
+  // Latest predicted arrival; estimatedArrival stays the planned one
+  eta: {
+    estimatedArrival: Date,
+    delay: Number, // hours behind the planned arrival, negative when ahead
+    delayed: Boolean,
+    delayThreshold: Number, // hours
+    updatedAt: Date
+  },
+  etaRevisions: [{
+    calculatedAt: Date,
+    reportedAt: Date,
+    source: {
+      type: String,
+      enum: ETA_SOURCES
+    },
+    position: [Number],
+    speedOverGround: Number, // knots, averaged over recent reports
+    speed: Number, // knots through the water the rest of the route is sailed at
+    remainingDistance: Number,
+    estimatedArrival: Date,
+    delay: Number,
+    delayed: Boolean
   }]
 }, {
   timestamps: true
@@ -144,8 +438,14 @@ const routeSchema = new mongoose.Schema({
 routeSchema.index({ ship: 1 });
 routeSchema.index({ status: 1 });
 routeSchema.index({ estimatedDeparture: 1 });
+routeSchema.index({ voyage: 1, legNumber: 1 });
+routeSchema.index({ 'zoneConflicts.zone': 1 });
 routeSchema.index({ 'departure.port': 1, 'destination.port': 1 });
 
+// Position reports move the progress and ETA fields every few minutes;
+// the ETA revisions are their own history.
+routeSchema.plugin(auditTrail, { ignore: ['progress', 'eta', 'etaRevisions', 'waypoints'] });
+
 // Methods
 routeSchema.methods.calculateDistance = function() {
   // Haversine formula for calculating distance between coordinates
@@ -171,6 +471,13 @@ routeSchema.methods.calculateDistance = function() {
   return distance;
 };
 
+routeSchema.methods.canTransitionTo = function(status) {
+  return this.status === status || STATUS_TRANSITIONS[this.status].includes(status);
+};
+
 const Route = mongoose.model('Route', routeSchema);
 
+Route.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+Route.ETA_SOURCES = ETA_SOURCES;
+
 module.exports = Route; 
\ No newline at end of file
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+// Hours a preview can be committed for; its forecasts go stale after that
+const PREVIEW_TTL_HOURS = 6;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RouteCandidate:
+ *       type: object
+ *       properties:
+ *         rank:
+ *           type: integer
+ *           description: 1 for the best score
+ *         label:
+ *           type: string
+ *           example: Avoiding Suez Canal
+ *         variant:
+ *           type: object
+ *           description: What the candidate changes from the request
+ *           properties:
+ *             pathType:
+ *               type: string
+ *             plannedSpeed:
+ *               type: number
+ *             departureTime:
+ *               type: string
+ *               format: date-time
+ *             avoidChokepoints:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             ecaCostFactor:
+ *               type: number
+ *         metrics:
+ *           type: object
+ *           properties:
+ *             distance:
+ *               type: number
+ *               description: km
+ *             duration:
+ *               type: number
+ *               description: Hours
+ *             fuelConsumption:
+ *               type: number
+ *               description: Litres
+ *             cost:
+ *               type: number
+ *               description: Fuel and canal tariffs in USD
+ *             emissions:
+ *               type: number
+ *               description: Tonnes of CO2
+ *             weatherRisk:
+ *               type: number
+ *               description: Worst waves or wind as a share of the safety limits, 0-1
+ *         score:
+ *           type: number
+ *           description: 0-100, higher is better
+ *         route:
+ *           $ref: '#/components/schemas/Route'
+ *     RoutePreview:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         ship:
+ *           type: string
+ *         candidates:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/RouteCandidate'
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: The preview is deleted and can no longer be committed after this
+ */
+const routePreviewSchema = new mongoose.Schema({
+  ship: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ship',
+    required: true
+  },
+  candidates: [{
+    rank: Number,
+    label: String,
+    variant: mongoose.Schema.Types.Mixed,
+    metrics: {
+      distance: Number,
+      duration: Number,
+      fuelConsumption: Number,
+      cost: Number,
+      emissions: Number,
+      weatherRisk: Number
+    },
+    score: Number,
+    // The unsaved Route committing the candidate creates
+    route: mongoose.Schema.Types.Mixed
+  }],
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + PREVIEW_TTL_HOURS * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+// MongoDB deletes previews once they expire
+routePreviewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RoutePreview = mongoose.model('RoutePreview', routePreviewSchema);
+
+RoutePreview.PREVIEW_TTL_HOURS = PREVIEW_TTL_HOURS;
+
+module.exports = RoutePreview;
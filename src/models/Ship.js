@@ -1,4 +1,109 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const { MMSI_PATTERN, isValidImoNumber } = require('../utils/validators');
+
+// Operational states and the transitions allowed out of each of them
+const STATUS_TRANSITIONS = {
+  ACTIVE: ['AT_SEA', 'IN_PORT', 'IN_MAINTENANCE', 'LAID_UP', 'DECOMMISSIONED'],
+  AT_SEA: ['IN_PORT', 'ACTIVE'],
+  IN_PORT: ['AT_SEA', 'ACTIVE', 'IN_MAINTENANCE', 'LAID_UP', 'DECOMMISSIONED'],
+  IN_MAINTENANCE: ['IN_PORT', 'ACTIVE', 'LAID_UP', 'DECOMMISSIONED'],
+  LAID_UP: ['ACTIVE', 'IN_PORT', 'IN_MAINTENANCE', 'DECOMMISSIONED'],
+  DECOMMISSIONED: []
+};
+
+// States in which no new voyage may be planned for the ship
+const PLANNING_BLOCKED_STATUSES = ['IN_MAINTENANCE', 'LAID_UP', 'DECOMMISSIONED'];
+
+// Running hours between services when a machinery item does not set its own
+const DEFAULT_SERVICE_INTERVALS = {
+  MAIN_ENGINE: 5000,
+  AUXILIARY_ENGINE: 3000,
+  BOILER: 4000,
+  PUMP: 8000,
+  COMPRESSOR: 2000,
+  OTHER: 5000
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const machinerySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  category: {
+    type: String,
+    required: true,
+    enum: Object.keys(DEFAULT_SERVICE_INTERVALS)
+  },
+  manufacturer: String,
+  model: String,
+  serialNumber: String,
+  // Hour counter as read from the machine
+  runningHours: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  serviceInterval: {
+    type: Number,
+    min: 1,
+    default: function() {
+      return DEFAULT_SERVICE_INTERVALS[this.category];
+    }
+  },
+  // Counter reading when the machine was last serviced
+  hoursAtLastService: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastServiceDate: Date,
+  lastReadingAt: Date,
+  installedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Hours used of the current service interval and when the next service
+ * falls due. The due date is projected from the measured running hours
+ * per day when given, otherwise from the average since the last service;
+ * it is unknown until the machine has run.
+ */
+machinerySchema.methods.getServiceStatus = function(at = new Date(), measuredHoursPerDay = null) {
+  const hoursSinceService = Math.max(0, this.runningHours - this.hoursAtLastService);
+  const hoursUntilService = this.serviceInterval - hoursSinceService;
+  const since = this.lastServiceDate || this.installedAt;
+  const days = since ? (at - since) / DAY_MS : 0;
+  const hoursPerDay = measuredHoursPerDay !== null && measuredHoursPerDay !== undefined
+    ? measuredHoursPerDay
+    : (days >= 1 ? Math.min(24, hoursSinceService / days) : 0);
+
+  let dueDate = null;
+  if (hoursUntilService <= 0) {
+    dueDate = at;
+  } else if (hoursPerDay > 0) {
+    dueDate = new Date(at.getTime() + (hoursUntilService / hoursPerDay) * DAY_MS);
+  }
+
+  return {
+    machineryId: this._id,
+    name: this.name,
+    category: this.category,
+    runningHours: this.runningHours,
+    serviceInterval: this.serviceInterval,
+    hoursSinceService,
+    hoursUntilService,
+    utilisation: hoursSinceService / this.serviceInterval,
+    hoursPerDay,
+    dueDate,
+    overdue: hoursUntilService <= 0
+  };
+};
 
 /**
  * @swagger
@@ -20,6 +125,60 @@ const mongoose = require('mongoose');
  *         capacity:
  *           type: number
  *           description: Cargo capacity in metric tons
+ *         mmsi:
+ *           type: string
+ *           description: Maritime Mobile Service Identity used to match AIS messages
+ *         imoNumber:
+ *           type: string
+ *           description: IMO ship identification number (7 digits, last one a check digit)
+ *         callSign:
+ *           type: string
+ *         flagState:
+ *           type: string
+ *           description: ISO 3166-1 alpha-2 code of the flag state
+ *         classSociety:
+ *           type: string
+ *         yearBuilt:
+ *           type: number
+ *         deadweight:
+ *           type: number
+ *           description: Deadweight tonnage (DWT) in metric tons
+ *         grossTonnage:
+ *           type: number
+ *         netTonnage:
+ *           type: number
+ *         lengthOverall:
+ *           type: number
+ *           description: Length overall (LOA) in metres
+ *         beam:
+ *           type: number
+ *           description: Beam in metres
+ *         designDraft:
+ *           type: number
+ *           description: Design draft in metres
+ *         serviceSpeed:
+ *           type: number
+ *           description: Service speed in knots
+ *         fuelCurve:
+ *           type: object
+ *           description: >
+ *             Fuel burnt per hour at a speed, referenceConsumption *
+ *             (speed / referenceSpeed) ^ exponent. Without one, the type's
+ *             estimate at the service speed is scaled by the cube law.
+ *           properties:
+ *             referenceSpeed:
+ *               type: number
+ *             referenceConsumption:
+ *               type: number
+ *             exponent:
+ *               type: number
+ *               default: 3
+ *             minSpeed:
+ *               type: number
+ *             maxSpeed:
+ *               type: number
+ *         builder:
+ *           type: string
  *         fuelType:
  *           type: string
  *           enum: [HFO, MGO, LNG]
@@ -30,6 +189,68 @@ const mongoose = require('mongoose');
  *           type: date
  *         nextMaintenance:
  *           type: date
+ *         currentLocation:
+ *           type: object
+ *           description: Latest reported position of the ship
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [Point]
+ *             coordinates:
+ *               type: array
+ *               items:
+ *                 type: number
+ *               description: [longitude, latitude]
+ *             timestamp:
+ *               type: string
+ *               format: date-time
+ *             speedOverGround:
+ *               type: number
+ *             courseOverGround:
+ *               type: number
+ *             heading:
+ *               type: number
+ *         aisStatic:
+ *           type: object
+ *           description: Static and voyage data last received over AIS
+ *         status:
+ *           type: string
+ *           enum: [ACTIVE, AT_SEA, IN_PORT, IN_MAINTENANCE, LAID_UP, DECOMMISSIONED]
+ *           default: ACTIVE
+ *         statusHistory:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               from:
+ *                 type: string
+ *               to:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *               changedAt:
+ *                 type: string
+ *                 format: date-time
+ *         archivedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Set when the ship is archived; archived ships are hidden from listings
+ *         machinery:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *                 enum: [MAIN_ENGINE, AUXILIARY_ENGINE, BOILER, PUMP, COMPRESSOR, OTHER]
+ *               runningHours:
+ *                 type: number
+ *               serviceInterval:
+ *                 type: number
+ *               hoursAtLastService:
+ *                 type: number
  */
 const shipSchema = new mongoose.Schema({
   name: {
@@ -56,11 +277,107 @@ const shipSchema = new mongoose.Schema({
     enum: ['HFO', 'MGO', 'LNG'],
     default: 'HFO'
   },
+  mmsi: {
+    type: String,
+    unique: true,
+    sparse: true,
+    trim: true,
+    match: [MMSI_PATTERN, 'MMSI must be 9 digits']
+  },
+  imoNumber: {
+    type: String,
+    unique: true,
+    sparse: true,
+    trim: true,
+    validate: {
+      validator: isValidImoNumber,
+      message: 'IMO number must be 7 digits with a valid check digit'
+    }
+  },
+  callSign: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  flagState: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z]{2}$/, 'Flag state must be an ISO 3166-1 alpha-2 country code']
+  },
+  classSociety: {
+    type: String,
+    trim: true
+  },
+  yearBuilt: {
+    type: Number,
+    min: 1850
+  },
+  deadweight: {
+    type: Number,
+    min: 0
+  },
+  grossTonnage: {
+    type: Number,
+    min: 0
+  },
+  netTonnage: {
+    type: Number,
+    min: 0
+  },
+  lengthOverall: {
+    type: Number,
+    min: 0
+  },
+  beam: {
+    type: Number,
+    min: 0
+  },
+  designDraft: {
+    type: Number,
+    min: 0
+  },
+  serviceSpeed: {
+    type: Number,
+    min: 0
+  },
+  // Fuel per hour against speed through the water:
+  // referenceConsumption * (speed / referenceSpeed) ^ exponent
+  fuelCurve: {
+    referenceSpeed: {
+      type: Number, // knots
+      min: 0
+    },
+    referenceConsumption: {
+      type: Number, // per hour, in the units route fuel is estimated in
+      min: 0
+    },
+    exponent: {
+      type: Number,
+      min: 1,
+      max: 5
+    },
+    // Speeds the ship may be planned at
+    minSpeed: {
+      type: Number,
+      min: 0
+    },
+    maxSpeed: {
+      type: Number,
+      min: 0
+    }
+  },
+  builder: {
+    type: String,
+    trim: true
+  },
+  // Total of the main engine counters once machinery is recorded
   engineHours: {
     type: Number,
     default: 0,
     min: 0
   },
+  machinery: [machinerySchema],
   lastMaintenance: {
     type: Date,
     default: Date.now
@@ -73,6 +390,56 @@ const shipSchema = new mongoose.Schema({
       return date;
     }
   },
+  currentLocation: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    },
+    timestamp: Date,
+    speedOverGround: Number,
+    courseOverGround: Number,
+    heading: Number
+  },
+  aisStatic: {
+    shipName: String,
+    callSign: String,
+    imoNumber: String,
+    shipType: Number,
+    dimensions: {
+      toBow: Number,
+      toStern: Number,
+      toPort: Number,
+      toStarboard: Number
+    },
+    draught: Number,
+    destination: String,
+    eta: Date,
+    updatedAt: Date
+  },
+  status: {
+    type: String,
+    enum: Object.keys(STATUS_TRANSITIONS),
+    default: 'ACTIVE',
+    index: true
+  },
+  statusHistory: [{
+    from: String,
+    to: String,
+    reason: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  archivedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
   maintenanceHistory: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Maintenance'
@@ -85,15 +452,76 @@ const shipSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Indexes
+shipSchema.index({ currentLocation: '2dsphere' });
+
+// Position and AIS feeds change every few minutes and have their own
+// history; the ID lists mirror Route and Maintenance, audited themselves.
+shipSchema.plugin(auditTrail, {
+  shipPath: '_id',
+  ignore: ['currentLocation', 'aisStatic', 'statusHistory', 'routes', 'maintenanceHistory']
+});
+
 // Methods
-shipSchema.methods.calculateNextMaintenance = function() {
+shipSchema.methods.calculateNextMaintenance = function(at = new Date()) {
+  if (this.machinery.length > 0) {
+    const dueDates = this.machinery
+      .map(machine => machine.getServiceStatus(at).dueDate)
+      .filter(Boolean);
+    if (dueDates.length > 0) {
+      this.nextMaintenance = new Date(Math.min(...dueDates));
+    }
+    return this.nextMaintenance;
+  }
+
   const hoursUntilMaintenance = 5000 - (this.engineHours % 5000);
-  const estimatedDate = new Date();
+  const estimatedDate = new Date(at);
   estimatedDate.setHours(estimatedDate.getHours() + hoursUntilMaintenance);
   this.nextMaintenance = estimatedDate;
   return estimatedDate;
 };
 
+// Keeps engineHours as the total of the main engine counters
+shipSchema.methods.syncEngineHours = function() {
+  const mainEngines = this.machinery.filter(machine => machine.category === 'MAIN_ENGINE');
+  if (mainEngines.length > 0) {
+    this.engineHours = mainEngines.reduce((sum, machine) => sum + machine.runningHours, 0);
+  }
+  return this.engineHours;
+};
+
+shipSchema.methods.canTransitionTo = function(status) {
+  const current = this.status || 'ACTIVE';
+  return current === status || STATUS_TRANSITIONS[current].includes(status);
+};
+
+shipSchema.methods.transitionTo = function(status, reason) {
+  const current = this.status || 'ACTIVE';
+  if (current === status) return false;
+
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Invalid status transition: ${current} -> ${status}`);
+  }
+
+  this.status = status;
+  this.statusHistory.push({ from: current, to: status, reason });
+  return true;
+};
+
+shipSchema.methods.planningBlockReason = function() {
+  if (this.archivedAt) return 'archived';
+  if (PLANNING_BLOCKED_STATUSES.includes(this.status)) return `status: ${this.status}`;
+  return null;
+};
+
+shipSchema.methods.isAvailableForPlanning = function() {
+  return this.planningBlockReason() === null;
+};
+
 const Ship = mongoose.model('Ship', shipSchema);
 
+Ship.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+Ship.PLANNING_BLOCKED_STATUSES = PLANNING_BLOCKED_STATUSES;
+Ship.DEFAULT_SERVICE_INTERVALS = DEFAULT_SERVICE_INTERVALS;
+
 module.exports = Ship; 
\ No newline at end of file
@@ -0,0 +1,246 @@
+const mongoose = require('mongoose');
+
+const VOYAGE_STATUSES = ['PLANNED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Fuel estimates of the legs added up per fuel type, in order of first use
+const sumByFuel = legs => {
+  const totals = new Map();
+  legs.forEach(leg => (leg.fuelConsumption.byFuel || []).forEach(({ fuel, estimated }) => {
+    totals.set(fuel, (totals.get(fuel) || 0) + estimated);
+  }));
+  return [...totals].map(([fuel, estimated]) => ({ fuel, estimated }));
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PortCall:
+ *       type: object
+ *       properties:
+ *         port:
+ *           type: string
+ *         portCode:
+ *           type: string
+ *           description: UN/LOCODE of the port
+ *         coordinates:
+ *           type: array
+ *           items:
+ *             type: number
+ *         plannedArrival:
+ *           type: string
+ *           format: date-time
+ *         plannedDeparture:
+ *           type: string
+ *           format: date-time
+ *         actualArrival:
+ *           type: string
+ *           format: date-time
+ *         actualDeparture:
+ *           type: string
+ *           format: date-time
+ *         cargoLoaded:
+ *           type: number
+ *           description: Cargo loaded in metric tons
+ *         cargoDischarged:
+ *           type: number
+ *           description: Cargo discharged in metric tons
+ *     Voyage:
+ *       type: object
+ *       required:
+ *         - ship
+ *         - portCalls
+ *       properties:
+ *         ship:
+ *           type: string
+ *           description: Reference to the Ship model
+ *         voyageNumber:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [PLANNED, IN_PROGRESS, COMPLETED, CANCELLED]
+ *         portCalls:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/PortCall'
+ *         legs:
+ *           type: array
+ *           description: Routes between consecutive port calls
+ *           items:
+ *             type: string
+ *         totals:
+ *           type: object
+ *           properties:
+ *             distance:
+ *               type: number
+ *             fuelConsumption:
+ *               type: object
+ *               properties:
+ *                 estimated:
+ *                   type: number
+ *                 actual:
+ *                   type: number
+ *                 byFuel:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       fuel:
+ *                         type: string
+ *                       estimated:
+ *                         type: number
+ *             duration:
+ *               type: object
+ *               properties:
+ *                 planned:
+ *                   type: number
+ *                 actual:
+ *                   type: number
+ */
+const portCallSchema = new mongoose.Schema({
+  port: {
+    type: String,
+    required: true
+  },
+  // UN/LOCODE when the port was picked from the port registry
+  portCode: {
+    type: String,
+    uppercase: true
+  },
+  coordinates: {
+    type: [Number],
+    required: true,
+    validate: {
+      validator: function(v) {
+        return v.length === 2 &&
+               v[0] >= -180 && v[0] <= 180 &&
+               v[1] >= -90 && v[1] <= 90;
+      },
+      message: 'Invalid coordinates'
+    }
+  },
+  plannedArrival: Date,
+  plannedDeparture: Date,
+  actualArrival: Date,
+  actualDeparture: Date,
+  cargoLoaded: {
+    type: Number, // in metric tons
+    min: 0,
+    default: 0
+  },
+  cargoDischarged: {
+    type: Number, // in metric tons
+    min: 0,
+    default: 0
+  }
+}, { _id: false });
+
+const voyageSchema = new mongoose.Schema({
+  ship: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ship',
+    required: true
+  },
+  voyageNumber: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: VOYAGE_STATUSES,
+    default: 'PLANNED'
+  },
+  portCalls: {
+    type: [portCallSchema],
+    validate: {
+      validator: v => v.length >= 2,
+      message: 'A voyage needs at least two port calls'
+    }
+  },
+  // Leg n is the route from port call n to port call n + 1
+  legs: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route'
+  }],
+  totals: {
+    distance: { type: Number, min: 0, default: 0 }, // km
+    fuelConsumption: {
+      estimated: { type: Number, min: 0, default: 0 },
+      actual: { type: Number, min: 0 },
+      // Estimate split by the fuel burnt, summed over the legs' fuel plans
+      byFuel: [{
+        _id: false,
+        fuel: String,
+        estimated: Number
+      }]
+    },
+    // Hours from leaving the first port to arriving at the last
+    duration: {
+      planned: { type: Number, min: 0 },
+      actual: { type: Number, min: 0 }
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+voyageSchema.index({ ship: 1, createdAt: -1 });
+voyageSchema.index({ status: 1 });
+voyageSchema.index({ 'portCalls.portCode': 1 });
+
+/**
+ * Rolls the legs (Route documents in voyage order) up into the port call
+ * times, the voyage status and the totals. Actual fuel and duration are
+ * only set once every leg has them.
+ */
+voyageSchema.methods.rollUp = function(legs) {
+  const calls = this.portCalls;
+
+  legs.forEach((leg, index) => {
+    calls[index].plannedDeparture = leg.estimatedDeparture;
+    calls[index + 1].plannedArrival = leg.estimatedArrival;
+    if (leg.actualDeparture) calls[index].actualDeparture = leg.actualDeparture;
+    if (leg.actualArrival) calls[index + 1].actualArrival = leg.actualArrival;
+  });
+
+  const first = calls[0];
+  const last = calls[calls.length - 1];
+  const hoursBetween = (from, to) => (from && to ? (to - from) / HOUR_MS : undefined);
+  const allLegs = predicate => legs.length > 0 && legs.every(predicate);
+
+  this.totals = {
+    distance: legs.reduce((sum, leg) => sum + leg.distance, 0),
+    fuelConsumption: {
+      estimated: legs.reduce((sum, leg) => sum + leg.fuelConsumption.estimated, 0),
+      actual: allLegs(leg => leg.fuelConsumption.actual != null)
+        ? legs.reduce((sum, leg) => sum + leg.fuelConsumption.actual, 0)
+        : undefined,
+      byFuel: sumByFuel(legs)
+    },
+    duration: {
+      planned: hoursBetween(first.plannedDeparture, last.plannedArrival),
+      actual: hoursBetween(first.actualDeparture, last.actualArrival)
+    }
+  };
+
+  if (allLegs(leg => leg.status === 'CANCELLED')) {
+    this.status = 'CANCELLED';
+  } else if (allLegs(leg => ['COMPLETED', 'CANCELLED'].includes(leg.status))) {
+    this.status = 'COMPLETED';
+  } else if (legs.some(leg => leg.status !== 'PLANNED')) {
+    this.status = 'IN_PROGRESS';
+  } else {
+    this.status = 'PLANNED';
+  }
+
+  return this;
+};
+
+const Voyage = mongoose.model('Voyage', voyageSchema);
+
+Voyage.VOYAGE_STATUSES = VOYAGE_STATUSES;
+
+module.exports = Voyage;
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+
+const ZONE_TYPES = ['PIRACY', 'WAR_RISK', 'MILITARY_EXERCISE', 'ICE', 'OTHER'];
+
+// NO_GO zones are never routed through; the others make routes through them costlier
+const ZONE_SEVERITIES = ['NO_GO', 'HIGH', 'MEDIUM', 'LOW'];
+
+const isPosition = position => Array.isArray(position) && position.length === 2 &&
+  position[0] >= -180 && position[0] <= 180 && position[1] >= -90 && position[1] <= 90;
+
+// Whether an edge spans more than half the globe in longitude, i.e. is drawn
+// across the antimeridian; routing would read the ring as its complement
+const crossesAntimeridian = ring => ring.some((position, index) =>
+  index > 0 && Math.abs(position[0] - ring[index - 1][0]) > 180);
+
+// A closed ring of at least four positions, the last repeating the first,
+// that does not cross the antimeridian
+const isRing = ring => Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition) &&
+  ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1] &&
+  !crossesAntimeridian(ring);
+
+const isPolygon = rings => Array.isArray(rings) && rings.length > 0 && rings.every(isRing);
+
+// A GeoJSON Polygon or MultiPolygon made of such rings
+const isArea = area => Boolean(area) && (area.type === 'Polygon'
+  ? isPolygon(area.coordinates)
+  : area.type === 'MultiPolygon' && Array.isArray(area.coordinates) &&
+    area.coordinates.length > 0 && area.coordinates.every(isPolygon));
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Zone:
+ *       type: object
+ *       required:
+ *         - name
+ *         - type
+ *         - severity
+ *         - area
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Gulf of Guinea high-risk area
+ *         description:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [PIRACY, WAR_RISK, MILITARY_EXERCISE, ICE, OTHER]
+ *         severity:
+ *           type: string
+ *           enum: [NO_GO, HIGH, MEDIUM, LOW]
+ *           description: NO_GO zones are routed around; the others make routes through them costlier
+ *         area:
+ *           type: object
+ *           description: >
+ *             GeoJSON Polygon or MultiPolygon; an area crossing the antimeridian
+ *             must be split there into a MultiPolygon
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [Polygon, MultiPolygon]
+ *             coordinates:
+ *               type: array
+ *               items:
+ *                 type: array
+ *         validFrom:
+ *           type: string
+ *           format: date-time
+ *         validTo:
+ *           type: string
+ *           format: date-time
+ *           description: Open-ended when left out
+ *         fleets:
+ *           type: array
+ *           description: Fleets whose ships the zone applies to; all ships when empty
+ *           items:
+ *             type: string
+ */
+const zoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  type: {
+    type: String,
+    required: true,
+    enum: ZONE_TYPES
+  },
+  severity: {
+    type: String,
+    required: true,
+    enum: ZONE_SEVERITIES
+  },
+  area: {
+    type: {
+      type: String,
+      required: true,
+      enum: ['Polygon', 'MultiPolygon']
+    },
+    coordinates: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+      validate: {
+        validator: function(v) {
+          return isArea({ type: this.get('area.type'), coordinates: v });
+        },
+        message: 'Invalid area: rings must be closed, with at least four [longitude, latitude] positions, ' +
+          'and split at the antimeridian'
+      }
+    }
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validTo: {
+    type: Date,
+    default: null
+  },
+  fleets: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fleet'
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+zoneSchema.index({ area: '2dsphere' });
+zoneSchema.index({ validFrom: 1, validTo: 1 });
+zoneSchema.index({ fleets: 1 });
+
+const Zone = mongoose.model('Zone', zoneSchema);
+
+Zone.ZONE_TYPES = ZONE_TYPES;
+Zone.ZONE_SEVERITIES = ZONE_SEVERITIES;
+Zone.isArea = isArea;
+
+module.exports = Zone;
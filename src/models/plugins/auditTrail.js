@@ -0,0 +1,112 @@
+const AuditLog = require('../AuditLog');
+const { diffObjects } = require('../../utils/diff');
+const { getRequestContext } = require('../../utils/requestContext');
+const { logger } = require('../../utils/logger');
+
+const UPDATE_OPS = ['findOneAndUpdate', 'findOneAndReplace', 'updateOne', 'updateMany', 'replaceOne'];
+const DELETE_OPS = ['findOneAndDelete', 'deleteOne', 'deleteMany'];
+const MULTI_OPS = ['updateMany', 'deleteMany'];
+
+const isIgnoredPath = (path, ignore) => ignore.some(prefix => path === prefix || path.startsWith(`${prefix}.`));
+
+// Field paths an update writes, whether given as operators or as a plain object
+const updatedPaths = update => Object.entries(update).flatMap(([key, value]) =>
+  (key.startsWith('$') ? Object.keys(value || {}) : [key]));
+
+/**
+ * Mongoose plugin writing an AuditLog entry for every create, update and
+ * delete of a document, through save() as well as through query helpers
+ * such as findByIdAndUpdate() and deleteMany(). Updates that only touch
+ * ignored paths are not recorded. A failed audit write is logged and never
+ * fails the change itself.
+ *
+ * Options:
+ *   shipPath - path holding the ship the document belongs to ('_id' for ships)
+ *   ignore   - paths left out of the diffs, e.g. feeds updated every few seconds
+ */
+const auditTrail = (schema, { shipPath = 'ship', ignore = [] } = {}) => {
+  // Before-images of the documents matched by a running update or delete
+  const pending = new WeakMap();
+
+  const record = async (model, action, before, after) => {
+    try {
+      const changes = diffObjects(before, after, { ignore });
+      if (action === 'UPDATE' && changes.length === 0) return;
+
+      const document = after || before;
+      const { actor, requestId } = getRequestContext();
+      await AuditLog.create({
+        entityType: model.modelName,
+        entityId: document._id,
+        ship: document[shipPath],
+        action,
+        changes,
+        actor,
+        requestId
+      });
+    } catch (error) {
+      logger.error('Failed to write audit log:', error);
+    }
+  };
+
+  schema.pre('save', async function() {
+    if (this.isNew) {
+      this.$locals.auditAction = 'CREATE';
+      this.$locals.auditBefore = null;
+    } else if (this.isModified()) {
+      this.$locals.auditAction = 'UPDATE';
+      this.$locals.auditBefore = await this.constructor.findById(this._id).lean();
+    } else {
+      this.$locals.auditAction = null;
+    }
+  });
+
+  schema.post('save', async function(doc) {
+    const { auditAction, auditBefore } = doc.$locals;
+    if (!auditAction) return;
+    await record(doc.constructor, auditAction, auditBefore, doc.toObject({ depopulate: true, virtuals: false }));
+  });
+
+  schema.pre([...UPDATE_OPS, ...DELETE_OPS], { document: false, query: true }, async function() {
+    const update = this.getUpdate();
+    if (update && updatedPaths(update).every(path => isIgnoredPath(path, ignore))) return;
+
+    try {
+      let query = this.model.find(this.getFilter()).lean();
+      if (!MULTI_OPS.includes(this.op)) {
+        query = query.sort(this.getOptions().sort).limit(1);
+      }
+      pending.set(this, await query);
+    } catch (error) {
+      logger.error('Failed to read documents for audit log:', error);
+    }
+  });
+
+  schema.post([...UPDATE_OPS, ...DELETE_OPS], { document: false, query: true }, async function() {
+    const before = pending.get(this);
+    pending.delete(this);
+    if (!before || before.length === 0) return;
+
+    if (DELETE_OPS.includes(this.op)) {
+      for (const document of before) {
+        await record(this.model, 'DELETE', document, null);
+      }
+      return;
+    }
+
+    try {
+      const after = await this.model.find({ _id: { $in: before.map(document => document._id) } }).lean();
+      const afterById = new Map(after.map(document => [document._id.toString(), document]));
+      for (const document of before) {
+        const current = afterById.get(document._id.toString());
+        if (current) {
+          await record(this.model, 'UPDATE', document, current);
+        }
+      }
+    } catch (error) {
+      logger.error('Failed to read documents for audit log:', error);
+    }
+  });
+};
+
+module.exports = auditTrail;
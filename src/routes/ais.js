@@ -0,0 +1,116 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const AisIngestionService = require('../services/AisIngestionService');
+const { logger } = require('../utils/logger');
+
+/**
+ * @swagger
+ * /api/v1/ais/messages:
+ *   post:
+ *     summary: Ingest raw AIS NMEA sentences
+ *     description: >
+ *       Accepts !AIVDM/!AIVDO sentences either as a plain text upload (one
+ *       sentence per line, optionally prefixed by a tag block or a log
+ *       timestamp) or as a JSON array. Position reports (types 1, 2, 3 and 18)
+ *       are stored in the position history of the ship with the matching MMSI,
+ *       timed by the UTC second the report gives within the minute up to its
+ *       reception; static data (types 5 and 24) is stored on the ship.
+ *     tags: [AIS]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/plain:
+ *           schema:
+ *             type: string
+ *             example: "!AIVDM,1,1,,B,177KQJ5000G?tO`K>RA1wUbN0TKH,0*5C"
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sentences
+ *             properties:
+ *               sentences:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               receivedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Reception time for sentences without their own timestamp
+ *     responses:
+ *       200:
+ *         description: Ingestion summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 received:
+ *                   type: number
+ *                 decoded:
+ *                   type: number
+ *                 positions:
+ *                   type: number
+ *                 duplicates:
+ *                   type: number
+ *                 staticUpdates:
+ *                   type: number
+ *                 unmatched:
+ *                   type: number
+ *                   description: Messages whose MMSI matches no ship
+ *                 unsupported:
+ *                   type: number
+ *                 pendingFragments:
+ *                   type: number
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       line:
+ *                         type: string
+ *                       error:
+ *                         type: string
+ *       400:
+ *         description: Invalid input data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/messages', [
+  express.text({ type: 'text/plain', limit: '10mb' }),
+  body('sentences').if((value, { req }) => typeof req.body !== 'string')
+    .isArray({ min: 1 }).withMessage('Sentences must be a non-empty array'),
+  body('sentences.*').if((value, { req }) => typeof req.body !== 'string')
+    .isString(),
+  body('receivedAt').if((value, { req }) => typeof req.body !== 'string')
+    .optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let lines;
+    let receivedAt;
+    if (typeof req.body === 'string') {
+      lines = req.body.split(/\r?\n/);
+    } else {
+      lines = req.body.sentences;
+      receivedAt = req.body.receivedAt ? new Date(req.body.receivedAt) : undefined;
+    }
+
+    // Each upload gets its own decoder, so fragments of concurrent or earlier uploads are never joined to it
+    const aisIngestionService = new AisIngestionService();
+    const summary = await aisIngestionService.ingest(lines, { receivedAt });
+    res.json(summary);
+  } catch (error) {
+    logger.error('AIS ingestion error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -3,11 +3,31 @@ const router = express.Router();
 const { query, validationResult } = require('express-validator');
 const RoutePlanningService = require('../services/RoutePlanningService');
 const MaintenanceService = require('../services/MaintenanceService');
+const FleetService = require('../services/FleetService');
 const { logger } = require('../utils/logger');
 
 // Create instances of services
 const routePlanningService = new RoutePlanningService();
 const maintenanceService = new MaintenanceService();
+const fleetService = new FleetService();
+
+// Every analytics endpoint is scoped to either a single ship or a fleet
+const scopeValidators = [
+  query('shipId').if(query('fleetId').not().exists())
+    .isMongoId().withMessage('Either shipId or fleetId is required'),
+  query('fleetId').optional().isMongoId()
+    .custom((value, { req }) => {
+      if (req.query.shipId) {
+        throw new Error('Use either shipId or fleetId, not both');
+      }
+      return true;
+    })
+];
+
+// Resolves the request to an analytics scope: { shipId } for one ship, or
+// { fleet } for a fleet, whose ships count only while assigned to it
+const resolveScope = async ({ shipId, fleetId }) =>
+  fleetId ? { fleet: await fleetService.getFleetScope(fleetId) } : { shipId };
 
 /**
  * @swagger
@@ -20,13 +40,20 @@ const maintenanceService = new MaintenanceService();
  *     parameters:
  *       - in: query
  *         name: shipId
- *         required: true
- *         description: MongoDB ObjectId of the ship
+ *         description: MongoDB ObjectId of the ship; required unless fleetId is given
  *         schema:
  *           type: string
  *           pattern: '^[0-9a-fA-F]{24}$'
  *           example: "507f1f77bcf86cd799439011"
  *       - in: query
+ *         name: fleetId
+ *         description: >
+ *           Aggregate over this fleet's ships instead of a single ship, each
+ *           counted only for records dated while it was assigned to the fleet
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *       - in: query
  *         name: timeframe
  *         schema:
  *           type: string
@@ -73,14 +100,14 @@ const maintenanceService = new MaintenanceService();
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Ship not found
+ *         description: Ship or fleet not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
 router.get('/route-efficiency', [
-  query('shipId').isMongoId(),
+  ...scopeValidators,
   query('timeframe').optional().isIn(['weekly', 'monthly', 'yearly'])
 ], async (req, res) => {
   try {
@@ -89,12 +116,13 @@ router.get('/route-efficiency', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { shipId, timeframe = 'monthly' } = req.query;
-    const analytics = await routePlanningService.getRouteAnalytics(shipId, timeframe);
+    const { timeframe = 'monthly' } = req.query;
+    const scope = await resolveScope(req.query);
+    const analytics = await routePlanningService.getRouteAnalytics(scope, timeframe);
     res.json(analytics);
   } catch (error) {
     logger.error('Route efficiency analytics error:', error);
-    if (error.message === 'Ship not found') {
+    if (error.message === 'Ship not found' || error.message === 'Fleet not found') {
       res.status(404).json({ error: error.message });
     } else {
       res.status(500).json({ error: error.message });
@@ -113,13 +141,20 @@ router.get('/route-efficiency', [
  *     parameters:
  *       - in: query
  *         name: shipId
- *         required: true
- *         description: MongoDB ObjectId of the ship
+ *         description: MongoDB ObjectId of the ship; required unless fleetId is given
  *         schema:
  *           type: string
  *           pattern: '^[0-9a-fA-F]{24}$'
  *           example: "507f1f77bcf86cd799439011"
  *       - in: query
+ *         name: fleetId
+ *         description: >
+ *           Aggregate over this fleet's ships instead of a single ship, each
+ *           counted only for records dated while it was assigned to the fleet
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *       - in: query
  *         name: timeframe
  *         schema:
  *           type: string
@@ -162,14 +197,14 @@ router.get('/route-efficiency', [
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Ship not found
+ *         description: Ship or fleet not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
 router.get('/fuel-consumption', [
-  query('shipId').isMongoId(),
+  ...scopeValidators,
   query('timeframe').optional().isIn(['weekly', 'monthly', 'yearly'])
 ], async (req, res) => {
   try {
@@ -178,12 +213,13 @@ router.get('/fuel-consumption', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { shipId, timeframe = 'monthly' } = req.query;
-    const analytics = await routePlanningService.getFuelConsumptionAnalytics(shipId, timeframe);
+    const { timeframe = 'monthly' } = req.query;
+    const scope = await resolveScope(req.query);
+    const analytics = await routePlanningService.getFuelConsumptionAnalytics(scope, timeframe);
     res.json(analytics);
   } catch (error) {
     logger.error('Fuel consumption analytics error:', error);
-    if (error.message === 'Ship not found') {
+    if (error.message === 'Ship not found' || error.message === 'Fleet not found') {
       res.status(404).json({ error: error.message });
     } else {
       res.status(500).json({ error: error.message });
@@ -202,12 +238,19 @@ router.get('/fuel-consumption', [
  *     parameters:
  *       - in: query
  *         name: shipId
- *         required: true
- *         description: MongoDB ObjectId of the ship
+ *         description: MongoDB ObjectId of the ship; required unless fleetId is given
  *         schema:
  *           type: string
  *           pattern: '^[0-9a-fA-F]{24}$'
  *           example: "507f1f77bcf86cd799439011"
+ *       - in: query
+ *         name: fleetId
+ *         description: >
+ *           Aggregate over this fleet's ships instead of a single ship, each
+ *           counted only for records dated while it was assigned to the fleet
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
  *     responses:
  *       200:
  *         description: Maintenance insights retrieved successfully
@@ -251,14 +294,14 @@ router.get('/fuel-consumption', [
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Ship not found
+ *         description: Ship or fleet not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
 router.get('/maintenance-insights', [
-  query('shipId').isMongoId()
+  ...scopeValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -266,12 +309,12 @@ router.get('/maintenance-insights', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { shipId } = req.query;
-    const insights = await maintenanceService.getMaintenanceInsights(shipId);
+    const scope = await resolveScope(req.query);
+    const insights = await maintenanceService.getMaintenanceInsights(scope);
     res.json(insights);
   } catch (error) {
     logger.error('Maintenance insights error:', error);
-    if (error.message === 'Ship not found') {
+    if (error.message === 'Ship not found' || error.message === 'Fleet not found') {
       res.status(404).json({ error: error.message });
     } else {
       res.status(500).json({ error: error.message });
@@ -288,13 +331,20 @@ router.get('/maintenance-insights', [
  *     parameters:
  *       - in: query
  *         name: shipId
- *         required: true
- *         description: MongoDB ObjectId of the ship
+ *         description: MongoDB ObjectId of the ship; required unless fleetId is given
  *         schema:
  *           type: string
  *           pattern: '^[0-9a-fA-F]{24}$'
  *           example: "507f1f77bcf86cd799439011"
  *       - in: query
+ *         name: fleetId
+ *         description: >
+ *           Aggregate over this fleet's ships instead of a single ship, each
+ *           counted only for records dated while it was assigned to the fleet
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *       - in: query
  *         name: timeframe
  *         schema:
  *           type: string
@@ -351,7 +401,7 @@ router.get('/maintenance-insights', [
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Ship not found
+ *         description: Ship or fleet not found
  *         content:
  *           application/json:
  *             schema:
@@ -364,7 +414,7 @@ router.get('/maintenance-insights', [
  *               $ref: '#/components/schemas/Error'
  */
 router.get('/weather-impact', [
-  query('shipId').isMongoId(),
+  ...scopeValidators,
   query('timeframe').optional().isIn(['weekly', 'monthly', 'yearly'])
 ], async (req, res) => {
   try {
@@ -373,12 +423,13 @@ router.get('/weather-impact', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { shipId, timeframe = 'monthly' } = req.query;
-    const impact = await routePlanningService.analyzeWeatherImpactByShip(shipId, timeframe);
+    const { timeframe = 'monthly' } = req.query;
+    const scope = await resolveScope(req.query);
+    const impact = await routePlanningService.analyzeWeatherImpactByShip(scope, timeframe);
     res.json(impact);
   } catch (error) {
     logger.error('Weather impact analysis error:', error);
-    if (error.message === 'Ship not found') {
+    if (error.message === 'Ship not found' || error.message === 'Fleet not found') {
       res.status(404).json({ error: error.message });
     } else {
       res.status(500).json({ error: error.message });
@@ -395,12 +446,19 @@ router.get('/weather-impact', [
  *     parameters:
  *       - in: query
  *         name: shipId
- *         required: true
- *         description: MongoDB ObjectId of the ship
+ *         description: MongoDB ObjectId of the ship; required unless fleetId is given
  *         schema:
  *           type: string
  *           pattern: '^[0-9a-fA-F]{24}$'
  *           example: "507f1f77bcf86cd799439011"
+ *       - in: query
+ *         name: fleetId
+ *         description: >
+ *           Aggregate over this fleet's ships instead of a single ship, each
+ *           counted only for records dated while it was assigned to the fleet
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
  *     responses:
  *       200:
  *         description: Performance metrics retrieved successfully
@@ -481,7 +539,7 @@ router.get('/weather-impact', [
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Ship not found
+ *         description: Ship or fleet not found
  *         content:
  *           application/json:
  *             schema:
@@ -494,7 +552,7 @@ router.get('/weather-impact', [
  *               $ref: '#/components/schemas/Error'
  */
 router.get('/performance-metrics', [
-  query('shipId').isMongoId()
+  ...scopeValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -502,13 +560,13 @@ router.get('/performance-metrics', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { shipId } = req.query;
-    
+    const scope = await resolveScope(req.query);
+
     // Gather metrics
     const [routeEfficiency, fuelEfficiency, maintenanceInsights] = await Promise.all([
-      routePlanningService.getRouteAnalytics(shipId),
-      routePlanningService.getFuelConsumptionAnalytics(shipId),
-      maintenanceService.getMaintenanceInsights(shipId)
+      routePlanningService.getRouteAnalytics(scope),
+      routePlanningService.getFuelConsumptionAnalytics(scope),
+      maintenanceService.getMaintenanceInsights(scope)
     ]);
 
     // Combine metrics into a comprehensive performance report
@@ -535,7 +593,11 @@ router.get('/performance-metrics', [
     res.json(metrics);
   } catch (error) {
     logger.error('Performance metrics error:', error);
-    res.status(500).json({ error: error.message });
+    if (error.message === 'Ship not found' || error.message === 'Fleet not found') {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
   }
 });
 
@@ -0,0 +1,182 @@
+const express = require('express');
+const router = express.Router();
+const { param, validationResult } = require('express-validator');
+const AuditService = require('../services/AuditService');
+const AuditLog = require('../models/AuditLog');
+const { logger } = require('../utils/logger');
+const { buildListQuery, setPaginationHeaders } = require('../utils/queryBuilder');
+
+// Create an instance of AuditService
+const auditService = new AuditService();
+
+// Fields of the audit log listing query language, see utils/queryBuilder
+const AUDIT_LIST_SPEC = {
+  fields: {
+    entityType: 'string',
+    entityId: 'objectId',
+    ship: 'objectId',
+    action: 'string',
+    actor: 'string',
+    requestId: 'string'
+  },
+  search: ['actor', 'changes.path'],
+  defaultSort: '-createdAt'
+};
+
+const sendPage = (req, res, listQuery, { entries, total }) => {
+  setPaginationHeaders(req, res, { total, page: listQuery.page, limit: listQuery.limit });
+  res.json(entries);
+};
+
+/**
+ * @swagger
+ * /api/v1/audit:
+ *   get:
+ *     summary: Browse the change history of ships, routes and maintenance
+ *     description: >
+ *       Every create, update and delete of a ship, route or maintenance
+ *       record with the fields it changed, who changed them and the request
+ *       that did. `ship=<id>` gives the history of a whole ship including
+ *       its routes and maintenance; `q` searches the actor and changed
+ *       field paths, e.g. `q=capacity`. The actor is taken from the
+ *       X-Actor header of the request that made the change.
+ *     tags: [Audit]
+ *     parameters:
+ *       - in: query
+ *         name: ship
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *           example: "Ship,Maintenance"
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           example: "UPDATE"
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: requestId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: createdAt[after]
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - $ref: '#/components/parameters/Search'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         description: One page of audit entries, latest first by default
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/XTotalCount'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AuditLog'
+ *       400:
+ *         description: Invalid filter, sort, field or page
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', async (req, res) => {
+  try {
+    const listQuery = buildListQuery(req.query, AUDIT_LIST_SPEC);
+    sendPage(req, res, listQuery, await auditService.listEntries(listQuery));
+  } catch (error) {
+    logger.error('Audit log listing error:', error);
+    if (error.message.startsWith('Invalid')) {
+      res.status(400).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/audit/{entityType}/{entityId}:
+ *   get:
+ *     summary: Change history of one ship, route or maintenance record
+ *     description: >
+ *       Also available after the document was deleted. Accepts the same
+ *       filter, sort and paging parameters as the audit listing.
+ *     tags: [Audit]
+ *     parameters:
+ *       - in: path
+ *         name: entityType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [Ship, Route, Maintenance]
+ *       - in: path
+ *         name: entityId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         description: One page of audit entries for the document
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/XTotalCount'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AuditLog'
+ *       400:
+ *         description: Invalid entity type, ID or listing parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:entityType/:entityId', [
+  param('entityType').isIn(AuditLog.AUDITED_ENTITIES),
+  param('entityId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const listQuery = buildListQuery(req.query, AUDIT_LIST_SPEC);
+    const history = await auditService.getDocumentHistory(req.params.entityType, req.params.entityId, listQuery);
+    sendPage(req, res, listQuery, history);
+  } catch (error) {
+    logger.error('Audit history error:', error);
+    if (error.message.startsWith('Invalid')) {
+      res.status(400).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+module.exports = router;
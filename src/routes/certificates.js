@@ -0,0 +1,589 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const Certificate = require('../models/Certificate');
+const CertificateService = require('../services/CertificateService');
+const FleetService = require('../services/FleetService');
+const { logger } = require('../utils/logger');
+
+// Create instances of services
+const certificateService = new CertificateService();
+const fleetService = new FleetService();
+
+const certificateValidators = [
+  body('supersededBy').not().exists().withMessage('A certificate is superseded by registering its renewal'),
+  body('endorsements').not().exists().withMessage('Use the endorsements endpoint to record endorsements'),
+  body('attachments').not().exists().withMessage('Use the attachments endpoint to add attachments'),
+  body('name').optional().isString().trim().notEmpty(),
+  body('certificateNumber').optional().isString().trim(),
+  body('expiresAt').optional({ values: 'null' }).isISO8601(),
+  body('requiresAnnualEndorsement').optional().isBoolean(),
+  body('survey').optional().isMongoId(),
+  body('withdrawnAt').optional({ values: 'null' }).isISO8601(),
+  body('notes').optional().isString()
+];
+
+// Resolves the optional shipId / fleetId filters to a list of ship ids
+const resolveShipIds = async ({ shipId, fleetId }) => {
+  if (fleetId) return fleetService.getActiveShipIds(fleetId);
+  if (shipId) return [shipId];
+  return undefined;
+};
+
+const handleError = (res, error) => {
+  if (['Certificate not found', 'Ship not found', 'Fleet not found'].includes(error.message)) {
+    res.status(404).json({ error: error.message });
+  } else if (error.message.startsWith('Invalid')) {
+    res.status(400).json({ error: error.message });
+  } else if (error.message.startsWith('Certificate is already endorsed')) {
+    res.status(409).json({ error: error.message });
+  } else {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * @swagger
+ * /api/v1/certificates:
+ *   post:
+ *     summary: Register a ship certificate
+ *     description: >
+ *       Registering a certificate whose ship, type and name match an older
+ *       one marks the older certificate as superseded by the renewal.
+ *     tags: [Certificates]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - shipId
+ *               - type
+ *               - issuingAuthority
+ *               - issuedAt
+ *             properties:
+ *               shipId:
+ *                 type: string
+ *                 example: "507f1f77bcf86cd799439011"
+ *               type:
+ *                 type: string
+ *                 enum: [SAFETY_CONSTRUCTION, SAFETY_EQUIPMENT, SAFETY_RADIO, LOAD_LINE, IOPP, IAPP, ISPP, BWM, ISM_DOC, ISM_SMC, ISSC, MLC, TONNAGE, REGISTRY, CLASS, OTHER]
+ *                 example: "IOPP"
+ *               name:
+ *                 type: string
+ *               certificateNumber:
+ *                 type: string
+ *               issuingAuthority:
+ *                 type: string
+ *                 example: "Panama Maritime Authority"
+ *               issuedAt:
+ *                 type: string
+ *                 format: date-time
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *               requiresAnnualEndorsement:
+ *                 type: boolean
+ *                 description: Defaults to true for certificates that are endorsed at annual surveys
+ *               survey:
+ *                 type: string
+ *                 description: Maintenance record of the survey that issued the certificate
+ *     responses:
+ *       201:
+ *         description: Certificate registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Certificate'
+ *       400:
+ *         description: Invalid input data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Ship not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', [
+  body('shipId').isMongoId(),
+  body('type').isIn(Certificate.CERTIFICATE_TYPES),
+  body('issuingAuthority').isString().trim().notEmpty(),
+  body('issuedAt').isISO8601(),
+  ...certificateValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const certificate = await certificateService.createCertificate(req.body);
+    res.status(201).json(certificateService.describe(certificate));
+  } catch (error) {
+    logger.error('Certificate creation error:', error);
+    handleError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/certificates:
+ *   get:
+ *     summary: List certificates with their current validity
+ *     tags: [Certificates]
+ *     parameters:
+ *       - in: query
+ *         name: shipId
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *       - in: query
+ *         name: fleetId
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeInactive
+ *         description: Include superseded and withdrawn certificates
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: List of certificates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Certificate'
+ *       404:
+ *         description: Fleet not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', [
+  query('shipId').optional().isMongoId(),
+  query('fleetId').optional().isMongoId(),
+  query('type').optional().isIn(Certificate.CERTIFICATE_TYPES),
+  query('includeInactive').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const certificates = await certificateService.getCertificates({
+      shipIds: await resolveShipIds(req.query),
+      type: req.query.type,
+      includeInactive: req.query.includeInactive
+    });
+    res.json(certificates);
+  } catch (error) {
+    logger.error('Certificate listing error:', error);
+    handleError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/certificates/expiring:
+ *   get:
+ *     summary: List certificates expiring or due for endorsement
+ *     description: >
+ *       Returns every expiry and every annual endorsement window that closes
+ *       within the horizon, including ones already missed (overdue=true),
+ *       for the whole fleet, a single fleet or a single ship.
+ *     tags: [Certificates]
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         description: Horizon in days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 730
+ *           default: 90
+ *       - in: query
+ *         name: shipId
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *       - in: query
+ *         name: fleetId
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     responses:
+ *       200:
+ *         description: Upcoming expiries and endorsements, soonest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   certificateId:
+ *                     type: string
+ *                   ship:
+ *                     type: object
+ *                   type:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                   reason:
+ *                     type: string
+ *                     enum: [EXPIRY, ENDORSEMENT]
+ *                   dueDate:
+ *                     type: string
+ *                     format: date-time
+ *                   daysRemaining:
+ *                     type: number
+ *                   overdue:
+ *                     type: boolean
+ *       400:
+ *         description: Invalid input parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Fleet not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/expiring', [
+  query('days').optional().isInt({ min: 1, max: 730 }).toInt(),
+  query('shipId').optional().isMongoId(),
+  query('fleetId').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const expiring = await certificateService.getExpiringCertificates({
+      days: req.query.days || 90,
+      shipIds: await resolveShipIds(req.query)
+    });
+    res.json(expiring);
+  } catch (error) {
+    logger.error('Expiring certificates error:', error);
+    handleError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/certificates/{certificateId}:
+ *   get:
+ *     summary: Get a certificate with its validity and endorsement schedule
+ *     tags: [Certificates]
+ *     parameters:
+ *       - in: path
+ *         name: certificateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     responses:
+ *       200:
+ *         description: Certificate details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Certificate'
+ *       404:
+ *         description: Certificate not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:certificateId', [
+  param('certificateId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const certificate = await certificateService.getCertificateById(req.params.certificateId);
+    res.json(certificate);
+  } catch (error) {
+    logger.error('Certificate retrieval error:', error);
+    handleError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/certificates/{certificateId}:
+ *   put:
+ *     summary: Update a certificate
+ *     tags: [Certificates]
+ *     parameters:
+ *       - in: path
+ *         name: certificateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Certificate'
+ *     responses:
+ *       200:
+ *         description: Certificate updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Certificate'
+ *       400:
+ *         description: Invalid input data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Certificate not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:certificateId', [
+  param('certificateId').isMongoId(),
+  body('ship').not().exists().withMessage('A certificate cannot be moved to another ship'),
+  body('type').optional().isIn(Certificate.CERTIFICATE_TYPES),
+  body('issuingAuthority').optional().isString().trim().notEmpty(),
+  body('issuedAt').optional().isISO8601(),
+  ...certificateValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const certificate = await certificateService.updateCertificate(req.params.certificateId, req.body);
+    res.json(certificate);
+  } catch (error) {
+    logger.error('Certificate update error:', error);
+    handleError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/certificates/{certificateId}:
+ *   delete:
+ *     summary: Delete a certificate registered in error
+ *     description: Use withdrawnAt to record a certificate that is no longer in force.
+ *     tags: [Certificates]
+ *     parameters:
+ *       - in: path
+ *         name: certificateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     responses:
+ *       204:
+ *         description: Certificate deleted
+ *       404:
+ *         description: Certificate not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:certificateId', [
+  param('certificateId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await certificateService.deleteCertificate(req.params.certificateId);
+    res.status(204).send();
+  } catch (error) {
+    logger.error('Certificate deletion error:', error);
+    handleError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/certificates/{certificateId}/endorsements:
+ *   post:
+ *     summary: Record an annual endorsement
+ *     description: >
+ *       The endorsement is matched to the anniversary whose window (three
+ *       months either side of the anniversary date) contains endorsedAt.
+ *     tags: [Certificates]
+ *     parameters:
+ *       - in: path
+ *         name: certificateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               endorsedAt:
+ *                 type: string
+ *                 format: date-time
+ *               endorsedBy:
+ *                 type: string
+ *               place:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Endorsement recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Certificate'
+ *       400:
+ *         description: Date outside every endorsement window, or no endorsement required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Certificate not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Anniversary already endorsed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:certificateId/endorsements', [
+  param('certificateId').isMongoId(),
+  body('endorsedAt').optional().isISO8601(),
+  body('endorsedBy').optional().isString().trim(),
+  body('place').optional().isString().trim(),
+  body('notes').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const certificate = await certificateService.recordEndorsement(req.params.certificateId, req.body);
+    res.status(201).json(certificate);
+  } catch (error) {
+    logger.error('Certificate endorsement error:', error);
+    handleError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/certificates/{certificateId}/attachments:
+ *   post:
+ *     summary: Attach a document to a certificate
+ *     tags: [Certificates]
+ *     parameters:
+ *       - in: path
+ *         name: certificateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - url
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "IOPP certificate scan.pdf"
+ *               url:
+ *                 type: string
+ *               contentType:
+ *                 type: string
+ *                 example: "application/pdf"
+ *     responses:
+ *       201:
+ *         description: Attachment added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Certificate'
+ *       400:
+ *         description: Invalid input data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Certificate not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:certificateId/attachments', [
+  param('certificateId').isMongoId(),
+  body('name').isString().trim().notEmpty(),
+  body('url').isURL(),
+  body('contentType').optional().isMimeType()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, url, contentType } = req.body;
+    const certificate = await certificateService.addAttachment(req.params.certificateId, { name, url, contentType });
+    res.status(201).json(certificate);
+  } catch (error) {
+    logger.error('Certificate attachment error:', error);
+    handleError(res, error);
+  }
+});
+
+module.exports = router;
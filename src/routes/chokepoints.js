@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const RoutePlanningService = require('../services/RoutePlanningService');
+const { logger } = require('../utils/logger');
+
+// Create an instance of RoutePlanningService
+const routePlanningService = new RoutePlanningService();
+
+/**
+ * @swagger
+ * /api/v1/chokepoints:
+ *   get:
+ *     summary: Canal and strait catalogue
+ *     description: >
+ *       Chokepoints route planning takes into account, with transit and
+ *       waiting times, the vessel classes they admit and tariff
+ *       estimates. With `shipId`, each entry also tells whether that ship
+ *       fits, in which class, and its estimated tariff.
+ *     tags: [Route Planning]
+ *     parameters:
+ *       - in: query
+ *         name: shipId
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     responses:
+ *       200:
+ *         description: The chokepoint catalogue
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Chokepoint'
+ *       400:
+ *         description: Invalid ship ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Ship not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', [
+  query('shipId').optional().isMongoId().withMessage('Invalid ship ID format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    res.json(await routePlanningService.getChokepoints(req.query.shipId));
+  } catch (error) {
+    logger.error('Chokepoint catalogue error:', error);
+    if (error.message === 'Ship not found') {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,641 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const CrewMember = require('../models/CrewMember');
+const CrewService = require('../services/CrewService');
+const { logger } = require('../utils/logger');
+
+// Create an instance of CrewService
+const crewService = new CrewService();
+
+const crewMemberValidators = [
+  body('nationality').optional().isISO31661Alpha2().withMessage('Nationality must be an ISO 3166-1 alpha-2 code'),
+  body('dateOfBirth').optional().isISO8601(),
+  body('seamanBookNumber').optional().isString().trim().notEmpty(),
+  body('email').optional().isEmail(),
+  body('phone').optional().isString().trim(),
+  body('status').optional().isIn(['ACTIVE', 'INACTIVE'])
+];
+
+const stcwCertificateValidators = prefix => [
+  body(`${prefix}regulation`).isString().trim().notEmpty(),
+  body(`${prefix}name`).optional().isString().trim(),
+  body(`${prefix}certificateNumber`).optional().isString().trim(),
+  body(`${prefix}issuedBy`).optional().isString().trim(),
+  body(`${prefix}issuedAt`).optional().isISO8601(),
+  body(`${prefix}expiresAt`).optional().isISO8601()
+];
+
+const contractValidators = prefix => [
+  body(`${prefix}startDate`).isISO8601(),
+  body(`${prefix}endDate`).isISO8601(),
+  body(`${prefix}rotation.onboardDays`).optional().isInt({ min: 1 }),
+  body(`${prefix}rotation.offDays`).optional().isInt({ min: 0 }),
+  body(`${prefix}notes`).optional().isString()
+];
+
+const handleError = (res, error) => {
+  if (['Crew member not found', 'Ship not found'].includes(error.message)) {
+    res.status(404).json({ error: error.message });
+  } else if (error.message.startsWith('Invalid')) {
+    res.status(400).json({ error: error.message });
+  } else if (error.message.startsWith('Crew member is already on board') ||
+             error.message === 'Crew member is not on board any ship' ||
+             error.message.startsWith('Ship is not available')) {
+    res.status(409).json({ error: error.message });
+  } else if (error.code === 11000) {
+    res.status(409).json({ error: 'Crew member with this seaman book number already exists' });
+  } else {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * @swagger
+ * /api/v1/crew:
+ *   post:
+ *     summary: Create a crew member record
+ *     tags: [Crew]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - firstName
+ *               - lastName
+ *               - rank
+ *             properties:
+ *               firstName:
+ *                 type: string
+ *                 example: "Maria"
+ *               lastName:
+ *                 type: string
+ *                 example: "Santos"
+ *               rank:
+ *                 type: string
+ *                 example: "CHIEF_OFFICER"
+ *               nationality:
+ *                 type: string
+ *                 example: "PH"
+ *               dateOfBirth:
+ *                 type: string
+ *                 format: date
+ *               seamanBookNumber:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               stcwCertificates:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     regulation:
+ *                       type: string
+ *                       example: "II/2"
+ *                     name:
+ *                       type: string
+ *                     certificateNumber:
+ *                       type: string
+ *                     issuedBy:
+ *                       type: string
+ *                     issuedAt:
+ *                       type: string
+ *                       format: date
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date
+ *               contracts:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     startDate:
+ *                       type: string
+ *                       format: date
+ *                     endDate:
+ *                       type: string
+ *                       format: date
+ *                     rotation:
+ *                       type: object
+ *                       properties:
+ *                         onboardDays:
+ *                           type: integer
+ *                         offDays:
+ *                           type: integer
+ *     responses:
+ *       201:
+ *         description: Crew member created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CrewMember'
+ *       400:
+ *         description: Invalid input data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Seaman book number already registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', [
+  body('firstName').isString().trim().notEmpty(),
+  body('lastName').isString().trim().notEmpty(),
+  body('rank').isIn(CrewMember.CREW_RANKS),
+  ...crewMemberValidators,
+  body('stcwCertificates').optional().isArray(),
+  ...stcwCertificateValidators('stcwCertificates.*.'),
+  body('contracts').optional().isArray(),
+  ...contractValidators('contracts.*.')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const crewMember = await crewService.createCrewMember(req.body);
+    res.status(201).json(crewMember);
+  } catch (error) {
+    logger.error('Crew member creation error:', error);
+    handleError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/crew:
+ *   get:
+ *     summary: List crew members
+ *     tags: [Crew]
+ *     parameters:
+ *       - in: query
+ *         name: rank
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: nationality
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [ACTIVE, INACTIVE]
+ *     responses:
+ *       200:
+ *         description: List of crew members
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CrewMember'
+ */
+router.get('/', [
+  query('rank').optional().isIn(CrewMember.CREW_RANKS),
+  query('nationality').optional().isISO31661Alpha2(),
+  query('status').optional().isIn(['ACTIVE', 'INACTIVE'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const crew = await crewService.getCrewMembers(req.query);
+    res.json(crew);
+  } catch (error) {
+    logger.error('Crew listing error:', error);
+    handleError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/crew/{crewMemberId}:
+ *   get:
+ *     summary: Get a crew member with their sea service
+ *     tags: [Crew]
+ *     parameters:
+ *       - in: path
+ *         name: crewMemberId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     responses:
+ *       200:
+ *         description: Crew member with all ship assignments, latest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/CrewMember'
+ *                 - type: object
+ *                   properties:
+ *                     assignments:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CrewAssignment'
+ *       404:
+ *         description: Crew member not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:crewMemberId', [
+  param('crewMemberId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const crewMember = await crewService.getCrewMemberById(req.params.crewMemberId);
+    res.json(crewMember);
+  } catch (error) {
+    logger.error('Crew member retrieval error:', error);
+    handleError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/crew/{crewMemberId}:
+ *   put:
+ *     summary: Update a crew member's personal details
+ *     description: Certificates and contracts are added through their own endpoints.
+ *     tags: [Crew]
+ *     parameters:
+ *       - in: path
+ *         name: crewMemberId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CrewMember'
+ *     responses:
+ *       200:
+ *         description: Crew member updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CrewMember'
+ *       400:
+ *         description: Invalid input data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Crew member not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:crewMemberId', [
+  param('crewMemberId').isMongoId(),
+  body('stcwCertificates').not().exists().withMessage('Use the certificates endpoint to add STCW certificates'),
+  body('contracts').not().exists().withMessage('Use the contracts endpoint to add contracts'),
+  body('firstName').optional().isString().trim().notEmpty(),
+  body('lastName').optional().isString().trim().notEmpty(),
+  body('rank').optional().isIn(CrewMember.CREW_RANKS),
+  ...crewMemberValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const crewMember = await crewService.updateCrewMember(req.params.crewMemberId, req.body);
+    res.json(crewMember);
+  } catch (error) {
+    logger.error('Crew member update error:', error);
+    handleError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/crew/{crewMemberId}/certificates:
+ *   post:
+ *     summary: Add an STCW certificate to a crew member
+ *     tags: [Crew]
+ *     parameters:
+ *       - in: path
+ *         name: crewMemberId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - regulation
+ *             properties:
+ *               regulation:
+ *                 type: string
+ *                 example: "II/1"
+ *               name:
+ *                 type: string
+ *               certificateNumber:
+ *                 type: string
+ *               issuedBy:
+ *                 type: string
+ *               issuedAt:
+ *                 type: string
+ *                 format: date
+ *               expiresAt:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       201:
+ *         description: Certificate added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CrewMember'
+ *       400:
+ *         description: Invalid input data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Crew member not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:crewMemberId/certificates', [
+  param('crewMemberId').isMongoId(),
+  ...stcwCertificateValidators('')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const crewMember = await crewService.addStcwCertificate(req.params.crewMemberId, req.body);
+    res.status(201).json(crewMember);
+  } catch (error) {
+    logger.error('STCW certificate error:', error);
+    handleError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/crew/{crewMemberId}/contracts:
+ *   post:
+ *     summary: Add a contract period to a crew member
+ *     tags: [Crew]
+ *     parameters:
+ *       - in: path
+ *         name: crewMemberId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - startDate
+ *               - endDate
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               rotation:
+ *                 type: object
+ *                 properties:
+ *                   onboardDays:
+ *                     type: integer
+ *                     example: 120
+ *                   offDays:
+ *                     type: integer
+ *                     example: 60
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Contract added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CrewMember'
+ *       400:
+ *         description: Invalid or overlapping contract period
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Crew member not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:crewMemberId/contracts', [
+  param('crewMemberId').isMongoId(),
+  ...contractValidators('')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const crewMember = await crewService.addContract(req.params.crewMemberId, req.body);
+    res.status(201).json(crewMember);
+  } catch (error) {
+    logger.error('Crew contract error:', error);
+    handleError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/crew/{crewMemberId}/sign-on:
+ *   post:
+ *     summary: Sign a crew member on to a ship
+ *     description: >
+ *       The sign-on date must fall within one of the crew member's contracts
+ *       and their latest STCW certificates must be in date. A crew member can
+ *       only be on board one ship at a time.
+ *     tags: [Crew]
+ *     parameters:
+ *       - in: path
+ *         name: crewMemberId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - shipId
+ *             properties:
+ *               shipId:
+ *                 type: string
+ *               signOnDate:
+ *                 type: string
+ *                 format: date-time
+ *               rank:
+ *                 type: string
+ *                 description: Rank served in; defaults to the crew member's rank
+ *               port:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Crew member signed on
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CrewAssignment'
+ *       400:
+ *         description: Outside contract, expired certificates or inactive crew member
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Crew member or ship not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Crew member is already on board a ship, or the ship is archived or decommissioned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:crewMemberId/sign-on', [
+  param('crewMemberId').isMongoId(),
+  body('shipId').isMongoId(),
+  body('signOnDate').optional().isISO8601(),
+  body('rank').optional().isIn(CrewMember.CREW_RANKS),
+  body('port').optional().isString().trim(),
+  body('notes').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const assignment = await crewService.signOn(req.params.crewMemberId, req.body);
+    res.status(201).json(assignment);
+  } catch (error) {
+    logger.error('Crew sign-on error:', error);
+    handleError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/crew/{crewMemberId}/sign-off:
+ *   post:
+ *     summary: Sign a crew member off their current ship
+ *     tags: [Crew]
+ *     parameters:
+ *       - in: path
+ *         name: crewMemberId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               signOffDate:
+ *                 type: string
+ *                 format: date-time
+ *               port:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Crew member signed off
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CrewAssignment'
+ *       400:
+ *         description: Sign-off before the sign-on date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Crew member is not on board any ship
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:crewMemberId/sign-off', [
+  param('crewMemberId').isMongoId(),
+  body('signOffDate').optional().isISO8601(),
+  body('port').optional().isString().trim(),
+  body('notes').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const assignment = await crewService.signOff(req.params.crewMemberId, req.body);
+    res.json(assignment);
+  } catch (error) {
+    logger.error('Crew sign-off error:', error);
+    handleError(res, error);
+  }
+});
+
+module.exports = router;
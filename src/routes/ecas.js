@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const RoutePlanningService = require('../services/RoutePlanningService');
+const { logger } = require('../utils/logger');
+
+// Create an instance of RoutePlanningService
+const routePlanningService = new RoutePlanningService();
+
+/**
+ * @swagger
+ * /api/v1/ecas:
+ *   get:
+ *     summary: Emission Control Area catalogue
+ *     description: >
+ *       Areas where ships must burn fuel of at most 0.1% sulphur, which
+ *       route planning measures each route's distance and time in and
+ *       plans fuel changeovers for. Each entry tells whether the area is
+ *       in force at `at`, by default now.
+ *     tags: [Route Planning]
+ *     parameters:
+ *       - in: query
+ *         name: at
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: The ECA catalogue
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Eca'
+ *       400:
+ *         description: Invalid date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', [
+  query('at').optional().isISO8601().withMessage('Invalid date format')
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    res.json(routePlanningService.getEcas(req.query.at));
+  } catch (error) {
+    logger.error('ECA catalogue error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,456 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const FleetService = require('../services/FleetService');
+const { logger } = require('../utils/logger');
+
+// Create an instance of FleetService
+const fleetService = new FleetService();
+
+const fleetValidators = [
+  body('description').optional().isString(),
+  body('owner').optional({ values: 'null' }).isMongoId(),
+  body('manager').optional({ values: 'null' }).isMongoId(),
+  body('charterer').optional({ values: 'null' }).isMongoId()
+];
+
+const handleError = (res, error) => {
+  if (['Fleet not found', 'Organization not found', 'Ship not found'].includes(error.message)) {
+    res.status(404).json({ error: error.message });
+  } else if (error.message.startsWith('Invalid assignment')) {
+    res.status(400).json({ error: error.message });
+  } else if (error.message === 'Ship is not assigned to this fleet' ||
+             error.message.startsWith('Ship is already assigned')) {
+    res.status(409).json({ error: error.message });
+  } else if (error.code === 11000) {
+    res.status(409).json({ error: 'Fleet with this name already exists' });
+  } else {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * @swagger
+ * /api/v1/fleets:
+ *   post:
+ *     summary: Create a fleet
+ *     tags: [Fleets]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Asia Container Service"
+ *               description:
+ *                 type: string
+ *               owner:
+ *                 type: string
+ *                 description: Organization id
+ *               manager:
+ *                 type: string
+ *                 description: Organization id
+ *               charterer:
+ *                 type: string
+ *                 description: Organization id
+ *     responses:
+ *       201:
+ *         description: Fleet created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Fleet'
+ *       400:
+ *         description: Invalid input data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Organization not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Fleet with this name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', [
+  body('name').isString().trim().notEmpty(),
+  ...fleetValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const fleet = await fleetService.createFleet(req.body);
+    res.status(201).json(fleet);
+  } catch (error) {
+    logger.error('Fleet creation error:', error);
+    handleError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/fleets:
+ *   get:
+ *     summary: List fleets
+ *     tags: [Fleets]
+ *     parameters:
+ *       - in: query
+ *         name: organizationId
+ *         description: Only fleets the organization owns, manages or charters
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     responses:
+ *       200:
+ *         description: List of fleets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Fleet'
+ */
+router.get('/', [
+  query('organizationId').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const fleets = await fleetService.listFleets({ organizationId: req.query.organizationId });
+    res.json(fleets);
+  } catch (error) {
+    logger.error('Fleet listing error:', error);
+    handleError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/fleets/{fleetId}:
+ *   get:
+ *     summary: Get a fleet with its organizations and ship memberships
+ *     tags: [Fleets]
+ *     parameters:
+ *       - in: path
+ *         name: fleetId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     responses:
+ *       200:
+ *         description: Fleet details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Fleet'
+ *       404:
+ *         description: Fleet not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:fleetId', [
+  param('fleetId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const fleet = await fleetService.getFleet(req.params.fleetId);
+    res.json(fleet);
+  } catch (error) {
+    logger.error('Fleet retrieval error:', error);
+    handleError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/fleets/{fleetId}:
+ *   put:
+ *     summary: Update a fleet
+ *     description: Ship memberships are changed through the /ships sub-resource.
+ *     tags: [Fleets]
+ *     parameters:
+ *       - in: path
+ *         name: fleetId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               owner:
+ *                 type: string
+ *               manager:
+ *                 type: string
+ *               charterer:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Fleet updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Fleet'
+ *       400:
+ *         description: Invalid input data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Fleet or organization not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Fleet with this name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:fleetId', [
+  param('fleetId').isMongoId(),
+  body('name').optional().isString().trim().notEmpty(),
+  ...fleetValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const fleet = await fleetService.updateFleet(req.params.fleetId, req.body);
+    res.json(fleet);
+  } catch (error) {
+    logger.error('Fleet update error:', error);
+    handleError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/fleets/{fleetId}:
+ *   delete:
+ *     summary: Delete a fleet
+ *     description: The ships themselves are not affected.
+ *     tags: [Fleets]
+ *     parameters:
+ *       - in: path
+ *         name: fleetId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     responses:
+ *       204:
+ *         description: Fleet deleted successfully
+ *       404:
+ *         description: Fleet not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:fleetId', [
+  param('fleetId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await fleetService.deleteFleet(req.params.fleetId);
+    res.status(204).send();
+  } catch (error) {
+    logger.error('Fleet deletion error:', error);
+    handleError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/fleets/{fleetId}/ships:
+ *   post:
+ *     summary: Assign a ship to a fleet
+ *     description: >
+ *       A ship can belong to several fleets at once, but its memberships in
+ *       the same fleet may not overlap. Without effectiveTo the membership is
+ *       open-ended.
+ *     tags: [Fleets]
+ *     parameters:
+ *       - in: path
+ *         name: fleetId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - shipId
+ *             properties:
+ *               shipId:
+ *                 type: string
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date-time
+ *               effectiveTo:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Ship assigned to the fleet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Fleet'
+ *       400:
+ *         description: Invalid input data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Fleet or ship not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Ship is already assigned to this fleet for an overlapping period
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:fleetId/ships', [
+  param('fleetId').isMongoId(),
+  body('shipId').isMongoId(),
+  body('effectiveFrom').optional().isISO8601(),
+  body('effectiveTo').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { shipId, effectiveFrom, effectiveTo } = req.body;
+    const fleet = await fleetService.assignShip(req.params.fleetId, shipId, { effectiveFrom, effectiveTo });
+    res.status(201).json(fleet);
+  } catch (error) {
+    logger.error('Fleet assignment error:', error);
+    handleError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/fleets/{fleetId}/ships/{shipId}:
+ *   delete:
+ *     summary: End a ship's membership of a fleet
+ *     description: The membership is closed rather than removed, so fleet history is kept.
+ *     tags: [Fleets]
+ *     parameters:
+ *       - in: path
+ *         name: fleetId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *       - in: path
+ *         name: shipId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *       - in: query
+ *         name: effectiveTo
+ *         description: End of the membership; defaults to now
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Membership ended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Fleet'
+ *       404:
+ *         description: Fleet not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Ship is not assigned to this fleet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:fleetId/ships/:shipId', [
+  param('fleetId').isMongoId(),
+  param('shipId').isMongoId(),
+  query('effectiveTo').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const fleet = await fleetService.endAssignment(
+      req.params.fleetId,
+      req.params.shipId,
+      req.query.effectiveTo || new Date()
+    );
+    res.json(fleet);
+  } catch (error) {
+    logger.error('Fleet assignment end error:', error);
+    handleError(res, error);
+  }
+});
+
+module.exports = router;
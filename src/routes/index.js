@@ -5,6 +5,17 @@ const routePlanningRoutes = require('./routePlanning');
 const maintenanceRoutes = require('./maintenance');
 const analyticsRoutes = require('./analytics');
 const shipRoutes = require('./ships');
+const aisRoutes = require('./ais');
+const fleetRoutes = require('./fleets');
+const organizationRoutes = require('./organizations');
+const certificateRoutes = require('./certificates');
+const crewRoutes = require('./crew');
+const restHoursRoutes = require('./restHours');
+const auditRoutes = require('./audit');
+const portRoutes = require('./ports');
+const voyageRoutes = require('./voyages');
+const chokepointRoutes = require('./chokepoints');
+const zoneRoutes = require('./zones');
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -16,6 +27,17 @@ router.use('/ships', shipRoutes);
 router.use('/route-plan', routePlanningRoutes);
 router.use('/maintenance', maintenanceRoutes);
 router.use('/analytics', analyticsRoutes);
+router.use('/ais', aisRoutes);
+router.use('/fleets', fleetRoutes);
+router.use('/organizations', organizationRoutes);
+router.use('/certificates', certificateRoutes);
+router.use('/crew', crewRoutes);
+router.use('/rest-hours', restHoursRoutes);
+router.use('/audit', auditRoutes);
+router.use('/ports', portRoutes);
+router.use('/voyages', voyageRoutes);
+router.use('/chokepoints', chokepointRoutes);
+router.use('/zones', zoneRoutes);
 
 // Error handling for invalid routes
 router.use((req, res) => {
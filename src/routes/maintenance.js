@@ -3,10 +3,27 @@ const router = express.Router();
 const { body, query, validationResult } = require('express-validator');
 const MaintenanceService = require('../services/MaintenanceService');
 const { logger } = require('../utils/logger');
+const { buildListQuery, setPaginationHeaders } = require('../utils/queryBuilder');
 
 // Create an instance of MaintenanceService
 const maintenanceService = new MaintenanceService();
 
+// Fields of the maintenance listing query language, see utils/queryBuilder
+const MAINTENANCE_LIST_SPEC = {
+  fields: {
+    ship: 'objectId',
+    type: 'string',
+    status: 'string',
+    date: 'date',
+    description: 'string',
+    'cost.estimated': 'number',
+    'cost.actual': 'number'
+  },
+  search: ['description'],
+  defaultSort: '-date',
+  hidden: ['documents']
+};
+
 /**
  * @swagger
  * /api/v1/maintenance/schedule:
@@ -46,6 +63,12 @@ const maintenanceService = new MaintenanceService();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Ship is archived or decommissioned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -69,6 +92,8 @@ router.post('/schedule', [
     logger.error('Maintenance scheduling error:', error);
     if (error.message === 'Ship not found') {
       res.status(404).json({ error: error.message });
+    } else if (error.message.startsWith('Ship is not available')) {
+      res.status(409).json({ error: error.message });
     } else {
       res.status(500).json({ error: error.message });
     }
@@ -126,6 +151,12 @@ router.post('/schedule', [
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Ship status does not allow this maintenance status (e.g. ship is at sea)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 router.put('/:maintenanceId/status', [
   body('status').isIn(['SCHEDULED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED']),
@@ -151,6 +182,77 @@ router.put('/:maintenanceId/status', [
     logger.error('Maintenance status update error:', error);
     if (error.message === 'Maintenance record not found') {
       res.status(404).json({ error: error.message });
+    } else if (error.message.startsWith('Invalid status transition')) {
+      res.status(409).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/maintenance:
+ *   get:
+ *     summary: List maintenance records
+ *     description: >
+ *       Filters by ship, type, status and description, with range operators
+ *       on date and the cost figures, e.g. `date[after]=2024-01-01` or
+ *       `cost.estimated[gte]=10000`. `q` searches the description.
+ *     tags: [Maintenance]
+ *     parameters:
+ *       - in: query
+ *         name: ship
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           example: "REPAIR,EMERGENCY"
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           example: "SCHEDULED"
+ *       - $ref: '#/components/parameters/Search'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         description: One page of maintenance records, latest first by default
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/XTotalCount'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Maintenance'
+ *       400:
+ *         description: Invalid filter, sort, field or page
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', async (req, res) => {
+  try {
+    const listQuery = buildListQuery(req.query, MAINTENANCE_LIST_SPEC);
+    const { records, total } = await maintenanceService.listMaintenance(listQuery);
+
+    setPaginationHeaders(req, res, { total, page: listQuery.page, limit: listQuery.limit });
+    res.json(records);
+  } catch (error) {
+    logger.error('Maintenance listing error:', error);
+    if (error.message.startsWith('Invalid')) {
+      res.status(400).json({ error: error.message });
     } else {
       res.status(500).json({ error: error.message });
     }
@@ -0,0 +1,278 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const FleetService = require('../services/FleetService');
+const { logger } = require('../utils/logger');
+
+// Create an instance of FleetService
+const fleetService = new FleetService();
+
+const ROLES = ['OWNER', 'MANAGER', 'CHARTERER'];
+
+const organizationValidators = [
+  body('roles').optional().isArray(),
+  body('roles.*').isIn(ROLES),
+  body('country').optional().isISO31661Alpha2().withMessage('Country must be an ISO 3166-1 alpha-2 code'),
+  body('registrationNumber').optional().isString().trim(),
+  body('contact.name').optional().isString().trim(),
+  body('contact.email').optional().isEmail(),
+  body('contact.phone').optional().isString().trim()
+];
+
+const handleError = (res, error) => {
+  if (error.message === 'Organization not found') {
+    res.status(404).json({ error: error.message });
+  } else if (error.message === 'Organization is still referenced by a fleet') {
+    res.status(409).json({ error: error.message });
+  } else if (error.code === 11000) {
+    res.status(409).json({ error: 'Organization with this name already exists' });
+  } else {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * @swagger
+ * /api/v1/organizations:
+ *   post:
+ *     summary: Create an organization (owner, manager or charterer)
+ *     tags: [Fleets]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Organization'
+ *     responses:
+ *       201:
+ *         description: Organization created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Organization'
+ *       400:
+ *         description: Invalid input data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Organization with this name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', [
+  body('name').isString().trim().notEmpty(),
+  ...organizationValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const organization = await fleetService.createOrganization(req.body);
+    res.status(201).json(organization);
+  } catch (error) {
+    logger.error('Organization creation error:', error);
+    handleError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/organizations:
+ *   get:
+ *     summary: List organizations
+ *     tags: [Fleets]
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [OWNER, MANAGER, CHARTERER]
+ *     responses:
+ *       200:
+ *         description: List of organizations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Organization'
+ */
+router.get('/', [
+  query('role').optional().isIn(ROLES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const organizations = await fleetService.listOrganizations({ role: req.query.role });
+    res.json(organizations);
+  } catch (error) {
+    logger.error('Organization listing error:', error);
+    handleError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/organizations/{organizationId}:
+ *   get:
+ *     summary: Get an organization
+ *     tags: [Fleets]
+ *     parameters:
+ *       - in: path
+ *         name: organizationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     responses:
+ *       200:
+ *         description: Organization details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Organization'
+ *       404:
+ *         description: Organization not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:organizationId', [
+  param('organizationId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const organization = await fleetService.getOrganization(req.params.organizationId);
+    res.json(organization);
+  } catch (error) {
+    logger.error('Organization retrieval error:', error);
+    handleError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/organizations/{organizationId}:
+ *   put:
+ *     summary: Update an organization
+ *     tags: [Fleets]
+ *     parameters:
+ *       - in: path
+ *         name: organizationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Organization'
+ *     responses:
+ *       200:
+ *         description: Organization updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Organization'
+ *       400:
+ *         description: Invalid input data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Organization not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Organization with this name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:organizationId', [
+  param('organizationId').isMongoId(),
+  body('name').optional().isString().trim().notEmpty(),
+  ...organizationValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const organization = await fleetService.updateOrganization(req.params.organizationId, req.body);
+    res.json(organization);
+  } catch (error) {
+    logger.error('Organization update error:', error);
+    handleError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/organizations/{organizationId}:
+ *   delete:
+ *     summary: Delete an organization
+ *     description: Refused while a fleet still names the organization as owner, manager or charterer.
+ *     tags: [Fleets]
+ *     parameters:
+ *       - in: path
+ *         name: organizationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     responses:
+ *       204:
+ *         description: Organization deleted successfully
+ *       404:
+ *         description: Organization not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Organization is still referenced by a fleet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:organizationId', [
+  param('organizationId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await fleetService.deleteOrganization(req.params.organizationId);
+    res.status(204).send();
+  } catch (error) {
+    logger.error('Organization deletion error:', error);
+    handleError(res, error);
+  }
+});
+
+module.exports = router;
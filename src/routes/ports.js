@@ -0,0 +1,211 @@
+const express = require('express');
+const router = express.Router();
+const { param, query, validationResult } = require('express-validator');
+const PortService = require('../services/PortService');
+const Port = require('../models/Port');
+const { logger } = require('../utils/logger');
+const { buildListQuery, setPaginationHeaders } = require('../utils/queryBuilder');
+
+// Create an instance of PortService
+const portService = new PortService();
+
+// Fields of the port listing query language, see utils/queryBuilder
+const PORT_LIST_SPEC = {
+  fields: {
+    code: 'string',
+    name: 'string',
+    country: 'string',
+    timeZone: 'string',
+    maxDraft: 'number'
+  },
+  search: ['name', 'code'],
+  defaultSort: 'code'
+};
+
+/**
+ * @swagger
+ * /api/v1/ports:
+ *   get:
+ *     summary: Search the port registry
+ *     description: >
+ *       Ports of the bundled UN/LOCODE dataset. `q` searches names and
+ *       codes, e.g. `q=rotter`; `maxDraft[gte]=16` finds ports deep enough
+ *       for a ship.
+ *     tags: [Ports]
+ *     parameters:
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *           example: "NL,BE"
+ *       - in: query
+ *         name: maxDraft[gte]
+ *         schema:
+ *           type: number
+ *       - $ref: '#/components/parameters/Search'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         description: One page of ports, by code by default
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/XTotalCount'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Port'
+ *       400:
+ *         description: Invalid filter, sort, field or page
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', async (req, res) => {
+  try {
+    const listQuery = buildListQuery(req.query, PORT_LIST_SPEC);
+    const { items, total } = await portService.listPorts(listQuery);
+    setPaginationHeaders(req, res, { total, page: listQuery.page, limit: listQuery.limit });
+    res.json(items);
+  } catch (error) {
+    logger.error('Port listing error:', error);
+    if (error.message.startsWith('Invalid')) {
+      res.status(400).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/ports/nearby:
+ *   get:
+ *     summary: Ports near a position
+ *     description: Ports within the radius, nearest first, with their distance in km.
+ *     tags: [Ports]
+ *     parameters:
+ *       - in: query
+ *         name: longitude
+ *         required: true
+ *         schema:
+ *           type: number
+ *           minimum: -180
+ *           maximum: 180
+ *       - in: query
+ *         name: latitude
+ *         required: true
+ *         schema:
+ *           type: number
+ *           minimum: -90
+ *           maximum: 90
+ *       - in: query
+ *         name: radius
+ *         description: Search radius in km
+ *         schema:
+ *           type: number
+ *           default: 500
+ *           maximum: 5000
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Ports nearest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Port'
+ *       400:
+ *         description: Invalid position, radius or limit
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/nearby', [
+  query('longitude').isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180').toFloat(),
+  query('latitude').isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90').toFloat(),
+  query('radius').optional().isFloat({ gt: 0, max: 5000 }).withMessage('Radius must be between 0 and 5000 km').toFloat(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { longitude, latitude, radius, limit } = req.query;
+    res.json(await portService.findNearby({ longitude, latitude, radius, limit }));
+  } catch (error) {
+    logger.error('Nearby port search error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/ports/{code}:
+ *   get:
+ *     summary: Get a port by UN/LOCODE
+ *     tags: [Ports]
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: NLRTM
+ *     responses:
+ *       200:
+ *         description: The port
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Port'
+ *       400:
+ *         description: Invalid UN/LOCODE
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Port not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:code', [
+  param('code').toUpperCase().matches(Port.LOCODE_PATTERN).withMessage('Port code must be a UN/LOCODE, e.g. NLRTM')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    res.json(await portService.getPortByCode(req.params.code));
+  } catch (error) {
+    logger.error('Port lookup error:', error);
+    if (error.message === 'Port not found') {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+module.exports = router;
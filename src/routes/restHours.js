@@ -0,0 +1,263 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const RestHoursService = require('../services/RestHoursService');
+const { logger } = require('../utils/logger');
+
+// Create an instance of RestHoursService
+const restHoursService = new RestHoursService();
+
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+const handleError = (res, error) => {
+  if (['Crew member not found', 'Ship not found'].includes(error.message)) {
+    res.status(404).json({ error: error.message });
+  } else if (error.message.startsWith('Invalid') || error.name === 'ValidationError') {
+    res.status(400).json({ error: error.message });
+  } else {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * @swagger
+ * /api/v1/rest-hours:
+ *   post:
+ *     summary: Record a crew member's rest periods for one day
+ *     description: >
+ *       Replaces any earlier entry for the same crew member and day. When no
+ *       shipId is given the ship the crew member was on board that day is used.
+ *     tags: [Rest Hours]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - crewMemberId
+ *               - date
+ *               - restPeriods
+ *             properties:
+ *               crewMemberId:
+ *                 type: string
+ *               shipId:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 example: "2024-03-01"
+ *               restPeriods:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     start:
+ *                       type: string
+ *                       example: "00:00"
+ *                     end:
+ *                       type: string
+ *                       example: "06:00"
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Rest hours recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RestHourRecord'
+ *       400:
+ *         description: Invalid input data or crew member not on board
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Crew member or ship not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', [
+  body('crewMemberId').isMongoId(),
+  body('shipId').optional().isMongoId(),
+  body('date').isISO8601(),
+  body('restPeriods').isArray(),
+  body('restPeriods.*.start').matches(TIME_PATTERN).withMessage('Rest period times must be HH:MM'),
+  body('restPeriods.*.end').matches(TIME_PATTERN).withMessage('Rest period times must be HH:MM'),
+  body('notes').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const record = await restHoursService.recordRestHours(req.body);
+    res.status(201).json(record);
+  } catch (error) {
+    logger.error('Rest hours recording error:', error);
+    handleError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/rest-hours/crew/{crewMemberId}:
+ *   get:
+ *     summary: Get a crew member's rest hours and rule violations
+ *     description: Defaults to the last 30 days. Violations list the offending windows.
+ *     tags: [Rest Hours]
+ *     parameters:
+ *       - in: path
+ *         name: crewMemberId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Records, totals and violations for the period
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from:
+ *                   type: string
+ *                   format: date-time
+ *                 to:
+ *                   type: string
+ *                   format: date-time
+ *                 records:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RestHourRecord'
+ *                 daysRecorded:
+ *                   type: integer
+ *                 restHours:
+ *                   type: number
+ *                 workHours:
+ *                   type: number
+ *                 violations:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RestHoursViolation'
+ *       404:
+ *         description: Crew member not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/crew/:crewMemberId', [
+  param('crewMemberId').isMongoId(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await restHoursService.getCrewRestHours(req.params.crewMemberId, req.query);
+    res.json(result);
+  } catch (error) {
+    logger.error('Crew rest hours retrieval error:', error);
+    handleError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/rest-hours/ships/{shipId}/report:
+ *   get:
+ *     summary: Monthly hours of rest compliance report for a ship
+ *     tags: [Rest Hours]
+ *     parameters:
+ *       - in: path
+ *         name: shipId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *       - in: query
+ *         name: month
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "2024-03"
+ *     responses:
+ *       200:
+ *         description: Per crew member totals, missing days and violations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 month:
+ *                   type: string
+ *                 crew:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       crewMember:
+ *                         $ref: '#/components/schemas/CrewMember'
+ *                       daysOnBoard:
+ *                         type: integer
+ *                       daysRecorded:
+ *                         type: integer
+ *                       missingDays:
+ *                         type: integer
+ *                       restHours:
+ *                         type: number
+ *                       workHours:
+ *                         type: number
+ *                       compliant:
+ *                         type: boolean
+ *                       violations:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/RestHoursViolation'
+ *                 summary:
+ *                   type: object
+ *       404:
+ *         description: Ship not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/ships/:shipId/report', [
+  param('shipId').isMongoId(),
+  query('month').matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Month must be YYYY-MM')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const report = await restHoursService.getMonthlyShipReport(req.params.shipId, req.query.month);
+    res.json(report);
+  } catch (error) {
+    logger.error('Rest hours report error:', error);
+    handleError(res, error);
+  }
+});
+
+module.exports = router;
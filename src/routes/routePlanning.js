@@ -1,11 +1,250 @@
 const express = require('express');
 const router = express.Router();
-const { body, query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const RoutePlanningService = require('../services/RoutePlanningService');
+const EtaService = require('../services/EtaService');
 const { logger } = require('../utils/logger');
+const { buildListQuery, setPaginationHeaders } = require('../utils/queryBuilder');
+const { PATH_TYPES, ROUTING_OBJECTIVES } = require('../utils/geo');
+const chokepoints = require('../data/chokepoints.json');
+const Port = require('../models/Port');
+const RouteScorer = require('../services/routing/RouteScorer');
 
 // Create an instance of RoutePlanningService
 const routePlanningService = new RoutePlanningService();
+const etaService = new EtaService();
+
+// Fields of the route listing query language, see utils/queryBuilder
+const ROUTE_LIST_SPEC = {
+  fields: {
+    ship: 'objectId',
+    voyage: 'objectId',
+    status: 'string',
+    'departure.port': 'string',
+    'destination.port': 'string',
+    'departure.portCode': 'string',
+    'destination.portCode': 'string',
+    estimatedDeparture: 'date',
+    estimatedArrival: 'date',
+    actualDeparture: 'date',
+    actualArrival: 'date',
+    distance: 'number',
+    plannedSpeed: 'number',
+    pathType: 'string',
+    'fuelConsumption.estimated': 'number',
+    'fuelConsumption.actual': 'number',
+    'eta.estimatedArrival': 'date',
+    'eta.delay': 'number',
+    'zoneConflicts.zone': 'objectId'
+  },
+  search: ['departure.port', 'destination.port'],
+  defaultSort: '-estimatedDeparture',
+  hidden: ['weather', 'waypoints', 'alternatives', 'speedOptimization', 'etaRevisions', 'ecaPassages', 'fuelPlan', 'riskZones']
+};
+
+// Coordinates may be left out of an endpoint given by port code
+const coordinatesRequired = endpoint => (value, { req }) =>
+  value !== undefined || !req.body[endpoint]?.portCode;
+
+const portCodeValidator = endpoint => body(`${endpoint}.portCode`).optional()
+  .customSanitizer(value => (typeof value === 'string' ? value.trim().toUpperCase() : value))
+  .matches(Port.LOCODE_PATTERN).withMessage('Port code must be a UN/LOCODE, e.g. NLRTM');
+
+// Validation shared by planning a route and previewing candidates for it
+const routeRequestValidators = [
+  body('shipId').isMongoId().withMessage('Invalid ship ID format'),
+  portCodeValidator('departure'),
+  body('departure.coordinates').if(coordinatesRequired('departure'))
+    .isArray().withMessage('Departure coordinates must be an array')
+    .custom((value) => {
+      if (!Array.isArray(value) || value.length !== 2) {
+        throw new Error('Coordinates must be an array of [longitude, latitude]');
+      }
+      const [longitude, latitude] = value;
+      if (typeof longitude !== 'number' || typeof latitude !== 'number') {
+        throw new Error('Coordinates must be numbers');
+      }
+      if (longitude < -180 || longitude > 180) {
+        throw new Error('Longitude must be between -180 and 180');
+      }
+      if (latitude < -90 || latitude > 90) {
+        throw new Error('Latitude must be between -90 and 90');
+      }
+      return true;
+    }),
+  portCodeValidator('destination'),
+  body('destination.coordinates').if(coordinatesRequired('destination'))
+    .isArray().withMessage('Destination coordinates must be an array')
+    .custom((value) => {
+      if (!Array.isArray(value) || value.length !== 2) {
+        throw new Error('Coordinates must be an array of [longitude, latitude]');
+      }
+      const [longitude, latitude] = value;
+      if (typeof longitude !== 'number' || typeof latitude !== 'number') {
+        throw new Error('Coordinates must be numbers');
+      }
+      if (longitude < -180 || longitude > 180) {
+        throw new Error('Longitude must be between -180 and 180');
+      }
+      if (latitude < -90 || latitude > 90) {
+        throw new Error('Latitude must be between -90 and 90');
+      }
+      return true;
+    }),
+  body('estimatedDeparture').optional().isISO8601().withMessage('Invalid date format'),
+  body('cargoWeight').optional().isFloat({ min: 0 }).withMessage('Cargo weight must be a positive number'),
+  body('plannedSpeed').optional().isFloat({ gt: 0, max: 50 }).withMessage('Planned speed must be between 0 and 50 knots')
+    .toFloat(),
+  body('pathType').optional().isIn(PATH_TYPES).withMessage(`Path type must be one of ${PATH_TYPES.join(', ')}`),
+  body('waypointSpacing').optional().isFloat({ min: 50 }).withMessage('Waypoint spacing must be at least 50 km')
+    .toFloat(),
+  body('avoidChokepoints').optional().isArray().withMessage('Chokepoints to avoid must be an array'),
+  body('avoidChokepoints.*').isIn(chokepoints.map(({ id }) => id)).withMessage('Unknown chokepoint'),
+  body('optimizeFor').optional().isIn(ROUTING_OBJECTIVES)
+    .withMessage(`Optimization objective must be one of ${ROUTING_OBJECTIVES.join(', ')}`),
+  body('weatherLimits.maxWaveHeight').optional().isFloat({ gt: 0, max: 20 })
+    .withMessage('Maximum wave height must be between 0 and 20 m').toFloat(),
+  body('weatherLimits.maxWindSpeed').optional().isFloat({ gt: 0, max: 60 })
+    .withMessage('Maximum wind speed must be between 0 and 60 m/s').toFloat(),
+  body('ecaCostFactor').optional().isFloat({ min: 1, max: 5 })
+    .withMessage('ECA cost factor must be between 1 and 5').toFloat(),
+  body('arrivalWindow').optional().isObject().withMessage('Arrival window must be an object')
+    .custom((window, { req }) => {
+      if (!window.earliest && !window.latest) {
+        throw new Error('Arrival window needs an earliest or latest arrival');
+      }
+      if (window.earliest && window.latest && new Date(window.latest) <= new Date(window.earliest)) {
+        throw new Error('Latest arrival must be after the earliest arrival');
+      }
+      if (req.body.plannedSpeed !== undefined) {
+        throw new Error('Give either a planned speed or an arrival window');
+      }
+      return true;
+    }),
+  body('arrivalWindow.earliest').optional().isISO8601().withMessage('Invalid date format'),
+  body('arrivalWindow.latest').optional().isISO8601().withMessage('Invalid date format')
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RoutePlanRequest:
+ *       type: object
+ *       required:
+ *         - shipId
+ *         - departure
+ *         - destination
+ *       properties:
+ *         shipId:
+ *           type: string
+ *           description: MongoDB ObjectId of the ship
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *           example: "507f1f77bcf86cd799439011"
+ *         departure:
+ *           type: object
+ *           description: Needs coordinates, portCode or both
+ *           properties:
+ *             coordinates:
+ *               type: array
+ *               items:
+ *                 type: number
+ *               minItems: 2
+ *               maxItems: 2
+ *               description: [longitude, latitude]
+ *               example: [0, 0]
+ *             port:
+ *               type: string
+ *               description: Port name; defaults to the registry name when portCode is given
+ *             portCode:
+ *               type: string
+ *               description: UN/LOCODE of the port
+ *               example: NLRTM
+ *         destination:
+ *           type: object
+ *           description: Needs coordinates, portCode or both
+ *           properties:
+ *             coordinates:
+ *               type: array
+ *               items:
+ *                 type: number
+ *               minItems: 2
+ *               maxItems: 2
+ *               description: [longitude, latitude]
+ *               example: [0, 0]
+ *             port:
+ *               type: string
+ *               description: Port name; defaults to the registry name when portCode is given
+ *             portCode:
+ *               type: string
+ *               description: UN/LOCODE of the port
+ *               example: NLRTM
+ *         estimatedDeparture:
+ *           type: string
+ *           format: date-time
+ *         cargoWeight:
+ *           type: number
+ *           minimum: 0
+ *         plannedSpeed:
+ *           type: number
+ *           description: Speed in knots; defaults to the ship's service speed
+ *           example: 18
+ *         arrivalWindow:
+ *           type: object
+ *           description: >
+ *             Picks the speed instead of plannedSpeed: the slowest in the
+ *             ship's speed range arriving by latest, which burns the least
+ *             fuel. The route's speedOptimization lists the fuel-vs-speed
+ *             trade-off.
+ *           properties:
+ *             earliest:
+ *               type: string
+ *               format: date-time
+ *             latest:
+ *               type: string
+ *               format: date-time
+ *         pathType:
+ *           type: string
+ *           enum: [GREAT_CIRCLE, RHUMB_LINE]
+ *           default: GREAT_CIRCLE
+ *         waypointSpacing:
+ *           type: number
+ *           description: Largest distance in km between waypoints
+ *           minimum: 50
+ *           default: 250
+ *         avoidChokepoints:
+ *           type: array
+ *           description: Chokepoint IDs to route around, see /api/v1/chokepoints
+ *           items:
+ *             type: string
+ *             enum: [SUEZ, PANAMA, KIEL, TURKISH_STRAITS]
+ *         optimizeFor:
+ *           type: string
+ *           enum: [FUEL, TIME]
+ *           default: FUEL
+ *           description: What weather routing minimizes along the forecast wind and waves
+ *         weatherLimits:
+ *           type: object
+ *           description: Conditions no part of the route may be planned through
+ *           properties:
+ *             maxWaveHeight:
+ *               type: number
+ *               description: Significant wave height in metres
+ *               default: 7
+ *             maxWindSpeed:
+ *               type: number
+ *               description: Wind speed in m/s
+ *               default: 24.5
+ *         ecaCostFactor:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 5
+ *           default: 1
+ *           description: |
+ *             How many times fuel or time inside Emission Control Areas counts, so the
+ *             route may go further round to spend less of it inside them. About 1.35
+ *             matches the price of MGO over HFO for ships that have to switch.
+ */
 
 /**
  * @swagger
@@ -14,59 +253,24 @@ const routePlanningService = new RoutePlanningService();
  *     tags:
  *       - Route Planning
  *     summary: Create a new route plan
- *     description: Plan a new route for a ship with optimized waypoints and weather consideration
+ *     description: >
+ *       Plan a new route for a ship with optimized waypoints and weather
+ *       consideration. The route follows the shortest path over the bundled
+ *       sea lane network, so it stays clear of land and uses the Suez and
+ *       Panama canals; distance is the sailed length of that path in km.
+ *       Each end is given by coordinates, by the UN/LOCODE of a port in the
+ *       port registry, or by both, in which case the coordinates must lie
+ *       within 50 km of the port. Canals the ship's length, beam or draft
+ *       do not fit are never used, and others can be avoided on request;
+ *       transit and waiting times are added to the arrival time. For each
+ *       canal used the response lists the alternative without it, e.g.
+ *       around the Cape of Good Hope instead of through Suez.
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - shipId
- *               - departure
- *               - destination
- *             properties:
- *               shipId:
- *                 type: string
- *                 description: MongoDB ObjectId of the ship
- *                 pattern: '^[0-9a-fA-F]{24}$'
- *                 example: "507f1f77bcf86cd799439011"
- *               departure:
- *                 type: object
- *                 required:
- *                   - coordinates
- *                 properties:
- *                   coordinates:
- *                     type: array
- *                     items:
- *                       type: number
- *                     minItems: 2
- *                     maxItems: 2
- *                     description: [longitude, latitude]
- *                     example: [0, 0]
- *                   port:
- *                     type: string
- *               destination:
- *                 type: object
- *                 required:
- *                   - coordinates
- *                 properties:
- *                   coordinates:
- *                     type: array
- *                     items:
- *                       type: number
- *                     minItems: 2
- *                     maxItems: 2
- *                     description: [longitude, latitude]
- *                     example: [0, 0]
- *                   port:
- *                     type: string
- *               estimatedDeparture:
- *                 type: string
- *                 format: date-time
- *               cargoWeight:
- *                 type: number
- *                 minimum: 0
+ *             $ref: '#/components/schemas/RoutePlanRequest'
  *     responses:
  *       201:
  *         description: Route plan created successfully
@@ -75,13 +279,19 @@ const routePlanningService = new RoutePlanningService();
  *             schema:
  *               $ref: '#/components/schemas/Route'
  *       400:
- *         description: Invalid input data
+ *         description: Invalid input data, or an arrival window the ship cannot make
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Ship not found
+ *         description: Ship or port not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Ship status or scheduled maintenance does not allow the voyage
  *         content:
  *           application/json:
  *             schema:
@@ -93,45 +303,7 @@ const routePlanningService = new RoutePlanningService();
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/', [
-  body('shipId').isMongoId().withMessage('Invalid ship ID format'),
-  body('departure.coordinates').isArray().withMessage('Departure coordinates must be an array')
-    .custom((value) => {
-      if (!Array.isArray(value) || value.length !== 2) {
-        throw new Error('Coordinates must be an array of [longitude, latitude]');
-      }
-      const [longitude, latitude] = value;
-      if (typeof longitude !== 'number' || typeof latitude !== 'number') {
-        throw new Error('Coordinates must be numbers');
-      }
-      if (longitude < -180 || longitude > 180) {
-        throw new Error('Longitude must be between -180 and 180');
-      }
-      if (latitude < -90 || latitude > 90) {
-        throw new Error('Latitude must be between -90 and 90');
-      }
-      return true;
-    }),
-  body('destination.coordinates').isArray().withMessage('Destination coordinates must be an array')
-    .custom((value) => {
-      if (!Array.isArray(value) || value.length !== 2) {
-        throw new Error('Coordinates must be an array of [longitude, latitude]');
-      }
-      const [longitude, latitude] = value;
-      if (typeof longitude !== 'number' || typeof latitude !== 'number') {
-        throw new Error('Coordinates must be numbers');
-      }
-      if (longitude < -180 || longitude > 180) {
-        throw new Error('Longitude must be between -180 and 180');
-      }
-      if (latitude < -90 || latitude > 90) {
-        throw new Error('Latitude must be between -90 and 90');
-      }
-      return true;
-    }),
-  body('estimatedDeparture').optional().isISO8601().withMessage('Invalid date format'),
-  body('cargoWeight').optional().isFloat({ min: 0 }).withMessage('Cargo weight must be a positive number')
-], async (req, res) => {
+router.post('/', routeRequestValidators, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -145,10 +317,13 @@ router.post('/', [
     res.status(201).json(routePlan);
   } catch (error) {
     logger.error('Route planning error:', error);
-    if (error.message === 'Ship not found') {
+    if (error.message === 'Ship not found' || error.message === 'Port not found') {
       res.status(404).json({ error: error.message });
-    } else if (error.message.includes('Invalid route data')) {
+    } else if (error.message.startsWith('Invalid route') || error.message.startsWith('Invalid arrival window')) {
       res.status(400).json({ error: error.message });
+    } else if (error.message.startsWith('Ship is not available') ||
+               error.message.startsWith('Route conflicts with maintenance')) {
+      res.status(409).json({ error: error.message });
     } else if (error.message === 'Weather forecast service unavailable') {
       // Still create the route but with a warning
       res.status(201).json({
@@ -161,6 +336,204 @@ router.post('/', [
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/route-plan/preview:
+ *   post:
+ *     tags:
+ *       - Route Planning
+ *     summary: Preview ranked candidate routes
+ *     description: |
+ *       Plans the requested route together with alternatives that avoid a canal,
+ *       use the other path type, sail slower or depart later. Candidates are
+ *       scored on distance, duration, fuel, cost, emissions and weather risk and
+ *       returned best first. Nothing is saved as a route until a candidate is
+ *       committed; the preview expires after 6 hours.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/RoutePlanRequest'
+ *               - type: object
+ *                 properties:
+ *                   candidates:
+ *                     type: integer
+ *                     minimum: 1
+ *                     maximum: 10
+ *                     default: 3
+ *                     description: Number of candidates to return
+ *                   weights:
+ *                     type: object
+ *                     description: Weight of each metric in the score; metrics left out keep their default
+ *                     properties:
+ *                       distance:
+ *                         type: number
+ *                         default: 0.1
+ *                       duration:
+ *                         type: number
+ *                         default: 0.2
+ *                       fuelConsumption:
+ *                         type: number
+ *                         default: 0.15
+ *                       cost:
+ *                         type: number
+ *                         default: 0.25
+ *                       emissions:
+ *                         type: number
+ *                         default: 0.1
+ *                       weatherRisk:
+ *                         type: number
+ *                         default: 0.2
+ *     responses:
+ *       201:
+ *         description: Candidates ranked best first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RoutePreview'
+ *       400:
+ *         description: Invalid input data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Ship or port not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Ship not available, or every candidate conflicts with maintenance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/preview', [
+  ...routeRequestValidators,
+  body('candidates').optional()
+    .isInt({ min: 1, max: 10 }).withMessage('Candidates must be between 1 and 10')
+    .toInt(),
+  body('weights').optional()
+    .isObject().withMessage('Weights must be an object')
+    .custom(value => Object.keys(value).every(metric => RouteScorer.METRICS.includes(metric)))
+    .withMessage(`Weights may only be given for: ${RouteScorer.METRICS.join(', ')}`),
+  body('weights.*')
+    .isFloat({ min: 0 }).withMessage('Weights must be non-negative numbers')
+    .toFloat()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: errors.array()
+      });
+    }
+
+    const preview = await routePlanningService.previewRoutes(req.body);
+    res.status(201).json(preview);
+  } catch (error) {
+    logger.error('Route preview error:', error);
+    if (error.message === 'Ship not found' || error.message === 'Port not found') {
+      res.status(404).json({ error: error.message });
+    } else if (error.message.startsWith('Invalid')) {
+      res.status(400).json({ error: error.message });
+    } else if (error.message.startsWith('Ship is not available') ||
+               error.message.startsWith('Route conflicts with maintenance')) {
+      res.status(409).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/route-plan/preview/{previewId}/commit:
+ *   post:
+ *     tags:
+ *       - Route Planning
+ *     summary: Commit a previewed route
+ *     description: Saves the chosen candidate of a route preview as the ship's route. The preview can only be committed once.
+ *     parameters:
+ *       - in: path
+ *         name: previewId
+ *         required: true
+ *         description: MongoDB ObjectId of the route preview
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - candidate
+ *             properties:
+ *               candidate:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Rank of the candidate to commit
+ *     responses:
+ *       201:
+ *         description: Route created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Route'
+ *       400:
+ *         description: Invalid candidate
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Preview not found or expired, or ship not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Ship not available, or the route conflicts with maintenance or a no-go zone added since the preview
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/preview/:previewId/commit', [
+  param('previewId').isMongoId().withMessage('Invalid preview ID format'),
+  body('candidate')
+    .isInt({ min: 1 }).withMessage('Candidate must be a positive integer')
+    .toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const route = await routePlanningService.commitPreview(req.params.previewId, req.body.candidate);
+    res.status(201).json(route);
+  } catch (error) {
+    logger.error('Route preview commit error:', error);
+    if (error.message === 'Route preview not found' || error.message === 'Ship not found') {
+      res.status(404).json({ error: error.message });
+    } else if (error.message.startsWith('Invalid')) {
+      res.status(400).json({ error: error.message });
+    } else if (error.message.startsWith('Ship is not available') ||
+               error.message.startsWith('Route conflicts with')) {
+      res.status(409).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
 /**
  * @swagger
  * /api/v1/route-plan/{routeId}/status:
@@ -209,6 +582,12 @@ router.post('/', [
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Route or ship status transition not allowed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 router.put('/:routeId/status', [
   body('status').isIn(['PLANNED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'])
@@ -228,6 +607,207 @@ router.put('/:routeId/status', [
     logger.error('Route status update error:', error);
     if (error.message === 'Route not found') {
       res.status(404).json({ error: error.message });
+    } else if (error.message.startsWith('Invalid status transition')) {
+      res.status(409).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/route-plan/{routeId}/eta:
+ *   post:
+ *     tags:
+ *       - Route Planning
+ *     summary: Recalculate the ETA of a route in progress
+ *     description: >
+ *       Marks waypoints as passed and predicts the arrival from the given
+ *       position, or from the ship's latest position report. The rest of
+ *       the route is sailed at the recent speed over ground through the
+ *       forecast wind and waves. Position reports recalculate the ETA on
+ *       their own at most every 30 minutes. The route is flagged as delayed
+ *       when the prediction is more than delayThreshold hours (default 6)
+ *       behind the planned arrival.
+ *     parameters:
+ *       - in: path
+ *         name: routeId
+ *         required: true
+ *         description: MongoDB ObjectId of the route
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               position:
+ *                 type: object
+ *                 required:
+ *                   - coordinates
+ *                 properties:
+ *                   coordinates:
+ *                     type: array
+ *                     items:
+ *                       type: number
+ *                     description: [longitude, latitude]
+ *                   timestamp:
+ *                     type: string
+ *                     format: date-time
+ *                     description: Defaults to now
+ *                   speedOverGround:
+ *                     type: number
+ *                     description: Knots; defaults to the average of the last 6 hours of reports
+ *               waypoints:
+ *                 type: array
+ *                 description: Waypoints passed, by index in the route's waypoints from 0
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - index
+ *                   properties:
+ *                     index:
+ *                       type: integer
+ *                       minimum: 0
+ *                     actualArrival:
+ *                       type: string
+ *                       format: date-time
+ *                       description: Defaults to now
+ *               delayThreshold:
+ *                 type: number
+ *                 description: Hours late the route is flagged at, kept for later revisions
+ *     responses:
+ *       200:
+ *         description: ETA recalculated; see eta and etaRevisions on the route
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Route'
+ *       400:
+ *         description: Invalid input, route not in progress or no position to work from
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Route not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:routeId/eta', [
+  param('routeId').isMongoId().withMessage('Invalid route ID format'),
+  body('position').optional().isObject().withMessage('Position must be an object'),
+  body('position.coordinates').if(body('position').exists()).custom((value) => {
+    if (!Array.isArray(value) || value.length !== 2) {
+      throw new Error('Coordinates must be an array of [longitude, latitude]');
+    }
+    const [longitude, latitude] = value;
+    if (typeof longitude !== 'number' || typeof latitude !== 'number') {
+      throw new Error('Coordinates must be numbers');
+    }
+    if (longitude < -180 || longitude > 180) {
+      throw new Error('Longitude must be between -180 and 180');
+    }
+    if (latitude < -90 || latitude > 90) {
+      throw new Error('Latitude must be between -90 and 90');
+    }
+    return true;
+  }),
+  body('position.timestamp').optional().isISO8601().withMessage('Invalid date format'),
+  body('position.speedOverGround').optional().isFloat({ min: 0, max: 50 })
+    .withMessage('Speed over ground must be between 0 and 50 knots').toFloat(),
+  body('waypoints').optional().isArray().withMessage('Waypoints must be an array'),
+  body('waypoints.*.index').isInt({ min: 0 }).withMessage('Waypoint index must be a non-negative integer').toInt(),
+  body('waypoints.*.actualArrival').optional().isISO8601().withMessage('Invalid date format'),
+  body('delayThreshold').optional().isFloat({ min: 0 }).withMessage('Delay threshold must be a positive number of hours')
+    .toFloat()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const route = await etaService.recalculateEta(req.params.routeId, req.body);
+    res.json(route);
+  } catch (error) {
+    logger.error('ETA recalculation error:', error);
+    if (error.message === 'Route not found') {
+      res.status(404).json({ error: error.message });
+    } else if (error.message.startsWith('Invalid')) {
+      res.status(400).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/route-plan:
+ *   get:
+ *     summary: List routes
+ *     description: >
+ *       Filters by ship, status, departure.port and destination.port, with
+ *       range operators on the dates, distance and fuel figures, e.g.
+ *       `estimatedDeparture[after]=2024-01-01`; `eta.delay[gte]=6` finds
+ *       routes predicted six hours late or more. `q` searches both port
+ *       names. Weather, waypoints, alternatives, speed optimization and ETA
+ *       revisions are left out unless requested in `fields`.
+ *     tags: [Route Planning]
+ *     parameters:
+ *       - in: query
+ *         name: ship
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           example: "PLANNED,IN_PROGRESS"
+ *       - $ref: '#/components/parameters/Search'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         description: One page of routes, latest departure first by default
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/XTotalCount'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Route'
+ *       400:
+ *         description: Invalid filter, sort, field or page
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', async (req, res) => {
+  try {
+    const listQuery = buildListQuery(req.query, ROUTE_LIST_SPEC);
+    const { routes, total } = await routePlanningService.listRoutes(listQuery);
+
+    setPaginationHeaders(req, res, { total, page: listQuery.page, limit: listQuery.limit });
+    res.json(routes);
+  } catch (error) {
+    logger.error('Route listing error:', error);
+    if (error.message.startsWith('Invalid')) {
+      res.status(400).json({ error: error.message });
     } else {
       res.status(500).json({ error: error.message });
     }
@@ -1,8 +1,166 @@
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const Ship = require('../models/Ship');
+const PositionService = require('../services/PositionService');
+const ShipService = require('../services/ShipService');
+const ShipBulkService = require('../services/ShipBulkService');
+const FleetService = require('../services/FleetService');
+const CrewService = require('../services/CrewService');
+const EngineHoursService = require('../services/EngineHoursService');
 const { logger } = require('../utils/logger');
+const { MMSI_PATTERN, normalizeImoNumber, isValidImoNumber } = require('../utils/validators');
+const { parseCsv, toCsv } = require('../utils/csv');
+const { buildListQuery, setPaginationHeaders } = require('../utils/queryBuilder');
+
+// Create instances of services
+const positionService = new PositionService();
+const shipService = new ShipService();
+const shipBulkService = new ShipBulkService();
+const fleetService = new FleetService();
+const crewService = new CrewService();
+const engineHoursService = new EngineHoursService();
+
+// Largest number of rows accepted by a single bulk import
+const MAX_IMPORT_ROWS = 5000;
+
+// Validation shared by ship creation and update; every particular is optional
+const particularsValidators = [
+  body('fuelType').optional().isIn(['HFO', 'MGO', 'LNG']),
+  body('mmsi').optional().matches(MMSI_PATTERN).withMessage('MMSI must be 9 digits'),
+  body('imoNumber').optional()
+    .customSanitizer(normalizeImoNumber)
+    .custom(isValidImoNumber).withMessage('IMO number must be 7 digits with a valid check digit'),
+  body('callSign').optional().isString().trim().isLength({ min: 3, max: 7 }),
+  body('flagState').optional().isISO31661Alpha2().withMessage('Flag state must be an ISO 3166-1 alpha-2 country code'),
+  body('classSociety').optional().isString().trim().notEmpty(),
+  body('yearBuilt').optional().custom(value => {
+    const year = Number(value);
+    if (!Number.isInteger(year) || year < 1850 || year > new Date().getFullYear() + 5) {
+      throw new Error('Year built must be a year between 1850 and five years from now');
+    }
+    return true;
+  }),
+  body('deadweight').optional().isFloat({ min: 0 }),
+  body('grossTonnage').optional().isFloat({ min: 0 }),
+  body('netTonnage').optional().isFloat({ min: 0 })
+    .custom((value, { req }) => {
+      if (req.body.grossTonnage !== undefined && Number(value) > Number(req.body.grossTonnage)) {
+        throw new Error('Net tonnage cannot exceed gross tonnage');
+      }
+      return true;
+    }),
+  body('lengthOverall').optional().isFloat({ gt: 0, max: 500 }),
+  body('beam').optional().isFloat({ gt: 0, max: 80 })
+    .custom((value, { req }) => {
+      if (req.body.lengthOverall !== undefined && Number(value) >= Number(req.body.lengthOverall)) {
+        throw new Error('Beam must be smaller than the length overall');
+      }
+      return true;
+    }),
+  body('designDraft').optional().isFloat({ gt: 0, max: 30 }),
+  body('serviceSpeed').optional().isFloat({ gt: 0, max: 50 }),
+  body('fuelCurve').optional().isObject().withMessage('Fuel curve must be an object'),
+  body('fuelCurve.referenceSpeed').optional().isFloat({ gt: 0, max: 50 }),
+  body('fuelCurve.referenceConsumption').optional().isFloat({ gt: 0 }),
+  body('fuelCurve.exponent').optional().isFloat({ min: 1, max: 5 }),
+  body('fuelCurve.minSpeed').optional().isFloat({ gt: 0, max: 50 }),
+  body('fuelCurve.maxSpeed').optional().isFloat({ gt: 0, max: 50 })
+    .custom((value, { req }) => {
+      if (req.body.fuelCurve.minSpeed !== undefined && Number(value) <= Number(req.body.fuelCurve.minSpeed)) {
+        throw new Error('Maximum speed must be above the minimum speed');
+      }
+      return true;
+    }),
+  body('builder').optional().isString().trim().notEmpty()
+];
+
+// Rules for a new ship; also applied to every row of a bulk import
+const createShipValidators = [
+  body('name').isString().trim().notEmpty(),
+  body('type').isIn(['CARGO', 'TANKER', 'PASSENGER']),
+  body('capacity').isFloat({ min: 0 }),
+  ...particularsValidators
+];
+
+// Validation shared by adding and updating a machinery item
+const machineryValidators = [
+  body('manufacturer').optional().isString().trim(),
+  body('model').optional().isString().trim(),
+  body('serialNumber').optional().isString().trim(),
+  body('serviceInterval').optional().isFloat({ min: 1 }),
+  body('hoursAtLastService').optional().isFloat({ min: 0 }),
+  body('lastServiceDate').optional().isISO8601(),
+  body('installedAt').optional().isISO8601()
+];
+
+const handleMachineryError = (res, error) => {
+  if (['Ship not found', 'Machinery not found', 'Reading not found'].includes(error.message)) {
+    res.status(404).json({ error: error.message });
+  } else if (error.message.startsWith('Invalid') || error.name === 'ValidationError') {
+    res.status(400).json({ error: error.message });
+  } else {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Fields of the ship listing query language, see utils/queryBuilder
+const SHIP_LIST_SPEC = {
+  fields: {
+    name: 'string',
+    type: 'string',
+    fuelType: 'string',
+    status: 'string',
+    capacity: 'number',
+    engineHours: 'number',
+    lastMaintenance: 'date',
+    nextMaintenance: 'date',
+    mmsi: 'string',
+    imoNumber: 'string',
+    callSign: 'string',
+    flagState: 'string',
+    classSociety: 'string',
+    yearBuilt: 'number',
+    deadweight: 'number',
+    grossTonnage: 'number',
+    netTonnage: 'number',
+    lengthOverall: 'number',
+    serviceSpeed: 'number'
+  },
+  search: ['name'],
+  defaultSort: 'name',
+  hidden: ['maintenanceHistory', 'routes']
+};
+
+const applyArchivedFilter = (query, archived = 'exclude') => {
+  if (archived === 'exclude') query.archivedAt = null;
+  if (archived === 'only') query.archivedAt = { $ne: null };
+  return query;
+};
+
+/**
+ * Runs the ship creation rules against a single import row the same way
+ * express-validator runs them against a request body.
+ */
+const validateImportRow = async (data, index) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { row: index + 1, data: {}, errors: ['Row must be an object'] };
+  }
+
+  const rowRequest = { body: { ...data } };
+  for (const validator of createShipValidators) {
+    await validator.run(rowRequest);
+  }
+
+  const errors = validationResult(rowRequest).array().map(error => `${error.path}: ${error.msg}`);
+  return { row: index + 1, data: rowRequest.body, errors };
+};
+
+const duplicateField = error => {
+  if (error.keyPattern?.mmsi) return 'MMSI';
+  if (error.keyPattern?.imoNumber) return 'IMO number';
+  return 'name';
+};
 
 /**
  * @swagger
@@ -35,6 +193,53 @@ const { logger } = require('../utils/logger');
  *                 type: string
  *                 enum: [HFO, MGO, LNG]
  *                 example: "HFO"
+ *               mmsi:
+ *                 type: string
+ *                 pattern: '^[0-9]{9}$'
+ *                 example: "477553000"
+ *               imoNumber:
+ *                 type: string
+ *                 description: Seven digits with a valid check digit; an "IMO" prefix is accepted
+ *                 example: "9134270"
+ *               callSign:
+ *                 type: string
+ *                 example: "3FOF8"
+ *               flagState:
+ *                 type: string
+ *                 description: ISO 3166-1 alpha-2 country code
+ *                 example: "PA"
+ *               classSociety:
+ *                 type: string
+ *                 example: "ABS"
+ *               yearBuilt:
+ *                 type: number
+ *                 example: 1996
+ *               deadweight:
+ *                 type: number
+ *                 example: 44900
+ *               grossTonnage:
+ *                 type: number
+ *                 example: 52090
+ *               netTonnage:
+ *                 type: number
+ *                 example: 29597
+ *               lengthOverall:
+ *                 type: number
+ *                 example: 294.1
+ *               beam:
+ *                 type: number
+ *                 example: 32.2
+ *               designDraft:
+ *                 type: number
+ *                 example: 12.5
+ *               serviceSpeed:
+ *                 type: number
+ *                 example: 21.5
+ *               fuelCurve:
+ *                 $ref: '#/components/schemas/FuelCurve'
+ *               builder:
+ *                 type: string
+ *                 example: "Mitsubishi Heavy Industries"
  *     responses:
  *       201:
  *         description: Ship created successfully
@@ -49,17 +254,20 @@ const { logger } = require('../utils/logger');
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       409:
- *         description: Ship with this name already exists
+ *         description: Ship with this name, MMSI or IMO number already exists
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
 router.post('/', [
-  body('name').isString().trim().notEmpty(),
-  body('type').isIn(['CARGO', 'TANKER', 'PASSENGER']),
-  body('capacity').isFloat({ min: 0 }),
-  body('fuelType').optional().isIn(['HFO', 'MGO', 'LNG'])
+  body('machinery').not().exists().withMessage('Use the machinery endpoints to add machinery'),
+  body('archivedAt').not().exists().withMessage('Use DELETE /api/v1/ships/{shipId} to archive a ship'),
+  body('currentLocation').not().exists()
+    .withMessage('Use POST /api/v1/ships/{shipId}/positions to report the position'),
+  body('statusHistory').not().exists().withMessage('Use PUT /api/v1/ships/{shipId}/status to change the status'),
+  body('aisStatic').not().exists().withMessage('AIS static data is recorded from AIS messages'),
+  ...createShipValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -77,13 +285,225 @@ router.post('/', [
   } catch (error) {
     logger.error('Ship creation error:', error);
     if (error.code === 11000) {
-      res.status(409).json({ error: 'Ship with this name already exists' });
+      res.status(409).json({ error: `Ship with this ${duplicateField(error)} already exists` });
     } else {
       res.status(500).json({ error: error.message });
     }
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/ships/import:
+ *   post:
+ *     summary: Bulk import ships from CSV or JSON
+ *     description: >
+ *       Every row is validated with the same rules as ship creation. Rows are
+ *       matched to existing ships by `upsertBy`: a match is updated, anything
+ *       else is created. Invalid rows, and rows matching an archived ship,
+ *       are skipped and reported with their errors; with dryRun=true nothing is written and the planned action for
+ *       each row is returned. Row numbers count data rows from 1, excluding
+ *       the CSV header.
+ *     tags: [Ships]
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: upsertBy
+ *         description: Field used to match rows to existing ships
+ *         schema:
+ *           type: string
+ *           enum: [name, imoNumber]
+ *           default: name
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: "name,type,capacity,fuelType,imoNumber\nEver Diadem,CARGO,44900,HFO,9134270"
+ *         application/json:
+ *           schema:
+ *             oneOf:
+ *               - type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Ship'
+ *               - type: object
+ *                 properties:
+ *                   ships:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/Ship'
+ *     responses:
+ *       200:
+ *         description: Import summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dryRun:
+ *                   type: boolean
+ *                 upsertBy:
+ *                   type: string
+ *                 total:
+ *                   type: number
+ *                 created:
+ *                   type: number
+ *                 updated:
+ *                   type: number
+ *                 failed:
+ *                   type: number
+ *                 rows:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       row:
+ *                         type: number
+ *                       action:
+ *                         type: string
+ *                         enum: [CREATE, UPDATE, FAILED]
+ *                       shipId:
+ *                         type: string
+ *                       errors:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *       400:
+ *         description: Unreadable or empty upload
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/import', [
+  express.text({ type: 'text/csv', limit: '10mb' }),
+  query('dryRun').optional().isBoolean().toBoolean(),
+  query('upsertBy').optional().isIn(['name', 'imoNumber'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let records;
+    if (typeof req.body === 'string') {
+      try {
+        records = parseCsv(req.body);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    } else {
+      records = Array.isArray(req.body) ? req.body : req.body.ships;
+    }
+
+    if (!Array.isArray(records) || records.length === 0) {
+      return res.status(400).json({ error: 'Import must contain at least one ship' });
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ error: `Import is limited to ${MAX_IMPORT_ROWS} ships per request` });
+    }
+
+    const rows = [];
+    for (const [index, record] of records.entries()) {
+      rows.push(await validateImportRow(record, index));
+    }
+
+    const { dryRun = false, upsertBy = 'name' } = req.query;
+    const summary = await shipBulkService.importShips(rows, { dryRun, upsertBy });
+    res.json(summary);
+  } catch (error) {
+    logger.error('Ship import error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/ships/export:
+ *   get:
+ *     summary: Export the fleet as CSV or JSON
+ *     description: >
+ *       The export uses the same columns as the import, followed by the
+ *       read-only _id, status, engineHours and archivedAt, so an exported
+ *       file can be edited and imported again.
+ *     tags: [Ships]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *       - in: query
+ *         name: archived
+ *         schema:
+ *           type: string
+ *           enum: [exclude, include, only]
+ *           default: exclude
+ *     responses:
+ *       200:
+ *         description: Fleet export
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Ship'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid input parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/export', [
+  query('format').optional().isIn(['json', 'csv']),
+  query('archived').optional().isIn(['exclude', 'include', 'only'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { format = 'json', archived } = req.query;
+    const ships = await shipBulkService.exportShips(applyArchivedFilter({}, archived));
+
+    if (format === 'csv') {
+      res.type('text/csv');
+      res.attachment('ships.csv');
+      return res.send(toCsv(ships, ShipBulkService.SHIP_EXPORT_FIELDS));
+    }
+
+    res.attachment('ships.json');
+    res.json(ships);
+  } catch (error) {
+    logger.error('Ship export error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * @swagger
  * /api/v1/ships/{shipId}:
@@ -94,18 +514,37 @@ router.post('/', [
  *       - in: path
  *         name: shipId
  *         required: true
- *         description: MongoDB ObjectId of the ship
+ *         description: MongoDB ObjectId or IMO number of the ship
  *         schema:
  *           type: string
- *           pattern: '^[0-9a-fA-F]{24}$'
  *           example: "507f1f77bcf86cd799439011"
+ *       - in: query
+ *         name: include
+ *         description: Set to "crew" to add the crew currently on board
+ *         schema:
+ *           type: string
+ *           enum: [crew]
  *     responses:
  *       200:
  *         description: Ship details retrieved successfully
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Ship'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Ship'
+ *                 - type: object
+ *                   properties:
+ *                     crew:
+ *                       type: array
+ *                       description: Only present with include=crew
+ *                       items:
+ *                         $ref: '#/components/schemas/CrewAssignment'
+ *       400:
+ *         description: Identifier is neither an ObjectId nor a valid IMO number
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Ship not found
  *         content:
@@ -119,9 +558,21 @@ router.post('/', [
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/:shipId', async (req, res) => {
+router.get('/:shipId', [
+  query('include').optional().isIn(['crew'])
+], async (req, res) => {
   try {
-    const ship = await Ship.findById(req.params.shipId)
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = shipService.identifierFilter(req.params.shipId);
+    if (!filter) {
+      return res.status(400).json({ error: 'Ship identifier must be an ObjectId or IMO number' });
+    }
+
+    const ship = await Ship.findOne(filter)
       .populate('maintenanceHistory')
       .populate('routes');
 
@@ -129,6 +580,11 @@ router.get('/:shipId', async (req, res) => {
       return res.status(404).json({ error: 'Ship not found' });
     }
 
+    if (req.query.include === 'crew') {
+      const crew = await crewService.getCrewOnBoard(ship._id);
+      return res.json({ ...ship.toJSON(), crew });
+    }
+
     res.json(ship);
   } catch (error) {
     logger.error('Ship retrieval error:', error);
@@ -141,27 +597,104 @@ router.get('/:shipId', async (req, res) => {
  * /api/v1/ships:
  *   get:
  *     summary: List all ships
+ *     description: >
+ *       Any of name, type, fuelType, status, mmsi, imoNumber, callSign,
+ *       flagState and classSociety filter by value (comma-separated values
+ *       match any). Numeric and date fields such as capacity, engineHours,
+ *       yearBuilt and nextMaintenance also take range operators, e.g.
+ *       `capacity[gte]=5000` or `nextMaintenance[before]=2024-06-01`.
+ *       Results are paged; the total is returned in X-Total-Count.
  *     tags: [Ships]
  *     parameters:
  *       - in: query
  *         name: type
  *         schema:
  *           type: string
- *           enum: [CARGO, TANKER, PASSENGER, CONTAINER]
+ *           example: "CARGO,TANKER"
  *       - in: query
  *         name: fuelType
  *         schema:
  *           type: string
  *           enum: [HFO, MGO, LNG]
+ *       - in: query
+ *         name: capacity
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *           properties:
+ *             gte:
+ *               type: number
+ *             lte:
+ *               type: number
+ *       - in: query
+ *         name: engineHours
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *           properties:
+ *             gte:
+ *               type: number
+ *             lte:
+ *               type: number
+ *       - in: query
+ *         name: nextMaintenance
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *           properties:
+ *             before:
+ *               type: string
+ *               format: date
+ *             after:
+ *               type: string
+ *               format: date
+ *       - $ref: '#/components/parameters/Search'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - in: query
+ *         name: archived
+ *         description: Whether archived ships are excluded (default), included or returned exclusively
+ *         schema:
+ *           type: string
+ *           enum: [exclude, include, only]
+ *           default: exclude
+ *       - in: query
+ *         name: fleetId
+ *         description: Only ships currently assigned to this fleet
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
  *     responses:
  *       200:
  *         description: List of ships retrieved successfully
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/XTotalCount'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/Ship'
+ *       400:
+ *         description: Invalid filter, sort, field or page
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Fleet not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -169,22 +702,38 @@ router.get('/:shipId', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/', async (req, res) => {
+router.get('/', [
+  query('archived').optional().isIn(['exclude', 'include', 'only']),
+  query('fleetId').optional().isMongoId()
+], async (req, res) => {
   try {
-    const { type, fuelType } = req.query;
-    const query = {};
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { archived = 'exclude', fleetId } = req.query;
+    const { filter, sort, projection, page, limit, skip } = buildListQuery(req.query, SHIP_LIST_SPEC);
 
-    if (type) query.type = type;
-    if (fuelType) query.fuelType = fuelType;
+    if (fleetId) filter._id = { $in: await fleetService.getActiveShipIds(fleetId) };
+    applyArchivedFilter(filter, archived);
 
-    const ships = await Ship.find(query)
-      .select('-maintenanceHistory -routes')
-      .sort('name');
+    const [ships, total] = await Promise.all([
+      Ship.find(filter).select(projection).sort(sort).skip(skip).limit(limit),
+      Ship.countDocuments(filter)
+    ]);
 
+    setPaginationHeaders(req, res, { total, page, limit });
     res.json(ships);
   } catch (error) {
     logger.error('Ships listing error:', error);
-    res.status(500).json({ error: error.message });
+    if (error.message === 'Fleet not found') {
+      res.status(404).json({ error: error.message });
+    } else if (error.message.startsWith('Invalid')) {
+      res.status(400).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
   }
 });
 
@@ -224,6 +773,53 @@ router.get('/', async (req, res) => {
  *                 type: string
  *                 enum: [HFO, MGO, LNG]
  *                 example: "LNG"
+ *               mmsi:
+ *                 type: string
+ *                 pattern: '^[0-9]{9}$'
+ *                 example: "477553000"
+ *               imoNumber:
+ *                 type: string
+ *                 description: Seven digits with a valid check digit; an "IMO" prefix is accepted
+ *                 example: "9134270"
+ *               callSign:
+ *                 type: string
+ *                 example: "3FOF8"
+ *               flagState:
+ *                 type: string
+ *                 description: ISO 3166-1 alpha-2 country code
+ *                 example: "PA"
+ *               classSociety:
+ *                 type: string
+ *                 example: "ABS"
+ *               yearBuilt:
+ *                 type: number
+ *                 example: 1996
+ *               deadweight:
+ *                 type: number
+ *                 example: 44900
+ *               grossTonnage:
+ *                 type: number
+ *                 example: 52090
+ *               netTonnage:
+ *                 type: number
+ *                 example: 29597
+ *               lengthOverall:
+ *                 type: number
+ *                 example: 294.1
+ *               beam:
+ *                 type: number
+ *                 example: 32.2
+ *               designDraft:
+ *                 type: number
+ *                 example: 12.5
+ *               serviceSpeed:
+ *                 type: number
+ *                 example: 21.5
+ *               fuelCurve:
+ *                 $ref: '#/components/schemas/FuelCurve'
+ *               builder:
+ *                 type: string
+ *                 example: "Mitsubishi Heavy Industries"
  *     responses:
  *       200:
  *         description: Ship updated successfully
@@ -244,7 +840,7 @@ router.get('/', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       409:
- *         description: Ship with this name already exists
+ *         description: Ship with this name, MMSI or IMO number already exists
  *         content:
  *           application/json:
  *             schema:
@@ -257,10 +853,19 @@ router.get('/', async (req, res) => {
  *               $ref: '#/components/schemas/Error'
  */
 router.put('/:shipId', [
+  body('status').not().exists().withMessage('Use PUT /api/v1/ships/{shipId}/status to change the status'),
+  body('machinery').not().exists().withMessage('Use the machinery endpoints to change machinery'),
+  body('archivedAt').not().exists()
+    .withMessage('Use DELETE /api/v1/ships/{shipId} and POST /api/v1/ships/{shipId}/restore to archive and restore'),
+  body('engineHours').not().exists().withMessage('Use PUT /api/v1/ships/{shipId}/engine-hours to record engine hours'),
+  body('currentLocation').not().exists()
+    .withMessage('Use POST /api/v1/ships/{shipId}/positions to report the position'),
+  body('statusHistory').not().exists().withMessage('Use PUT /api/v1/ships/{shipId}/status to change the status'),
+  body('aisStatic').not().exists().withMessage('AIS static data is recorded from AIS messages'),
   body('name').optional().isString().trim().notEmpty(),
   body('type').optional().isIn(['CARGO', 'TANKER', 'PASSENGER', 'CONTAINER']),
   body('capacity').optional().isFloat({ min: 0 }),
-  body('fuelType').optional().isIn(['HFO', 'MGO', 'LNG'])
+  ...particularsValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -282,7 +887,7 @@ router.put('/:shipId', [
   } catch (error) {
     logger.error('Ship update error:', error);
     if (error.code === 11000) {
-      res.status(409).json({ error: 'Ship with this name already exists' });
+      res.status(409).json({ error: `Ship with this ${duplicateField(error)} already exists` });
     } else {
       res.status(500).json({ error: error.message });
     }
@@ -293,7 +898,15 @@ router.put('/:shipId', [
  * @swagger
  * /api/v1/ships/{shipId}:
  *   delete:
- *     summary: Delete a ship
+ *     summary: Archive or permanently delete a ship
+ *     description: >
+ *       By default the ship is archived: it keeps its routes, maintenance and
+ *       position history, is hidden from listings and can be restored. With
+ *       mode=hard the ship is removed permanently; this is refused while
+ *       related history exists unless cascade=true, in which case the related
+ *       routes, route previews, voyages, maintenance records, positions,
+ *       certificates and crew assignments are deleted as well. A ship with a
+ *       voyage or maintenance in progress can be neither archived nor deleted.
  *     tags: [Ships]
  *     parameters:
  *       - in: path
@@ -304,15 +917,101 @@ router.put('/:shipId', [
  *           type: string
  *           pattern: '^[0-9a-fA-F]{24}$'
  *           example: "507f1f77bcf86cd799439011"
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [archive, hard]
+ *           default: archive
+ *       - in: query
+ *         name: cascade
+ *         description: With mode=hard, also delete the ship's routes, route previews, voyages, maintenance, positions, certificates and crew assignments
+ *         schema:
+ *           type: boolean
+ *           default: false
  *     responses:
- *       204:
- *         description: Ship deleted successfully
+ *       200:
+ *         description: Ship archived or deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 action:
+ *                   type: string
+ *                   enum: [ARCHIVED, DELETED]
+ *                 ship:
+ *                   $ref: '#/components/schemas/Ship'
+ *                 shipId:
+ *                   type: string
+ *                 cascade:
+ *                   type: boolean
+ *                 deleted:
+ *                   type: object
+ *                   properties:
+ *                     routes:
+ *                       type: number
+ *                     routePreviews:
+ *                       type: number
+ *                     voyages:
+ *                       type: number
+ *                     maintenance:
+ *                       type: number
+ *                     positions:
+ *                       type: number
+ *                     certificates:
+ *                       type: number
+ *                     crewAssignments:
+ *                       type: number
+ *                     restHourRecords:
+ *                       type: number
+ *                     engineHourReadings:
+ *                       type: number
+ *       400:
+ *         description: Invalid input parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Ship not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: >
+ *           Ship is already archived, has an active voyage or maintenance, or
+ *           has related history and cascade was not requested (the counts are
+ *           returned in `related`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 related:
+ *                   type: object
+ *                   properties:
+ *                     routes:
+ *                       type: number
+ *                     routePreviews:
+ *                       type: number
+ *                     voyages:
+ *                       type: number
+ *                     maintenance:
+ *                       type: number
+ *                     positions:
+ *                       type: number
+ *                     certificates:
+ *                       type: number
+ *                     crewAssignments:
+ *                       type: number
+ *                     restHourRecords:
+ *                       type: number
+ *                     engineHourReadings:
+ *                       type: number
  *       500:
  *         description: Server error
  *         content:
@@ -320,26 +1019,46 @@ router.put('/:shipId', [
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete('/:shipId', async (req, res) => {
+router.delete('/:shipId', [
+  param('shipId').isMongoId(),
+  query('mode').optional().isIn(['archive', 'hard']),
+  query('cascade').optional().isBoolean().toBoolean()
+], async (req, res) => {
   try {
-    const ship = await Ship.findByIdAndDelete(req.params.shipId);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    if (!ship) {
-      return res.status(404).json({ error: 'Ship not found' });
+    const { mode = 'archive', cascade = false } = req.query;
+
+    if (mode === 'hard') {
+      const result = await shipService.deleteShip(req.params.shipId, { cascade });
+      return res.json(result);
     }
 
-    res.status(204).end();
+    const ship = await shipService.archiveShip(req.params.shipId);
+    res.json({ action: 'ARCHIVED', ship });
   } catch (error) {
     logger.error('Ship deletion error:', error);
-    res.status(500).json({ error: error.message });
+    if (error.message === 'Ship not found') {
+      res.status(404).json({ error: error.message });
+    } else if (error.related) {
+      res.status(409).json({ error: error.message, related: error.related });
+    } else if (error.message.startsWith('Ship is already archived') ||
+               error.message.startsWith('Ship cannot be')) {
+      res.status(409).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
   }
 });
 
 /**
  * @swagger
- * /api/v1/ships/{shipId}/engine-hours:
- *   put:
- *     summary: Update ship engine hours
+ * /api/v1/ships/{shipId}/restore:
+ *   post:
+ *     summary: Restore an archived ship
  *     tags: [Ships]
  *     parameters:
  *       - in: path
@@ -350,28 +1069,96 @@ router.delete('/:shipId', async (req, res) => {
  *           type: string
  *           pattern: '^[0-9a-fA-F]{24}$'
  *           example: "507f1f77bcf86cd799439011"
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - hours
- *             properties:
- *               hours:
- *                 type: number
- *                 minimum: 0
- *                 example: 1500
  *     responses:
  *       200:
- *         description: Engine hours updated successfully
+ *         description: Ship restored successfully
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Ship'
- *       400:
- *         description: Invalid input data
+ *       404:
+ *         description: Ship not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Ship is not archived
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:shipId/restore', [
+  param('shipId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ship = await shipService.restoreShip(req.params.shipId);
+    res.json(ship);
+  } catch (error) {
+    logger.error('Ship restore error:', error);
+    if (error.message === 'Ship not found') {
+      res.status(404).json({ error: error.message });
+    } else if (error.message === 'Ship is not archived') {
+      res.status(409).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/ships/{shipId}/status:
+ *   put:
+ *     summary: Change the operational status of a ship
+ *     description: >
+ *       Applies a manual status transition. Allowed transitions are
+ *       ACTIVE -> AT_SEA, IN_PORT, IN_MAINTENANCE, LAID_UP, DECOMMISSIONED;
+ *       AT_SEA -> IN_PORT, ACTIVE; IN_PORT -> AT_SEA, ACTIVE, IN_MAINTENANCE,
+ *       LAID_UP, DECOMMISSIONED; IN_MAINTENANCE -> IN_PORT, ACTIVE, LAID_UP,
+ *       DECOMMISSIONED; LAID_UP -> ACTIVE, IN_PORT, IN_MAINTENANCE,
+ *       DECOMMISSIONED. DECOMMISSIONED is final. Route and maintenance status
+ *       updates change the ship status automatically.
+ *     tags: [Ships]
+ *     parameters:
+ *       - in: path
+ *         name: shipId
+ *         required: true
+ *         description: MongoDB ObjectId of the ship
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *           example: "507f1f77bcf86cd799439011"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [ACTIVE, AT_SEA, IN_PORT, IN_MAINTENANCE, LAID_UP, DECOMMISSIONED]
+ *               reason:
+ *                 type: string
+ *                 example: "Laid up awaiting charter"
+ *     responses:
+ *       200:
+ *         description: Ship status updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Ship'
+ *       400:
+ *         description: Invalid input data
  *         content:
  *           application/json:
  *             schema:
@@ -382,6 +1169,117 @@ router.delete('/:shipId', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Transition not allowed from the current status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:shipId/status', [
+  param('shipId').isMongoId(),
+  body('status').isIn(Object.keys(Ship.STATUS_TRANSITIONS)),
+  body('reason').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ship = await shipService.changeStatus(req.params.shipId, req.body.status, req.body.reason);
+    res.json(ship);
+  } catch (error) {
+    logger.error('Ship status update error:', error);
+    if (error.message === 'Ship not found') {
+      res.status(404).json({ error: error.message });
+    } else if (error.message.startsWith('Invalid status transition')) {
+      res.status(409).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/ships/{shipId}/engine-hours:
+ *   put:
+ *     summary: Record engine hour counter readings
+ *     description: >
+ *       Every reading is kept as a timestamped record. Ships with machinery
+ *       records take per-machine counter readings in `readings`; ships
+ *       without machinery keep the single `hours` counter. A reading lower
+ *       than the counter is rejected, and one implying more running hours
+ *       than calendar hours since the previous reading is stored with the
+ *       EXCEEDS_ELAPSED_TIME flag. The ship's engineHours is the total of
+ *       its main engines, and nextMaintenance moves to the date the first
+ *       machine reaches its service interval.
+ *     tags: [Ships]
+ *     parameters:
+ *       - in: path
+ *         name: shipId
+ *         required: true
+ *         description: MongoDB ObjectId of the ship
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *           example: "507f1f77bcf86cd799439011"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               hours:
+ *                 type: number
+ *                 minimum: 0
+ *                 example: 1500
+ *               readings:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - machineryId
+ *                     - hours
+ *                   properties:
+ *                     machineryId:
+ *                       type: string
+ *                     hours:
+ *                       type: number
+ *                       minimum: 0
+ *               readAt:
+ *                 type: string
+ *                 format: date-time
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Engine hours updated; the stored readings show any flags
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Ship'
+ *                 - type: object
+ *                   properties:
+ *                     readings:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/EngineHourReading'
+ *       400:
+ *         description: Invalid input data or a counter going backwards
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Ship or machinery not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -390,7 +1288,13 @@ router.delete('/:shipId', async (req, res) => {
  *               $ref: '#/components/schemas/Error'
  */
 router.put('/:shipId/engine-hours', [
-  body('hours').isFloat({ min: 0 })
+  param('shipId').isMongoId(),
+  body('hours').if(body('readings').not().exists()).isFloat({ min: 0 }),
+  body('readings').optional().isArray({ min: 1 }),
+  body('readings.*.machineryId').isMongoId(),
+  body('readings.*.hours').isFloat({ min: 0 }).toFloat(),
+  body('readAt').optional().isISO8601(),
+  body('notes').optional().isString()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -398,27 +1302,703 @@ router.put('/:shipId/engine-hours', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const ship = await Ship.findByIdAndUpdate(
+    const { hours, readings, readAt, notes } = req.body;
+    const result = await engineHoursService.recordReadings(
       req.params.shipId,
-      { $set: { engineHours: req.body.hours } },
-      { new: true }
+      readings || [{ hours: Number(hours) }],
+      { readAt: readAt || new Date(), notes }
     );
 
-    if (!ship) {
-      return res.status(404).json({ error: 'Ship not found' });
+    res.json({ ...result.ship.toObject(), readings: result.readings });
+  } catch (error) {
+    logger.error('Engine hours update error:', error);
+    handleMachineryError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/ships/{shipId}/engine-hours:
+ *   get:
+ *     summary: Engine hour reading history with utilisation
+ *     description: >
+ *       Readings of one counter, the ship's own counter unless machineryId
+ *       is given, with running hours and utilisation (running hours per
+ *       calendar hour) per day or week. Defaults to the last 30 days.
+ *     tags: [Ships]
+ *     parameters:
+ *       - in: path
+ *         name: shipId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *       - in: query
+ *         name: machineryId
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week]
+ *           default: day
+ *     responses:
+ *       200:
+ *         description: Readings and utilisation per period
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 readings:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EngineHourReading'
+ *                 averageHoursPerDay:
+ *                   type: number
+ *                   nullable: true
+ *                 utilisation:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       periodStart:
+ *                         type: string
+ *                         format: date-time
+ *                       periodEnd:
+ *                         type: string
+ *                         format: date-time
+ *                       runningHours:
+ *                         type: number
+ *                         nullable: true
+ *                       utilisation:
+ *                         type: number
+ *                         nullable: true
+ *       404:
+ *         description: Ship or machinery not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:shipId/engine-hours', [
+  param('shipId').isMongoId(),
+  query('machineryId').optional().isMongoId(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('interval').optional().isIn(['day', 'week'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const history = await engineHoursService.getHistory(req.params.shipId, req.query);
+    res.json(history);
+  } catch (error) {
+    logger.error('Engine hour history error:', error);
+    handleMachineryError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/ships/{shipId}/engine-hours/{readingId}:
+ *   delete:
+ *     summary: Delete an engine hour reading entered in error
+ *     description: Deleting the latest reading of a counter puts the counter back to its previous value.
+ *     tags: [Ships]
+ *     parameters:
+ *       - in: path
+ *         name: shipId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *       - in: path
+ *         name: readingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     responses:
+ *       204:
+ *         description: Reading deleted
+ *       404:
+ *         description: Reading not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:shipId/engine-hours/:readingId', [
+  param('shipId').isMongoId(),
+  param('readingId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await engineHoursService.deleteReading(req.params.shipId, req.params.readingId);
+    res.status(204).send();
+  } catch (error) {
+    logger.error('Engine hour reading deletion error:', error);
+    handleMachineryError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/ships/{shipId}/machinery:
+ *   get:
+ *     summary: List a ship's machinery with service status
+ *     tags: [Ships]
+ *     parameters:
+ *       - in: path
+ *         name: shipId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     responses:
+ *       200:
+ *         description: Machinery items with hours since service and the projected due date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   machineryId:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                   category:
+ *                     type: string
+ *                   runningHours:
+ *                     type: number
+ *                   serviceInterval:
+ *                     type: number
+ *                   hoursSinceService:
+ *                     type: number
+ *                   hoursUntilService:
+ *                     type: number
+ *                   utilisation:
+ *                     type: number
+ *                   hoursPerDay:
+ *                     type: number
+ *                   dueDate:
+ *                     type: string
+ *                     format: date-time
+ *                     nullable: true
+ *                   overdue:
+ *                     type: boolean
+ *       404:
+ *         description: Ship not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:shipId/machinery', [
+  param('shipId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Check if maintenance is needed based on engine hours
-    if (ship.engineHours >= 5000) {
-      ship.calculateNextMaintenance();
-      await ship.save();
+    const ship = await Ship.findById(req.params.shipId).select('machinery');
+    if (!ship) {
+      return res.status(404).json({ error: 'Ship not found' });
     }
 
-    res.json(ship);
+    res.json(ship.machinery.map(machine => machine.getServiceStatus()));
   } catch (error) {
-    logger.error('Engine hours update error:', error);
+    logger.error('Machinery listing error:', error);
+    handleMachineryError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/ships/{shipId}/machinery:
+ *   post:
+ *     summary: Add a machinery item to a ship
+ *     description: The service interval defaults by category when not given.
+ *     tags: [Ships]
+ *     parameters:
+ *       - in: path
+ *         name: shipId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - category
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Main Engine"
+ *               category:
+ *                 type: string
+ *                 enum: [MAIN_ENGINE, AUXILIARY_ENGINE, BOILER, PUMP, COMPRESSOR, OTHER]
+ *               manufacturer:
+ *                 type: string
+ *                 example: "MAN B&W"
+ *               model:
+ *                 type: string
+ *                 example: "6S60MC-C"
+ *               serialNumber:
+ *                 type: string
+ *               runningHours:
+ *                 type: number
+ *                 example: 12000
+ *               serviceInterval:
+ *                 type: number
+ *                 example: 8000
+ *               hoursAtLastService:
+ *                 type: number
+ *               lastServiceDate:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       201:
+ *         description: Machinery added
+ *       400:
+ *         description: Invalid input data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Ship not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:shipId/machinery', [
+  param('shipId').isMongoId(),
+  body('name').isString().trim().notEmpty(),
+  body('category').isIn(Object.keys(Ship.DEFAULT_SERVICE_INTERVALS)),
+  body('runningHours').optional().isFloat({ min: 0 }),
+  ...machineryValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const machine = await shipService.addMachinery(req.params.shipId, req.body);
+    res.status(201).json(machine);
+  } catch (error) {
+    logger.error('Machinery creation error:', error);
+    handleMachineryError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/ships/{shipId}/machinery/{machineryId}:
+ *   put:
+ *     summary: Update a machinery item's details or service interval
+ *     description: Running hours are changed through the engine-hours endpoint.
+ *     tags: [Ships]
+ *     parameters:
+ *       - in: path
+ *         name: shipId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *       - in: path
+ *         name: machineryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               manufacturer:
+ *                 type: string
+ *               model:
+ *                 type: string
+ *               serialNumber:
+ *                 type: string
+ *               serviceInterval:
+ *                 type: number
+ *               hoursAtLastService:
+ *                 type: number
+ *               lastServiceDate:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       200:
+ *         description: Machinery updated
+ *       400:
+ *         description: Invalid input data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Ship or machinery not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:shipId/machinery/:machineryId', [
+  param('shipId').isMongoId(),
+  param('machineryId').isMongoId(),
+  body('runningHours').not().exists().withMessage('Use PUT /api/v1/ships/{shipId}/engine-hours to record running hours'),
+  body('category').not().exists().withMessage('The category of a machinery item cannot be changed'),
+  body('name').optional().isString().trim().notEmpty(),
+  ...machineryValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const machine = await shipService.updateMachinery(req.params.shipId, req.params.machineryId, req.body);
+    res.json(machine);
+  } catch (error) {
+    logger.error('Machinery update error:', error);
+    handleMachineryError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/ships/{shipId}/machinery/{machineryId}:
+ *   delete:
+ *     summary: Remove a machinery item from a ship
+ *     tags: [Ships]
+ *     parameters:
+ *       - in: path
+ *         name: shipId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *       - in: path
+ *         name: machineryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     responses:
+ *       204:
+ *         description: Machinery removed
+ *       404:
+ *         description: Ship or machinery not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:shipId/machinery/:machineryId', [
+  param('shipId').isMongoId(),
+  param('machineryId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await shipService.removeMachinery(req.params.shipId, req.params.machineryId);
+    res.status(204).send();
+  } catch (error) {
+    logger.error('Machinery removal error:', error);
+    handleMachineryError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/ships/{shipId}/positions:
+ *   post:
+ *     summary: Report a ship position
+ *     description: Stores a timestamped position report in the ship's position history and moves the ship's current location when the report is the most recent one
+ *     tags: [Ships]
+ *     parameters:
+ *       - in: path
+ *         name: shipId
+ *         required: true
+ *         description: MongoDB ObjectId of the ship
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *           example: "507f1f77bcf86cd799439011"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - latitude
+ *               - longitude
+ *             properties:
+ *               timestamp:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Time of observation, defaults to now
+ *               latitude:
+ *                 type: number
+ *                 minimum: -90
+ *                 maximum: 90
+ *                 example: 51.95
+ *               longitude:
+ *                 type: number
+ *                 minimum: -180
+ *                 maximum: 180
+ *                 example: 4.05
+ *               speedOverGround:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Speed over ground in knots
+ *                 example: 12.5
+ *               courseOverGround:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 360
+ *                 description: Course over ground in degrees
+ *                 example: 270
+ *               heading:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 359
+ *               source:
+ *                 type: string
+ *                 enum: [MANUAL, AIS, GPS]
+ *     responses:
+ *       201:
+ *         description: Position recorded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Position'
+ *       400:
+ *         description: Invalid input data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Ship not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A position for this ship and timestamp already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:shipId/positions', [
+  param('shipId').isMongoId(),
+  body('timestamp').optional().isISO8601(),
+  body('latitude').isFloat({ min: -90, max: 90 }).toFloat(),
+  body('longitude').isFloat({ min: -180, max: 180 }).toFloat(),
+  body('speedOverGround').optional().isFloat({ min: 0 }).toFloat(),
+  body('courseOverGround').optional().isFloat({ min: 0, max: 360 }).toFloat(),
+  body('heading').optional().isFloat({ min: 0, max: 359 }).toFloat(),
+  body('source').optional().isIn(['MANUAL', 'AIS', 'GPS'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const position = await positionService.recordPosition(req.params.shipId, req.body);
+    res.status(201).json(position);
+  } catch (error) {
+    // PositionService has already logged the failure
+    if (error.message === 'Ship not found') {
+      res.status(404).json({ error: error.message });
+    } else if (error.message.includes('Invalid position report')) {
+      res.status(400).json({ error: error.message });
+    } else if (error.code === 11000) {
+      res.status(409).json({ error: 'Position for this timestamp already exists' });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/ships/{shipId}/positions:
+ *   get:
+ *     summary: Get ship position history
+ *     tags: [Ships]
+ *     parameters:
+ *       - in: path
+ *         name: shipId
+ *         required: true
+ *         description: MongoDB ObjectId of the ship
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *           example: "507f1f77bcf86cd799439011"
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Position history, most recent first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Position'
+ *       400:
+ *         description: Invalid input parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:shipId/positions', [
+  param('shipId').isMongoId(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { from, to, limit } = req.query;
+    const positions = await positionService.getPositionHistory(req.params.shipId, { from, to, limit });
+    res.json(positions);
+  } catch (error) {
+    logger.error('Position history retrieval error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/ships/{shipId}/crew:
+ *   get:
+ *     summary: List the crew on board a ship on a given date
+ *     tags: [Ships, Crew]
+ *     parameters:
+ *       - in: path
+ *         name: shipId
+ *         required: true
+ *         description: MongoDB ObjectId of the ship
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *           example: "507f1f77bcf86cd799439011"
+ *       - in: query
+ *         name: date
+ *         description: Defaults to now
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Assignments covering the date, with the crew members
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CrewAssignment'
+ *       400:
+ *         description: Invalid input parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Ship not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:shipId/crew', [
+  param('shipId').isMongoId(),
+  query('date').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!(await Ship.exists({ _id: req.params.shipId }))) {
+      return res.status(404).json({ error: 'Ship not found' });
+    }
+
+    const at = req.query.date ? new Date(req.query.date) : new Date();
+    const crew = await crewService.getCrewOnBoard(req.params.shipId, at);
+    res.json(crew);
+  } catch (error) {
+    logger.error('Ship crew retrieval error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
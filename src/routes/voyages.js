@@ -0,0 +1,357 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, validationResult } = require('express-validator');
+const RoutePlanningService = require('../services/RoutePlanningService');
+const Port = require('../models/Port');
+const { logger } = require('../utils/logger');
+const { buildListQuery, setPaginationHeaders } = require('../utils/queryBuilder');
+const { PATH_TYPES, ROUTING_OBJECTIVES } = require('../utils/geo');
+const chokepoints = require('../data/chokepoints.json');
+
+// Create an instance of RoutePlanningService
+const routePlanningService = new RoutePlanningService();
+
+// Fields of the voyage listing query language, see utils/queryBuilder
+const VOYAGE_LIST_SPEC = {
+  fields: {
+    ship: 'objectId',
+    voyageNumber: 'string',
+    status: 'string',
+    'portCalls.port': 'string',
+    'portCalls.portCode': 'string',
+    'totals.distance': 'number',
+    'totals.fuelConsumption.estimated': 'number',
+    'totals.duration.planned': 'number',
+    createdAt: 'date'
+  },
+  search: ['voyageNumber', 'portCalls.port'],
+  defaultSort: '-createdAt'
+};
+
+/**
+ * @swagger
+ * /api/v1/voyages:
+ *   post:
+ *     summary: Plan a voyage calling at several ports
+ *     description: >
+ *       Plans every leg between consecutive port calls as a route, with
+ *       each leg leaving once the ship has spent its port stay at the
+ *       call before. Port calls are given by coordinates, by UN/LOCODE or
+ *       both. Each leg carries the cargo on board after loading and
+ *       discharging at its departure port, which may never drop below zero
+ *       or exceed the ship's capacity. The voyage totals roll up distance,
+ *       fuel and duration over the legs.
+ *     tags: [Voyages]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - shipId
+ *               - portCalls
+ *             properties:
+ *               shipId:
+ *                 type: string
+ *                 pattern: '^[0-9a-fA-F]{24}$'
+ *               voyageNumber:
+ *                 type: string
+ *                 example: "024W"
+ *               estimatedDeparture:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Departure from the first port call
+ *               portCalls:
+ *                 type: array
+ *                 minItems: 2
+ *                 items:
+ *                   type: object
+ *                   description: Needs a port name or portCode, and coordinates unless portCode is given
+ *                   properties:
+ *                     port:
+ *                       type: string
+ *                     portCode:
+ *                       type: string
+ *                       example: NLRTM
+ *                     coordinates:
+ *                       type: array
+ *                       items:
+ *                         type: number
+ *                       description: [longitude, latitude]
+ *                     portStay:
+ *                       type: number
+ *                       description: Hours alongside before the next leg
+ *                       default: 24
+ *                     cargoLoaded:
+ *                       type: number
+ *                       description: Metric tons loaded
+ *                     cargoDischarged:
+ *                       type: number
+ *                       description: Metric tons discharged
+ *               plannedSpeed:
+ *                 type: number
+ *                 description: Speed in knots for every leg
+ *               pathType:
+ *                 type: string
+ *                 enum: [GREAT_CIRCLE, RHUMB_LINE]
+ *               waypointSpacing:
+ *                 type: number
+ *                 minimum: 50
+ *               avoidChokepoints:
+ *                 type: array
+ *                 description: Chokepoint IDs to route around, see /api/v1/chokepoints
+ *                 items:
+ *                   type: string
+ *                   enum: [SUEZ, PANAMA, KIEL, TURKISH_STRAITS]
+ *               optimizeFor:
+ *                 type: string
+ *                 enum: [FUEL, TIME]
+ *                 default: FUEL
+ *                 description: What weather routing minimizes on every leg
+ *               weatherLimits:
+ *                 type: object
+ *                 properties:
+ *                   maxWaveHeight:
+ *                     type: number
+ *                     description: Significant wave height in metres
+ *                     default: 7
+ *                   maxWindSpeed:
+ *                     type: number
+ *                     description: Wind speed in m/s
+ *                     default: 24.5
+ *               ecaCostFactor:
+ *                 type: number
+ *                 minimum: 1
+ *                 maximum: 5
+ *                 default: 1
+ *                 description: How many times fuel or time inside Emission Control Areas counts on every leg
+ *     responses:
+ *       201:
+ *         description: Voyage planned with all its legs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Voyage'
+ *       400:
+ *         description: Invalid voyage data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Ship or port not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Ship status or scheduled maintenance does not allow the voyage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', [
+  body('shipId').isMongoId().withMessage('Invalid ship ID format'),
+  body('voyageNumber').optional().isString().trim(),
+  body('estimatedDeparture').optional().isISO8601().withMessage('Invalid date format'),
+  body('portCalls').isArray({ min: 2 }).withMessage('A voyage needs at least two port calls'),
+  body('portCalls.*').custom(call => {
+    if (!call || (!call.port && !call.portCode)) {
+      throw new Error('Each port call needs a port name or code');
+    }
+    if (call.coordinates === undefined && !call.portCode) {
+      throw new Error('Each port call needs coordinates or a port code');
+    }
+    return true;
+  }),
+  body('portCalls.*.portCode').optional()
+    .customSanitizer(value => (typeof value === 'string' ? value.trim().toUpperCase() : value))
+    .matches(Port.LOCODE_PATTERN).withMessage('Port code must be a UN/LOCODE, e.g. NLRTM'),
+  body('portCalls.*.coordinates').optional().custom(value => {
+    if (!Array.isArray(value) || value.length !== 2) {
+      throw new Error('Coordinates must be an array of [longitude, latitude]');
+    }
+    const [longitude, latitude] = value;
+    if (typeof longitude !== 'number' || typeof latitude !== 'number') {
+      throw new Error('Coordinates must be numbers');
+    }
+    if (longitude < -180 || longitude > 180) {
+      throw new Error('Longitude must be between -180 and 180');
+    }
+    if (latitude < -90 || latitude > 90) {
+      throw new Error('Latitude must be between -90 and 90');
+    }
+    return true;
+  }),
+  body('portCalls.*.portStay').optional().isFloat({ min: 0, max: 720 }).withMessage('Port stay must be between 0 and 720 hours')
+    .toFloat(),
+  body('portCalls.*.cargoLoaded').optional().isFloat({ min: 0 }).withMessage('Cargo loaded must be a positive number')
+    .toFloat(),
+  body('portCalls.*.cargoDischarged').optional().isFloat({ min: 0 }).withMessage('Cargo discharged must be a positive number')
+    .toFloat(),
+  body('plannedSpeed').optional().isFloat({ gt: 0, max: 50 }).withMessage('Planned speed must be between 0 and 50 knots')
+    .toFloat(),
+  body('pathType').optional().isIn(PATH_TYPES).withMessage(`Path type must be one of ${PATH_TYPES.join(', ')}`),
+  body('waypointSpacing').optional().isFloat({ min: 50 }).withMessage('Waypoint spacing must be at least 50 km')
+    .toFloat(),
+  body('avoidChokepoints').optional().isArray().withMessage('Chokepoints to avoid must be an array'),
+  body('avoidChokepoints.*').isIn(chokepoints.map(({ id }) => id)).withMessage('Unknown chokepoint'),
+  body('optimizeFor').optional().isIn(ROUTING_OBJECTIVES)
+    .withMessage(`Optimization objective must be one of ${ROUTING_OBJECTIVES.join(', ')}`),
+  body('weatherLimits.maxWaveHeight').optional().isFloat({ gt: 0, max: 20 })
+    .withMessage('Maximum wave height must be between 0 and 20 m').toFloat(),
+  body('weatherLimits.maxWindSpeed').optional().isFloat({ gt: 0, max: 60 })
+    .withMessage('Maximum wind speed must be between 0 and 60 m/s').toFloat(),
+  body('ecaCostFactor').optional().isFloat({ min: 1, max: 5 })
+    .withMessage('ECA cost factor must be between 1 and 5').toFloat()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: errors.array()
+      });
+    }
+
+    const voyage = await routePlanningService.planVoyage(req.body);
+    res.status(201).json(voyage);
+  } catch (error) {
+    logger.error('Voyage planning error:', error);
+    if (error.message === 'Ship not found' || error.message === 'Port not found') {
+      res.status(404).json({ error: error.message });
+    } else if (error.message.startsWith('Invalid')) {
+      res.status(400).json({ error: error.message });
+    } else if (error.message.startsWith('Ship is not available') ||
+               error.message.startsWith('Route conflicts with maintenance')) {
+      res.status(409).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/voyages:
+ *   get:
+ *     summary: List voyages
+ *     description: >
+ *       Filters by ship, status and the ports called at, e.g.
+ *       `portCalls.portCode=SGSIN`, with range operators on the totals.
+ *       `q` searches voyage numbers and port names.
+ *     tags: [Voyages]
+ *     parameters:
+ *       - in: query
+ *         name: ship
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           example: "PLANNED,IN_PROGRESS"
+ *       - $ref: '#/components/parameters/Search'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         description: One page of voyages, latest first by default
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/XTotalCount'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Voyage'
+ *       400:
+ *         description: Invalid filter, sort, field or page
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', async (req, res) => {
+  try {
+    const listQuery = buildListQuery(req.query, VOYAGE_LIST_SPEC);
+    const { voyages, total } = await routePlanningService.listVoyages(listQuery);
+
+    setPaginationHeaders(req, res, { total, page: listQuery.page, limit: listQuery.limit });
+    res.json(voyages);
+  } catch (error) {
+    logger.error('Voyage listing error:', error);
+    if (error.message.startsWith('Invalid')) {
+      res.status(400).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/voyages/{voyageId}:
+ *   get:
+ *     summary: Get a voyage with its legs
+ *     description: >
+ *       Legs are returned in order without their waypoints; fetch a leg
+ *       from the route planning API for those. Leg status changes made
+ *       there update the voyage's port call times, status and totals.
+ *     tags: [Voyages]
+ *     parameters:
+ *       - in: path
+ *         name: voyageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     responses:
+ *       200:
+ *         description: The voyage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Voyage'
+ *       400:
+ *         description: Invalid voyage ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Voyage not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:voyageId', [
+  param('voyageId').isMongoId().withMessage('Invalid voyage ID format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    res.json(await routePlanningService.getVoyageById(req.params.voyageId));
+  } catch (error) {
+    logger.error('Voyage lookup error:', error);
+    if (error.message === 'Voyage not found') {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+module.exports = router;
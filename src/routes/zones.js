@@ -0,0 +1,315 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, validationResult } = require('express-validator');
+const ZoneService = require('../services/ZoneService');
+const Zone = require('../models/Zone');
+const { logger } = require('../utils/logger');
+const { buildListQuery, setPaginationHeaders } = require('../utils/queryBuilder');
+
+// Create an instance of ZoneService
+const zoneService = new ZoneService();
+
+// Fields of the zone listing query language, see utils/queryBuilder
+const ZONE_LIST_SPEC = {
+  fields: {
+    name: 'string',
+    type: 'string',
+    severity: 'string',
+    validFrom: 'date',
+    validTo: 'date',
+    fleets: 'objectId'
+  },
+  search: ['name'],
+  defaultSort: 'name',
+  hidden: ['area']
+};
+
+const zoneValidators = [
+  body('description').optional().isString(),
+  body('type').optional().isIn(Zone.ZONE_TYPES),
+  body('severity').optional().isIn(Zone.ZONE_SEVERITIES),
+  body('area').optional().custom(Zone.isArea)
+    .withMessage('Invalid area: a GeoJSON Polygon or MultiPolygon with closed rings of [longitude, latitude], ' +
+      'split at the antimeridian'),
+  body('validFrom').optional().isISO8601(),
+  body('validTo').optional({ values: 'null' }).isISO8601(),
+  body('fleets').optional().isArray(),
+  body('fleets.*').isMongoId()
+];
+
+const handleError = (res, error) => {
+  if (['Zone not found', 'Fleet not found'].includes(error.message)) {
+    res.status(404).json({ error: error.message });
+  } else if (error.message.startsWith('Invalid') || error.name === 'ValidationError') {
+    res.status(400).json({ error: error.message });
+  } else {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * @swagger
+ * /api/v1/zones:
+ *   post:
+ *     summary: Create a no-go or risk zone
+ *     description: >
+ *       Route planning keeps out of NO_GO zones and weighs time and fuel
+ *       inside HIGH, MEDIUM and LOW zones more, so routes pass through them
+ *       only when the way round costs more. Zones apply from validFrom to
+ *       validTo, to the ships of the given fleets or to all ships. Planned
+ *       routes entering the new zone get a zone conflict before the
+ *       response.
+ *     tags: [Zones]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Zone'
+ *     responses:
+ *       201:
+ *         description: Zone created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Zone'
+ *       400:
+ *         description: Invalid input data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Fleet not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', [
+  body('name').isString().trim().notEmpty(),
+  body('type').exists(),
+  body('severity').exists(),
+  body('area').exists(),
+  ...zoneValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const zone = await zoneService.createZone(req.body);
+    res.status(201).json(zone);
+  } catch (error) {
+    logger.error('Zone creation error:', error);
+    handleError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/zones:
+ *   get:
+ *     summary: List zones
+ *     description: >
+ *       Areas are left out unless asked for with `fields`. `fleets=<id>`
+ *       finds the zones scoped to a fleet.
+ *     tags: [Zones]
+ *     parameters:
+ *       - in: query
+ *         name: severity
+ *         schema:
+ *           type: string
+ *           example: "NO_GO,HIGH"
+ *       - in: query
+ *         name: validTo[gte]
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - $ref: '#/components/parameters/Search'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         description: One page of zones, by name by default
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/XTotalCount'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Zone'
+ *       400:
+ *         description: Invalid filter, sort, field or page
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', async (req, res) => {
+  try {
+    const listQuery = buildListQuery(req.query, ZONE_LIST_SPEC);
+    const { zones, total } = await zoneService.listZones(listQuery);
+
+    setPaginationHeaders(req, res, { total, page: listQuery.page, limit: listQuery.limit });
+    res.json(zones);
+  } catch (error) {
+    logger.error('Zone listing error:', error);
+    handleError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/zones/{zoneId}:
+ *   get:
+ *     summary: Get a zone
+ *     tags: [Zones]
+ *     parameters:
+ *       - in: path
+ *         name: zoneId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     responses:
+ *       200:
+ *         description: The zone
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Zone'
+ *       404:
+ *         description: Zone not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:zoneId', [
+  param('zoneId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const zone = await zoneService.getZone(req.params.zoneId);
+    res.json(zone);
+  } catch (error) {
+    logger.error('Zone retrieval error:', error);
+    handleError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/zones/{zoneId}:
+ *   put:
+ *     summary: Update a zone
+ *     description: >
+ *       Planned routes are checked against the zone again before the
+ *       response, replacing the zone conflicts found before.
+ *     tags: [Zones]
+ *     parameters:
+ *       - in: path
+ *         name: zoneId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Zone'
+ *     responses:
+ *       200:
+ *         description: Zone updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Zone'
+ *       400:
+ *         description: Invalid input data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Zone or fleet not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:zoneId', [
+  param('zoneId').isMongoId(),
+  body('name').optional().isString().trim().notEmpty(),
+  ...zoneValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const zone = await zoneService.updateZone(req.params.zoneId, req.body);
+    res.json(zone);
+  } catch (error) {
+    logger.error('Zone update error:', error);
+    handleError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/zones/{zoneId}:
+ *   delete:
+ *     summary: Delete a zone
+ *     description: Its zone conflicts are removed from planned routes.
+ *     tags: [Zones]
+ *     parameters:
+ *       - in: path
+ *         name: zoneId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     responses:
+ *       204:
+ *         description: Zone deleted successfully
+ *       404:
+ *         description: Zone not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:zoneId', [
+  param('zoneId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await zoneService.deleteZone(req.params.zoneId);
+    res.status(204).send();
+  } catch (error) {
+    logger.error('Zone deletion error:', error);
+    handleError(res, error);
+  }
+});
+
+module.exports = router;
@@ -13,7 +13,9 @@ async function createTestShip() {
       capacity: 5000,
       fuelType: 'HFO',
       currentLocation: {
-        coordinates: [0, 0]
+        type: 'Point',
+        coordinates: [0, 0],
+        timestamp: new Date()
       },
       status: 'ACTIVE',
       routes: []
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const readline = require('readline');
+const mongoose = require('mongoose');
+const AisIngestionService = require('../services/AisIngestionService');
+require('dotenv').config();
+
+// Replays a captured NMEA log into the database without a live feed.
+// Usage: node src/scripts/replayAisLog.js <path-to-log>
+const BATCH_SIZE = 500;
+
+async function replayAisLog(filePath) {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.info('Connected to MongoDB');
+
+  const ingestionService = new AisIngestionService();
+  const totals = {};
+  const input = readline.createInterface({
+    input: fs.createReadStream(filePath),
+    crlfDelay: Infinity
+  });
+
+  const addToTotals = summary => {
+    Object.entries(summary).forEach(([key, value]) => {
+      if (typeof value === 'number' && key !== 'pendingFragments') {
+        totals[key] = (totals[key] || 0) + value;
+      }
+    });
+    totals.errors = (totals.errors || 0) + summary.errors.length;
+    totals.pendingFragments = summary.pendingFragments;
+  };
+
+  let batch = [];
+  for await (const line of input) {
+    batch.push(line);
+    if (batch.length >= BATCH_SIZE) {
+      addToTotals(await ingestionService.ingest(batch));
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    addToTotals(await ingestionService.ingest(batch));
+  }
+
+  console.info('AIS replay finished:', totals);
+  await mongoose.disconnect();
+}
+
+if (!process.argv[2]) {
+  console.error('Usage: node src/scripts/replayAisLog.js <path-to-log>');
+  process.exitCode = 1;
+} else {
+  replayAisLog(process.argv[2]).catch(async error => {
+    console.error('Error replaying AIS log:', error);
+    process.exitCode = 1;
+    await mongoose.disconnect();
+  });
+}
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+const PortService = require('../services/PortService');
+require('dotenv').config();
+
+// Loads the bundled UN/LOCODE port dataset into the database. The API also
+// does this on start; the script is for databases it does not run against.
+// Usage: node src/scripts/seedPorts.js
+async function seedPorts() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.info('Connected to MongoDB');
+
+  const result = await new PortService().seedPorts();
+  console.info('Port registry seeded:', result);
+  await mongoose.disconnect();
+}
+
+seedPorts().catch(async error => {
+  console.error('Error seeding ports:', error);
+  process.exitCode = 1;
+  await mongoose.disconnect();
+});
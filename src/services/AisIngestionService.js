@@ -0,0 +1,169 @@
+const Ship = require('../models/Ship');
+const { logger } = require('../utils/logger');
+const AisDecoder = require('./ais/AisDecoder');
+const PositionService = require('./PositionService');
+
+// Keep the error list in ingestion summaries bounded for large uploads
+const MAX_REPORTED_ERRORS = 100;
+
+// Position reports give the UTC second they were made in; higher values mean none was given
+const MAX_REPORT_SECOND = 59;
+
+class AisIngestionService {
+  constructor(options = {}) {
+    this.decoder = options.decoder || new AisDecoder();
+    this.positionService = options.positionService || new PositionService();
+  }
+
+  async ingest(lines, options = {}) {
+    const summary = {
+      received: 0,
+      decoded: 0,
+      positions: 0,
+      duplicates: 0,
+      staticUpdates: 0,
+      unmatched: 0,
+      unsupported: 0,
+      pendingFragments: 0,
+      errors: []
+    };
+    const shipCache = new Map();
+
+    for (const line of lines) {
+      if (!line || !String(line).trim()) continue;
+      summary.received++;
+
+      try {
+        const message = this.decoder.decode(line);
+        if (!message) continue;
+
+        summary.decoded++;
+        if (!message.supported) {
+          summary.unsupported++;
+          continue;
+        }
+
+        const ship = await this.findShipByMmsi(message.mmsi, shipCache);
+        if (!ship) {
+          summary.unmatched++;
+          continue;
+        }
+
+        const receivedAt = message.receivedAt || options.receivedAt || new Date();
+        if (message.kind === 'POSITION') {
+          const stored = await this.storePosition(ship, message, receivedAt);
+          if (stored === 'duplicate') {
+            summary.duplicates++;
+          } else if (stored) {
+            summary.positions++;
+          }
+        } else if (message.kind === 'STATIC') {
+          await this.storeStaticData(ship, message, receivedAt);
+          summary.staticUpdates++;
+        }
+      } catch (error) {
+        if (summary.errors.length < MAX_REPORTED_ERRORS) {
+          summary.errors.push({ line: String(line).trim(), error: error.message });
+        }
+      }
+    }
+
+    summary.pendingFragments = this.decoder.pendingFragments;
+    if (summary.errors.length > 0) {
+      logger.warn(`AIS ingestion finished with ${summary.errors.length} rejected sentences`);
+    }
+    return summary;
+  }
+
+  async findShipByMmsi(mmsi, cache) {
+    if (!cache.has(mmsi)) {
+      cache.set(mmsi, await Ship.findOne({ mmsi }).select('_id mmsi'));
+    }
+    return cache.get(mmsi);
+  }
+
+  async storePosition(ship, message, receivedAt) {
+    if (message.latitude === null || message.longitude === null) {
+      return false;
+    }
+
+    try {
+      await this.positionService.recordPosition(ship._id, {
+        timestamp: this.reportTime(message, receivedAt),
+        latitude: message.latitude,
+        longitude: message.longitude,
+        speedOverGround: message.speedOverGround ?? undefined,
+        courseOverGround: message.courseOverGround ?? undefined,
+        heading: message.heading ?? undefined,
+        source: 'AIS'
+      });
+      return true;
+    } catch (error) {
+      if (error.code === 11000) {
+        return 'duplicate';
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * When a position report was made: the latest time up to its reception
+   * whose UTC second is the report's own time stamp, so reports from one
+   * ship sharing a batch's reception time are kept apart. Reports without
+   * one are taken to be made when received.
+   */
+  reportTime(message, receivedAt) {
+    const received = new Date(receivedAt);
+    if (!(message.second >= 0 && message.second <= MAX_REPORT_SECOND)) {
+      return received;
+    }
+
+    const time = new Date(received);
+    time.setUTCSeconds(message.second, 0);
+    if (time > received) {
+      time.setUTCMinutes(time.getUTCMinutes() - 1);
+    }
+    return time;
+  }
+
+  async storeStaticData(ship, message, receivedAt) {
+    const update = { 'aisStatic.updatedAt': receivedAt };
+
+    if (message.shipName) update['aisStatic.shipName'] = message.shipName;
+    if (message.callSign) update['aisStatic.callSign'] = message.callSign;
+    if (message.imoNumber) update['aisStatic.imoNumber'] = message.imoNumber;
+    if (message.shipType) update['aisStatic.shipType'] = message.shipType;
+    if (message.dimensions) update['aisStatic.dimensions'] = message.dimensions;
+    if (message.draught) update['aisStatic.draught'] = message.draught;
+    if (message.destination) update['aisStatic.destination'] = message.destination;
+
+    const eta = this.resolveEta(message.eta, receivedAt);
+    if (eta) update['aisStatic.eta'] = eta;
+
+    await Ship.updateOne({ _id: ship._id }, { $set: update });
+  }
+
+  /**
+   * AIS ETAs carry no year; pick the first occurrence that is not
+   * clearly in the past relative to when the message was received.
+   */
+  resolveEta(eta, receivedAt) {
+    if (!eta || !eta.month || !eta.day || eta.hour > 23 || eta.minute > 59) {
+      return null;
+    }
+
+    const reference = new Date(receivedAt);
+    const year = reference.getUTCFullYear();
+    let date = new Date(Date.UTC(year, eta.month - 1, eta.day, eta.hour, eta.minute));
+
+    const thirtyDays = 30 * 24 * 60 * 60 * 1000;
+    if (date.getTime() < reference.getTime() - thirtyDays) {
+      date = new Date(Date.UTC(year + 1, eta.month - 1, eta.day, eta.hour, eta.minute));
+    }
+
+    return date;
+  }
+}
+
+// Export the class
+module.exports = AisIngestionService;
@@ -0,0 +1,36 @@
+const AuditLog = require('../models/AuditLog');
+const { logger } = require('../utils/logger');
+
+class AuditService {
+  async listEntries({ filter, sort, projection, skip, limit }) {
+    try {
+      const [entries, total] = await Promise.all([
+        AuditLog.find(filter)
+          .select(projection)
+          .sort(sort)
+          .skip(skip)
+          .limit(limit),
+        AuditLog.countDocuments(filter)
+      ]);
+
+      return { entries, total };
+    } catch (error) {
+      logger.error('Failed to list audit log:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Changes of one document, including after it was deleted, narrowed by
+   * the rest of the listing query.
+   */
+  async getDocumentHistory(entityType, entityId, listQuery) {
+    return this.listEntries({
+      ...listQuery,
+      filter: { ...listQuery.filter, entityType, entityId }
+    });
+  }
+}
+
+// Export the class
+module.exports = AuditService;
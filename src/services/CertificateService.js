@@ -0,0 +1,235 @@
+const Certificate = require('../models/Certificate');
+const Ship = require('../models/Ship');
+const { logger } = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class CertificateService {
+  async createCertificate(data) {
+    try {
+      const ship = await Ship.findById(data.shipId);
+      if (!ship) {
+        throw new Error('Ship not found');
+      }
+      this.validateDates(data.issuedAt, data.expiresAt);
+
+      const certificate = await Certificate.create({
+        ...data,
+        ship: ship._id,
+        name: data.name || data.type
+      });
+
+      // A renewal replaces the earlier certificate of the same kind
+      await Certificate.updateMany(
+        {
+          _id: { $ne: certificate._id },
+          ship: ship._id,
+          type: certificate.type,
+          name: certificate.name,
+          issuedAt: { $lt: certificate.issuedAt },
+          supersededBy: null
+        },
+        { $set: { supersededBy: certificate._id } }
+      );
+
+      return certificate;
+    } catch (error) {
+      logger.error('Failed to create certificate:', error);
+      throw error;
+    }
+  }
+
+  validateDates(issuedAt, expiresAt) {
+    if (issuedAt && expiresAt && new Date(expiresAt) <= new Date(issuedAt)) {
+      throw new Error('Invalid certificate data: expiry must be after the issue date');
+    }
+  }
+
+  async getCertificates({ shipIds, type, includeInactive = false } = {}) {
+    try {
+      const query = {};
+      if (shipIds) query.ship = { $in: shipIds };
+      if (type) query.type = type;
+      if (!includeInactive) {
+        query.supersededBy = null;
+        query.withdrawnAt = null;
+      }
+
+      const certificates = await Certificate.find(query)
+        .sort({ expiresAt: 1 })
+        .populate('ship', 'name imoNumber');
+
+      return certificates.map(certificate => this.describe(certificate));
+    } catch (error) {
+      logger.error('Failed to get certificates:', error);
+      throw error;
+    }
+  }
+
+  async getCertificateById(certificateId) {
+    try {
+      const certificate = await Certificate.findById(certificateId)
+        .populate('ship', 'name imoNumber');
+      if (!certificate) {
+        throw new Error('Certificate not found');
+      }
+      return this.describe(certificate);
+    } catch (error) {
+      logger.error('Failed to get certificate:', error);
+      throw error;
+    }
+  }
+
+  async updateCertificate(certificateId, data) {
+    try {
+      const certificate = await Certificate.findById(certificateId);
+      if (!certificate) {
+        throw new Error('Certificate not found');
+      }
+
+      this.validateDates(data.issuedAt || certificate.issuedAt, data.expiresAt || certificate.expiresAt);
+      Object.assign(certificate, data);
+      await certificate.save();
+      return this.describe(certificate);
+    } catch (error) {
+      logger.error('Failed to update certificate:', error);
+      throw error;
+    }
+  }
+
+  async deleteCertificate(certificateId) {
+    try {
+      const certificate = await Certificate.findByIdAndDelete(certificateId);
+      if (!certificate) {
+        throw new Error('Certificate not found');
+      }
+
+      // The certificate it replaced is current again
+      await Certificate.updateMany(
+        { supersededBy: certificate._id },
+        { $set: { supersededBy: null } }
+      );
+    } catch (error) {
+      logger.error('Failed to delete certificate:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Records an annual endorsement against the anniversary whose window
+   * contains the endorsement date.
+   */
+  async recordEndorsement(certificateId, { endorsedAt = new Date(), endorsedBy, place, notes } = {}) {
+    try {
+      const certificate = await Certificate.findById(certificateId);
+      if (!certificate) {
+        throw new Error('Certificate not found');
+      }
+      if (!certificate.requiresAnnualEndorsement) {
+        throw new Error('Invalid endorsement: certificate does not require annual endorsement');
+      }
+
+      const date = new Date(endorsedAt);
+      const entry = certificate.getEndorsementSchedule(date)
+        .find(e => date >= e.windowOpens && date <= e.windowCloses);
+      if (!entry) {
+        throw new Error('Invalid endorsement: date is outside every endorsement window');
+      }
+      if (entry.status === 'ENDORSED') {
+        throw new Error('Certificate is already endorsed for this anniversary');
+      }
+
+      certificate.endorsements.push({ anniversary: entry.anniversary, endorsedAt: date, endorsedBy, place, notes });
+      await certificate.save();
+      return this.describe(certificate);
+    } catch (error) {
+      logger.error('Failed to record endorsement:', error);
+      throw error;
+    }
+  }
+
+  async addAttachment(certificateId, attachment) {
+    try {
+      const certificate = await Certificate.findById(certificateId);
+      if (!certificate) {
+        throw new Error('Certificate not found');
+      }
+
+      certificate.attachments.push(attachment);
+      await certificate.save();
+      return this.describe(certificate);
+    } catch (error) {
+      logger.error('Failed to add certificate attachment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lists the expiries and endorsement windows that close within the
+   * horizon, including those already missed, soonest first.
+   */
+  async getExpiringCertificates({ days = 90, shipIds, at = new Date() } = {}) {
+    try {
+      const query = { supersededBy: null, withdrawnAt: null };
+      if (shipIds) query.ship = { $in: shipIds };
+
+      const certificates = await Certificate.find(query).populate('ship', 'name imoNumber');
+      return this.findDueItems(certificates, days, at);
+    } catch (error) {
+      logger.error('Failed to get expiring certificates:', error);
+      throw error;
+    }
+  }
+
+  findDueItems(certificates, days, at = new Date()) {
+    const horizon = new Date(at.getTime() + days * DAY_MS);
+    const items = [];
+
+    certificates.forEach(certificate => {
+      const summary = {
+        certificateId: certificate._id,
+        ship: certificate.ship,
+        type: certificate.type,
+        name: certificate.name,
+        certificateNumber: certificate.certificateNumber
+      };
+
+      if (certificate.expiresAt && certificate.expiresAt <= horizon) {
+        items.push({ ...summary, reason: 'EXPIRY', dueDate: certificate.expiresAt });
+      }
+
+      // Endorsements after expiry are moot; the certificate has to be renewed
+      certificate.getEndorsementSchedule(at)
+        .filter(entry => entry.status !== 'ENDORSED' && entry.windowCloses <= horizon)
+        .filter(entry => !certificate.expiresAt || entry.windowCloses < certificate.expiresAt)
+        .forEach(entry => {
+          items.push({
+            ...summary,
+            reason: 'ENDORSEMENT',
+            dueDate: entry.windowCloses,
+            anniversary: entry.anniversary,
+            windowOpens: entry.windowOpens
+          });
+        });
+    });
+
+    return items
+      .map(item => ({
+        ...item,
+        daysRemaining: Math.floor((item.dueDate - at) / DAY_MS),
+        overdue: item.dueDate <= at
+      }))
+      .sort((a, b) => a.dueDate - b.dueDate);
+  }
+
+  describe(certificate, at = new Date()) {
+    return {
+      ...certificate.toObject(),
+      validity: certificate.getValidity(at),
+      endorsementSchedule: certificate.getEndorsementSchedule(at)
+    };
+  }
+}
+
+// Export the class
+module.exports = CertificateService;
@@ -0,0 +1,226 @@
+const CrewMember = require('../models/CrewMember');
+const CrewAssignment = require('../models/CrewAssignment');
+const Ship = require('../models/Ship');
+const { logger } = require('../utils/logger');
+
+// Assignments covering the given moment
+const onBoardAt = at => ({
+  signOnDate: { $lte: at },
+  $or: [{ signOffDate: null }, { signOffDate: { $gt: at } }]
+});
+
+class CrewService {
+  async createCrewMember(data) {
+    try {
+      this.validateContracts(data.contracts || []);
+      return await CrewMember.create(data);
+    } catch (error) {
+      logger.error('Failed to create crew member:', error);
+      throw error;
+    }
+  }
+
+  async getCrewMembers({ rank, nationality, status } = {}) {
+    try {
+      const query = {};
+      if (rank) query.rank = rank;
+      if (nationality) query.nationality = nationality.toUpperCase();
+      if (status) query.status = status;
+
+      return await CrewMember.find(query).sort({ lastName: 1, firstName: 1 });
+    } catch (error) {
+      logger.error('Failed to get crew members:', error);
+      throw error;
+    }
+  }
+
+  async getCrewMemberById(crewMemberId) {
+    try {
+      const crewMember = await CrewMember.findById(crewMemberId);
+      if (!crewMember) {
+        throw new Error('Crew member not found');
+      }
+
+      const assignments = await CrewAssignment.find({ crewMember: crewMember._id })
+        .sort('-signOnDate')
+        .populate('ship', 'name imoNumber');
+
+      return { ...crewMember.toObject(), assignments };
+    } catch (error) {
+      logger.error('Failed to get crew member:', error);
+      throw error;
+    }
+  }
+
+  async updateCrewMember(crewMemberId, data) {
+    try {
+      const crewMember = await CrewMember.findByIdAndUpdate(
+        crewMemberId,
+        { $set: data },
+        { new: true, runValidators: true }
+      );
+      if (!crewMember) {
+        throw new Error('Crew member not found');
+      }
+      return crewMember;
+    } catch (error) {
+      logger.error('Failed to update crew member:', error);
+      throw error;
+    }
+  }
+
+  async addStcwCertificate(crewMemberId, certificate) {
+    try {
+      const crewMember = await CrewMember.findById(crewMemberId);
+      if (!crewMember) {
+        throw new Error('Crew member not found');
+      }
+
+      crewMember.stcwCertificates.push(certificate);
+      await crewMember.save();
+      return crewMember;
+    } catch (error) {
+      logger.error('Failed to add STCW certificate:', error);
+      throw error;
+    }
+  }
+
+  async addContract(crewMemberId, contract) {
+    try {
+      const crewMember = await CrewMember.findById(crewMemberId);
+      if (!crewMember) {
+        throw new Error('Crew member not found');
+      }
+
+      this.validateContracts([...crewMember.contracts, contract]);
+      crewMember.contracts.push(contract);
+      await crewMember.save();
+      return crewMember;
+    } catch (error) {
+      logger.error('Failed to add contract:', error);
+      throw error;
+    }
+  }
+
+  validateContracts(contracts) {
+    const periods = contracts
+      .map(contract => ({ start: new Date(contract.startDate), end: new Date(contract.endDate) }))
+      .sort((a, b) => a.start - b.start);
+
+    periods.forEach((period, index) => {
+      if (period.end <= period.start) {
+        throw new Error('Invalid contract: end date must be after the start date');
+      }
+      if (index > 0 && period.start <= periods[index - 1].end) {
+        throw new Error('Invalid contract: contract periods overlap');
+      }
+    });
+  }
+
+  /**
+   * Signs a crew member on to a ship. The sign-on must fall within one of
+   * their contracts, their STCW certificates must be in date and they
+   * cannot be on board another ship at the same time.
+   */
+  async signOn(crewMemberId, { shipId, signOnDate = new Date(), rank, port, notes } = {}) {
+    try {
+      const crewMember = await CrewMember.findById(crewMemberId);
+      if (!crewMember) {
+        throw new Error('Crew member not found');
+      }
+      const ship = await Ship.findById(shipId);
+      if (!ship) {
+        throw new Error('Ship not found');
+      }
+
+      const date = new Date(signOnDate);
+      this.checkShipForSignOn(ship);
+      this.checkSignOnEligibility(crewMember, date);
+
+      const overlapping = await CrewAssignment.exists({
+        crewMember: crewMember._id,
+        $or: [{ signOffDate: null }, { signOffDate: { $gt: date } }]
+      });
+      if (overlapping) {
+        throw new Error('Crew member is already on board a ship for an overlapping period');
+      }
+
+      return await CrewAssignment.create({
+        crewMember: crewMember._id,
+        ship: ship._id,
+        rank: rank || crewMember.rank,
+        signOnDate: date,
+        signOnPort: port,
+        notes
+      });
+    } catch (error) {
+      logger.error('Failed to sign on crew member:', error);
+      throw error;
+    }
+  }
+
+  // Archived and decommissioned ships take no crew on board
+  checkShipForSignOn(ship) {
+    if (ship.archivedAt) {
+      throw new Error('Ship is not available for crew sign-on (archived)');
+    }
+    if (ship.status === 'DECOMMISSIONED') {
+      throw new Error(`Ship is not available for crew sign-on (status: ${ship.status})`);
+    }
+  }
+
+  checkSignOnEligibility(crewMember, date) {
+    if (crewMember.status !== 'ACTIVE') {
+      throw new Error('Invalid assignment: crew member is inactive');
+    }
+    if (!crewMember.getContractAt(date)) {
+      throw new Error('Invalid assignment: sign-on date is outside every contract period');
+    }
+
+    const expired = crewMember.getExpiredStcwCertificates(date);
+    if (expired.length > 0) {
+      const regulations = expired.map(certificate => certificate.regulation).join(', ');
+      throw new Error(`Invalid assignment: STCW certificate(s) ${regulations} expired`);
+    }
+  }
+
+  async signOff(crewMemberId, { signOffDate = new Date(), port, notes } = {}) {
+    try {
+      const assignment = await CrewAssignment.findOne({ crewMember: crewMemberId, signOffDate: null });
+      if (!assignment) {
+        throw new Error('Crew member is not on board any ship');
+      }
+
+      const date = new Date(signOffDate);
+      if (date <= assignment.signOnDate) {
+        throw new Error('Invalid assignment: sign-off must be after the sign-on date');
+      }
+
+      assignment.signOffDate = date;
+      assignment.signOffPort = port;
+      if (notes) assignment.notes = notes;
+      await assignment.save();
+      return assignment;
+    } catch (error) {
+      logger.error('Failed to sign off crew member:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Answers "who is on board ship X on date Y".
+   */
+  async getCrewOnBoard(shipId, at = new Date()) {
+    try {
+      return await CrewAssignment.find({ ship: shipId, ...onBoardAt(at) })
+        .sort('signOnDate')
+        .populate('crewMember', 'firstName lastName rank nationality');
+    } catch (error) {
+      logger.error('Failed to get crew on board:', error);
+      throw error;
+    }
+  }
+}
+
+// Export the class
+module.exports = CrewService;
@@ -0,0 +1,290 @@
+const EngineHourReading = require('../models/EngineHourReading');
+const Ship = require('../models/Ship');
+const { logger } = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Allowance for clocks that run slightly ahead of the server
+const FUTURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+const round = value => Math.round(value * 100) / 100;
+
+// Start of the UTC day or ISO week (Monday) containing the time
+const periodStart = (time, interval) => {
+  const date = new Date(time);
+  date.setUTCHours(0, 0, 0, 0);
+  if (interval === 'week') {
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  }
+  return date.getTime();
+};
+
+const periodLength = interval => (interval === 'week' ? 7 : 1) * DAY_MS;
+
+class EngineHoursService {
+  /**
+   * Stores hour counter readings and moves the counters forward. Ships
+   * with machinery take one reading per machine ({ machineryId, hours });
+   * ships without take a single { hours }. A reading lower than the
+   * counter is rejected; one implying more running hours than calendar
+   * hours since the previous reading is stored with a flag for review.
+   */
+  async recordReadings(shipId, readings, { readAt = new Date(), notes } = {}) {
+    try {
+      const ship = await Ship.findById(shipId);
+      if (!ship) {
+        throw new Error('Ship not found');
+      }
+
+      const at = new Date(readAt);
+      if (at.getTime() > Date.now() + FUTURE_TOLERANCE_MS) {
+        throw new Error('Invalid reading: reading time is in the future');
+      }
+
+      const counters = readings.map(reading => (reading.machineryId || 'ship').toString());
+      if (new Set(counters).size !== counters.length) {
+        throw new Error('Invalid reading: more than one reading for the same counter');
+      }
+
+      const prepared = [];
+      for (const { machineryId, hours } of readings) {
+        prepared.push(await this.prepareReading(ship, machineryId, Number(hours), at));
+      }
+
+      const saved = await EngineHourReading.insertMany(prepared.map(reading => ({
+        ship: ship._id,
+        machinery: reading.machinery,
+        hours: reading.hours,
+        previousHours: reading.previousHours,
+        flags: reading.flags,
+        readAt: at,
+        notes
+      })));
+
+      prepared.forEach(({ counter, hours }) => {
+        if (counter) {
+          counter.runningHours = hours;
+          counter.lastReadingAt = at;
+        } else {
+          ship.engineHours = hours;
+        }
+      });
+      ship.syncEngineHours();
+
+      // Check if maintenance is needed based on engine hours
+      if (ship.machinery.length > 0 || ship.engineHours >= 5000) {
+        ship.calculateNextMaintenance();
+      }
+      try {
+        await ship.save();
+      } catch (error) {
+        // Readings the counters do not reflect would be counted twice on a retry
+        await EngineHourReading.deleteMany({ _id: { $in: saved.map(reading => reading._id) } });
+        throw error;
+      }
+
+      return { ship, readings: saved };
+    } catch (error) {
+      logger.error('Failed to record engine hours:', error);
+      throw error;
+    }
+  }
+
+  async prepareReading(ship, machineryId, hours, at) {
+    let machine = null;
+    if (machineryId) {
+      machine = ship.machinery.id(machineryId);
+      if (!machine) {
+        throw new Error('Machinery not found');
+      }
+    } else if (ship.machinery.length > 0) {
+      throw new Error('Invalid reading: this ship records running hours per machine; send readings');
+    }
+
+    const name = machine ? machine.name : 'The engine counter';
+    const previous = await EngineHourReading.findOne({ ship: ship._id, machinery: machine ? machine._id : null })
+      .sort('-readAt');
+    const previousHours = previous ? previous.hours : (machine ? machine.runningHours : ship.engineHours);
+    const previousAt = previous ? previous.readAt : (machine ? machine.lastReadingAt : null);
+
+    if (previous && at <= previous.readAt) {
+      throw new Error(`Invalid reading: ${name} was last read at ${previous.readAt.toISOString()}`);
+    }
+    if (hours < previousHours) {
+      throw new Error(`Invalid reading: ${name} already shows ${previousHours} running hours`);
+    }
+
+    const flags = [];
+    if (previousAt && hours - previousHours > (at - previousAt) / HOUR_MS) {
+      flags.push('EXCEEDS_ELAPSED_TIME');
+    }
+
+    return {
+      counter: machine,
+      machinery: machine ? machine._id : null,
+      hours,
+      previousHours,
+      flags
+    };
+  }
+
+  /**
+   * Deletes a reading entered in error. When it was the latest reading of
+   * its counter the counter goes back to the value before it.
+   */
+  async deleteReading(shipId, readingId) {
+    try {
+      const reading = await EngineHourReading.findOne({ _id: readingId, ship: shipId });
+      if (!reading) {
+        throw new Error('Reading not found');
+      }
+
+      const newer = await EngineHourReading.exists({
+        ship: reading.ship,
+        machinery: reading.machinery,
+        readAt: { $gt: reading.readAt }
+      });
+      const ship = await Ship.findById(shipId);
+
+      await reading.deleteOne();
+
+      if (!newer && ship && reading.previousHours !== undefined) {
+        const machine = reading.machinery ? ship.machinery.id(reading.machinery) : null;
+        if (machine) {
+          machine.runningHours = reading.previousHours;
+        } else if (!reading.machinery) {
+          ship.engineHours = reading.previousHours;
+        }
+        ship.syncEngineHours();
+        await ship.save();
+      }
+
+      return reading;
+    } catch (error) {
+      logger.error('Failed to delete engine hour reading:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Readings of one counter between two dates with the running hours and
+   * utilisation (running hours per calendar hour) per day or week.
+   */
+  async getHistory(shipId, { machineryId = null, from, to, interval = 'day' } = {}) {
+    try {
+      const ship = await Ship.findById(shipId).select('name machinery');
+      if (!ship) {
+        throw new Error('Ship not found');
+      }
+      if (machineryId && !ship.machinery.id(machineryId)) {
+        throw new Error('Machinery not found');
+      }
+
+      const end = to ? new Date(to) : new Date();
+      const start = from ? new Date(from) : new Date(end.getTime() - 30 * DAY_MS);
+      const counter = { ship: ship._id, machinery: machineryId || null };
+
+      const [readings, before] = await Promise.all([
+        EngineHourReading.find({ ...counter, readAt: { $gte: start, $lte: end } }).sort('readAt'),
+        EngineHourReading.findOne({ ...counter, readAt: { $lt: start } }).sort('-readAt')
+      ]);
+      const context = before ? [before, ...readings] : readings;
+
+      return {
+        ship: { _id: ship._id, name: ship.name },
+        machineryId: machineryId || null,
+        from: start,
+        to: end,
+        interval,
+        readings,
+        averageHoursPerDay: this.averageHoursPerDay(context),
+        utilisation: this.computeUtilisation(context, { from: start, to: end, interval })
+      };
+    } catch (error) {
+      logger.error('Failed to get engine hour history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Spreads the hours between consecutive readings evenly over the time
+   * between them and totals them per period. Periods without readings on
+   * both sides have no utilisation.
+   */
+  computeUtilisation(readings, { from, to, interval = 'day' }) {
+    const sorted = [...readings].sort((a, b) => new Date(a.readAt) - new Date(b.readAt));
+    const segments = sorted.slice(1).map((reading, index) => {
+      const start = new Date(sorted[index].readAt).getTime();
+      const end = new Date(reading.readAt).getTime();
+      return { start, end, rate: (reading.hours - sorted[index].hours) / (end - start) };
+    });
+
+    const length = periodLength(interval);
+    const periods = [];
+    for (let start = periodStart(from, interval); start < new Date(to).getTime(); start += length) {
+      const end = start + length;
+      let runningHours = 0;
+      let coveredMs = 0;
+      segments.forEach(segment => {
+        const overlap = Math.min(end, segment.end) - Math.max(start, segment.start);
+        if (overlap > 0) {
+          coveredMs += overlap;
+          runningHours += overlap * segment.rate;
+        }
+      });
+
+      periods.push({
+        periodStart: new Date(start),
+        periodEnd: new Date(end),
+        runningHours: coveredMs > 0 ? round(runningHours) : null,
+        utilisation: coveredMs > 0 ? round(runningHours / (coveredMs / HOUR_MS)) : null
+      });
+    }
+
+    return periods;
+  }
+
+  averageHoursPerDay(readings) {
+    if (readings.length < 2) return null;
+    const sorted = [...readings].sort((a, b) => new Date(a.readAt) - new Date(b.readAt));
+    const first = sorted[0];
+    const last = sorted[sorted.length - 1];
+    const days = (new Date(last.readAt) - new Date(first.readAt)) / DAY_MS;
+    return days > 0 ? round((last.hours - first.hours) / days) : null;
+  }
+
+  /**
+   * Measured running hours per day over the recent readings of each
+   * counter of a ship: { ship, machinery: { [machineryId]: rate } }, null
+   * where there are fewer than two readings.
+   */
+  async getRecentRates(shipId, { days = 90, at = new Date() } = {}) {
+    try {
+      const readings = await EngineHourReading.find({
+        ship: shipId,
+        readAt: { $gte: new Date(at.getTime() - days * DAY_MS), $lte: at }
+      }).sort('readAt');
+
+      const byCounter = readings.reduce((groups, reading) => {
+        const key = reading.machinery ? reading.machinery.toString() : 'ship';
+        (groups[key] = groups[key] || []).push(reading);
+        return groups;
+      }, {});
+
+      const { ship = [], ...machinery } = byCounter;
+      return {
+        ship: this.averageHoursPerDay(ship),
+        machinery: Object.fromEntries(
+          Object.entries(machinery).map(([id, counterReadings]) => [id, this.averageHoursPerDay(counterReadings)])
+        )
+      };
+    } catch (error) {
+      logger.error('Failed to get engine hour rates:', error);
+      throw error;
+    }
+  }
+}
+
+// Export the class
+module.exports = EngineHoursService;
@@ -0,0 +1,347 @@
+const Route = require('../models/Route');
+const Position = require('../models/Position');
+const { logger } = require('../utils/logger');
+const { greatCircleDistance, pathDistance, initialBearing } = require('../utils/geo');
+const WeatherService = require('./WeatherService');
+const RouteOptimizer = require('./ai/RouteOptimizer');
+const { edgeKey } = require('./routing/SeaRouter');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hours of position reports the speed over ground is averaged over
+const SPEED_WINDOW_HOURS = 6;
+
+// Below this average speed (knots) the ship is taken to be stopped, e.g.
+// at anchor, and the rest of the route is sailed at the planned speed
+const MIN_SAILING_SPEED = 3;
+
+// Position reports recompute the ETA at most this often; waypoints are
+// marked as passed on every report
+const MIN_REVISION_INTERVAL_MS = 30 * 60 * 1000;
+
+// Predicted delay in hours beyond which a route is flagged as delayed
+const DEFAULT_DELAY_THRESHOLD = 6;
+
+// ETA revisions kept on a route, oldest dropped first
+const MAX_ETA_REVISIONS = 500;
+
+// Longest segment in km the rest of the route is sailed in
+const SEGMENT_SPACING = 250;
+
+// Forecasts are updated every few hours; ETA revisions for a route within
+// one such cycle share the forecast grid fetched for it
+const FORECAST_CYCLE_MS = 3 * HOUR_MS;
+
+// Forecast grids by route id, for the current forecast cycle only
+const forecastCache = new Map();
+
+// A ship under way sails on through whatever is forecast
+const NO_LIMITS = { maxWaveHeight: Infinity, maxWindSpeed: Infinity };
+
+// Departure, waypoints and destination of a route in order
+const routePoints = route => [
+  route.departure.coordinates,
+  ...route.waypoints.map(waypoint => waypoint.coordinates),
+  route.destination.coordinates
+];
+
+/**
+ * Arrival times recalculated while a route is sailed. Position reports
+ * and manual updates mark waypoints as passed; the rest of the route is
+ * then sailed at the recent speed over ground through the forecast wind
+ * and waves, adding the waiting time of canals still ahead. Each result
+ * is kept as an ETA revision on the route, and routes predicted later
+ * than their delay threshold are flagged.
+ */
+class EtaService {
+  constructor(options = {}) {
+    this.weatherService = options.weatherService || new WeatherService();
+    this.routeOptimizer = options.routeOptimizer || new RouteOptimizer();
+  }
+
+  /**
+   * Moves the ship's route in progress on with a recorded Position. Reports
+   * older than the route's progress or its departure are left out.
+   */
+  async updateFromPosition(position) {
+    try {
+      const route = await Route.findOne({ ship: position.ship, status: 'IN_PROGRESS' });
+      if (!route) {
+        return null;
+      }
+
+      const timestamp = new Date(position.timestamp);
+      if (timestamp < (route.progress?.reportedAt || route.actualDeparture)) {
+        return route;
+      }
+
+      const lastRevision = route.etaRevisions[route.etaRevisions.length - 1];
+      await this.updateRoute(route, {
+        coordinates: position.location.coordinates,
+        timestamp,
+        source: 'POSITION',
+        revise: !lastRevision || timestamp - lastRevision.reportedAt >= MIN_REVISION_INTERVAL_MS
+      });
+      return route;
+    } catch (error) {
+      logger.error('Failed to update ETA from position:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recalculates a route's ETA on request. Waypoints may be marked as
+   * passed, as [{ index, actualArrival }], and a position given; otherwise
+   * the ship's latest report since departure is used.
+   */
+  async recalculateEta(routeId, { position, waypoints = [], delayThreshold } = {}) {
+    try {
+      const route = await Route.findById(routeId);
+      if (!route) {
+        throw new Error('Route not found');
+      }
+      if (route.status !== 'IN_PROGRESS') {
+        throw new Error(`Invalid ETA update: route is ${route.status}, not IN_PROGRESS`);
+      }
+
+      waypoints.forEach(({ index, actualArrival }) => {
+        if (!route.waypoints[index]) {
+          throw new Error(`Invalid ETA update: route has no waypoint ${index}`);
+        }
+        route.waypoints[index].actualArrival = actualArrival ? new Date(actualArrival) : new Date();
+      });
+
+      let report = position && {
+        coordinates: position.coordinates,
+        timestamp: position.timestamp ? new Date(position.timestamp) : new Date(),
+        speedOverGround: position.speedOverGround
+      };
+      if (!report) {
+        const latest = await Position.findOne({
+          ship: route.ship,
+          timestamp: { $gte: route.actualDeparture || route.estimatedDeparture }
+        }).sort('-timestamp');
+        if (!latest) {
+          throw new Error('Invalid ETA update: no position reported since departure');
+        }
+        report = { coordinates: latest.location.coordinates, timestamp: latest.timestamp };
+      }
+
+      if (delayThreshold != null) {
+        route.set('eta.delayThreshold', delayThreshold);
+      }
+
+      await this.updateRoute(route, { ...report, source: 'MANUAL', revise: true });
+      return route;
+    } catch (error) {
+      logger.error('Failed to recalculate ETA:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Forecast grid over the given positions of a route. Within a forecast
+   * cycle the route's grid is reused, fetching only cells it lacks.
+   */
+  async forecastFor(route, positions, now = Date.now()) {
+    const cycle = Math.floor(now / FORECAST_CYCLE_MS);
+    forecastCache.forEach((entry, routeId) => {
+      if (entry.cycle !== cycle) forecastCache.delete(routeId);
+    });
+
+    const cached = forecastCache.get(String(route._id));
+    const grid = await this.weatherService.getForecastGrid(positions, { grid: cached?.grid });
+    forecastCache.set(String(route._id), { cycle, grid });
+    return grid;
+  }
+
+  async updateRoute(route, { coordinates, timestamp, speedOverGround, source, revise }) {
+    const progress = this.locate(route, coordinates, timestamp);
+    progress.passed.forEach(({ index, actualArrival }) => {
+      route.waypoints[index].actualArrival = actualArrival;
+    });
+    route.progress = {
+      position: coordinates,
+      reportedAt: timestamp,
+      waypointsPassed: progress.leg,
+      remainingDistance: progress.remainingDistance
+    };
+
+    if (revise) {
+      const remaining = [coordinates, ...routePoints(route).slice(progress.leg + 1)];
+      const forecast = await this.forecastFor(route, remaining);
+      const estimate = this.estimateArrival(route, {
+        coordinates,
+        timestamp,
+        leg: progress.leg,
+        speedOverGround: speedOverGround ?? await this.recentSpeed(route.ship, timestamp),
+        forecast
+      });
+      this.reviseEta(route, { ...estimate, coordinates, timestamp, source });
+    }
+
+    await route.save();
+  }
+
+  /**
+   * Where a position puts the ship along its route: the leg it is on
+   * between consecutive route points, never one behind the waypoints
+   * already passed, the distance left, and the waypoints passed since the
+   * previous report with times interpolated by distance sailed.
+   */
+  locate(route, coordinates, timestamp) {
+    const points = routePoints(route);
+    const lastPassed = route.waypoints.reduce((last, waypoint, index) =>
+      (waypoint.actualArrival ? index : last), -1);
+
+    // The leg the position lies closest to, by how far it is off the straight way along it
+    let leg = lastPassed + 1;
+    let bestExcess = Infinity;
+    for (let index = lastPassed + 1; index < points.length - 1; index++) {
+      const excess = greatCircleDistance(points[index], coordinates) +
+        greatCircleDistance(coordinates, points[index + 1]) -
+        greatCircleDistance(points[index], points[index + 1]);
+      if (excess < bestExcess) {
+        bestExcess = excess;
+        leg = index;
+      }
+    }
+
+    // Waypoints 0..leg-1 are now behind the ship
+    const previous = route.progress?.reportedAt
+      ? { coordinates: route.progress.position, time: route.progress.reportedAt.getTime() }
+      : { coordinates: points[0], time: (route.actualDeparture || route.estimatedDeparture).getTime() };
+    const distances = [];
+    let sailed = 0;
+    let from = previous.coordinates;
+    for (let index = lastPassed + 1; index < leg; index++) {
+      sailed += pathDistance(from, points[index + 1], route.pathType);
+      distances.push({ index, sailed });
+      from = points[index + 1];
+    }
+    sailed += pathDistance(from, coordinates, route.pathType);
+
+    const elapsed = new Date(timestamp).getTime() - previous.time;
+    const passed = distances.map(({ index, sailed: distance }) => ({
+      index,
+      actualArrival: new Date(previous.time + (sailed > 0 ? elapsed * distance / sailed : elapsed))
+    }));
+
+    const ahead = [coordinates, ...points.slice(leg + 1)];
+    const remainingDistance = ahead.slice(1).reduce((sum, to, index) =>
+      sum + pathDistance(ahead[index], to, route.pathType), 0);
+
+    return { leg, passed, remainingDistance };
+  }
+
+  /**
+   * Predicted arrival sailing the rest of the route from a position on
+   * `leg`. The ship keeps the engine power it makes `speedOverGround`
+   * with in the conditions where it is, so it speeds up or slows down as
+   * they change along the way. Canals it has not entered add their
+   * waiting and transit time.
+   */
+  estimateArrival(route, { coordinates, timestamp, leg, speedOverGround, forecast }) {
+    const { weatherRouter, chokepoints, seaRouter } = this.routeOptimizer;
+    const points = routePoints(route);
+    const start = new Date(timestamp).getTime();
+
+    let speed = route.plannedSpeed;
+    if (speedOverGround >= MIN_SAILING_SPEED) {
+      const heading = initialBearing(coordinates, points[leg + 1]);
+      const resistance = 1 + weatherRouter.addedResistance(forecast.conditionsAt(coordinates, start), heading);
+      // Through-water speed the same power would make in calm water
+      speed = speedOverGround * Math.cbrt(resistance);
+    }
+
+    const ahead = [coordinates, ...points.slice(leg + 1)];
+    let time = start;
+    let distance = 0;
+    ahead.slice(1).forEach((to, index) => {
+      const sailed = weatherRouter.sail(ahead[index], to, {
+        startTime: time,
+        speed,
+        pathType: route.pathType,
+        spacing: SEGMENT_SPACING,
+        limits: NO_LIMITS,
+        forecast
+      });
+      time = sailed.arrival;
+      distance += sailed.segments.reduce((sum, segment) => sum + segment.distance, 0);
+    });
+
+    // A canal is still ahead until the route point nearest its first node is reached
+    const delays = this.routeOptimizer.chokepointDelays(speed, route.pathType);
+    const nearestPoint = node => points.reduce((nearest, point, index) =>
+      (greatCircleDistance(point, node) < greatCircleDistance(points[nearest], node) ? index : nearest), 0);
+    const delayHours = route.chokepoints
+      .map(({ chokepoint }) => chokepoints.get(chokepoint))
+      .filter(Boolean)
+      .filter(chokepoint => {
+        const entry = Math.min(...chokepoint.edges.flat().map(id => nearestPoint(seaRouter.nodes.get(id).coordinates)));
+        return entry > leg;
+      })
+      .reduce((sum, chokepoint) => sum + chokepoint.edges.reduce((hours, [from, to]) =>
+        hours + delays.get(edgeKey(from, to)), 0), 0);
+
+    return {
+      estimatedArrival: new Date(time + delayHours * HOUR_MS),
+      remainingDistance: distance,
+      speedOverGround,
+      speed
+    };
+  }
+
+  /**
+   * Average speed over ground of the ship's reports in the hours up to
+   * `timestamp`, or undefined when none gave one.
+   */
+  async recentSpeed(shipId, timestamp) {
+    const positions = await Position.find({
+      ship: shipId,
+      timestamp: { $gte: new Date(timestamp.getTime() - SPEED_WINDOW_HOURS * HOUR_MS), $lte: timestamp },
+      speedOverGround: { $exists: true }
+    }).select('speedOverGround');
+
+    if (positions.length === 0) {
+      return undefined;
+    }
+    return positions.reduce((sum, position) => sum + position.speedOverGround, 0) / positions.length;
+  }
+
+  // Stores a new ETA on the route and flags it when the delay passes the threshold
+  reviseEta(route, { estimatedArrival, remainingDistance, speedOverGround, speed, coordinates, timestamp, source }) {
+    const delayThreshold = route.eta?.delayThreshold ?? DEFAULT_DELAY_THRESHOLD;
+    const delay = (estimatedArrival.getTime() - route.estimatedArrival.getTime()) / HOUR_MS;
+    const delayed = delay > delayThreshold;
+
+    if (delayed && !route.eta?.delayed) {
+      logger.warn(`Route ${route._id} predicted ${delay.toFixed(1)} hours late, over its ${delayThreshold} hour threshold`);
+    }
+
+    const calculatedAt = new Date();
+    route.eta = { estimatedArrival, delay, delayed, delayThreshold, updatedAt: calculatedAt };
+    route.etaRevisions.push({
+      calculatedAt,
+      reportedAt: timestamp,
+      source,
+      position: coordinates,
+      speedOverGround,
+      speed,
+      remainingDistance,
+      estimatedArrival,
+      delay,
+      delayed
+    });
+    if (route.etaRevisions.length > MAX_ETA_REVISIONS) {
+      route.etaRevisions.splice(0, route.etaRevisions.length - MAX_ETA_REVISIONS);
+    }
+
+    return route.eta;
+  }
+}
+
+EtaService.DEFAULT_DELAY_THRESHOLD = DEFAULT_DELAY_THRESHOLD;
+
+// Export the class
+module.exports = EtaService;
@@ -0,0 +1,264 @@
+const Fleet = require('../models/Fleet');
+const Organization = require('../models/Organization');
+const Ship = require('../models/Ship');
+const { logger } = require('../utils/logger');
+
+// Fleet fields that reference an Organization
+const ORGANIZATION_ROLES = ['owner', 'manager', 'charterer'];
+
+class FleetService {
+  async createOrganization(data) {
+    try {
+      return await Organization.create(data);
+    } catch (error) {
+      logger.error('Failed to create organization:', error);
+      throw error;
+    }
+  }
+
+  async listOrganizations({ role } = {}) {
+    try {
+      const query = role ? { roles: role } : {};
+      return await Organization.find(query).sort('name');
+    } catch (error) {
+      logger.error('Failed to list organizations:', error);
+      throw error;
+    }
+  }
+
+  async getOrganization(organizationId) {
+    try {
+      const organization = await Organization.findById(organizationId);
+      if (!organization) {
+        throw new Error('Organization not found');
+      }
+      return organization;
+    } catch (error) {
+      logger.error('Failed to get organization:', error);
+      throw error;
+    }
+  }
+
+  async updateOrganization(organizationId, data) {
+    try {
+      const organization = await Organization.findByIdAndUpdate(
+        organizationId,
+        { $set: data },
+        { new: true, runValidators: true }
+      );
+      if (!organization) {
+        throw new Error('Organization not found');
+      }
+      return organization;
+    } catch (error) {
+      logger.error('Failed to update organization:', error);
+      throw error;
+    }
+  }
+
+  async deleteOrganization(organizationId) {
+    try {
+      const referenced = await Fleet.exists({
+        $or: ORGANIZATION_ROLES.map(role => ({ [role]: organizationId }))
+      });
+      if (referenced) {
+        throw new Error('Organization is still referenced by a fleet');
+      }
+
+      const organization = await Organization.findByIdAndDelete(organizationId);
+      if (!organization) {
+        throw new Error('Organization not found');
+      }
+    } catch (error) {
+      logger.error('Failed to delete organization:', error);
+      throw error;
+    }
+  }
+
+  async assertOrganizationsExist(data) {
+    for (const role of ORGANIZATION_ROLES) {
+      if (data[role] && !(await Organization.exists({ _id: data[role] }))) {
+        throw new Error('Organization not found');
+      }
+    }
+  }
+
+  async createFleet(data) {
+    try {
+      await this.assertOrganizationsExist(data);
+      // Ships are added afterwards through assignShip so their dates are checked
+      const fleetData = { ...data };
+      delete fleetData.ships;
+      return await Fleet.create(fleetData);
+    } catch (error) {
+      logger.error('Failed to create fleet:', error);
+      throw error;
+    }
+  }
+
+  async listFleets({ organizationId } = {}) {
+    try {
+      const query = organizationId
+        ? { $or: ORGANIZATION_ROLES.map(role => ({ [role]: organizationId })) }
+        : {};
+
+      return await Fleet.find(query)
+        .sort('name')
+        .populate(ORGANIZATION_ROLES.join(' '), 'name roles');
+    } catch (error) {
+      logger.error('Failed to list fleets:', error);
+      throw error;
+    }
+  }
+
+  async getFleet(fleetId) {
+    try {
+      const fleet = await Fleet.findById(fleetId)
+        .populate(ORGANIZATION_ROLES.join(' '), 'name roles')
+        .populate('ships.ship', 'name type imoNumber status');
+      if (!fleet) {
+        throw new Error('Fleet not found');
+      }
+      return fleet;
+    } catch (error) {
+      logger.error('Failed to get fleet:', error);
+      throw error;
+    }
+  }
+
+  async updateFleet(fleetId, data) {
+    try {
+      await this.assertOrganizationsExist(data);
+      // Memberships are managed through assignShip and endAssignment
+      const fleetData = { ...data };
+      delete fleetData.ships;
+
+      const fleet = await Fleet.findByIdAndUpdate(
+        fleetId,
+        { $set: fleetData },
+        { new: true, runValidators: true }
+      );
+      if (!fleet) {
+        throw new Error('Fleet not found');
+      }
+      return fleet;
+    } catch (error) {
+      logger.error('Failed to update fleet:', error);
+      throw error;
+    }
+  }
+
+  async deleteFleet(fleetId) {
+    try {
+      const fleet = await Fleet.findByIdAndDelete(fleetId);
+      if (!fleet) {
+        throw new Error('Fleet not found');
+      }
+    } catch (error) {
+      logger.error('Failed to delete fleet:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Adds a ship to a fleet for the given period. An open-ended period
+   * (no effectiveTo) lasts until the assignment is ended.
+   */
+  async assignShip(fleetId, shipId, { effectiveFrom = new Date(), effectiveTo = null } = {}) {
+    try {
+      const fleet = await Fleet.findById(fleetId);
+      if (!fleet) {
+        throw new Error('Fleet not found');
+      }
+      if (!(await Ship.exists({ _id: shipId }))) {
+        throw new Error('Ship not found');
+      }
+
+      const from = new Date(effectiveFrom);
+      const to = effectiveTo ? new Date(effectiveTo) : null;
+      if (to && to <= from) {
+        throw new Error('Invalid assignment: effectiveTo must be after effectiveFrom');
+      }
+
+      const overlaps = fleet.ships.some(membership =>
+        membership.ship.toString() === shipId.toString() &&
+        (!membership.effectiveTo || membership.effectiveTo > from) &&
+        (!to || membership.effectiveFrom < to)
+      );
+      if (overlaps) {
+        throw new Error('Ship is already assigned to this fleet for an overlapping period');
+      }
+
+      fleet.ships.push({ ship: shipId, effectiveFrom: from, effectiveTo: to });
+      await fleet.save();
+      return fleet;
+    } catch (error) {
+      logger.error('Failed to assign ship to fleet:', error);
+      throw error;
+    }
+  }
+
+  async endAssignment(fleetId, shipId, effectiveTo = new Date()) {
+    try {
+      const fleet = await Fleet.findById(fleetId);
+      if (!fleet) {
+        throw new Error('Fleet not found');
+      }
+
+      const end = new Date(effectiveTo);
+      const membership = fleet.ships.find(m =>
+        m.ship.toString() === shipId.toString() &&
+        (!m.effectiveTo || m.effectiveTo > end)
+      );
+      if (!membership) {
+        throw new Error('Ship is not assigned to this fleet');
+      }
+      if (end <= membership.effectiveFrom) {
+        throw new Error('Invalid assignment: effectiveTo must be after effectiveFrom');
+      }
+
+      membership.effectiveTo = end;
+      await fleet.save();
+      return fleet;
+    } catch (error) {
+      logger.error('Failed to end fleet assignment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Returns the fleet with its memberships only, for analytics to count each
+   * ship's records while it was in the fleet.
+   */
+  async getFleetScope(fleetId) {
+    try {
+      const fleet = await Fleet.findById(fleetId).select('ships');
+      if (!fleet) {
+        throw new Error('Fleet not found');
+      }
+      return fleet;
+    } catch (error) {
+      logger.error('Failed to get fleet scope:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Returns the ids of the ships that belong to the fleet at the given time.
+   */
+  async getActiveShipIds(fleetId, at = new Date()) {
+    try {
+      const fleet = await Fleet.findById(fleetId).select('ships');
+      if (!fleet) {
+        throw new Error('Fleet not found');
+      }
+      return fleet.getActiveShipIds(at);
+    } catch (error) {
+      logger.error('Failed to get fleet ships:', error);
+      throw error;
+    }
+  }
+}
+
+// Export the class
+module.exports = FleetService;
@@ -1,8 +1,26 @@
 const Ship = require('../models/Ship');
 const Maintenance = require('../models/Maintenance');
+const EngineHoursService = require('./EngineHoursService');
 const { logger } = require('../utils/logger');
 
+// Share of a service interval used up at which the machine is serviced in the next yard period
+const SERVICE_DUE_THRESHOLD = 0.8;
+
+// Estimated hours for servicing one machinery item
+const SERVICE_DURATIONS = {
+  MAIN_ENGINE: 8,
+  AUXILIARY_ENGINE: 4,
+  BOILER: 6,
+  PUMP: 2,
+  COMPRESSOR: 2,
+  OTHER: 3
+};
+
 class MaintenanceService {
+  constructor() {
+    this.engineHoursService = new EngineHoursService();
+  }
+
   async scheduleMaintenance(shipId) {
     try {
       const ship = await Ship.findById(shipId)
@@ -13,15 +31,28 @@ class MaintenanceService {
         throw new Error('Ship not found');
       }
 
+      if (ship.archivedAt) {
+        throw new Error('Ship is not available for maintenance scheduling (archived)');
+      }
+      if (ship.status === 'DECOMMISSIONED') {
+        throw new Error(`Ship is not available for maintenance scheduling (status: ${ship.status})`);
+      }
+
       // Calculate next maintenance based on various factors
       const nextMaintenance = await this.predictNextMaintenance(ship);
 
+      // Never schedule the yard period in the middle of a planned or active voyage
+      const schedule = this.avoidActiveVoyages(nextMaintenance.date, ship.routes || []);
+
       // Create maintenance schedule
       const maintenance = await Maintenance.create({
         ship: ship._id,
         type: 'ROUTINE',
-        date: nextMaintenance.date,
+        date: schedule.date,
         description: 'Scheduled routine maintenance',
+        notes: schedule.deferredBy.length > 0
+          ? `Deferred until after voyage(s) ${schedule.deferredBy.join(', ')}`
+          : undefined,
         tasks: this.generateMaintenanceTasks(ship, nextMaintenance.factors),
         cost: {
           estimated: this.estimateMaintenanceCost(nextMaintenance.tasks)
@@ -44,14 +75,42 @@ class MaintenanceService {
     }
   }
 
+  avoidActiveVoyages(date, routes) {
+    const voyages = routes.filter(route =>
+      ['PLANNED', 'IN_PROGRESS'].includes(route.status) &&
+      route.estimatedDeparture && route.estimatedArrival
+    );
+
+    let scheduledDate = new Date(date);
+    const deferredBy = [];
+    let conflict;
+
+    // Keep pushing the date past overlapping voyages until it falls in a gap
+    while ((conflict = voyages.find(route =>
+      scheduledDate >= route.estimatedDeparture && scheduledDate <= route.estimatedArrival
+    ))) {
+      deferredBy.push(conflict._id.toString());
+      scheduledDate = new Date(conflict.estimatedArrival.getTime() + 24 * 60 * 60 * 1000);
+    }
+
+    return { date: scheduledDate, deferredBy };
+  }
+
   async predictNextMaintenance(ship) {
     // Get last maintenance date
     const lastMaintenance = ship.maintenanceHistory && ship.maintenanceHistory.length > 0 ?
       ship.maintenanceHistory.sort((a, b) => b.date - a.date)[0] : null;
 
+    // Running hours per day measured from the recorded hour readings
+    const rates = await this.engineHoursService.getRecentRates(ship._id);
+    const machinery = (ship.machinery || []).map(machine =>
+      machine.getServiceStatus(new Date(), rates.machinery[machine._id.toString()])
+    );
+
     // Calculate factors affecting maintenance timing
     const factors = {
-      engineHours: this.calculateEngineHours(ship),
+      engineHours: this.calculateEngineHours(ship, machinery, rates.ship),
+      machinery,
       routeIntensity: this.calculateRouteIntensity(ship.routes || []),
       weatherImpact: this.calculateWeatherImpact(ship.routes || []),
       lastMaintenanceAge: lastMaintenance ? 
@@ -63,9 +122,18 @@ class MaintenanceService {
 
     // Determine next maintenance date based on risk score
     const daysUntilMaintenance = this.calculateDaysUntilMaintenance(riskScore);
-    const nextMaintenanceDate = new Date();
+    let nextMaintenanceDate = new Date();
     nextMaintenanceDate.setDate(nextMaintenanceDate.getDate() + daysUntilMaintenance);
 
+    // A machine reaching its service interval sooner brings the date forward
+    const earliestDue = machinery
+      .map(machine => machine.dueDate)
+      .filter(Boolean)
+      .sort((a, b) => a - b)[0];
+    if (earliestDue && earliestDue < nextMaintenanceDate) {
+      nextMaintenanceDate = earliestDue;
+    }
+
     return {
       date: nextMaintenanceDate,
       factors,
@@ -73,12 +141,26 @@ class MaintenanceService {
     };
   }
 
-  calculateEngineHours(ship) {
+  calculateEngineHours(ship, machinery = [], hoursPerDay = null) {
+    // With per-machine counters the machine closest to its service drives the risk
+    if (machinery.length > 0) {
+      const critical = machinery.reduce((worst, machine) =>
+        machine.utilisation > worst.utilisation ? machine : worst
+      );
+      return {
+        total: ship.engineHours,
+        sinceLastMaintenance: critical.hoursSinceService,
+        serviceInterval: critical.serviceInterval,
+        hoursPerDay: critical.hoursPerDay,
+        critical: critical.name
+      };
+    }
+
     return {
       total: ship.engineHours,
       sinceLastMaintenance: ship.engineHours % 5000, // Assuming maintenance every 5000 hours
-      hoursPerDay: ship.routes.length > 0 ? 
-        ship.engineHours / (ship.routes.length * 30) : 0 // Rough estimate
+      serviceInterval: 5000,
+      hoursPerDay: hoursPerDay || 0
     };
   }
 
@@ -148,7 +230,10 @@ class MaintenanceService {
       lastMaintenanceAge: 0.1
     };
 
-    const engineHoursScore = Math.min(factors.engineHours.sinceLastMaintenance / 5000, 1);
+    const engineHoursScore = Math.min(
+      factors.engineHours.sinceLastMaintenance / (factors.engineHours.serviceInterval || 5000),
+      1
+    );
     const routeIntensityScore = Math.min(factors.routeIntensity.routesPerMonth / 10, 1);
     const weatherImpactScore = factors.weatherImpact;
     const ageScore = Math.min(factors.lastMaintenanceAge / 180, 1); // 6 months max
@@ -190,7 +275,18 @@ class MaintenanceService {
     ];
 
     // Add conditional tasks based on factors
-    if (factors.engineHours.sinceLastMaintenance > 4000) {
+    const machinery = factors.machinery || [];
+    if (machinery.length > 0) {
+      machinery
+        .filter(machine => machine.utilisation >= SERVICE_DUE_THRESHOLD)
+        .forEach(machine => tasks.push({
+          name: `Service ${machine.name}`,
+          estimatedDuration: SERVICE_DURATIONS[machine.category],
+          machinery: machine.machineryId,
+          status: 'PENDING',
+          notes: `${Math.round(machine.hoursSinceService)} of ${machine.serviceInterval} running hours since last service`
+        }));
+    } else if (factors.engineHours.sinceLastMaintenance > 4000) {
       tasks.push({
         name: 'Engine Oil Change',
         estimatedDuration: 2,
@@ -252,6 +348,13 @@ class MaintenanceService {
         throw new Error('Maintenance record not found');
       }
 
+      // Maintenance progress drives the ship's operational state; the ship
+      // transition is validated before anything is saved.
+      const ship = await Ship.findById(maintenance.ship);
+      if (ship && maintenance.status !== status) {
+        await this.applyShipStatusForMaintenance(ship, maintenance, status);
+      }
+
       maintenance.status = status;
 
       if (completedTasks.length > 0) {
@@ -268,13 +371,16 @@ class MaintenanceService {
         maintenance.cost.actual = maintenance.calculateTotalCost();
         
         // Update ship's last maintenance date
-        await Ship.findByIdAndUpdate(maintenance.ship, {
-          lastMaintenance: new Date(),
-          $inc: { engineHours: 0 } // Reset engine hours if needed
-        });
+        if (ship) {
+          ship.lastMaintenance = new Date();
+          this.resetServicedMachinery(ship, maintenance);
+        }
       }
 
       await maintenance.save();
+      if (ship && ship.isModified()) {
+        await ship.save();
+      }
       return maintenance;
     } catch (error) {
       logger.error('Failed to update maintenance status:', error);
@@ -282,6 +388,39 @@ class MaintenanceService {
     }
   }
 
+  // Restarts the service interval of every machine whose service task was completed
+  resetServicedMachinery(ship, maintenance) {
+    const serviced = maintenance.tasks.filter(task => task.machinery && task.status === 'COMPLETED');
+    serviced.forEach(task => {
+      const machine = ship.machinery.id(task.machinery);
+      if (machine) {
+        machine.hoursAtLastService = machine.runningHours;
+        machine.lastServiceDate = new Date();
+      }
+    });
+    if (serviced.length > 0) {
+      ship.calculateNextMaintenance();
+    }
+  }
+
+  async applyShipStatusForMaintenance(ship, maintenance, status) {
+    const reason = `Maintenance ${maintenance._id} ${status.toLowerCase().replace('_', ' ')}`;
+
+    if (status === 'IN_PROGRESS') {
+      ship.transitionTo('IN_MAINTENANCE', reason);
+    } else if (['COMPLETED', 'CANCELLED'].includes(status) && ship.status === 'IN_MAINTENANCE') {
+      // Another yard job may still be running on the same ship
+      const otherActive = await Maintenance.exists({
+        ship: ship._id,
+        status: 'IN_PROGRESS',
+        _id: { $ne: maintenance._id }
+      });
+      if (!otherActive) {
+        ship.transitionTo('IN_PORT', reason);
+      }
+    }
+  }
+
   async getMaintenanceHistory(shipId, status = null) {
     try {
       const query = { ship: shipId };
@@ -300,14 +439,43 @@ class MaintenanceService {
     }
   }
 
-  async getMaintenanceInsights(shipId) {
+  /**
+   * Runs a listing built by utils/queryBuilder and returns one page of
+   * maintenance records with the total across all pages.
+   */
+  async listMaintenance({ filter, sort, projection, skip, limit }) {
     try {
-      const ship = await Ship.findById(shipId).populate('maintenanceHistory');
-      if (!ship) {
-        throw new Error('Ship not found');
+      const [records, total] = await Promise.all([
+        Maintenance.find(filter)
+          .select(projection)
+          .sort(sort)
+          .skip(skip)
+          .limit(limit)
+          .populate('ship', 'name type'),
+        Maintenance.countDocuments(filter)
+      ]);
+
+      return { records, total };
+    } catch (error) {
+      logger.error('Failed to list maintenance records:', error);
+      throw error;
+    }
+  }
+
+  async getMaintenanceInsights({ shipId, fleet }) {
+    try {
+      let maintenanceHistory;
+      if (fleet) {
+        // Fleet-wide insights over the maintenance done while each ship was in the fleet
+        maintenanceHistory = await Maintenance.find(fleet.membershipFilter('date'));
+      } else {
+        const ship = await Ship.findById(shipId).populate('maintenanceHistory');
+        if (!ship) {
+          throw new Error('Ship not found');
+        }
+        maintenanceHistory = ship.maintenanceHistory || [];
       }
 
-      const maintenanceHistory = ship.maintenanceHistory || [];
       const completedMaintenance = maintenanceHistory.filter(m => m.status === 'COMPLETED');
 
       if (completedMaintenance.length === 0) {
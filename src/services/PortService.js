@@ -0,0 +1,118 @@
+const Port = require('../models/Port');
+const ports = require('../data/ports.json');
+const { greatCircleDistance } = require('../utils/geo');
+const { logger } = require('../utils/logger');
+
+// Supplied coordinates further than this (km) from the named port do not match it
+const PORT_MATCH_DISTANCE = 50;
+
+const DEFAULT_NEARBY_RADIUS = 500;
+const DEFAULT_NEARBY_LIMIT = 10;
+
+class PortService {
+  /**
+   * Loads the bundled UN/LOCODE dataset in data/ports.json, updating ports
+   * already present by code. Safe to run on every start.
+   */
+  async seedPorts() {
+    try {
+      const result = await Port.bulkWrite(ports.map(({ coordinates, ...port }) => ({
+        updateOne: {
+          filter: { code: port.code },
+          update: { $set: { ...port, location: { type: 'Point', coordinates } } },
+          upsert: true
+        }
+      })));
+
+      logger.info(`Seeded ${ports.length} ports (${result.upsertedCount} new)`);
+      return { total: ports.length, inserted: result.upsertedCount };
+    } catch (error) {
+      logger.error('Failed to seed ports:', error);
+      throw error;
+    }
+  }
+
+  async listPorts({ filter, sort, projection, skip, limit }) {
+    try {
+      const [items, total] = await Promise.all([
+        Port.find(filter)
+          .select(projection)
+          .sort(sort)
+          .skip(skip)
+          .limit(limit),
+        Port.countDocuments(filter)
+      ]);
+
+      return { items, total };
+    } catch (error) {
+      logger.error('Failed to list ports:', error);
+      throw error;
+    }
+  }
+
+  async getPortByCode(code) {
+    try {
+      const port = await Port.findOne({ code: code.toUpperCase() });
+      if (!port) {
+        throw new Error('Port not found');
+      }
+      return port;
+    } catch (error) {
+      logger.error('Failed to get port:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ports within `radius` km of a position, nearest first, each with its
+   * distance in km.
+   */
+  async findNearby({ longitude, latitude, radius = DEFAULT_NEARBY_RADIUS, limit = DEFAULT_NEARBY_LIMIT }) {
+    try {
+      return await Port.aggregate([
+        {
+          $geoNear: {
+            near: { type: 'Point', coordinates: [longitude, latitude] },
+            distanceField: 'distance',
+            distanceMultiplier: 0.001,
+            maxDistance: radius * 1000,
+            spherical: true
+          }
+        },
+        { $limit: limit }
+      ]);
+    } catch (error) {
+      logger.error('Failed to find nearby ports:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Completes a route endpoint given by port code with the port's name and
+   * coordinates. Coordinates supplied as well must lie at the named port.
+   * Endpoints without a port code are returned unchanged.
+   */
+  async resolveEndpoint(endpoint, label) {
+    if (!endpoint?.portCode) {
+      return endpoint;
+    }
+
+    const port = await this.getPortByCode(endpoint.portCode);
+    if (endpoint.coordinates) {
+      const offset = greatCircleDistance(endpoint.coordinates, port.location.coordinates);
+      if (offset > PORT_MATCH_DISTANCE) {
+        throw new Error(`Invalid route data: ${label} coordinates are ${Math.round(offset)} km from ${port.name} (${port.code})`);
+      }
+    }
+
+    return {
+      ...endpoint,
+      portCode: port.code,
+      port: endpoint.port || port.name,
+      coordinates: endpoint.coordinates || port.location.coordinates
+    };
+  }
+}
+
+// Export the class
+module.exports = PortService;
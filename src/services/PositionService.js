@@ -0,0 +1,138 @@
+const Ship = require('../models/Ship');
+const Position = require('../models/Position');
+const { logger } = require('../utils/logger');
+const EtaService = require('./EtaService');
+
+// Allowed clock skew between the reporting device and the server
+const MAX_FUTURE_SKEW_MS = 5 * 60 * 1000;
+
+// ETA updates in progress per ship id: { next, done } with `next` the
+// position waiting to be used once the running update is done
+const etaUpdates = new Map();
+
+class PositionService {
+  constructor(options = {}) {
+    this.etaService = options.etaService || new EtaService();
+  }
+
+  async recordPosition(shipId, report) {
+    try {
+      const ship = await Ship.findById(shipId);
+      if (!ship) {
+        throw new Error('Ship not found');
+      }
+
+      const timestamp = report.timestamp ? new Date(report.timestamp) : new Date();
+      if (timestamp.getTime() > Date.now() + MAX_FUTURE_SKEW_MS) {
+        throw new Error('Invalid position report: timestamp is in the future');
+      }
+
+      const position = await Position.create({
+        ship: ship._id,
+        timestamp,
+        location: {
+          type: 'Point',
+          coordinates: [report.longitude, report.latitude]
+        },
+        speedOverGround: report.speedOverGround,
+        courseOverGround: report.courseOverGround,
+        heading: report.heading,
+        source: report.source || 'MANUAL'
+      });
+
+      // Late or replayed reports only go into the history; the ship's
+      // current location is never moved backwards in time.
+      await Ship.updateOne(
+        {
+          _id: ship._id,
+          $or: [
+            { 'currentLocation.timestamp': { $exists: false } },
+            { 'currentLocation.timestamp': { $lte: timestamp } }
+          ]
+        },
+        {
+          $set: {
+            currentLocation: {
+              type: 'Point',
+              coordinates: position.location.coordinates,
+              timestamp,
+              speedOverGround: position.speedOverGround,
+              courseOverGround: position.courseOverGround,
+              heading: position.heading
+            }
+          }
+        }
+      );
+
+      // ETA updates may wait on the weather service, so the report is not held up by them
+      this.scheduleEtaUpdate(position);
+
+      return position;
+    } catch (error) {
+      if (error.code === 11000) {
+        // Repeated reports are routine on an AIS feed
+        logger.debug(`Duplicate position report for ship ${shipId} ignored`);
+      } else {
+        logger.error('Failed to record position:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Updates the ship's route ETA from a position in the background, one
+   * update at a time per ship. A position arriving while an update runs
+   * waits for it, replacing any older position still waiting. Returns a
+   * promise settled once the ship's queued updates are done; failures
+   * are logged, never thrown, so a failed ETA update never loses a report.
+   */
+  scheduleEtaUpdate(position) {
+    const key = String(position.ship);
+    const queued = etaUpdates.get(key);
+    if (queued) {
+      if (!queued.next || new Date(position.timestamp) >= new Date(queued.next.timestamp)) {
+        queued.next = position;
+      }
+      return queued.done;
+    }
+
+    const update = { next: position };
+    etaUpdates.set(key, update);
+    update.done = (async () => {
+      while (update.next) {
+        const current = update.next;
+        update.next = null;
+        try {
+          await this.etaService.updateFromPosition(current);
+        } catch (etaError) {
+          logger.warn('ETA update failed:', etaError);
+        }
+      }
+      etaUpdates.delete(key);
+    })();
+    return update.done;
+  }
+
+  async getPositionHistory(shipId, { from, to, limit = 100 } = {}) {
+    try {
+      const query = { ship: shipId };
+      if (from || to) {
+        query.timestamp = {};
+        if (from) query.timestamp.$gte = new Date(from);
+        if (to) query.timestamp.$lte = new Date(to);
+      }
+
+      const positions = await Position.find(query)
+        .sort('-timestamp')
+        .limit(limit);
+
+      return positions;
+    } catch (error) {
+      logger.error('Failed to get position history:', error);
+      throw error;
+    }
+  }
+}
+
+// Export the class
+module.exports = PositionService;
@@ -0,0 +1,228 @@
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// MLC 2006 Standard A2.3 / STCW Regulation VIII/1 limits
+const DEFAULT_LIMITS = {
+  minRestPer24h: 10,
+  minRestPer7d: 77,
+  maxRestPeriods: 2,
+  minLongestRestPeriod: 6,
+  maxIntervalBetweenRest: 14
+};
+
+// "HH:MM" to minutes after midnight; "24:00" closes the day
+const toMinutes = time => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const round = hours => Math.round(hours * 100) / 100;
+
+/**
+ * Checks daily rest hour records against the MLC/STCW rules. Records are
+ * { date, restPeriods: [{ start: 'HH:MM', end: 'HH:MM' }] } in ship's time;
+ * rest that continues over midnight is entered on both days and joined
+ * here. Windows that reach into days without a record are not judged.
+ */
+class RestHoursEvaluator {
+  constructor(limits = {}) {
+    this.limits = { ...DEFAULT_LIMITS, ...limits };
+  }
+
+  buildTimeline(records) {
+    const days = [];
+    const rests = [];
+
+    [...records]
+      .sort((a, b) => new Date(a.date) - new Date(b.date))
+      .forEach(record => {
+        const dayStart = new Date(record.date).setUTCHours(0, 0, 0, 0);
+        days.push({ start: dayStart, end: dayStart + DAY_MS });
+        record.restPeriods
+          .map(period => ({
+            start: dayStart + toMinutes(period.start) * 60000,
+            end: dayStart + toMinutes(period.end) * 60000
+          }))
+          .sort((a, b) => a.start - b.start)
+          .forEach(period => rests.push(period));
+      });
+
+    return {
+      coverage: this.mergeIntervals(days),
+      rests: this.mergeIntervals(rests)
+    };
+  }
+
+  // Joins touching or overlapping intervals, e.g. rest from 22:00 to 24:00 and 00:00 to 06:00
+  mergeIntervals(intervals) {
+    return [...intervals]
+      .sort((a, b) => a.start - b.start)
+      .reduce((merged, interval) => {
+        const last = merged[merged.length - 1];
+        if (last && interval.start <= last.end) {
+          last.end = Math.max(last.end, interval.end);
+        } else {
+          merged.push({ ...interval });
+        }
+        return merged;
+      }, []);
+  }
+
+  isCovered(coverage, start, end) {
+    return coverage.some(segment => segment.start <= start && segment.end >= end);
+  }
+
+  restPeriodsWithin(rests, start, end) {
+    return rests
+      .map(rest => ({ start: Math.max(rest.start, start), end: Math.min(rest.end, end) }))
+      .filter(rest => rest.end > rest.start);
+  }
+
+  restHoursWithin(rests, start, end) {
+    return this.restPeriodsWithin(rests, start, end)
+      .reduce((sum, rest) => sum + (rest.end - rest.start) / HOUR_MS, 0);
+  }
+
+  /**
+   * Returns the rule violations found in the records, each with the
+   * offending window. Overlapping windows breaking the same rule are
+   * reported once, using the worst of them.
+   */
+  evaluate(records) {
+    const { coverage, rests } = this.buildTimeline(records);
+    const violations = [
+      ...this.checkRollingRest(coverage, rests, DAY_MS, this.limits.minRestPer24h, 'MIN_REST_24H'),
+      ...this.checkRollingRest(coverage, rests, 7 * DAY_MS, this.limits.minRestPer7d, 'MIN_REST_7D'),
+      ...this.checkRestPeriods(coverage, rests),
+      ...this.checkIntervals(coverage, rests)
+    ];
+
+    return violations.sort((a, b) => a.windowStart - b.windowStart);
+  }
+
+  /**
+   * The rest in a sliding window only changes slope where a rest period
+   * starts or ends at either edge, so those are the only windows that
+   * need checking.
+   */
+  candidateStarts(coverage, rests, length) {
+    const starts = new Set();
+    coverage.forEach(segment => {
+      starts.add(segment.start);
+      starts.add(segment.end - length);
+    });
+    rests.forEach(rest => {
+      [rest.start, rest.end].forEach(boundary => {
+        starts.add(boundary);
+        starts.add(boundary - length);
+      });
+    });
+
+    return [...starts]
+      .filter(start => this.isCovered(coverage, start, start + length))
+      .sort((a, b) => a - b);
+  }
+
+  checkRollingRest(coverage, rests, length, required, rule) {
+    const found = this.candidateStarts(coverage, rests, length)
+      .map(start => ({ start, hours: this.restHoursWithin(rests, start, start + length) }))
+      .filter(window => window.hours < required)
+      .map(window => ({
+        rule,
+        windowStart: new Date(window.start),
+        windowEnd: new Date(window.start + length),
+        restHours: round(window.hours),
+        requiredHours: required
+      }));
+
+    return this.collapse(found, (a, b) => a.restHours < b.restHours);
+  }
+
+  checkRestPeriods(coverage, rests) {
+    const { maxRestPeriods, minLongestRestPeriod } = this.limits;
+    // Windows start when work starts so that no rest period is cut in two at the start
+    const workStarts = coverage
+      .map(segment => segment.start)
+      .filter(start => !rests.some(rest => rest.start <= start && rest.end > start));
+    const starts = [...workStarts, ...rests.map(rest => rest.end)]
+      .filter(start => this.isCovered(coverage, start, start + DAY_MS));
+
+    const found = [...new Set(starts)]
+      .sort((a, b) => a - b)
+      .map(start => {
+        const periods = this.restPeriodsWithin(rests, start, start + DAY_MS);
+        const longest = Math.max(0, ...periods.map(period => (period.end - period.start) / HOUR_MS));
+        return { start, periods: periods.length, longest };
+      })
+      // A day without any rest is already a MIN_REST_24H violation
+      .filter(window => window.periods > 0 &&
+        (window.periods > maxRestPeriods || window.longest < minLongestRestPeriod))
+      .map(window => ({
+        rule: 'REST_PERIODS',
+        windowStart: new Date(window.start),
+        windowEnd: new Date(window.start + DAY_MS),
+        restPeriods: window.periods,
+        longestRestHours: round(window.longest),
+        maxRestPeriods,
+        minLongestRestHours: minLongestRestPeriod
+      }));
+
+    return this.collapse(found, (a, b) => a.restPeriods > b.restPeriods || a.longestRestHours < b.longestRestHours);
+  }
+
+  checkIntervals(coverage, rests) {
+    const limit = this.limits.maxIntervalBetweenRest;
+    const violations = [];
+
+    for (let i = 1; i < rests.length; i++) {
+      const start = rests[i - 1].end;
+      const end = rests[i].start;
+      const hours = (end - start) / HOUR_MS;
+      if (hours > limit && this.isCovered(coverage, start, end)) {
+        violations.push({
+          rule: 'MAX_INTERVAL',
+          windowStart: new Date(start),
+          windowEnd: new Date(end),
+          intervalHours: round(hours),
+          maxIntervalHours: limit
+        });
+      }
+    }
+
+    return violations;
+  }
+
+  // Merges overlapping windows of one rule, keeping the worst
+  collapse(violations, isWorse) {
+    return violations.reduce((collapsed, violation) => {
+      const last = collapsed[collapsed.length - 1];
+      if (last && violation.windowStart < last.windowEnd) {
+        if (isWorse(violation, last)) collapsed[collapsed.length - 1] = violation;
+      } else {
+        collapsed.push(violation);
+      }
+      return collapsed;
+    }, []);
+  }
+
+  /**
+   * Totals for a set of daily records; every recorded hour that is not
+   * rest counts as work.
+   */
+  summarize(records) {
+    const restHours = records.reduce((sum, record) =>
+      sum + record.restPeriods.reduce((daySum, period) =>
+        daySum + (toMinutes(period.end) - toMinutes(period.start)) / 60, 0), 0);
+
+    return {
+      daysRecorded: records.length,
+      restHours: round(restHours),
+      workHours: round(records.length * 24 - restHours)
+    };
+  }
+}
+
+RestHoursEvaluator.DEFAULT_LIMITS = DEFAULT_LIMITS;
+
+// Export the class
+module.exports = RestHoursEvaluator;
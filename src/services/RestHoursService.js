@@ -0,0 +1,196 @@
+const RestHourRecord = require('../models/RestHourRecord');
+const CrewMember = require('../models/CrewMember');
+const CrewAssignment = require('../models/CrewAssignment');
+const Ship = require('../models/Ship');
+const RestHoursEvaluator = require('./RestHoursEvaluator');
+const { logger } = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The 7-day rule looks back this far, so earlier records are loaded as context
+const LOOKBACK_DAYS = 6;
+
+const startOfDay = date => new Date(new Date(date).setUTCHours(0, 0, 0, 0));
+
+class RestHoursService {
+  constructor() {
+    this.evaluator = new RestHoursEvaluator();
+  }
+
+  /**
+   * Stores the rest periods of one crew member for one day, replacing any
+   * earlier entry for that day. Without a shipId the ship the crew member
+   * was on board that day is used.
+   */
+  async recordRestHours({ crewMemberId, shipId, date, restPeriods, notes }) {
+    try {
+      const crewMember = await CrewMember.findById(crewMemberId);
+      if (!crewMember) {
+        throw new Error('Crew member not found');
+      }
+
+      const day = startOfDay(date);
+      let ship = shipId;
+      if (!ship) {
+        const assignment = await CrewAssignment.findOne({
+          crewMember: crewMember._id,
+          signOnDate: { $lt: new Date(day.getTime() + DAY_MS) },
+          $or: [{ signOffDate: null }, { signOffDate: { $gt: day } }]
+        });
+        if (!assignment) {
+          throw new Error('Invalid rest record: crew member is not on board a ship on that date');
+        }
+        ship = assignment.ship;
+      } else if (!(await Ship.exists({ _id: shipId }))) {
+        throw new Error('Ship not found');
+      }
+
+      let record = await RestHourRecord.findOne({ crewMember: crewMember._id, date: day });
+      if (!record) {
+        record = new RestHourRecord({ crewMember: crewMember._id, date: day });
+      }
+      Object.assign(record, { ship, restPeriods, notes });
+      await record.save();
+
+      return record;
+    } catch (error) {
+      logger.error('Failed to record rest hours:', error);
+      throw error;
+    }
+  }
+
+  async getCrewRestHours(crewMemberId, { from, to } = {}) {
+    try {
+      if (!(await CrewMember.exists({ _id: crewMemberId }))) {
+        throw new Error('Crew member not found');
+      }
+
+      const end = to ? startOfDay(to) : startOfDay(new Date());
+      const start = from ? startOfDay(from) : new Date(end.getTime() - 30 * DAY_MS);
+
+      const context = await RestHourRecord.find({
+        crewMember: crewMemberId,
+        date: { $gte: new Date(start.getTime() - LOOKBACK_DAYS * DAY_MS), $lte: end }
+      }).sort('date');
+      const records = context.filter(record => record.date >= start);
+
+      return {
+        from: start,
+        to: end,
+        records,
+        ...this.evaluator.summarize(records),
+        violations: this.evaluator.evaluate(context)
+          .filter(violation => violation.windowEnd > start)
+      };
+    } catch (error) {
+      logger.error('Failed to get crew rest hours:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Compliance report for everyone on board a ship during a calendar
+   * month ("YYYY-MM"), with the violations and the days left unrecorded.
+   */
+  async getMonthlyShipReport(shipId, month) {
+    try {
+      const ship = await Ship.findById(shipId).select('name imoNumber');
+      if (!ship) {
+        throw new Error('Ship not found');
+      }
+
+      const [year, monthNumber] = month.split('-').map(Number);
+      const monthStart = new Date(Date.UTC(year, monthNumber - 1, 1));
+      const monthEnd = new Date(Date.UTC(year, monthNumber, 1));
+
+      const assignments = await CrewAssignment.find({
+        ship: ship._id,
+        signOnDate: { $lt: monthEnd },
+        $or: [{ signOffDate: null }, { signOffDate: { $gt: monthStart } }]
+      }).populate('crewMember', 'firstName lastName rank');
+
+      const recordedCrewIds = await RestHourRecord.distinct('crewMember', {
+        ship: ship._id,
+        date: { $gte: monthStart, $lt: monthEnd }
+      });
+      const crewIds = [...new Set([
+        ...assignments.map(assignment => assignment.crewMember._id.toString()),
+        ...recordedCrewIds.map(id => id.toString())
+      ])];
+
+      // Earlier days are loaded from any ship so the 7-day rule sees the whole week
+      const records = await RestHourRecord.find({
+        crewMember: { $in: crewIds },
+        date: { $gte: new Date(monthStart.getTime() - LOOKBACK_DAYS * DAY_MS), $lt: monthEnd }
+      }).sort('date');
+
+      const crewMembers = await CrewMember.find({ _id: { $in: crewIds } })
+        .select('firstName lastName rank');
+
+      const crew = crewMembers.map(crewMember => {
+        const id = crewMember._id.toString();
+        const context = records.filter(record => record.crewMember.toString() === id);
+        const monthRecords = context.filter(record =>
+          record.date >= monthStart && record.ship.toString() === ship._id.toString()
+        );
+        const daysOnBoard = this.countDaysOnBoard(
+          assignments.filter(assignment => assignment.crewMember._id.toString() === id),
+          monthStart,
+          monthEnd
+        );
+        const violations = this.evaluator.evaluate(context)
+          .filter(violation => violation.windowEnd > monthStart && violation.windowStart < monthEnd);
+
+        return {
+          crewMember,
+          daysOnBoard,
+          missingDays: Math.max(0, daysOnBoard - monthRecords.length),
+          ...this.evaluator.summarize(monthRecords),
+          violations,
+          compliant: violations.length === 0
+        };
+      });
+
+      const violationsByRule = crew
+        .flatMap(entry => entry.violations)
+        .reduce((counts, violation) => {
+          counts[violation.rule] = (counts[violation.rule] || 0) + 1;
+          return counts;
+        }, {});
+
+      return {
+        ship,
+        month,
+        crew,
+        summary: {
+          crewCount: crew.length,
+          compliantCrew: crew.filter(entry => entry.compliant).length,
+          missingDays: crew.reduce((sum, entry) => sum + entry.missingDays, 0),
+          violationsByRule
+        }
+      };
+    } catch (error) {
+      logger.error('Failed to build monthly rest hours report:', error);
+      throw error;
+    }
+  }
+
+  // Calendar days of the month on which the crew member was on board at some point
+  countDaysOnBoard(assignments, monthStart, monthEnd) {
+    const days = new Set();
+    assignments.forEach(assignment => {
+      const first = Math.max(startOfDay(assignment.signOnDate).getTime(), monthStart.getTime());
+      const last = Math.min(
+        assignment.signOffDate ? assignment.signOffDate.getTime() : monthEnd.getTime(),
+        monthEnd.getTime()
+      );
+      for (let day = first; day < last; day += DAY_MS) {
+        days.add(day);
+      }
+    });
+    return days.size;
+  }
+}
+
+// Export the class
+module.exports = RestHoursService;
@@ -1,130 +1,618 @@
 const mongoose = require('mongoose');
 const Route = require('../models/Route');
+const Voyage = require('../models/Voyage');
+const RoutePreview = require('../models/RoutePreview');
 const Ship = require('../models/Ship');
+const Maintenance = require('../models/Maintenance');
 const { logger } = require('../utils/logger');
 const WeatherService = require('./WeatherService');
 const RouteOptimizer = require('./ai/RouteOptimizer');
+const PortService = require('./PortService');
+const RouteScorer = require('./routing/RouteScorer');
+const ZoneService = require('./ZoneService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hours a ship spends at an intermediate port call unless told otherwise
+const DEFAULT_PORT_STAY_HOURS = 24;
+
+// Candidates a route preview returns unless asked for another number
+const DEFAULT_CANDIDATES = 3;
+
+// Speeds tried as shares of the requested one, and departure delays tried, by route previews
+const SLOW_STEAMING_FACTORS = [0.85, 0.7];
+const DEPARTURE_DELAYS_HOURS = [12, 24];
+
+// Weight route previews give fuel burnt inside Emission Control Areas when
+// trying a way round them, about the price of MGO over HFO
+const PREVIEW_ECA_COST_FACTOR = 1.5;
 
 class RoutePlanningService {
   constructor() {
     this.weatherService = new WeatherService();
     this.routeOptimizer = new RouteOptimizer();
+    this.portService = new PortService();
+    this.routeScorer = new RouteScorer();
+    this.zoneService = new ZoneService();
   }
 
   async planRoute(routeData) {
     try {
-      // Validate input data
-      if (!routeData.shipId || !routeData.departure?.coordinates || !routeData.destination?.coordinates) {
-        throw new Error('Invalid route data: missing required fields');
+      routeData = await this.resolveRouteData(routeData);
+      const ship = await this.getShipForPlanning(routeData.shipId);
+
+      const route = await this.planLeg(ship, this.legOptions(routeData));
+
+      await this.checkMaintenanceConflicts(ship._id, route.estimatedDeparture, route.estimatedArrival);
+
+      await route.save();
+      
+      // Update ship's routes
+      ship.routes.push(route._id);
+      await ship.save();
+
+      return route;
+    } catch (error) {
+      logger.error('Route planning error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Plans candidate routes for a request without saving any of them,
+   * varying the path, speed and departure time, and keeps the best
+   * `candidates` ranked by RouteScorer as a RoutePreview to commit from.
+   */
+  async previewRoutes(routeData) {
+    try {
+      routeData = await this.resolveRouteData(routeData);
+      const ship = await this.getShipForPlanning(routeData.shipId);
+      const requested = this.legOptions(routeData);
+      requested.zones = await this.zoneService.zonesFor(ship._id, requested.departureTime);
+
+      // Candidates avoiding the same chokepoints share one forecast
+      const forecasts = new Map();
+      const forecastFor = avoidChokepoints => {
+        const key = [...avoidChokepoints].sort().join(',');
+        if (!forecasts.has(key)) {
+          const corridor = this.routeOptimizer.forecastCorridor(requested.departure, requested.destination, {
+            ship,
+            avoidChokepoints
+          });
+          forecasts.set(key, this.weatherService.getForecastGrid(corridor));
+        }
+        return forecasts.get(key);
+      };
+      const planCandidate = async variant => {
+        const options = { ...requested, ...variant };
+        return this.planLeg(ship, { ...options, forecast: await forecastFor(options.avoidChokepoints || []) });
+      };
+
+      const base = await planCandidate({});
+      const variants = this.candidateVariants(base, requested);
+
+      const candidates = [{ label: 'As requested', variant: {}, route: base }];
+      for (const { label, variant } of variants) {
+        try {
+          candidates.push({ label, variant, route: await planCandidate(variant) });
+        } catch (error) {
+          logger.warn(`Route candidate "${label}" could not be planned:`, error);
+        }
       }
 
-      const ship = await Ship.findById(routeData.shipId);
-      if (!ship) {
-        throw new Error('Ship not found');
+      // Candidates clashing with maintenance are left out, unless all of them do
+      const available = [];
+      let conflict = null;
+      for (const candidate of candidates) {
+        try {
+          await this.checkMaintenanceConflicts(ship._id, candidate.route.estimatedDeparture, candidate.route.estimatedArrival);
+          available.push(candidate);
+        } catch (error) {
+          conflict = conflict || error;
+        }
+      }
+      if (available.length === 0) {
+        throw conflict;
       }
 
-      let weatherData = null;
-      let marineData = null;
+      const ranked = this.routeScorer.rank(
+        available.map(candidate => ({ ...candidate, metrics: this.routeScorer.metrics(candidate.route, ship) })),
+        routeData.weights
+      ).slice(0, routeData.candidates || DEFAULT_CANDIDATES);
 
-      try {
-        // Get weather data for route
-        weatherData = await this.weatherService.getWeatherForecast(routeData.departure.coordinates);
-        marineData = await this.weatherService.getMarineWeather(routeData.departure.coordinates);
-      } catch (weatherError) {
-        logger.warn('Weather service error:', weatherError);
-        // Continue with route planning even if weather service is unavailable
-        weatherData = {
-          current: {
-            temperature: 20,
-            windSpeed: 5,
-            windDirection: 0,
-            description: 'No weather data available'
-          },
-          forecast: []
-        };
-        marineData = {
-          waveHeight: 0,
-          waveDirection: 0,
-          swellHeight: 0,
-          swellDirection: 0,
-          waterTemperature: 20
-        };
-      }
+      return await RoutePreview.create({
+        ship: ship._id,
+        candidates: ranked.map(({ route, ...candidate }) => ({
+          ...candidate,
+          route: route.toObject({ depopulate: true })
+        }))
+      });
+    } catch (error) {
+      logger.error('Route preview error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Variants tried besides the requested route: the way round each canal
+   * it uses, the other path type, less time inside Emission Control Areas
+   * when it has to switch fuel there, slower speeds and later departures.
+   */
+  candidateVariants(base, requested) {
+    const avoided = requested.avoidChokepoints || [];
+    const variants = base.chokepoints
+      .filter(transit => transit.type === 'CANAL')
+      .map(transit => ({
+        label: `Avoiding ${transit.name}`,
+        variant: { avoidChokepoints: [...avoided, transit.chokepoint] }
+      }));
+
+    const pathType = base.pathType === 'RHUMB_LINE' ? 'GREAT_CIRCLE' : 'RHUMB_LINE';
+    variants.push({
+      label: pathType === 'RHUMB_LINE' ? 'Rhumb lines' : 'Great circles',
+      variant: { pathType }
+    });
 
-      // Optimize route
-      const optimizedRoute = await this.routeOptimizer.optimizeRoute({
-        ship,
-        departure: routeData.departure,
-        destination: routeData.destination,
-        weather: weatherData,
-        marine: marineData,
-        cargoWeight: routeData.cargoWeight || 0
+    if (base.fuelPlan?.compliantFuel && !(requested.ecaCostFactor > 1)) {
+      variants.push({
+        label: 'Less time in Emission Control Areas',
+        variant: { ecaCostFactor: PREVIEW_ECA_COST_FACTOR }
       });
+    }
 
-      // Create route record
-      const route = new Route({
-        ship: ship._id,
-        departure: routeData.departure,
-        destination: routeData.destination,
-        estimatedDeparture: routeData.estimatedDeparture || new Date(),
-        estimatedArrival: optimizedRoute.estimatedArrival,
-        distance: optimizedRoute.distance,
-        waypoints: optimizedRoute.waypoints,
-        weather: {
-          departure: weatherData,
-          marine: marineData,
-          average: this.calculateAverageWeather(weatherData, marineData)
-        },
-        fuelConsumption: {
-          estimated: optimizedRoute.fuelConsumption
-        },
-        cargoWeight: routeData.cargoWeight || 0,
-        status: 'PLANNED'
+    // An arrival window already picks the speed
+    if (!requested.arrivalWindow) {
+      SLOW_STEAMING_FACTORS.forEach(factor => {
+        const plannedSpeed = Math.round(base.plannedSpeed * factor * 10) / 10;
+        variants.push({ label: `Slow steaming at ${plannedSpeed} knots`, variant: { plannedSpeed } });
       });
+    }
 
-      await route.save();
-      
-      // Update ship's routes
-      ship.routes.push(route._id);
-      await ship.save();
+    DEPARTURE_DELAYS_HOURS.forEach(hours => {
+      variants.push({
+        label: `Departing ${hours} hours later`,
+        variant: { departureTime: new Date(requested.departureTime.getTime() + hours * HOUR_MS) }
+      });
+    });
+
+    return variants;
+  }
+
+  /**
+   * Saves candidate `rank` of a preview as the ship's route. The preview
+   * is used up; expired previews are not found. Zones added since the
+   * preview was made are checked again: a candidate now entering a no-go
+   * zone is refused, and other new zones it enters are recorded as zone
+   * conflicts.
+   */
+  async commitPreview(previewId, rank) {
+    try {
+      // Deleting the preview claims it, so concurrent or retried commits cannot both save a route
+      const preview = await RoutePreview.findOneAndDelete({ _id: previewId, expiresAt: { $gt: new Date() } });
+      if (!preview) {
+        throw new Error('Route preview not found');
+      }
+
+      let route;
+      try {
+        const candidate = preview.candidates.find(entry => entry.rank === rank);
+        if (!candidate) {
+          throw new Error(`Invalid candidate: the preview has no candidate ${rank}`);
+        }
+
+        const ship = await this.getShipForPlanning(preview.ship);
+        route = new Route(candidate.route);
+        await this.checkMaintenanceConflicts(ship._id, route.estimatedDeparture, route.estimatedArrival);
+        await this.checkNewZones(ship._id, route);
+
+        await route.save();
+        ship.routes.push(route._id);
+        await ship.save();
+      } catch (error) {
+        // Take back the route if it was saved, so the preview can be committed again
+        if (route && !route.isNew) {
+          await Route.deleteOne({ _id: route._id });
+        }
+        await RoutePreview.create(preview.toObject());
+        throw error;
+      }
 
       return route;
     } catch (error) {
-      logger.error('Route planning error:', error);
+      logger.error('Route preview commit error:', error);
       throw error;
     }
   }
 
-  calculateAverageWeather(weatherData, marineData) {
+  // Refuses a route entering a no-go zone it was not planned around;
+  // other such zones it enters are recorded as zone conflicts
+  async checkNewZones(shipId, route) {
+    const planned = new Set(route.riskZones.map(crossing => String(crossing.zone)));
+    const zones = await this.zoneService.zonesFor(shipId, route.estimatedDeparture);
+    const crossed = this.zoneService.zonesCrossed(route, zones).filter(zone => !planned.has(zone.id));
+
+    const noGo = crossed.find(zone => zone.severity === 'NO_GO');
+    if (noGo) {
+      throw new Error(`Route conflicts with no-go zone ${noGo.name}`);
+    }
+    crossed.forEach(zone => {
+      route.zoneConflicts.push({ zone: zone.id, name: zone.name, severity: zone.severity });
+    });
+  }
+
+  // Endpoints may be given by UN/LOCODE instead of coordinates
+  async resolveRouteData(routeData) {
+    const resolved = {
+      ...routeData,
+      departure: await this.portService.resolveEndpoint(routeData.departure, 'departure'),
+      destination: await this.portService.resolveEndpoint(routeData.destination, 'destination')
+    };
+
+    // Validate input data
+    if (!resolved.shipId || !resolved.departure?.coordinates || !resolved.destination?.coordinates) {
+      throw new Error('Invalid route data: missing required fields');
+    }
+    return resolved;
+  }
+
+  // What planLeg needs from a route planning request
+  legOptions(routeData) {
     return {
-      temperature: weatherData?.current?.temperature || 20,
-      windSpeed: weatherData?.current?.windSpeed || 0,
-      windDirection: weatherData?.current?.windDirection || 0,
-      waveHeight: marineData?.waveHeight || 0,
-      swellHeight: marineData?.swellHeight || 0
+      departure: routeData.departure,
+      destination: routeData.destination,
+      departureTime: routeData.estimatedDeparture ? new Date(routeData.estimatedDeparture) : new Date(),
+      cargoWeight: routeData.cargoWeight || 0,
+      plannedSpeed: routeData.plannedSpeed,
+      pathType: routeData.pathType,
+      waypointSpacing: routeData.waypointSpacing,
+      avoidChokepoints: routeData.avoidChokepoints,
+      optimizeFor: routeData.optimizeFor,
+      weatherLimits: routeData.weatherLimits,
+      arrivalWindow: routeData.arrivalWindow,
+      ecaCostFactor: routeData.ecaCostFactor
     };
   }
 
-  generateWaypoints(departure, destination, weatherData) {
-    // Calculate intermediate points based on weather conditions
-    const numPoints = 5; // Number of waypoints between departure and destination
-    const waypoints = [];
+  /**
+   * Plans a voyage calling at several ports: one route per leg between
+   * consecutive port calls, each leg departing once the ship has spent
+   * its port stay at the previous call. Legs carry the cargo on board
+   * after the loading and discharging at their departure port.
+   */
+  async planVoyage(voyageData) {
+    try {
+      if (!voyageData.shipId || !Array.isArray(voyageData.portCalls) || voyageData.portCalls.length < 2) {
+        throw new Error('Invalid voyage data: a ship and at least two port calls are required');
+      }
+
+      // Port calls may be given by UN/LOCODE instead of coordinates
+      const portCalls = [];
+      for (const [index, call] of voyageData.portCalls.entries()) {
+        const resolved = await this.portService.resolveEndpoint(call, `port call ${index + 1}`);
+        if (!resolved.coordinates) {
+          throw new Error(`Invalid voyage data: port call ${index + 1} needs coordinates or a port code`);
+        }
+        portCalls.push(resolved);
+      }
+
+      const ship = await this.getShipForPlanning(voyageData.shipId);
+      const cargoOnBoard = this.calculateCargoOnBoard(portCalls, ship.capacity);
+
+      const calls = portCalls.map(call => ({
+        port: call.port || call.portCode,
+        portCode: call.portCode,
+        coordinates: call.coordinates,
+        cargoLoaded: call.cargoLoaded || 0,
+        cargoDischarged: call.cargoDischarged || 0
+      }));
+      const voyage = new Voyage({
+        ship: ship._id,
+        voyageNumber: voyageData.voyageNumber,
+        portCalls: calls
+      });
+
+      const legs = [];
+      let departureTime = voyageData.estimatedDeparture ? new Date(voyageData.estimatedDeparture) : new Date();
+      for (let index = 0; index < portCalls.length - 1; index++) {
+        const leg = await this.planLeg(ship, {
+          departure: calls[index],
+          destination: calls[index + 1],
+          departureTime,
+          cargoWeight: cargoOnBoard[index],
+          plannedSpeed: voyageData.plannedSpeed,
+          pathType: voyageData.pathType,
+          waypointSpacing: voyageData.waypointSpacing,
+          avoidChokepoints: voyageData.avoidChokepoints,
+          optimizeFor: voyageData.optimizeFor,
+          weatherLimits: voyageData.weatherLimits,
+          ecaCostFactor: voyageData.ecaCostFactor
+        });
+        leg.voyage = voyage._id;
+        leg.legNumber = index + 1;
+        legs.push(leg);
+
+        const portStay = portCalls[index + 1].portStay ?? DEFAULT_PORT_STAY_HOURS;
+        departureTime = new Date(leg.estimatedArrival.getTime() + portStay * HOUR_MS);
+      }
+
+      await this.checkMaintenanceConflicts(ship._id, legs[0].estimatedDeparture, legs[legs.length - 1].estimatedArrival);
+
+      voyage.legs = legs.map(leg => leg._id);
+      voyage.rollUp(legs);
+
+      // Nothing is written until every leg and the voyage are valid
+      await Promise.all([...legs, voyage].map(document => document.validate()));
+      for (const leg of legs) {
+        await leg.save();
+      }
+      await voyage.save();
+
+      ship.routes.push(...voyage.legs);
+      await ship.save();
+
+      return voyage;
+    } catch (error) {
+      logger.error('Voyage planning error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Brings a voyage's port call times, status and totals up to date with
+   * its legs after one of them changed.
+   */
+  async syncVoyage(voyageId) {
+    const voyage = await Voyage.findById(voyageId);
+    if (!voyage) return null;
+
+    const legs = await Route.find({ voyage: voyage._id }).sort('legNumber');
+    voyage.rollUp(legs);
+    return voyage.save();
+  }
+
+  async getVoyageById(voyageId) {
+    try {
+      const voyage = await Voyage.findById(voyageId)
+        .populate('ship', 'name type')
+        .populate('legs', '-waypoints');
+
+      if (!voyage) {
+        throw new Error('Voyage not found');
+      }
+
+      return voyage;
+    } catch (error) {
+      logger.error('Failed to get voyage by ID:', error);
+      throw error;
+    }
+  }
+
+  async listVoyages({ filter, sort, projection, skip, limit }) {
+    try {
+      const [voyages, total] = await Promise.all([
+        Voyage.find(filter)
+          .select(projection)
+          .sort(sort)
+          .skip(skip)
+          .limit(limit)
+          .populate('ship', 'name type'),
+        Voyage.countDocuments(filter)
+      ]);
+
+      return { voyages, total };
+    } catch (error) {
+      logger.error('Failed to list voyages:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The Emission Control Areas, each telling whether it is in force at
+   * `at` (now by default).
+   */
+  getEcas(at = new Date()) {
+    return this.routeOptimizer.ecaZones.list().map(zone => ({
+      ...zone,
+      inForce: zone.effectiveFrom <= new Date(at)
+    }));
+  }
 
-    for (let i = 1; i < numPoints - 1; i++) {
-      const ratio = i / numPoints;
-      const lat = departure[1] + (destination[1] - departure[1]) * ratio;
-      const lon = departure[0] + (destination[0] - departure[0]) * ratio;
+  /**
+   * The chokepoint catalogue; for a ship, each entry also tells whether
+   * it fits, in which vessel class and at what estimated tariff.
+   */
+  async getChokepoints(shipId) {
+    try {
+      const catalogue = this.routeOptimizer.chokepoints;
+      if (!shipId) {
+        return catalogue.list();
+      }
 
-      waypoints.push({
-        coordinates: [lon, lat],
-        // Estimate arrival time at waypoint (linear interpolation)
-        estimatedArrival: new Date(
-          Date.now() + (ratio * (destination.estimatedArrival - departure.estimatedDeparture))
-        )
+      const ship = await Ship.findById(shipId);
+      if (!ship) {
+        throw new Error('Ship not found');
+      }
+
+      return catalogue.list().map(chokepoint => {
+        const { vesselClass, reason } = catalogue.vesselClassFor(chokepoint, ship);
+        return {
+          ...chokepoint,
+          fits: Boolean(vesselClass),
+          vesselClass: vesselClass?.name,
+          reason: reason || undefined,
+          tariffEstimate: catalogue.estimateTariff(chokepoint, ship)
+        };
       });
+    } catch (error) {
+      logger.error('Failed to get chokepoints:', error);
+      throw error;
+    }
+  }
+
+  async getShipForPlanning(shipId) {
+    const ship = await Ship.findById(shipId);
+    if (!ship) {
+      throw new Error('Ship not found');
+    }
+
+    if (!ship.isAvailableForPlanning()) {
+      throw new Error(`Ship is not available for route planning (${ship.planningBlockReason()})`);
+    }
+
+    return ship;
+  }
+
+  /**
+   * Cargo in metric tons on board when leaving each port call, after its
+   * discharging and loading.
+   */
+  calculateCargoOnBoard(portCalls, capacity) {
+    let onBoard = 0;
+    return portCalls.map((call, index) => {
+      onBoard -= call.cargoDischarged || 0;
+      if (onBoard < 0) {
+        throw new Error(`Invalid voyage data: port call ${index + 1} discharges more cargo than is on board`);
+      }
+      onBoard += call.cargoLoaded || 0;
+      if (capacity && onBoard > capacity) {
+        throw new Error(`Invalid voyage data: cargo on board after port call ${index + 1} exceeds the ship's capacity of ${capacity} t`);
+      }
+      return onBoard;
+    });
+  }
+
+  /**
+   * Plans one leg between two points and returns it as an unsaved Route.
+   */
+  async planLeg(ship, {
+    departure,
+    destination,
+    departureTime,
+    cargoWeight,
+    plannedSpeed,
+    pathType,
+    waypointSpacing,
+    avoidChokepoints,
+    optimizeFor,
+    weatherLimits,
+    arrivalWindow,
+    ecaCostFactor,
+    zones,
+    forecast
+  }) {
+    // Forecasts for the sea area the route may pass through, unless already fetched
+    if (!forecast) {
+      const corridor = this.routeOptimizer.forecastCorridor(departure, destination, { ship, avoidChokepoints });
+      forecast = await this.weatherService.getForecastGrid(corridor);
+    }
+
+    // Operator-defined zones in force for the ship, unless already fetched
+    if (!zones) {
+      zones = await this.zoneService.zonesFor(ship._id, departureTime);
     }
 
-    return waypoints;
+    // Optimize route
+    const optimizedRoute = await this.routeOptimizer.optimizeRoute({
+      ship,
+      departure,
+      destination,
+      cargoWeight,
+      plannedSpeed,
+      pathType,
+      waypointSpacing,
+      departureTime,
+      avoidChokepoints,
+      objective: optimizeFor,
+      weatherLimits,
+      forecast,
+      arrivalWindow,
+      ecaCostFactor,
+      zones
+    });
+
+    // Create route record
+    return new Route({
+      ship: ship._id,
+      departure: { port: departure.port, portCode: departure.portCode, coordinates: departure.coordinates },
+      destination: { port: destination.port, portCode: destination.portCode, coordinates: destination.coordinates },
+      estimatedDeparture: departureTime,
+      estimatedArrival: optimizedRoute.estimatedArrival,
+      distance: optimizedRoute.distance,
+      plannedSpeed: optimizedRoute.speed,
+      pathType: pathType || 'GREAT_CIRCLE',
+      waypoints: optimizedRoute.waypoints,
+      weather: this.summarizeRouteWeather(optimizedRoute.segments),
+      weatherRouting: optimizedRoute.weatherRouting,
+      speedOptimization: optimizedRoute.speedOptimization,
+      fuelConsumption: {
+        estimated: optimizedRoute.fuelConsumption,
+        byFuel: optimizedRoute.fuelPlan.byFuel
+      },
+      ecaPassages: optimizedRoute.ecaPassages,
+      fuelPlan: {
+        mainFuel: optimizedRoute.fuelPlan.mainFuel,
+        compliantFuel: optimizedRoute.fuelPlan.compliantFuel,
+        changeovers: optimizedRoute.fuelPlan.changeovers
+      },
+      riskZones: optimizedRoute.riskZones,
+      chokepoints: optimizedRoute.chokepoints,
+      excludedChokepoints: optimizedRoute.excludedChokepoints,
+      alternatives: optimizedRoute.alternatives,
+      cargoWeight,
+      status: 'PLANNED'
+    });
+  }
+
+  /**
+   * Expected conditions per leg of a weather-routed path, with their
+   * distance-weighted average and the worst met. Temperature defaults to
+   * 20 degrees where no forecast gives one.
+   */
+  summarizeRouteWeather(segments) {
+    const distance = segments.reduce((sum, segment) => sum + segment.distance, 0) || 1;
+    const average = key => segments.reduce((sum, segment) => sum + segment[key] * segment.distance, 0) / distance;
+    const maximum = key => Math.max(0, ...segments.map(segment => segment[key]));
+
+    // Wind directions are averaged as vectors so 350 and 10 degrees give 0, not 180
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const east = segments.reduce((sum, s) => sum + s.windSpeed * Math.sin(toRadians(s.windDirection)) * s.distance, 0);
+    const north = segments.reduce((sum, s) => sum + s.windSpeed * Math.cos(toRadians(s.windDirection)) * s.distance, 0);
+
+    const withTemperature = segments.filter(segment => segment.temperature != null);
+    const temperatureDistance = withTemperature.reduce((sum, segment) => sum + segment.distance, 0);
+
+    return {
+      average: {
+        temperature: temperatureDistance > 0
+          ? withTemperature.reduce((sum, segment) => sum + segment.temperature * segment.distance, 0) / temperatureDistance
+          : 20,
+        windSpeed: average('windSpeed'),
+        windDirection: (Math.atan2(east, north) * 180 / Math.PI + 360) % 360,
+        waveHeight: average('waveHeight')
+      },
+      maximum: {
+        windSpeed: maximum('windSpeed'),
+        waveHeight: maximum('waveHeight')
+      },
+      forecastCoverage: segments.length > 0
+        ? segments.filter(segment => segment.forecast).length / segments.length
+        : 0,
+      legs: segments
+    };
+  }
+
+  async checkMaintenanceConflicts(shipId, departure, arrival) {
+    const conflict = await Maintenance.findOne({
+      ship: shipId,
+      status: { $in: ['SCHEDULED', 'IN_PROGRESS'] },
+      date: { $gte: departure, $lte: arrival }
+    }).sort('date');
+
+    if (conflict) {
+      throw new Error(
+        `Route conflicts with maintenance scheduled on ${conflict.date.toISOString()}`
+      );
+    }
   }
 
   async updateRouteStatus(routeId, status, actualData = {}) {
@@ -134,6 +622,25 @@ class RoutePlanningService {
         throw new Error('Route not found');
       }
 
+      const previousStatus = route.status;
+      if (!route.canTransitionTo(status)) {
+        throw new Error(`Invalid status transition: route ${previousStatus} -> ${status}`);
+      }
+
+      // Route progress drives the ship's operational state; the ship
+      // transition is validated before anything is saved.
+      const ship = await Ship.findById(route.ship);
+      if (ship && previousStatus !== status) {
+        this.applyShipStatusForRoute(ship, route, previousStatus, status);
+      }
+
+      // What the new status overwrites, to put back if the ship cannot be saved
+      const previous = {
+        status: previousStatus,
+        actualDeparture: route.actualDeparture,
+        actualArrival: route.actualArrival,
+        'fuelConsumption.actual': route.fuelConsumption?.actual
+      };
       route.status = status;
 
       if (status === 'IN_PROGRESS') {
@@ -147,6 +654,18 @@ class RoutePlanningService {
       }
 
       await route.save();
+      if (ship && ship.isModified('status')) {
+        try {
+          await ship.save();
+        } catch (error) {
+          route.set(previous);
+          await route.save();
+          throw error;
+        }
+      }
+      if (route.voyage) {
+        await this.syncVoyage(route.voyage);
+      }
       return route;
     } catch (error) {
       logger.error('Failed to update route status:', error);
@@ -154,6 +673,21 @@ class RoutePlanningService {
     }
   }
 
+  applyShipStatusForRoute(ship, route, previousStatus, status) {
+    const reason = `Route ${route._id} ${status.toLowerCase().replace('_', ' ')}`;
+
+    if (status === 'IN_PROGRESS') {
+      if (ship.status === 'AT_SEA') {
+        throw new Error('Invalid status transition: ship is already at sea on another route');
+      }
+      ship.transitionTo('AT_SEA', reason);
+    } else if (status === 'COMPLETED') {
+      ship.transitionTo('IN_PORT', reason);
+    } else if (status === 'CANCELLED' && previousStatus === 'IN_PROGRESS' && ship.status === 'AT_SEA') {
+      ship.transitionTo('ACTIVE', reason);
+    }
+  }
+
   async updateAIModel(route) {
     try {
       // Prepare training data
@@ -178,10 +712,15 @@ class RoutePlanningService {
     }
   }
 
-  async getRouteAnalytics(shipId, timeframe = 'monthly') {
+  // Analytics take a { shipId } or { fleet } scope; a fleet counts the routes sailed while each ship was in it
+  scopeFilter({ shipId, fleet }) {
+    return fleet ? fleet.membershipFilter('actualDeparture') : { ship: shipId };
+  }
+
+  async getRouteAnalytics(scope, timeframe = 'monthly') {
     try {
       const routes = await Route.find({
-        ship: shipId,
+        ...this.scopeFilter(scope),
         status: 'COMPLETED'
       }).sort('-actualArrival');
 
@@ -335,10 +874,10 @@ class RoutePlanningService {
     });
   }
 
-  async getFuelConsumptionAnalytics(shipId, timeframe = 'monthly') {
+  async getFuelConsumptionAnalytics(scope, timeframe = 'monthly') {
     try {
       const routes = await Route.find({
-        ship: shipId,
+        ...this.scopeFilter(scope),
         status: 'COMPLETED',
         'fuelConsumption.actual': { $exists: true }
       }).sort('-actualArrival');
@@ -399,10 +938,10 @@ class RoutePlanningService {
     }
   }
 
-  async analyzeWeatherImpactByShip(shipId, timeframe = 'monthly') {
+  async analyzeWeatherImpactByShip(scope, timeframe = 'monthly') {
     try {
       const routes = await Route.find({
-        ship: shipId,
+        ...this.scopeFilter(scope),
         status: 'COMPLETED',
         'weather.average': { $exists: true }
       }).sort('-actualArrival');
@@ -538,6 +1077,29 @@ class RoutePlanningService {
     return recommendations;
   }
 
+  /**
+   * Runs a listing built by utils/queryBuilder and returns one page of
+   * routes with the total across all pages.
+   */
+  async listRoutes({ filter, sort, projection, skip, limit }) {
+    try {
+      const [routes, total] = await Promise.all([
+        Route.find(filter)
+          .select(projection)
+          .sort(sort)
+          .skip(skip)
+          .limit(limit)
+          .populate('ship', 'name type'),
+        Route.countDocuments(filter)
+      ]);
+
+      return { routes, total };
+    } catch (error) {
+      logger.error('Failed to list routes:', error);
+      throw error;
+    }
+  }
+
   async getRouteById(routeId) {
     try {
       const route = await Route.findById(routeId)
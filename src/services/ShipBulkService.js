@@ -0,0 +1,170 @@
+const Ship = require('../models/Ship');
+const { logger } = require('../utils/logger');
+
+// Ship fields that can be set through a bulk import, in export column order
+const SHIP_IMPORT_FIELDS = [
+  'name',
+  'type',
+  'capacity',
+  'fuelType',
+  'mmsi',
+  'imoNumber',
+  'callSign',
+  'flagState',
+  'classSociety',
+  'yearBuilt',
+  'deadweight',
+  'grossTonnage',
+  'netTonnage',
+  'lengthOverall',
+  'beam',
+  'designDraft',
+  'serviceSpeed',
+  'builder'
+];
+
+// Fields with a unique index, which a dry run checks against other ships
+const SHIP_UNIQUE_FIELDS = ['name', 'mmsi', 'imoNumber'];
+
+// Read-only fields added to exports after the importable ones
+const SHIP_EXPORT_FIELDS = ['_id', ...SHIP_IMPORT_FIELDS, 'status', 'engineHours', 'archivedAt'];
+
+class ShipBulkService {
+  /**
+   * Creates or updates ships from validated rows; rows that carry request
+   * validation errors are reported as failed and skipped. Each row is
+   * matched against existing ships by `upsertBy` (name or imoNumber);
+   * rows without a value for that key always create a new ship. Rows that
+   * match an archived ship fail rather than update it behind its archive.
+   * With dryRun nothing is written and the planned action is reported;
+   * a name, MMSI or IMO number that already belongs to another ship, or to
+   * another row of the batch, fails the row as the real import would.
+   */
+  async importShips(rows, { dryRun = false, upsertBy = 'name' } = {}) {
+    try {
+      const summary = {
+        dryRun,
+        upsertBy,
+        total: rows.length,
+        created: 0,
+        updated: 0,
+        failed: 0,
+        rows: []
+      };
+      // Keys already handled in this batch, so repeated rows update the first one
+      const seenKeys = new Set();
+      // Unique values claimed by earlier rows of a dry run, mapped to the claiming row's key
+      const claimedValues = new Map();
+
+      for (const { row: rowNumber, data, errors } of rows) {
+        if (errors && errors.length > 0) {
+          summary.failed++;
+          summary.rows.push({ row: rowNumber, action: 'FAILED', errors });
+          continue;
+        }
+
+        const fields = this.pickImportFields(data);
+        const key = fields[upsertBy];
+
+        try {
+          const existing = key !== undefined
+            ? await Ship.findOne({ [upsertBy]: key })
+            : null;
+          if (existing?.archivedAt) {
+            throw new Error(`Ship with this ${upsertBy} is archived; restore it before importing`);
+          }
+          const action = existing || seenKeys.has(key) ? 'UPDATE' : 'CREATE';
+
+          let ship = existing;
+          if (dryRun) {
+            // Run the schema validators without saving
+            await (existing ? Object.assign(existing, fields) : new Ship(fields)).validate();
+            await this.checkUniqueFields(fields, existing, key, claimedValues);
+          } else if (existing) {
+            Object.assign(existing, fields);
+            ship = await existing.save();
+          } else {
+            ship = await Ship.create(fields);
+          }
+
+          if (key !== undefined) seenKeys.add(key);
+          summary[action === 'CREATE' ? 'created' : 'updated']++;
+          summary.rows.push({ row: rowNumber, action, shipId: ship?._id });
+        } catch (error) {
+          summary.failed++;
+          summary.rows.push({ row: rowNumber, action: 'FAILED', errors: [this.describeError(error)] });
+        }
+      }
+
+      return summary;
+    } catch (error) {
+      logger.error('Failed to import ships:', error);
+      throw error;
+    }
+  }
+
+  async exportShips(query = {}) {
+    try {
+      const ships = await Ship.find(query)
+        .select(SHIP_EXPORT_FIELDS.join(' '))
+        .sort({ name: 1 })
+        .lean();
+
+      return ships.map(ship => SHIP_EXPORT_FIELDS.reduce((record, field) => {
+        record[field] = field === '_id' ? ship._id.toString() : ship[field] ?? null;
+        return record;
+      }, {}));
+    } catch (error) {
+      logger.error('Failed to export ships:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fails a dry-run row the way the unique indexes would fail the real
+   * import: when one of its unique values belongs to a ship other than the
+   * one it updates, or was claimed by an earlier row for a different ship.
+   */
+  async checkUniqueFields(fields, existing, key, claimedValues) {
+    for (const field of SHIP_UNIQUE_FIELDS) {
+      const value = fields[field];
+      if (value === undefined) continue;
+
+      const claimKey = `${field}:${value}`;
+      const claimedBy = claimedValues.get(claimKey);
+      const claimedByOther = claimedValues.has(claimKey) && (key === undefined || claimedBy !== key);
+      const owner = await Ship.exists(existing ? { [field]: value, _id: { $ne: existing._id } } : { [field]: value });
+      if (claimedByOther || owner) {
+        throw new Error(`Ship with this ${field} already exists`);
+      }
+    }
+
+    for (const field of SHIP_UNIQUE_FIELDS) {
+      if (fields[field] !== undefined) claimedValues.set(`${field}:${fields[field]}`, key);
+    }
+  }
+
+  pickImportFields(data) {
+    return SHIP_IMPORT_FIELDS.reduce((fields, field) => {
+      if (data[field] !== undefined && data[field] !== '') fields[field] = data[field];
+      return fields;
+    }, {});
+  }
+
+  describeError(error) {
+    if (error.code === 11000) {
+      const field = Object.keys(error.keyPattern || {})[0] || 'name';
+      return `Ship with this ${field} already exists`;
+    }
+    if (error.name === 'ValidationError') {
+      return Object.values(error.errors).map(err => err.message).join('; ');
+    }
+    return error.message;
+  }
+}
+
+ShipBulkService.SHIP_IMPORT_FIELDS = SHIP_IMPORT_FIELDS;
+ShipBulkService.SHIP_EXPORT_FIELDS = SHIP_EXPORT_FIELDS;
+
+// Export the class
+module.exports = ShipBulkService;
@@ -0,0 +1,249 @@
+const Ship = require('../models/Ship');
+const Route = require('../models/Route');
+const RoutePreview = require('../models/RoutePreview');
+const Voyage = require('../models/Voyage');
+const Maintenance = require('../models/Maintenance');
+const Position = require('../models/Position');
+const Fleet = require('../models/Fleet');
+const Certificate = require('../models/Certificate');
+const CrewAssignment = require('../models/CrewAssignment');
+const RestHourRecord = require('../models/RestHourRecord');
+const EngineHourReading = require('../models/EngineHourReading');
+const { logger } = require('../utils/logger');
+const { normalizeImoNumber, isValidImoNumber } = require('../utils/validators');
+
+class ShipService {
+  /**
+   * Builds the query for a ship identifier, which may be either the
+   * MongoDB ObjectId or the IMO number. Returns null when it is neither.
+   */
+  identifierFilter(identifier) {
+    if (/^[0-9a-fA-F]{24}$/.test(identifier)) {
+      return { _id: identifier };
+    }
+    if (isValidImoNumber(identifier)) {
+      return { imoNumber: normalizeImoNumber(identifier) };
+    }
+    return null;
+  }
+
+  async changeStatus(shipId, status, reason) {
+    try {
+      const ship = await Ship.findById(shipId);
+      if (!ship) {
+        throw new Error('Ship not found');
+      }
+
+      if (ship.transitionTo(status, reason || 'Manual status change')) {
+        await ship.save();
+      }
+
+      return ship;
+    } catch (error) {
+      logger.error('Failed to change ship status:', error);
+      throw error;
+    }
+  }
+
+  async archiveShip(shipId) {
+    try {
+      const ship = await Ship.findById(shipId);
+      if (!ship) {
+        throw new Error('Ship not found');
+      }
+      if (ship.archivedAt) {
+        throw new Error('Ship is already archived');
+      }
+
+      if (await this.hasWorkInProgress(ship._id)) {
+        throw new Error('Ship cannot be archived while a voyage or maintenance is in progress');
+      }
+
+      ship.archivedAt = new Date();
+      await ship.save();
+      return ship;
+    } catch (error) {
+      logger.error('Failed to archive ship:', error);
+      throw error;
+    }
+  }
+
+  async restoreShip(shipId) {
+    try {
+      const ship = await Ship.findById(shipId);
+      if (!ship) {
+        throw new Error('Ship not found');
+      }
+      if (!ship.archivedAt) {
+        throw new Error('Ship is not archived');
+      }
+
+      ship.archivedAt = null;
+      await ship.save();
+      return ship;
+    } catch (error) {
+      logger.error('Failed to restore ship:', error);
+      throw error;
+    }
+  }
+
+  async addMachinery(shipId, data) {
+    try {
+      const ship = await Ship.findById(shipId);
+      if (!ship) {
+        throw new Error('Ship not found');
+      }
+
+      ship.machinery.push(data);
+      ship.syncEngineHours();
+      await ship.save();
+      return ship.machinery[ship.machinery.length - 1];
+    } catch (error) {
+      logger.error('Failed to add machinery:', error);
+      throw error;
+    }
+  }
+
+  async updateMachinery(shipId, machineryId, data) {
+    try {
+      const ship = await Ship.findById(shipId);
+      if (!ship) {
+        throw new Error('Ship not found');
+      }
+      const machine = ship.machinery.id(machineryId);
+      if (!machine) {
+        throw new Error('Machinery not found');
+      }
+
+      machine.set(data);
+      ship.syncEngineHours();
+      ship.calculateNextMaintenance();
+      await ship.save();
+      return machine;
+    } catch (error) {
+      logger.error('Failed to update machinery:', error);
+      throw error;
+    }
+  }
+
+  async removeMachinery(shipId, machineryId) {
+    try {
+      const ship = await Ship.findById(shipId);
+      if (!ship) {
+        throw new Error('Ship not found');
+      }
+      const machine = ship.machinery.id(machineryId);
+      if (!machine) {
+        throw new Error('Machinery not found');
+      }
+
+      machine.deleteOne();
+      ship.syncEngineHours();
+      await ship.save();
+      await EngineHourReading.deleteMany({ ship: ship._id, machinery: machineryId });
+      return ship;
+    } catch (error) {
+      logger.error('Failed to remove machinery:', error);
+      throw error;
+    }
+  }
+
+  async hasWorkInProgress(shipId) {
+    const [activeRoute, activeMaintenance] = await Promise.all([
+      Route.exists({ ship: shipId, status: 'IN_PROGRESS' }),
+      Maintenance.exists({ ship: shipId, status: 'IN_PROGRESS' })
+    ]);
+    return Boolean(activeRoute || activeMaintenance);
+  }
+
+  async countRelatedRecords(shipId) {
+    const [
+      routes, routePreviews, voyages, maintenance, positions, certificates, crewAssignments, restHourRecords,
+      engineHourReadings
+    ] = await Promise.all([
+      Route.countDocuments({ ship: shipId }),
+      RoutePreview.countDocuments({ ship: shipId }),
+      Voyage.countDocuments({ ship: shipId }),
+      Maintenance.countDocuments({ ship: shipId }),
+      Position.countDocuments({ ship: shipId }),
+      Certificate.countDocuments({ ship: shipId }),
+      CrewAssignment.countDocuments({ ship: shipId }),
+      RestHourRecord.countDocuments({ ship: shipId }),
+      EngineHourReading.countDocuments({ ship: shipId })
+    ]);
+
+    return {
+      routes, routePreviews, voyages, maintenance, positions, certificates, crewAssignments, restHourRecords, engineHourReadings
+    };
+  }
+
+  /**
+   * Permanently removes a ship. Without cascade the deletion is refused
+   * when any history still references the ship, so that no orphaned
+   * routes or maintenance records are left behind. A ship with a voyage or
+   * maintenance in progress is never deleted, as it is never archived.
+   */
+  async deleteShip(shipId, { cascade = false } = {}) {
+    try {
+      const ship = await Ship.findById(shipId);
+      if (!ship) {
+        throw new Error('Ship not found');
+      }
+      if (await this.hasWorkInProgress(ship._id)) {
+        throw new Error('Ship cannot be deleted while a voyage or maintenance is in progress');
+      }
+
+      const related = await this.countRelatedRecords(ship._id);
+      const hasHistory = Object.values(related).some(count => count > 0);
+
+      if (hasHistory && !cascade) {
+        const error = new Error('Ship has related history; archive it or delete with cascade');
+        error.related = related;
+        throw error;
+      }
+
+      const deleted = {
+        routes: 0,
+        routePreviews: 0,
+        voyages: 0,
+        maintenance: 0,
+        positions: 0,
+        certificates: 0,
+        crewAssignments: 0,
+        restHourRecords: 0,
+        engineHourReadings: 0
+      };
+      if (cascade) {
+        deleted.routes = (await Route.deleteMany({ ship: ship._id })).deletedCount;
+        deleted.routePreviews = (await RoutePreview.deleteMany({ ship: ship._id })).deletedCount;
+        deleted.voyages = (await Voyage.deleteMany({ ship: ship._id })).deletedCount;
+        deleted.maintenance = (await Maintenance.deleteMany({ ship: ship._id })).deletedCount;
+        deleted.positions = (await Position.deleteMany({ ship: ship._id })).deletedCount;
+        deleted.certificates = (await Certificate.deleteMany({ ship: ship._id })).deletedCount;
+        deleted.crewAssignments = (await CrewAssignment.deleteMany({ ship: ship._id })).deletedCount;
+        deleted.restHourRecords = (await RestHourRecord.deleteMany({ ship: ship._id })).deletedCount;
+        deleted.engineHourReadings = (await EngineHourReading.deleteMany({ ship: ship._id })).deletedCount;
+      }
+
+      // Fleet memberships are not history of the ship itself and always go with it
+      await Fleet.updateMany(
+        { 'ships.ship': ship._id },
+        { $pull: { ships: { ship: ship._id } } }
+      );
+      await Ship.deleteOne({ _id: ship._id });
+
+      return {
+        action: 'DELETED',
+        shipId: ship._id,
+        cascade,
+        deleted
+      };
+    } catch (error) {
+      logger.error('Failed to delete ship:', error);
+      throw error;
+    }
+  }
+}
+
+// Export the class
+module.exports = ShipService;
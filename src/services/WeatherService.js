@@ -1,5 +1,12 @@
 const axios = require('axios');
 const { logger } = require('../utils/logger');
+const ForecastGrid = require('./routing/ForecastGrid');
+
+// Most forecast cells fetched for one route
+const MAX_FORECAST_CELLS = 60;
+
+// Forecast cells fetched at the same time
+const FORECAST_FETCH_CONCURRENCY = 6;
 
 class WeatherService {
   constructor() {
@@ -110,7 +117,12 @@ class WeatherService {
       waveDirection: 180,
       swellHeight: 1.0,
       swellDirection: 180,
-      waterTemperature: 22
+      waterTemperature: 22,
+      forecast: Array(5).fill(null).map((_, i) => ({
+        timestamp: new Date(Date.now() + i * 24 * 60 * 60 * 1000),
+        waveHeight: 1 + Math.random(),
+        waveDirection: 180
+      }))
     };
   }
 
@@ -162,10 +174,52 @@ class WeatherService {
       waveDirection: data.waveDirection || 0,
       swellHeight: data.swellHeight || 0,
       swellDirection: data.swellDirection || 0,
-      waterTemperature: data.waterTemperature || 20
+      waterTemperature: data.waterTemperature || 20,
+      forecast: (data.forecast || []).map(item => ({
+        timestamp: new Date(item.dt * 1000),
+        waveHeight: item.waveHeight || 0,
+        waveDirection: item.waveDirection || 0
+      }))
     };
   }
 
+  /**
+   * Forecasts for the grid cells covering a list of [longitude, latitude]
+   * positions, as a ForecastGrid for weather routing. Cells are fetched a
+   * few at a time, up to MAX_FORECAST_CELLS. Cells whose forecast cannot
+   * be fetched, and those past the limit, are marked missing: they are
+   * taken to be calm and left out of the forecast coverage, and the
+   * planning carries on with the rest. Given a `grid`, only the cells it
+   * does not hold yet are fetched into it.
+   */
+  async getForecastGrid(positions, { cellSize, grid = new ForecastGrid(cellSize) } = {}) {
+    const wanted = grid.cellsFor(positions)
+      .filter(key => !grid.cells.has(key) && !grid.missing.has(key));
+    const cells = wanted.slice(0, MAX_FORECAST_CELLS);
+    wanted.slice(MAX_FORECAST_CELLS).forEach(key => grid.setMissing(key));
+
+    for (let index = 0; index < cells.length; index += FORECAST_FETCH_CONCURRENCY) {
+      await Promise.all(cells.slice(index, index + FORECAST_FETCH_CONCURRENCY).map(async key => {
+        const centre = grid.cellCentre(key);
+        try {
+          const [weather, marine] = await Promise.all([
+            this.getWeatherForecast(centre),
+            this.getMarineWeather(centre)
+          ]);
+          grid.setCell(key, weather, marine);
+        } catch (error) {
+          grid.setMissing(key);
+        }
+      }));
+    }
+
+    const missing = wanted.filter(key => grid.missing.has(key)).length;
+    if (missing > 0) {
+      logger.warn(`Weather forecast unavailable for ${missing} of ${wanted.length} cells, taken to be calm`);
+    }
+    return grid;
+  }
+
   async getRouteWeather(route) {
     try {
       if (!route.departure?.coordinates || !route.destination?.coordinates) {
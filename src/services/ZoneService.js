@@ -0,0 +1,218 @@
+const Zone = require('../models/Zone');
+const Route = require('../models/Route');
+const Fleet = require('../models/Fleet');
+const { logger } = require('../utils/logger');
+const RiskZones = require('./routing/RiskZones');
+
+// Zones without fleets apply to every ship
+const appliesToAllShips = { fleets: { $size: 0 } };
+
+class ZoneService {
+  async createZone(data) {
+    try {
+      this.assertValidPeriod(data);
+      await this.assertFleetsExist(data.fleets);
+      const zone = await Zone.create(data);
+      await this.recheckZone(zone._id, zone);
+      return zone;
+    } catch (error) {
+      logger.error('Failed to create zone:', error);
+      throw error;
+    }
+  }
+
+  async listZones({ filter, sort, projection, skip, limit }) {
+    try {
+      const [zones, total] = await Promise.all([
+        Zone.find(filter)
+          .select(projection)
+          .sort(sort)
+          .skip(skip)
+          .limit(limit),
+        Zone.countDocuments(filter)
+      ]);
+
+      return { zones, total };
+    } catch (error) {
+      logger.error('Failed to list zones:', error);
+      throw error;
+    }
+  }
+
+  async getZone(zoneId) {
+    try {
+      const zone = await Zone.findById(zoneId);
+      if (!zone) {
+        throw new Error('Zone not found');
+      }
+      return zone;
+    } catch (error) {
+      logger.error('Failed to get zone:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Updates a zone and re-checks planned routes against it; conflicts
+   * recorded for the zone before are replaced.
+   */
+  async updateZone(zoneId, data) {
+    try {
+      const zone = await Zone.findById(zoneId);
+      if (!zone) {
+        throw new Error('Zone not found');
+      }
+
+      zone.set(data);
+      this.assertValidPeriod(zone);
+      await this.assertFleetsExist(data.fleets);
+      await zone.save();
+
+      await this.recheckZone(zone._id, zone);
+      return zone;
+    } catch (error) {
+      logger.error('Failed to update zone:', error);
+      throw error;
+    }
+  }
+
+  async deleteZone(zoneId) {
+    try {
+      const zone = await Zone.findByIdAndDelete(zoneId);
+      if (!zone) {
+        throw new Error('Zone not found');
+      }
+      await this.recheckZone(zone._id, null);
+    } catch (error) {
+      logger.error('Failed to delete zone:', error);
+      throw error;
+    }
+  }
+
+  assertValidPeriod({ validFrom, validTo }) {
+    if (validFrom && validTo && new Date(validTo) <= new Date(validFrom)) {
+      throw new Error('Invalid zone: validTo must be after validFrom');
+    }
+  }
+
+  async assertFleetsExist(fleetIds = []) {
+    if (fleetIds.length === 0) return;
+    const found = await Fleet.countDocuments({ _id: { $in: fleetIds } });
+    if (found < new Set(fleetIds.map(String)).size) {
+      throw new Error('Fleet not found');
+    }
+  }
+
+  /**
+   * Zones to plan a ship's route departing at `departureTime` around, as
+   * RiskZones takes them: those not over by departure, either applying to
+   * all ships or to a fleet the ship belongs to at departure. Each keeps
+   * its validity, so RiskZones only counts it while the ship would be
+   * inside it in that period.
+   */
+  async zonesFor(shipId, departureTime = new Date()) {
+    try {
+      const departure = new Date(departureTime);
+      const fleets = await Fleet.find({ 'ships.ship': shipId });
+      const fleetIds = fleets
+        .filter(fleet => fleet.getActiveShipIds(departure).some(id => String(id) === String(shipId)))
+        .map(fleet => fleet._id);
+
+      const zones = await Zone.find({
+        $and: [
+          { $or: [{ validTo: null }, { validTo: { $gt: departure } }] },
+          { $or: [appliesToAllShips, { fleets: { $in: fleetIds } }] }
+        ]
+      });
+
+      return zones.map(zone => ({
+        id: String(zone._id),
+        name: zone.name,
+        type: zone.type,
+        severity: zone.severity,
+        area: zone.area.toObject ? zone.area.toObject() : zone.area,
+        validFrom: zone.validFrom,
+        validTo: zone.validTo
+      }));
+    } catch (error) {
+      logger.error('Failed to get zones for ship:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replaces the zone conflicts of a zone on planned routes with those of
+   * its current state; a deleted zone (null) only loses its conflicts.
+   * Running it again with the same state gives the same conflicts, so a
+   * failed re-check is made good by saving the zone again. Returns the ids
+   * of the routes flagged.
+   */
+  async recheckZone(zoneId, zone) {
+    await this.clearConflicts(zoneId);
+    return zone ? this.recheckRoutes(zone) : [];
+  }
+
+  /**
+   * Flags planned routes that enter a zone while it is in force, going by
+   * their waypoint times, for ships it applies to, with a zone conflict.
+   * Returns the ids of the routes flagged.
+   */
+  async recheckRoutes(zone) {
+    const query = {
+      status: 'PLANNED',
+      estimatedArrival: { $gt: zone.validFrom }
+    };
+    if (zone.validTo) {
+      query.estimatedDeparture = { $lt: zone.validTo };
+    }
+    const fleets = zone.fleets.length > 0 ? await Fleet.find({ _id: { $in: zone.fleets } }) : null;
+    if (fleets) {
+      query.ship = { $in: fleets.flatMap(fleet => fleet.ships.map(membership => membership.ship)) };
+    }
+
+    const flagged = [];
+    for await (const route of Route.find(query).cursor()) {
+      // Only ships in one of the zone's fleets when the route departs
+      if (fleets && !fleets.some(fleet => fleet.getActiveShipIds(route.estimatedDeparture)
+        .some(id => String(id) === String(route.ship)))) continue;
+
+      if (this.zonesCrossed(route, [zone]).length === 0) continue;
+
+      // Re-checks of the same zone running side by side flag a route once
+      const { modifiedCount } = await Route.updateOne(
+        { _id: route._id, 'zoneConflicts.zone': { $ne: zone._id } },
+        { $push: { zoneConflicts: { zone: zone._id, name: zone.name, severity: zone.severity } } }
+      );
+      if (modifiedCount === 0) continue;
+      flagged.push(route._id);
+      logger.warn(`Route ${route._id} enters ${zone.severity} zone ${zone.name}`);
+    }
+    return flagged;
+  }
+
+  // Those of the zones a route enters while they are in force, going by its waypoint times
+  zonesCrossed(route, zones) {
+    const points = [
+      route.departure.coordinates,
+      ...route.waypoints.map(waypoint => waypoint.coordinates),
+      route.destination.coordinates
+    ];
+    const times = [
+      route.estimatedDeparture,
+      ...route.waypoints.map(waypoint => waypoint.estimatedArrival),
+      route.estimatedArrival
+    ];
+    const riskZones = new RiskZones(zones);
+    return zones.filter(zone => riskZones.crosses(zone, points, { pathType: route.pathType, times }));
+  }
+
+  async clearConflicts(zoneId) {
+    await Route.updateMany(
+      { 'zoneConflicts.zone': zoneId },
+      { $pull: { zoneConflicts: { zone: zoneId } } }
+    );
+  }
+}
+
+// Export the class
+module.exports = ZoneService;
@@ -1,69 +1,330 @@
 const { logger } = require('../../utils/logger');
+const { KM_PER_NM, pathDistance } = require('../../utils/geo');
+const SeaRouter = require('../routing/SeaRouter');
+const ChokepointCatalogue = require('../routing/ChokepointCatalogue');
+const WeatherRouter = require('../routing/WeatherRouter');
+const ForecastGrid = require('../routing/ForecastGrid');
+const EcaZones = require('../routing/EcaZones');
+const RiskZones = require('../routing/RiskZones');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Waypoint spacing in km when the request does not set one
+const DEFAULT_WAYPOINT_SPACING = 250;
+
+// Speeds in knots for ships without a planned or service speed
+const TYPICAL_SPEEDS = {
+  'CARGO': 20,
+  'PASSENGER': 25,
+  'TANKER': 15
+};
+const DEFAULT_SPEED = 20;
+
+// Speeds a ship without recorded limits is planned between, as shares of
+// its service speed: slow steaming down to half, up to 10% over
+const SLOW_STEAMING_RATIO = 0.5;
+const MAX_SPEED_RATIO = 1.1;
+
+// Speed optimization stops narrowing the speed down at this many knots
+const SPEED_TOLERANCE = 0.05;
 
 class RouteOptimizer {
   constructor() {
     this.initialized = false;
+    this.seaRouter = new SeaRouter();
+    this.weatherRouter = new WeatherRouter(this.seaRouter);
+    this.chokepoints = new ChokepointCatalogue();
+    this.ecaZones = new EcaZones();
   }
 
   async optimizeRoute(routeData) {
-    const { departure, destination, ship, cargoWeight } = routeData;
-    
-    // Generate mock waypoints
-    const waypoints = this.generateWaypoints(departure.coordinates, destination.coordinates);
-    
-    // Mock optimization calculations
-    const distance = this.calculateDistance(departure.coordinates, destination.coordinates);
-    const estimatedDuration = this.estimateDuration(distance, ship.type);
-    const fuelConsumption = this.estimateFuelConsumption(distance, cargoWeight, ship.type);
-    
+    const {
+      departure,
+      destination,
+      ship,
+      cargoWeight,
+      plannedSpeed,
+      pathType = 'GREAT_CIRCLE',
+      waypointSpacing = DEFAULT_WAYPOINT_SPACING,
+      departureTime = new Date(),
+      avoidChokepoints = [],
+      objective = 'FUEL',
+      weatherLimits = {},
+      forecast = new ForecastGrid(),
+      arrivalWindow,
+      ecaCostFactor = 1,
+      zones = []
+    } = routeData;
+    const start = new Date(departureTime).getTime();
+    // Limits the request leaves out keep their defaults
+    const limits = { ...WeatherRouter.DEFAULT_LIMITS, ...weatherLimits };
+
+    // Operator-defined zones: no-go ones are kept out of, the others weigh on the cost
+    const riskZones = new RiskZones(zones);
+    const assertNotClosed = (label, endpoint, time) => {
+      const noGo = riskZones.noGoAt(endpoint.coordinates, time);
+      if (noGo) {
+        throw new Error(`Invalid route: ${label} lies in no-go zone ${noGo.name}`);
+      }
+    };
+    assertNotClosed('departure', departure, start);
+
+    const excludedChokepoints = this.excludedChokepoints(ship, avoidChokepoints);
+    const excluded = excludedChokepoints.map(({ chokepoint }) => chokepoint);
+
+    const options = {
+      ship,
+      cargoWeight,
+      pathType,
+      spacing: waypointSpacing,
+      departureTime,
+      objective,
+      limits,
+      forecast,
+      ecaCostFactor,
+      riskZones
+    };
+
+    // An arrival window makes the speed the slowest one arriving in time
+    const speedOptimization = arrivalWindow
+      ? this.optimizeSpeed(departure.coordinates, destination.coordinates, { ...options, excluded, arrivalWindow })
+      : null;
+    const speed = speedOptimization ? speedOptimization.speed : this.resolveSpeed(ship, plannedSpeed);
+
+    const plan = this.planPath(departure.coordinates, destination.coordinates, { ...options, speed, excluded });
+    assertNotClosed('destination', destination, plan.arrival);
+
+    // The same voyage without each canal it uses, e.g. around the Cape instead of through Suez
+    const alternatives = plan.transits
+      .filter(transit => transit.type === 'CANAL')
+      .map(transit => {
+        try {
+          const alternative = this.planPath(departure.coordinates, destination.coordinates, {
+            ...options,
+            speed,
+            excluded: [...excluded, transit.chokepoint]
+          });
+          return {
+            avoids: transit.chokepoint,
+            chokepoints: alternative.transits.map(({ chokepoint }) => chokepoint),
+            distance: alternative.distance,
+            duration: alternative.duration,
+            estimatedArrival: alternative.arrival,
+            fuelConsumption: alternative.fuel,
+            ecaDistance: this.ecaZones.passages(alternative.segments, { pathType })
+              .reduce((sum, passage) => sum + passage.distance, 0),
+            tariff: alternative.tariff
+          };
+        } catch (error) {
+          // No way round this canal
+          return null;
+        }
+      })
+      .filter(Boolean);
+
+    const ecaPassages = this.ecaZones.passages(plan.segments, { pathType });
+
     return {
-      waypoints,
-      distance,
-      estimatedArrival: new Date(Date.now() + estimatedDuration * 60 * 60 * 1000),
-      fuelConsumption
+      // Segment ends are the waypoints; the last one is the destination
+      waypoints: plan.segments.slice(0, -1).map(segment => ({
+        coordinates: segment.to,
+        estimatedArrival: segment.arrival
+      })),
+      segments: plan.segments,
+      distance: plan.distance,
+      speed,
+      estimatedArrival: plan.arrival,
+      duration: (plan.arrival.getTime() - start) / HOUR_MS,
+      fuelConsumption: plan.fuel,
+      ecaPassages,
+      riskZones: riskZones.crossings(plan.segments, { pathType }),
+      fuelPlan: this.ecaZones.changeoverPlan(plan.segments, ecaPassages, { fuelType: ship.fuelType, pathType }),
+      chokepoints: plan.transits,
+      excludedChokepoints,
+      alternatives,
+      weatherRouting: { objective, ...limits, ecaCostFactor },
+      speedOptimization
     };
   }
 
-  generateWaypoints(departure, destination) {
-    const waypoints = [];
-    const numPoints = 3;
+  // Canals the ship does not fit are never used; others only when asked
+  excludedChokepoints(ship, avoidChokepoints = []) {
+    return [
+      ...avoidChokepoints.map(id => ({ chokepoint: id, reason: 'Avoided on request' })),
+      ...this.chokepoints.excludedFor(ship)
+        .filter(({ id }) => !avoidChokepoints.includes(id))
+        .map(({ id, reason }) => ({ chokepoint: id, reason }))
+    ];
+  }
+
+  /**
+   * Lane network points the forecast for a route should cover, see
+   * WeatherRouter.corridor.
+   */
+  forecastCorridor(departure, destination, { ship, avoidChokepoints = [] }) {
+    const excluded = this.excludedChokepoints(ship, avoidChokepoints).map(({ chokepoint }) => chokepoint);
+    return this.weatherRouter.corridor(departure.coordinates, destination.coordinates, {
+      excludedEdges: this.chokepoints.edgesOf(excluded)
+    });
+  }
+
+  /**
+   * Weather-routed path leaving out the edges of the excluded chokepoints,
+   * with the chokepoints it transits. Transits add their waiting time and
+   * any transit time beyond sailing their edges at `speed`. Fuel or time
+   * inside Emission Control Areas counts `ecaCostFactor` times, trading
+   * distance inside them against a longer way round, and `riskZones` weigh
+   * on it or close the way as RiskZones describes.
+   */
+  planPath(from, to, { ship, speed, cargoWeight, excluded, ecaCostFactor = 1, riskZones = new RiskZones(), ...options }) {
+    const { pathType, departureTime } = options;
+    const weighEcas = ecaCostFactor > 1;
+    const weighZones = riskZones.list().length > 0;
+
+    const route = this.weatherRouter.findRoute(from, to, {
+      ...options,
+      speed,
+      // Calm-water consumption per hour at the planned speed
+      fuelRate: this.fuelRate(ship, speed, cargoWeight),
+      excludedEdges: this.chokepoints.edgesOf(excluded),
+      edgeDelays: this.chokepointDelays(speed, pathType),
+      costFactor: weighEcas || weighZones
+        ? (start, end, { departure, arrival }) =>
+          (weighZones ? riskZones.costFactor(start, end, { pathType, departure, arrival }) : 1) +
+          (weighEcas ? (ecaCostFactor - 1) * this.ecaZones.shareInside(start, end, { pathType, time: departure }) : 0)
+        : null
+    });
+    const transits = this.chokepoints.onPath(route.nodes)
+      .map(({ chokepoint }) => this.chokepoints.transit(chokepoint, ship));
 
-    for (let i = 1; i < numPoints - 1; i++) {
-      const ratio = i / numPoints;
-      const lat = departure[1] + (destination[1] - departure[1]) * ratio;
-      const lon = departure[0] + (destination[0] - departure[0]) * ratio;
+    return {
+      ...route,
+      transits,
+      duration: (route.arrival.getTime() - new Date(departureTime).getTime()) / HOUR_MS,
+      tariff: transits.reduce((sum, transit) => sum + transit.tariff, 0)
+    };
+  }
 
-      waypoints.push({
-        coordinates: [lon, lat],
-        estimatedArrival: new Date(Date.now() + (ratio * 7 * 24 * 60 * 60 * 1000))
+  // Hours each chokepoint edge takes beyond sailing it at `speed`
+  chokepointDelays(speed, pathType) {
+    const delays = new Map();
+    const coordinatesOf = id => this.seaRouter.nodes.get(id).coordinates;
+
+    this.chokepoints.list().forEach(chokepoint => {
+      const sailedHours = chokepoint.edges.reduce((sum, [from, to]) =>
+        sum + this.estimateDuration(pathDistance(coordinatesOf(from), coordinatesOf(to), pathType), speed), 0);
+      const delay = chokepoint.waitingHours + Math.max(0, chokepoint.transitHours - sailedHours);
+      chokepoint.edges.forEach(([from, to]) => {
+        delays.set(SeaRouter.edgeKey(from, to), delay / chokepoint.edges.length);
       });
+    });
+
+    return delays;
+  }
+
+  /**
+   * Slowest speed in the ship's speed range arriving by the window's
+   * latest time, which burns the least fuel as consumption per distance
+   * grows with the square of the speed. The engine setting is kept for the
+   * whole route, so the speed still varies leg by leg with the weather.
+   * A ship arriving before the window opens even at its slowest waits.
+   * Returns the speed with the fuel-vs-speed trade-off at whole knots.
+   */
+  optimizeSpeed(from, to, { arrivalWindow, ...options }) {
+    const { ship } = options;
+    const { minSpeed, maxSpeed } = this.speedRange(ship);
+    const earliest = arrivalWindow.earliest ? new Date(arrivalWindow.earliest) : null;
+    const latest = arrivalWindow.latest ? new Date(arrivalWindow.latest) : null;
+
+    const option = speed => {
+      const plan = this.planPath(from, to, { ...options, speed });
+      const waitingHours = earliest ? Math.max(0, (earliest - plan.arrival) / HOUR_MS) : 0;
+      return {
+        speed,
+        estimatedArrival: plan.arrival,
+        duration: plan.duration,
+        fuelConsumption: plan.fuel,
+        waitingHours,
+        withinWindow: !latest || plan.arrival <= latest
+      };
+    };
+
+    let chosen = option(minSpeed);
+    if (!chosen.withinWindow) {
+      let fastest = option(maxSpeed);
+      if (!fastest.withinWindow) {
+        throw new Error(
+          `Invalid arrival window: the earliest possible arrival at ${maxSpeed} knots is ${fastest.estimatedArrival.toISOString()}`
+        );
+      }
+      // Arrival only gets later as the speed drops, so halve the range until it is narrow
+      let slow = minSpeed;
+      while (fastest.speed - slow > SPEED_TOLERANCE) {
+        const middle = option((slow + fastest.speed) / 2);
+        if (middle.withinWindow) {
+          fastest = middle;
+        } else {
+          slow = middle.speed;
+        }
+      }
+      chosen = option(Math.min(maxSpeed, Math.ceil(fastest.speed * 10) / 10));
+      if (!chosen.withinWindow) {
+        chosen = fastest;
+      }
     }
 
-    return waypoints;
+    const tradeOff = [];
+    for (let speed = Math.ceil(minSpeed); speed <= maxSpeed; speed++) {
+      try {
+        tradeOff.push(speed === chosen.speed ? chosen : option(speed));
+      } catch (error) {
+        // No route within the weather safety limits at this speed
+      }
+    }
+    if (!tradeOff.includes(chosen)) {
+      tradeOff.push(chosen);
+      tradeOff.sort((a, b) => a.speed - b.speed);
+    }
+
+    return {
+      earliestArrival: earliest,
+      latestArrival: latest,
+      speed: chosen.speed,
+      waitingHours: chosen.waitingHours,
+      tradeOff
+    };
   }
 
-  calculateDistance(departure, destination) {
-    // Simple Euclidean distance calculation (mock)
-    const R = 6371; // Earth's radius in km
-    const dLat = (destination[1] - departure[1]) * Math.PI / 180;
-    const dLon = (destination[0] - departure[0]) * Math.PI / 180;
-    const a = 
-      Math.sin(dLat/2) * Math.sin(dLat/2) +
-      Math.cos(departure[1] * Math.PI / 180) * Math.cos(destination[1] * Math.PI / 180) * 
-      Math.sin(dLon/2) * Math.sin(dLon/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    return R * c;
+  /**
+   * Fuel burnt per hour at `speed` knots through calm water, by the cube
+   * law unless the ship's fuel curve gives another exponent. Ships without
+   * a curve burn the estimate for their type at their service speed.
+   */
+  fuelRate(ship, speed, cargoWeight = 0) {
+    const curve = ship.fuelCurve || {};
+    const referenceSpeed = curve.referenceSpeed || this.resolveSpeed(ship);
+    const referenceConsumption = curve.referenceConsumption ||
+      this.estimateFuelConsumption(referenceSpeed * KM_PER_NM, cargoWeight, ship.type);
+    return referenceConsumption * (speed / referenceSpeed) ** (curve.exponent || 3);
   }
 
-  estimateDuration(distance, shipType) {
-    // Mock duration calculation based on ship type and distance
-    const speedMap = {
-      'CARGO': 20,
-      'PASSENGER': 25,
-      'TANKER': 15
-    };
-    const speed = speedMap[shipType] || 20;
-    return distance / speed; // Duration in hours
+  // Slowest and fastest speeds in knots the ship may be planned at
+  speedRange(ship) {
+    const serviceSpeed = this.resolveSpeed(ship);
+    const minSpeed = ship.fuelCurve?.minSpeed || serviceSpeed * SLOW_STEAMING_RATIO;
+    const maxSpeed = ship.fuelCurve?.maxSpeed || serviceSpeed * MAX_SPEED_RATIO;
+    return { minSpeed, maxSpeed: Math.max(minSpeed, maxSpeed) };
+  }
+
+  // Planned speed, else the ship's service speed, else a typical speed for its type
+  resolveSpeed(ship, plannedSpeed) {
+    if (plannedSpeed > 0) return plannedSpeed;
+    if (ship.serviceSpeed > 0) return ship.serviceSpeed;
+    return TYPICAL_SPEEDS[ship.type] || DEFAULT_SPEED;
+  }
+
+  estimateDuration(distance, speed) {
+    return distance / (speed * KM_PER_NM); // Duration in hours
   }
 
   estimateFuelConsumption(distance, cargoWeight, shipType) {
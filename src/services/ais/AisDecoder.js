@@ -0,0 +1,385 @@
+// 6-bit ASCII table used for text fields inside AIS payloads
+const SIXBIT_ASCII = '@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_ !"#$%&\'()*+,-./0123456789:;<=>?';
+
+const SENTENCE_PATTERN = /^!([A-Z]{2})VD([MO])$/;
+
+// Sentinel values meaning "not available" in position reports
+const SPEED_NOT_AVAILABLE = 1023;
+const LONGITUDE_NOT_AVAILABLE = 181;
+const LATITUDE_NOT_AVAILABLE = 91;
+const COURSE_NOT_AVAILABLE = 3600;
+const HEADING_NOT_AVAILABLE = 511;
+
+const NAVIGATIONAL_STATUS = [
+  'UNDER_WAY_USING_ENGINE',
+  'AT_ANCHOR',
+  'NOT_UNDER_COMMAND',
+  'RESTRICTED_MANOEUVRABILITY',
+  'CONSTRAINED_BY_DRAUGHT',
+  'MOORED',
+  'AGROUND',
+  'ENGAGED_IN_FISHING',
+  'UNDER_WAY_SAILING'
+];
+
+class AisDecoder {
+  constructor(options = {}) {
+    this.fragmentTimeoutMs = options.fragmentTimeoutMs || 60 * 1000;
+    this.fragments = new Map();
+  }
+
+  /**
+   * Decodes a single NMEA line. Returns null while a multi-fragment
+   * message is still incomplete, otherwise the decoded message.
+   */
+  decode(line) {
+    const sentence = this.parseSentence(line);
+    if (!sentence) {
+      return null;
+    }
+
+    const message = this.decodePayload(sentence.payload, sentence.fillBits);
+    return {
+      ...message,
+      channel: sentence.channel,
+      ownVessel: sentence.ownVessel,
+      receivedAt: sentence.receivedAt
+    };
+  }
+
+  /**
+   * Validates the checksum of an NMEA line and reassembles fragments.
+   * Returns the combined sentence once all fragments have been seen.
+   */
+  parseSentence(line) {
+    const { sentence, receivedAt } = this.splitLine(line);
+
+    const starIndex = sentence.lastIndexOf('*');
+    if (starIndex === -1) {
+      throw new Error('Invalid AIS sentence: missing checksum');
+    }
+
+    const body = sentence.slice(1, starIndex);
+    const checksum = sentence.slice(starIndex + 1, starIndex + 3);
+    if (AisDecoder.calculateChecksum(body) !== checksum.toUpperCase()) {
+      throw new Error('Invalid AIS sentence: checksum mismatch');
+    }
+
+    const fields = sentence.slice(0, starIndex).split(',');
+    if (fields.length !== 7) {
+      throw new Error('Invalid AIS sentence: unexpected number of fields');
+    }
+
+    const [header, countField, numberField, sequenceId, channel, payload, fillField] = fields;
+    const headerMatch = SENTENCE_PATTERN.exec(header);
+    if (!headerMatch) {
+      throw new Error(`Invalid AIS sentence: unsupported sentence type ${header}`);
+    }
+
+    const fragmentCount = parseInt(countField, 10);
+    const fragmentNumber = parseInt(numberField, 10);
+    const fillBits = parseInt(fillField, 10) || 0;
+    if (!fragmentCount || !fragmentNumber || fragmentNumber > fragmentCount) {
+      throw new Error('Invalid AIS sentence: bad fragment numbering');
+    }
+
+    const parsed = {
+      ownVessel: headerMatch[2] === 'O',
+      channel: channel || null,
+      payload,
+      fillBits,
+      receivedAt
+    };
+
+    if (fragmentCount === 1) {
+      return parsed;
+    }
+
+    return this.addFragment(
+      `${header}:${channel}:${sequenceId}:${fragmentCount}`,
+      fragmentNumber,
+      fragmentCount,
+      parsed
+    );
+  }
+
+  /**
+   * Separates an optional NMEA 4.0 tag block or a leading log timestamp
+   * (epoch seconds, epoch milliseconds or ISO 8601) from the sentence.
+   */
+  splitLine(line) {
+    const trimmed = String(line).trim();
+    const start = trimmed.indexOf('!');
+    if (start === -1) {
+      throw new Error('Invalid AIS sentence: no sentence start found');
+    }
+
+    const prefix = trimmed.slice(0, start).trim();
+    const sentence = trimmed.slice(start);
+    let receivedAt = null;
+
+    const tagBlock = /^\\(.*)\\$/.exec(prefix);
+    if (tagBlock) {
+      const timeTag = tagBlock[1]
+        .split('*')[0]
+        .split(',')
+        .find(tag => tag.startsWith('c:'));
+      if (timeTag) {
+        receivedAt = this.parseTimestamp(timeTag.slice(2));
+      }
+    } else if (prefix) {
+      receivedAt = this.parseTimestamp(prefix.replace(/[;,\s]+$/, ''));
+    }
+
+    return { sentence, receivedAt };
+  }
+
+  parseTimestamp(value) {
+    if (/^\d+(\.\d+)?$/.test(value)) {
+      const number = parseFloat(value);
+      // Values below 1e11 are epoch seconds, larger ones milliseconds
+      return new Date(number < 1e11 ? number * 1000 : number);
+    }
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  addFragment(key, fragmentNumber, fragmentCount, parsed) {
+    const now = Date.now();
+    this.expireFragments(now);
+
+    let entry = this.fragments.get(key);
+    if (!entry || fragmentNumber === 1) {
+      entry = { parts: new Array(fragmentCount), createdAt: now };
+      this.fragments.set(key, entry);
+    }
+
+    entry.parts[fragmentNumber - 1] = parsed;
+
+    if (entry.parts.filter(Boolean).length < fragmentCount) {
+      return null;
+    }
+
+    this.fragments.delete(key);
+    const last = entry.parts[fragmentCount - 1];
+    return {
+      ...entry.parts[0],
+      payload: entry.parts.map(part => part.payload).join(''),
+      fillBits: last.fillBits
+    };
+  }
+
+  expireFragments(now) {
+    for (const [key, entry] of this.fragments) {
+      if (now - entry.createdAt > this.fragmentTimeoutMs) {
+        this.fragments.delete(key);
+      }
+    }
+  }
+
+  get pendingFragments() {
+    return this.fragments.size;
+  }
+
+  decodePayload(payload, fillBits = 0) {
+    const bits = AisDecoder.toBits(payload, fillBits);
+    const messageType = AisDecoder.readUInt(bits, 0, 6);
+
+    switch (messageType) {
+      case 1:
+      case 2:
+      case 3:
+        return this.decodePositionReport(bits, messageType);
+      case 5:
+        return this.decodeStaticVoyageData(bits);
+      case 18:
+        return this.decodeClassBPositionReport(bits);
+      case 24:
+        return this.decodeStaticDataReport(bits);
+      default:
+        return {
+          messageType,
+          mmsi: AisDecoder.formatMmsi(AisDecoder.readUInt(bits, 8, 30)),
+          supported: false
+        };
+    }
+  }
+
+  decodePositionReport(bits, messageType) {
+    AisDecoder.assertLength(bits, 168, messageType);
+    const navigationalStatus = AisDecoder.readUInt(bits, 38, 4);
+
+    return {
+      messageType,
+      supported: true,
+      kind: 'POSITION',
+      mmsi: AisDecoder.formatMmsi(AisDecoder.readUInt(bits, 8, 30)),
+      navigationalStatus: NAVIGATIONAL_STATUS[navigationalStatus] || null,
+      ...this.decodeKinematics(bits, {
+        speed: 50,
+        accuracy: 60,
+        longitude: 61,
+        latitude: 89,
+        course: 116,
+        heading: 128,
+        second: 137
+      })
+    };
+  }
+
+  decodeClassBPositionReport(bits) {
+    AisDecoder.assertLength(bits, 168, 18);
+
+    return {
+      messageType: 18,
+      supported: true,
+      kind: 'POSITION',
+      mmsi: AisDecoder.formatMmsi(AisDecoder.readUInt(bits, 8, 30)),
+      navigationalStatus: null,
+      ...this.decodeKinematics(bits, {
+        speed: 46,
+        accuracy: 56,
+        longitude: 57,
+        latitude: 85,
+        course: 112,
+        heading: 124,
+        second: 133
+      })
+    };
+  }
+
+  decodeKinematics(bits, offsets) {
+    const speed = AisDecoder.readUInt(bits, offsets.speed, 10);
+    const longitude = AisDecoder.readInt(bits, offsets.longitude, 28) / 600000;
+    const latitude = AisDecoder.readInt(bits, offsets.latitude, 27) / 600000;
+    const course = AisDecoder.readUInt(bits, offsets.course, 12);
+    const heading = AisDecoder.readUInt(bits, offsets.heading, 9);
+
+    return {
+      speedOverGround: speed === SPEED_NOT_AVAILABLE ? null : speed / 10,
+      positionAccuracy: AisDecoder.readUInt(bits, offsets.accuracy, 1) === 1,
+      longitude: longitude === LONGITUDE_NOT_AVAILABLE ? null : longitude,
+      latitude: latitude === LATITUDE_NOT_AVAILABLE ? null : latitude,
+      courseOverGround: course >= COURSE_NOT_AVAILABLE ? null : course / 10,
+      heading: heading === HEADING_NOT_AVAILABLE ? null : heading,
+      second: AisDecoder.readUInt(bits, offsets.second, 6)
+    };
+  }
+
+  decodeStaticVoyageData(bits) {
+    AisDecoder.assertLength(bits, 420, 5);
+    const imoNumber = AisDecoder.readUInt(bits, 40, 30);
+    const draught = AisDecoder.readUInt(bits, 294, 8);
+
+    return {
+      messageType: 5,
+      supported: true,
+      kind: 'STATIC',
+      mmsi: AisDecoder.formatMmsi(AisDecoder.readUInt(bits, 8, 30)),
+      imoNumber: imoNumber ? String(imoNumber) : null,
+      callSign: AisDecoder.readString(bits, 70, 7),
+      shipName: AisDecoder.readString(bits, 112, 20),
+      shipType: AisDecoder.readUInt(bits, 232, 8),
+      dimensions: this.decodeDimensions(bits, 240),
+      eta: {
+        month: AisDecoder.readUInt(bits, 274, 4),
+        day: AisDecoder.readUInt(bits, 278, 5),
+        hour: AisDecoder.readUInt(bits, 283, 5),
+        minute: AisDecoder.readUInt(bits, 288, 6)
+      },
+      draught: draught ? draught / 10 : null,
+      destination: AisDecoder.readString(bits, 302, 20)
+    };
+  }
+
+  decodeStaticDataReport(bits) {
+    const partNumber = AisDecoder.readUInt(bits, 38, 2);
+    const base = {
+      messageType: 24,
+      supported: true,
+      kind: 'STATIC',
+      mmsi: AisDecoder.formatMmsi(AisDecoder.readUInt(bits, 8, 30)),
+      partNumber
+    };
+
+    if (partNumber === 0) {
+      AisDecoder.assertLength(bits, 160, 24);
+      return {
+        ...base,
+        shipName: AisDecoder.readString(bits, 40, 20)
+      };
+    }
+
+    AisDecoder.assertLength(bits, 162, 24);
+    return {
+      ...base,
+      shipType: AisDecoder.readUInt(bits, 40, 8),
+      callSign: AisDecoder.readString(bits, 90, 7),
+      dimensions: this.decodeDimensions(bits, 132)
+    };
+  }
+
+  decodeDimensions(bits, offset) {
+    return {
+      toBow: AisDecoder.readUInt(bits, offset, 9),
+      toStern: AisDecoder.readUInt(bits, offset + 9, 9),
+      toPort: AisDecoder.readUInt(bits, offset + 18, 6),
+      toStarboard: AisDecoder.readUInt(bits, offset + 24, 6)
+    };
+  }
+
+  static calculateChecksum(body) {
+    let checksum = 0;
+    for (let i = 0; i < body.length; i++) {
+      checksum ^= body.charCodeAt(i);
+    }
+    return checksum.toString(16).toUpperCase().padStart(2, '0');
+  }
+
+  static toBits(payload, fillBits = 0) {
+    let bits = '';
+    for (let i = 0; i < payload.length; i++) {
+      let value = payload.charCodeAt(i) - 48;
+      if (value > 40) value -= 8;
+      if (value < 0 || value > 63) {
+        throw new Error('Invalid AIS sentence: bad payload character');
+      }
+      bits += value.toString(2).padStart(6, '0');
+    }
+    return fillBits > 0 ? bits.slice(0, -fillBits) : bits;
+  }
+
+  static readUInt(bits, start, length) {
+    return parseInt(bits.substr(start, length), 2);
+  }
+
+  static readInt(bits, start, length) {
+    const value = AisDecoder.readUInt(bits, start, length);
+    return bits[start] === '1' ? value - Math.pow(2, length) : value;
+  }
+
+  static readString(bits, start, characters) {
+    let text = '';
+    for (let i = 0; i < characters; i++) {
+      const offset = start + i * 6;
+      if (offset + 6 > bits.length) break;
+      text += SIXBIT_ASCII[AisDecoder.readUInt(bits, offset, 6)];
+    }
+    const value = text.replace(/@.*$/, '').trim();
+    return value || null;
+  }
+
+  static formatMmsi(value) {
+    return String(value).padStart(9, '0');
+  }
+
+  static assertLength(bits, minimum, messageType) {
+    if (bits.length < minimum) {
+      throw new Error(`Invalid AIS message: type ${messageType} payload too short`);
+    }
+  }
+}
+
+// Export the class
+module.exports = AisDecoder;
@@ -0,0 +1,109 @@
+const dgram = require('dgram');
+const net = require('net');
+const { logger } = require('../../utils/logger');
+
+/**
+ * Receives raw NMEA sentences over UDP datagrams and/or TCP streams
+ * (e.g. from a shore receiver or a tool replaying a captured log) and
+ * feeds them, in arrival order, to the AIS ingestion service.
+ */
+class AisListener {
+  constructor(ingestionService, options = {}) {
+    this.ingestionService = ingestionService;
+    this.host = options.host || '127.0.0.1';
+    this.udpPort = options.udpPort;
+    this.tcpPort = options.tcpPort;
+    this.udpSocket = null;
+    this.tcpServer = null;
+    // Sentences are processed one batch at a time so that fragments
+    // are reassembled in the order they were received.
+    this.queue = Promise.resolve();
+  }
+
+  async start() {
+    if (this.udpPort) {
+      await this.startUdp();
+    }
+    if (this.tcpPort) {
+      await this.startTcp();
+    }
+  }
+
+  startUdp() {
+    return new Promise((resolve, reject) => {
+      this.udpSocket = dgram.createSocket('udp4');
+      this.udpSocket.on('message', message => {
+        this.enqueue(message.toString('utf8').split(/\r?\n/));
+      });
+      this.udpSocket.on('error', error => {
+        logger.error('AIS UDP listener error:', error);
+      });
+      this.udpSocket.once('error', reject);
+      this.udpSocket.bind(this.udpPort, this.host, () => {
+        logger.info(`AIS UDP listener on ${this.host}:${this.udpSocket.address().port}`);
+        resolve();
+      });
+    });
+  }
+
+  startTcp() {
+    return new Promise((resolve, reject) => {
+      this.tcpServer = net.createServer(socket => {
+        let buffer = '';
+        socket.setEncoding('utf8');
+        socket.on('data', chunk => {
+          buffer += chunk;
+          const lines = buffer.split(/\r?\n/);
+          buffer = lines.pop();
+          this.enqueue(lines);
+        });
+        socket.on('end', () => {
+          if (buffer) {
+            this.enqueue([buffer]);
+            buffer = '';
+          }
+        });
+        socket.on('error', error => {
+          logger.warn('AIS TCP connection error:', error);
+        });
+      });
+      this.tcpServer.once('error', reject);
+      this.tcpServer.listen(this.tcpPort, this.host, () => {
+        logger.info(`AIS TCP listener on ${this.host}:${this.tcpServer.address().port}`);
+        resolve();
+      });
+    });
+  }
+
+  enqueue(lines) {
+    const sentences = lines.filter(line => line.trim());
+    if (sentences.length === 0) return this.queue;
+
+    this.queue = this.queue
+      .then(() => this.ingestionService.ingest(sentences))
+      .then(summary => {
+        if (summary.errors.length > 0) {
+          logger.warn('AIS listener rejected sentences:', summary.errors);
+        }
+      })
+      .catch(error => {
+        logger.error('AIS listener ingestion error:', error);
+      });
+    return this.queue;
+  }
+
+  async stop() {
+    if (this.udpSocket) {
+      await new Promise(resolve => this.udpSocket.close(resolve));
+      this.udpSocket = null;
+    }
+    if (this.tcpServer) {
+      await new Promise(resolve => this.tcpServer.close(resolve));
+      this.tcpServer = null;
+    }
+    await this.queue;
+  }
+}
+
+// Export the class
+module.exports = AisListener;
@@ -0,0 +1,106 @@
+const chokepoints = require('../../data/chokepoints.json');
+const { edgeKey } = require('./SeaRouter');
+
+// Ship particulars checked against each vessel class limit
+const DIMENSIONS = [
+  { particular: 'lengthOverall', limit: 'maxLength', label: 'length' },
+  { particular: 'beam', limit: 'maxBeam', label: 'beam' },
+  { particular: 'designDraft', limit: 'maxDraft', label: 'draft' }
+];
+
+/**
+ * Canals and straits of the sea lane network from data/chokepoints.json,
+ * each covering one or more lane edges, with its transit and waiting time
+ * in hours, the vessel classes it admits (dimension limits in metres,
+ * smallest class first) and a tariff estimate in USD of a base charge plus
+ * a rate per gross ton. Particulars a ship does not record are not checked.
+ */
+class ChokepointCatalogue {
+  constructor(catalogue = chokepoints) {
+    this.chokepoints = new Map(catalogue.map(chokepoint => [chokepoint.id, chokepoint]));
+    this.byEdge = new Map();
+    catalogue.forEach(chokepoint => {
+      chokepoint.edges.forEach(([from, to]) => this.byEdge.set(edgeKey(from, to), chokepoint));
+    });
+  }
+
+  list() {
+    return [...this.chokepoints.values()];
+  }
+
+  get(id) {
+    return this.chokepoints.get(id) || null;
+  }
+
+  // Lane edge keys of the given chokepoints, for SeaRouter to leave out
+  edgesOf(ids) {
+    return ids.flatMap(id => this.get(id)?.edges.map(([from, to]) => edgeKey(from, to)) || []);
+  }
+
+  /**
+   * Chokepoints a path of lane node IDs passes, in order, each once, with
+   * the edges sailed inside it and the index of the node it is left at.
+   */
+  onPath(nodes) {
+    const passed = new Map();
+    nodes.slice(1).forEach((to, index) => {
+      const chokepoint = this.byEdge.get(edgeKey(nodes[index], to));
+      if (!chokepoint) return;
+      if (!passed.has(chokepoint.id)) {
+        passed.set(chokepoint.id, { chokepoint, edges: [] });
+      }
+      const passage = passed.get(chokepoint.id);
+      passage.edges.push([nodes[index], to]);
+      passage.exitIndex = index + 1;
+    });
+    return [...passed.values()];
+  }
+
+  /**
+   * Smallest vessel class of the chokepoint the ship fits, or null with the
+   * reason when it fits none.
+   */
+  vesselClassFor(chokepoint, ship) {
+    const fits = vesselClass => DIMENSIONS.every(({ particular, limit }) =>
+      !(ship[particular] > 0) || vesselClass[limit] == null || ship[particular] <= vesselClass[limit]);
+
+    const vesselClass = chokepoint.vesselClasses.find(fits);
+    if (vesselClass) {
+      return { vesselClass, reason: null };
+    }
+
+    const largest = chokepoint.vesselClasses[chokepoint.vesselClasses.length - 1];
+    const exceeded = DIMENSIONS
+      .filter(({ particular, limit }) => ship[particular] > largest[limit])
+      .map(({ particular, limit, label }) => `${label} ${ship[particular]} m > ${largest[limit]} m`);
+    return { vesselClass: null, reason: `${chokepoint.name}: ${exceeded.join(', ')}` };
+  }
+
+  // Chokepoints the ship's particulars do not fit, as { id, reason }
+  excludedFor(ship) {
+    return this.list()
+      .map(chokepoint => ({ id: chokepoint.id, reason: this.vesselClassFor(chokepoint, ship).reason }))
+      .filter(({ reason }) => reason);
+  }
+
+  estimateTariff(chokepoint, ship) {
+    const { base, perGrossTonnage } = chokepoint.tariff;
+    return Math.round(base + perGrossTonnage * (ship.grossTonnage || 0));
+  }
+
+  // What a transit of the chokepoint means for the ship
+  transit(chokepoint, ship) {
+    return {
+      chokepoint: chokepoint.id,
+      name: chokepoint.name,
+      type: chokepoint.type,
+      vesselClass: this.vesselClassFor(chokepoint, ship).vesselClass?.name,
+      transitHours: chokepoint.transitHours,
+      waitingHours: chokepoint.waitingHours,
+      tariff: this.estimateTariff(chokepoint, ship)
+    };
+  }
+}
+
+// Export the class
+module.exports = ChokepointCatalogue;
@@ -0,0 +1,195 @@
+const ecas = require('../../data/ecas.json');
+const fuels = require('../../data/fuels.json');
+const {
+  interpolateGreatCircle,
+  interpolateRhumbLine,
+  interpolatePath,
+  pointInPolygon,
+  pathAverage
+} = require('../../utils/geo');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Paths are checked against the zones in steps of at most this many km
+const SAMPLE_SPACING = 10;
+
+// Fuel burnt inside an ECA by ships whose own fuel is not compliant
+const COMPLIANT_FUEL = 'MGO';
+
+// Hours before entering an ECA the changeover to compliant fuel starts,
+// so the fuel system is flushed by the boundary
+const CHANGEOVER_HOURS = 1;
+
+// Ships stay on compliant fuel between ECAs less than this many hours apart
+const MIN_MAIN_FUEL_HOURS = 6;
+
+// Where the ship is at `time` (ms) along sailed segments
+const positionAt = (segments, time, pathType) => {
+  const segment = segments.find(entry => new Date(entry.arrival).getTime() >= time) || segments[segments.length - 1];
+  const start = new Date(segment.departure).getTime();
+  const end = new Date(segment.arrival).getTime();
+  const fraction = end > start ? Math.min(1, Math.max(0, (time - start) / (end - start))) : 0;
+  const interpolate = pathType === 'RHUMB_LINE' ? interpolateRhumbLine : interpolateGreatCircle;
+  return interpolate(segment.from, segment.to, fraction);
+};
+
+/**
+ * Emission Control Areas from data/ecas.json, where ships must burn fuel
+ * of at most 0.1% sulphur. Outlines are simplified polygons, one or more
+ * per area, and an area applies from its effectiveFrom date. Ships whose
+ * fuel in data/fuels.json is not ECA compliant switch to COMPLIANT_FUEL
+ * for their time inside.
+ */
+class EcaZones {
+  constructor(catalogue = ecas, fuelCatalogue = fuels) {
+    this.zones = new Map(catalogue.map(zone => [zone.id, { ...zone, effectiveFrom: new Date(zone.effectiveFrom) }]));
+    this.fuels = new Map(fuelCatalogue.map(fuel => [fuel.type, fuel]));
+  }
+
+  list() {
+    return [...this.zones.values()];
+  }
+
+  get(id) {
+    return this.zones.get(id) || null;
+  }
+
+  // The zone in force at `time` a position lies in, or null
+  zoneAt(coordinates, time = new Date()) {
+    return this.list().find(zone => zone.effectiveFrom <= new Date(time) &&
+      zone.polygons.some(polygon => pointInPolygon(coordinates, polygon))) || null;
+  }
+
+  // Share of the path between two points that lies inside a zone, 0-1
+  shareInside(from, to, { pathType = 'GREAT_CIRCLE', time } = {}) {
+    return pathAverage(from, to, point => (this.zoneAt(point, time) ? 1 : 0), { pathType, spacing: SAMPLE_SPACING });
+  }
+
+  /**
+   * Stretches of a sailed path (segments as from WeatherRouter.sail) inside
+   * each zone, in order: [{ eca, name, distance, duration, fuelConsumption,
+   * entry, exit }] with distance in km, duration in hours and the entry and
+   * exit as { coordinates, time }. A zone entered twice gives two passages.
+   */
+  passages(segments, { pathType = 'GREAT_CIRCLE' } = {}) {
+    const passages = [];
+    let current = null;
+
+    segments.forEach(segment => {
+      const start = new Date(segment.departure).getTime();
+      const hours = (new Date(segment.arrival).getTime() - start) / HOUR_MS;
+      const points = interpolatePath(segment.from, segment.to, { pathType, spacing: SAMPLE_SPACING });
+      const timeAt = distance => new Date(start + (segment.distance > 0 ? distance / segment.distance : 0) * hours * HOUR_MS);
+
+      points.slice(1).forEach((point, index) => {
+        const previous = points[index];
+        const midpoint = interpolateGreatCircle(previous.coordinates, point.coordinates, 0.5);
+        const zone = this.zoneAt(midpoint, timeAt((previous.distance + point.distance) / 2));
+
+        if (current && current.eca !== zone?.id) {
+          passages.push(current);
+          current = null;
+        }
+        if (!zone) return;
+
+        if (!current) {
+          current = {
+            eca: zone.id,
+            name: zone.name,
+            distance: 0,
+            duration: 0,
+            fuelConsumption: 0,
+            entry: { coordinates: previous.coordinates, time: timeAt(previous.distance) }
+          };
+        }
+        const share = segment.distance > 0 ? (point.distance - previous.distance) / segment.distance : 1;
+        current.distance += point.distance - previous.distance;
+        current.duration += hours * share;
+        current.fuelConsumption += (segment.fuelConsumption || 0) * share;
+        current.exit = { coordinates: point.coordinates, time: timeAt(point.distance) };
+      });
+    });
+
+    if (current) {
+      passages.push(current);
+    }
+    return passages;
+  }
+
+  /**
+   * Fuel changeover plan for sailing a path with its ECA passages. Ships on
+   * a non-compliant fuel switch to COMPLIANT_FUEL CHANGEOVER_HOURS before
+   * each entry and back on leaving, staying on it between zones less than
+   * MIN_MAIN_FUEL_HOURS apart and when the route starts or ends inside one.
+   * Returns { mainFuel, compliantFuel, changeovers, byFuel } with each
+   * changeover as { from, to, eca, coordinates, time } and the fuel
+   * estimate split by fuel type.
+   */
+  changeoverPlan(segments, passages, { fuelType = 'HFO', pathType = 'GREAT_CIRCLE' } = {}) {
+    const total = segments.reduce((sum, segment) => sum + (segment.fuelConsumption || 0), 0);
+    const mainFuel = this.fuels.get(fuelType) ? fuelType : 'HFO';
+    if (this.fuels.get(mainFuel).ecaCompliant || passages.length === 0) {
+      return { mainFuel, compliantFuel: null, changeovers: [], byFuel: [{ fuel: mainFuel, estimated: total }] };
+    }
+
+    const departure = new Date(segments[0].departure).getTime();
+    const arrival = new Date(segments[segments.length - 1].arrival).getTime();
+
+    // Periods on compliant fuel, joining zones close together
+    const periods = [];
+    passages.forEach(passage => {
+      const start = Math.max(departure, passage.entry.time.getTime() - CHANGEOVER_HOURS * HOUR_MS);
+      const end = passage.exit.time.getTime();
+      const last = periods[periods.length - 1];
+      if (last && start - last.end < MIN_MAIN_FUEL_HOURS * HOUR_MS) {
+        last.end = end;
+        last.exit = passage.eca;
+      } else {
+        periods.push({ start, end, entry: passage.eca, exit: passage.eca });
+      }
+    });
+
+    const changeovers = periods.flatMap(period => [
+      period.start > departure && {
+        from: mainFuel,
+        to: COMPLIANT_FUEL,
+        eca: period.entry,
+        coordinates: positionAt(segments, period.start, pathType),
+        time: new Date(period.start)
+      },
+      period.end < arrival && {
+        from: COMPLIANT_FUEL,
+        to: mainFuel,
+        eca: period.exit,
+        coordinates: positionAt(segments, period.end, pathType),
+        time: new Date(period.end)
+      }
+    ]).filter(Boolean);
+
+    // Each segment's fuel goes to the fuel burnt for its share of time in the periods
+    const compliant = segments.reduce((sum, segment) => {
+      const start = new Date(segment.departure).getTime();
+      const end = new Date(segment.arrival).getTime();
+      if (end <= start) return sum;
+      const overlap = periods.reduce((hours, period) =>
+        hours + Math.max(0, Math.min(end, period.end) - Math.max(start, period.start)), 0);
+      return sum + (segment.fuelConsumption || 0) * overlap / (end - start);
+    }, 0);
+
+    return {
+      mainFuel,
+      compliantFuel: COMPLIANT_FUEL,
+      changeovers,
+      byFuel: [
+        { fuel: mainFuel, estimated: total - compliant },
+        { fuel: COMPLIANT_FUEL, estimated: compliant }
+      ]
+    };
+  }
+}
+
+EcaZones.COMPLIANT_FUEL = COMPLIANT_FUEL;
+EcaZones.CHANGEOVER_HOURS = CHANGEOVER_HOURS;
+
+// Export the class
+module.exports = EcaZones;
@@ -0,0 +1,117 @@
+const { normalizeLongitude } = require('../../utils/geo');
+
+// Size in degrees of the cells one forecast is fetched for
+const DEFAULT_CELL_SIZE = 5;
+
+// Conditions assumed where no forecast was fetched
+const CALM = { windSpeed: 0, windDirection: 0, waveHeight: 0, waveDirection: 0 };
+
+// Forecast entries as { time (ms), ...values }, oldest first
+const timeSeries = entries => (entries || [])
+  .map(entry => ({ ...entry, time: new Date(entry.timestamp).getTime() }))
+  .sort((a, b) => a.time - b.time);
+
+// Direction (degrees) a fraction of the way from one to another, turning the short way round
+const interpolateDirection = (from, to, fraction) => {
+  const turn = ((((to - from) % 360) + 540) % 360) - 180;
+  return (from + turn * fraction + 360) % 360;
+};
+
+/**
+ * Values of a time series at a time, interpolated linearly between the
+ * entries either side of it and held at the first or last entry outside
+ * them. Fields named in `directions` turn the short way round.
+ */
+const valuesAt = (series, at, fields, directions = []) => {
+  const next = series.findIndex(entry => entry.time >= at);
+  const after = series[next === -1 ? series.length - 1 : next];
+  const before = next > 0 ? series[next - 1] : after;
+  const fraction = after.time > before.time ? (at - before.time) / (after.time - before.time) : 0;
+
+  return Object.fromEntries(fields.map(field => {
+    const from = before[field] || 0;
+    const to = after[field] || 0;
+    return [field, directions.includes(field)
+      ? interpolateDirection(from, to, fraction)
+      : from + (to - from) * fraction];
+  }));
+};
+
+/**
+ * Forecasts over a grid of cells, each holding the WeatherService weather
+ * and marine forecasts fetched for its centre as time series. Looks up
+ * the wind and waves at a position and time of passage, interpolating
+ * between the forecast entries either side of it and holding the last
+ * one beyond the forecast horizon. Where only current conditions were
+ * fetched they hold throughout. Cells nothing was fetched for, including
+ * those whose forecast was missing, are calm.
+ */
+class ForecastGrid {
+  constructor(cellSize = DEFAULT_CELL_SIZE) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+    // Keys of the cells whose forecast could not be fetched
+    this.missing = new Set();
+  }
+
+  cellKey([longitude, latitude]) {
+    return `${Math.floor(longitude / this.cellSize)}:${Math.floor(latitude / this.cellSize)}`;
+  }
+
+  cellCentre(key) {
+    const [x, y] = key.split(':').map(Number);
+    return [normalizeLongitude((x + 0.5) * this.cellSize), Math.min(90, (y + 0.5) * this.cellSize)];
+  }
+
+  // Keys of the cells covering a list of positions, each once, in order
+  cellsFor(positions) {
+    return [...new Set(positions.map(position => this.cellKey(position)))];
+  }
+
+  setCell(key, weather, marine) {
+    const wind = timeSeries(weather?.forecast);
+    const waves = timeSeries(marine?.forecast);
+
+    this.cells.set(key, {
+      wind: wind.length > 0 ? wind : [{ ...weather?.current, time: 0 }],
+      waves: waves.length > 0 ? waves : [{ ...marine, time: 0 }],
+      // The last time the wind is forecast for, or -Infinity with current conditions only
+      horizon: wind.length > 0 ? wind[wind.length - 1].time : -Infinity
+    });
+  }
+
+  setMissing(key) {
+    this.cells.delete(key);
+    this.missing.add(key);
+  }
+
+  /**
+   * Wind (m/s, direction it blows from), waves (m, direction they come
+   * from) and air temperature at a [longitude, latitude] position and
+   * time, with `forecast` false where none was fetched or the time is past
+   * the forecast.
+   */
+  conditionsAt(position, time) {
+    const cell = this.cells.get(this.cellKey(position));
+    if (!cell) {
+      return { ...CALM, forecast: false };
+    }
+
+    const at = new Date(time).getTime();
+    const wind = valuesAt(cell.wind, at, ['windSpeed', 'windDirection'], ['windDirection']);
+    const waves = valuesAt(cell.waves, at, ['waveHeight', 'waveDirection'], ['waveDirection']);
+    const { temperature } = cell.wind.some(entry => entry.temperature !== undefined)
+      ? valuesAt(cell.wind, at, ['temperature'])
+      : {};
+
+    return {
+      ...wind,
+      ...waves,
+      temperature,
+      forecast: at <= cell.horizon
+    };
+  }
+}
+
+// Export the class
+module.exports = ForecastGrid;
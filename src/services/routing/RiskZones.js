@@ -0,0 +1,131 @@
+const { interpolateGreatCircle, interpolatePath, pointInPolygon, pathAverage } = require('../../utils/geo');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Paths are checked against the zones in steps of at most this many km
+const SAMPLE_SPACING = 10;
+
+// How many times fuel or time counts inside a zone of each soft severity;
+// NO_GO zones are never entered
+const SEVERITY_FACTORS = {
+  HIGH: 3,
+  MEDIUM: 1.5,
+  LOW: 1.2
+};
+
+// Outer rings and holes of a GeoJSON Polygon or MultiPolygon
+const polygonsOf = area => (area.type === 'MultiPolygon' ? area.coordinates : [area.coordinates]);
+
+const inArea = (coordinates, area) => polygonsOf(area).some(([outer, ...holes]) =>
+  pointInPolygon(coordinates, outer) && !holes.some(hole => pointInPolygon(coordinates, hole)));
+
+// Whether a zone applies at `time` (ms or Date); zones apply at any time when it is unknown
+const inForce = (zone, time) => time == null || (
+  (!zone.validFrom || new Date(zone.validFrom).getTime() <= new Date(time).getTime()) &&
+  (!zone.validTo || new Date(zone.validTo).getTime() > new Date(time).getTime()));
+
+// Time `fraction` of the way between two times in ms, or undefined when they are not known
+const timeBetween = (start, end, fraction) =>
+  (start == null ? undefined : start + ((end ?? start) - start) * fraction);
+
+/**
+ * Operator-defined zones a route is planned around, each given as
+ * { id, name, type, severity, area, validFrom, validTo } with a GeoJSON
+ * Polygon or MultiPolygon area. A zone only counts while the ship would
+ * be inside it between validFrom and validTo, either of which may be
+ * left out. Paths may not enter NO_GO zones; fuel or time inside the
+ * others counts SEVERITY_FACTORS times, so routes pass through them only
+ * when the way round costs more. Where zones overlap the most severe one
+ * applies.
+ */
+class RiskZones {
+  constructor(zones = []) {
+    this.zones = zones;
+  }
+
+  list() {
+    return this.zones;
+  }
+
+  // Zones in force at `time` a position lies in; all zones covering it when no time is given
+  zonesAt(coordinates, time) {
+    return this.zones.filter(zone => inForce(zone, time) && inArea(coordinates, zone.area));
+  }
+
+  // The first no-go zone a position lies in at `time`, or null
+  noGoAt(coordinates, time) {
+    return this.zonesAt(coordinates, time).find(zone => zone.severity === 'NO_GO') || null;
+  }
+
+  // Weight of fuel or time at a position and time: Infinity in a no-go zone, else at least 1
+  factorAt(coordinates, time) {
+    return this.zonesAt(coordinates, time).reduce((factor, zone) =>
+      Math.max(factor, zone.severity === 'NO_GO' ? Infinity : SEVERITY_FACTORS[zone.severity] || 1), 1);
+  }
+
+  /**
+   * Average weight along the path between two points sailed from
+   * `departure` to `arrival` (ms), Infinity when it enters a no-go zone
+   * in force on the way.
+   */
+  costFactor(from, to, { pathType = 'GREAT_CIRCLE', departure, arrival } = {}) {
+    return pathAverage(from, to, (point, fraction) => this.factorAt(point, timeBetween(departure, arrival, fraction)), {
+      pathType,
+      spacing: SAMPLE_SPACING
+    });
+  }
+
+  /**
+   * Zones a sailed path (segments as from WeatherRouter.sail) passes
+   * through, in the order first entered: [{ zone, name, type, severity,
+   * distance, duration }] with distance in km and duration in hours.
+   */
+  crossings(segments, { pathType = 'GREAT_CIRCLE' } = {}) {
+    const crossed = new Map();
+
+    segments.forEach(segment => {
+      const start = new Date(segment.departure).getTime();
+      const end = new Date(segment.arrival).getTime();
+      const hours = (end - start) / HOUR_MS;
+      const points = interpolatePath(segment.from, segment.to, { pathType, spacing: SAMPLE_SPACING });
+
+      points.slice(1).forEach((point, index) => {
+        const distance = point.distance - points[index].distance;
+        const midpoint = interpolateGreatCircle(points[index].coordinates, point.coordinates, 0.5);
+        const fraction = segment.distance > 0 ? (points[index].distance + point.distance) / 2 / segment.distance : 0;
+        this.zonesAt(midpoint, timeBetween(start, end, fraction)).forEach(zone => {
+          if (!crossed.has(zone.id)) {
+            const { id, name, type, severity } = zone;
+            crossed.set(id, { zone: id, name, type, severity, distance: 0, duration: 0 });
+          }
+          const crossing = crossed.get(zone.id);
+          crossing.distance += distance;
+          crossing.duration += segment.distance > 0 ? hours * distance / segment.distance : 0;
+        });
+      });
+    });
+
+    return [...crossed.values()];
+  }
+
+  /**
+   * Whether the path through the given route points enters a zone while
+   * it is in force, with `times` the times (Date or ms) the points are
+   * passed; without them, whether it enters the zone at all.
+   */
+  crosses(zone, points, { pathType = 'GREAT_CIRCLE', times = [] } = {}) {
+    return points.slice(1).some((to, index) => {
+      const start = times[index] == null ? undefined : new Date(times[index]).getTime();
+      const end = times[index + 1] == null ? undefined : new Date(times[index + 1]).getTime();
+      const path = interpolatePath(points[index], to, { pathType, spacing: SAMPLE_SPACING });
+      const total = path[path.length - 1].distance;
+      return path.some(point => inForce(zone, timeBetween(start, end, total > 0 ? point.distance / total : 0)) &&
+        inArea(point.coordinates, zone.area));
+    });
+  }
+}
+
+RiskZones.SEVERITY_FACTORS = SEVERITY_FACTORS;
+
+// Export the class
+module.exports = RiskZones;
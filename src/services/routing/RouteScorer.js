@@ -0,0 +1,91 @@
+const fuels = require('../../data/fuels.json');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Metrics candidates are compared on, lower being better for each
+const METRICS = ['distance', 'duration', 'fuelConsumption', 'cost', 'emissions', 'weatherRisk'];
+
+// Weight of each metric in the score unless the request sets its own
+const DEFAULT_WEIGHTS = {
+  distance: 0.1,
+  duration: 0.2,
+  fuelConsumption: 0.15,
+  cost: 0.25,
+  emissions: 0.1,
+  weatherRisk: 0.2
+};
+
+/**
+ * Compares planned routes. Fuel in litres is turned into tonnes, cost and
+ * CO2 with the fuels burnt from data/fuels.json: density in tonnes per
+ * cubic metre, price in USD per tonne and the IMO CO2 conversion factor in
+ * tonnes of CO2 per tonne of fuel. Cost adds canal tariffs. Weather risk
+ * is how close the route comes to its wave and wind safety limits, 0-1.
+ */
+class RouteScorer {
+  constructor(catalogue = fuels) {
+    this.fuels = new Map(catalogue.map(fuel => [fuel.type, fuel]));
+  }
+
+  metrics(route, ship) {
+    const fuelConsumption = route.fuelConsumption.estimated;
+    // Ships switching fuel in Emission Control Areas burn some of each
+    const byFuel = route.fuelConsumption.byFuel?.length
+      ? route.fuelConsumption.byFuel
+      : [{ fuel: ship.fuelType, estimated: fuelConsumption }];
+    const burnt = byFuel.map(({ fuel, estimated }) => {
+      const properties = this.fuels.get(fuel) || this.fuels.get('HFO');
+      return { ...properties, tonnes: estimated / 1000 * properties.density };
+    });
+    const tariffs = route.chokepoints.reduce((sum, transit) => sum + (transit.tariff || 0), 0);
+
+    const { maximum = {} } = route.weather || {};
+    const { maxWaveHeight, maxWindSpeed } = route.weatherRouting || {};
+    const weatherRisk = Math.min(1, Math.max(
+      maxWaveHeight ? (maximum.waveHeight || 0) / maxWaveHeight : 0,
+      maxWindSpeed ? (maximum.windSpeed || 0) / maxWindSpeed : 0
+    ));
+
+    return {
+      distance: route.distance,
+      duration: (route.estimatedArrival - route.estimatedDeparture) / HOUR_MS,
+      fuelConsumption,
+      cost: Math.round(burnt.reduce((sum, fuel) => sum + fuel.tonnes * fuel.price, 0) + tariffs),
+      emissions: burnt.reduce((sum, fuel) => sum + fuel.tonnes * fuel.co2Factor, 0),
+      weatherRisk
+    };
+  }
+
+  /**
+   * Scores candidates { metrics, ... } from 0 to 100 and ranks them best
+   * first. Each metric counts by its weight, from 0 for the candidate
+   * with the lowest value to its full weight for the highest.
+   */
+  rank(candidates, weights = {}) {
+    const merged = { ...DEFAULT_WEIGHTS, ...weights };
+    const totalWeight = METRICS.reduce((sum, metric) => sum + merged[metric], 0) || 1;
+
+    const ranges = Object.fromEntries(METRICS.map(metric => {
+      const values = candidates.map(candidate => candidate.metrics[metric]);
+      return [metric, { min: Math.min(...values), max: Math.max(...values) }];
+    }));
+
+    return candidates
+      .map(candidate => {
+        const penalty = METRICS.reduce((sum, metric) => {
+          const { min, max } = ranges[metric];
+          const share = max > min ? (candidate.metrics[metric] - min) / (max - min) : 0;
+          return sum + merged[metric] * share;
+        }, 0);
+        return { ...candidate, score: Math.round(1000 * (1 - penalty / totalWeight)) / 10 };
+      })
+      .sort((a, b) => b.score - a.score)
+      .map((candidate, index) => ({ ...candidate, rank: index + 1 }));
+  }
+}
+
+RouteScorer.METRICS = METRICS;
+RouteScorer.DEFAULT_WEIGHTS = DEFAULT_WEIGHTS;
+
+// Export the class
+module.exports = RouteScorer;
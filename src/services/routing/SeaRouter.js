@@ -0,0 +1,159 @@
+const seaLanes = require('../../data/seaLanes.json');
+const { greatCircleDistance } = require('../../utils/geo');
+
+// Lane nodes each end of a voyage is joined to. Nodes sit off the ports'
+// approaches, so joining only the nearest keeps access legs off the land.
+const ACCESS_NODES = 1;
+
+// Further than this (km) from every lane node a position is taken to be inland
+const MAX_ACCESS_DISTANCE = 1500;
+
+const DEPARTURE = 'DEPARTURE';
+const DESTINATION = 'DESTINATION';
+
+// Direction-independent key of the lane edge between two nodes
+const edgeKey = (from, to) => [from, to].sort().join('|');
+
+/**
+ * Shortest sea routes over the bundled network of shipping lanes in
+ * data/seaLanes.json. Lane legs are sailed as great circles; the network
+ * is laid out so that they stay at sea, with the Suez and Panama canals
+ * as ordinary legs. Departure and destination are joined to their nearest
+ * lane node, or to each other when they are closer together than to the
+ * network.
+ */
+class SeaRouter {
+  constructor(network = seaLanes) {
+    this.nodes = new Map(network.nodes.map(node => [node.id, node]));
+    this.adjacency = new Map(network.nodes.map(node => [node.id, []]));
+
+    network.edges.forEach(([from, to]) => {
+      const distance = greatCircleDistance(this.nodes.get(from).coordinates, this.nodes.get(to).coordinates);
+      this.adjacency.get(from).push({ to, distance });
+      this.adjacency.get(to).push({ to: from, distance });
+    });
+  }
+
+  nearestNodes(coordinates, count = ACCESS_NODES) {
+    return [...this.nodes.values()]
+      .map(node => ({ id: node.id, distance: greatCircleDistance(coordinates, node.coordinates) }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, count);
+  }
+
+  accessLegs(coordinates, label) {
+    const nearest = this.nearestNodes(coordinates);
+    if (nearest[0].distance > MAX_ACCESS_DISTANCE) {
+      throw new Error(`Invalid route: ${label} is more than ${MAX_ACCESS_DISTANCE} km from the sea lane network`);
+    }
+    return nearest;
+  }
+
+  /**
+   * Shortest path between two [longitude, latitude] positions:
+   * { distance, path, nodes } with the distance in km, the turning points
+   * from departure to destination and the lane node IDs passed.
+   * `excludedEdges` lists edge keys (see edgeKey) the path may not use,
+   * such as those of a canal the ship cannot transit.
+   */
+  findRoute(departure, destination, { excludedEdges = [] } = {}) {
+    const graph = this.searchGraph(departure, destination, { excludedEdges });
+
+    const previous = this.search(DEPARTURE, DESTINATION, graph.neighbours,
+      id => greatCircleDistance(graph.coordinatesOf(id), destination));
+    if (!previous) {
+      throw new Error('Invalid route: no sea route between departure and destination');
+    }
+
+    return {
+      distance: previous.get(DESTINATION).distance,
+      ...this.trace(previous, graph.coordinatesOf)
+    };
+  }
+
+  /**
+   * The lane network joined to a departure and destination for one
+   * search: neighbours(id) lists { to, distance } edges, leaving out the
+   * excluded ones, and coordinatesOf(id) places nodes including the
+   * DEPARTURE and DESTINATION ends.
+   */
+  searchGraph(departure, destination, { excludedEdges = [] } = {}) {
+    const departureLegs = this.accessLegs(departure, 'departure');
+    const destinationLegs = this.accessLegs(destination, 'destination');
+
+    // Per-search edges from the departure and into the destination
+    const extraEdges = new Map([[DEPARTURE, departureLegs.map(leg => ({ to: leg.id, distance: leg.distance }))]]);
+    destinationLegs.forEach(leg => {
+      extraEdges.set(leg.id, [{ to: DESTINATION, distance: leg.distance }]);
+    });
+
+    const direct = greatCircleDistance(departure, destination);
+    if (direct <= Math.max(departureLegs[0].distance, destinationLegs[0].distance)) {
+      extraEdges.get(DEPARTURE).push({ to: DESTINATION, distance: direct });
+    }
+
+    const coordinatesOf = id => {
+      if (id === DEPARTURE) return departure;
+      if (id === DESTINATION) return destination;
+      return this.nodes.get(id).coordinates;
+    };
+    const excluded = new Set(excludedEdges);
+    const neighbours = id => [...(this.adjacency.get(id) || []), ...(extraEdges.get(id) || [])]
+      .filter(({ to }) => !excluded.has(edgeKey(id, to)));
+
+    return { neighbours, coordinatesOf };
+  }
+
+  // Turning points and lane node IDs of the path a search settled on
+  trace(previous, coordinatesOf) {
+    const ids = [DESTINATION];
+    while (ids[0] !== DEPARTURE) {
+      ids.unshift(previous.get(ids[0]).from);
+    }
+
+    return {
+      path: ids.map(coordinatesOf),
+      nodes: ids.slice(1, -1)
+    };
+  }
+
+  /**
+   * A* search. Returns a map of node ID to { from, distance } for the nodes
+   * settled on the way, or null when the goal cannot be reached. The
+   * network is small enough for a linear scan of the open set.
+   */
+  search(start, goal, neighbours, heuristic) {
+    const best = new Map([[start, { from: null, distance: 0 }]]);
+    const open = new Map([[start, heuristic(start)]]);
+    const closed = new Set();
+
+    while (open.size > 0) {
+      let current = null;
+      open.forEach((estimate, id) => {
+        if (current === null || estimate < open.get(current)) current = id;
+      });
+      if (current === goal) return best;
+
+      open.delete(current);
+      closed.add(current);
+
+      neighbours(current).forEach(({ to, distance }) => {
+        if (closed.has(to)) return;
+        const tentative = best.get(current).distance + distance;
+        if (!best.has(to) || tentative < best.get(to).distance) {
+          best.set(to, { from: current, distance: tentative });
+          open.set(to, tentative + heuristic(to));
+        }
+      });
+    }
+
+    return null;
+  }
+}
+
+SeaRouter.edgeKey = edgeKey;
+SeaRouter.DEPARTURE = DEPARTURE;
+SeaRouter.DESTINATION = DESTINATION;
+
+// Export the class
+module.exports = SeaRouter;
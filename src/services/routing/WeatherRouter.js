@@ -0,0 +1,216 @@
+const SeaRouter = require('./SeaRouter');
+const ForecastGrid = require('./ForecastGrid');
+const { KM_PER_NM, greatCircleDistance, initialBearing, interpolatePath } = require('../../utils/geo');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Waves (m) and wind (m/s, Beaufort 10) no leg may be planned through
+const DEFAULT_LIMITS = { maxWaveHeight: 7, maxWindSpeed: 24.5 };
+
+// Power over the calm-water setting a ship may use to hold speed when minimizing time
+const SEA_MARGIN = 1.15;
+
+// Lane nodes within this distance (km) of the shortest path get forecasts
+const CORRIDOR_WIDTH = 750;
+
+// Share of head-on wind or wave resistance felt at an angle off the bow, 0-180 degrees
+const directionFactor = (heading, from) => {
+  const offBow = Math.abs(((from - heading + 540) % 360) - 180);
+  return 1 - 0.75 * (offBow / 180);
+};
+
+/**
+ * Weather routing over the sea lane network: a time-dependent A* search
+ * that sails every edge it considers through the forecast wind and waves
+ * at the time the ship would pass, and minimizes fuel or time to arrival.
+ * Edges running into waves or wind beyond the safety limits are closed.
+ *
+ * Weather adds resistance growing with the square of wave height and wind
+ * speed, most from ahead and least from astern. Minimizing fuel keeps the
+ * engine at its calm-water power, so the ship slows down; minimizing time
+ * uses up to SEA_MARGIN more power to hold speed, burning more fuel.
+ */
+class WeatherRouter {
+  constructor(seaRouter = new SeaRouter()) {
+    this.seaRouter = seaRouter;
+  }
+
+  /**
+   * Lane nodes and path points the forecast should cover: the calm-water
+   * shortest path and lane nodes in a corridor either side of it.
+   */
+  corridor(departure, destination, { excludedEdges = [], spacing = 500 } = {}) {
+    const { path } = this.seaRouter.findRoute(departure, destination, { excludedEdges });
+    const points = path.slice(1).flatMap((to, index) =>
+      interpolatePath(path[index], to, { spacing }).map(point => point.coordinates));
+
+    const nearby = [...this.seaRouter.nodes.values()]
+      .filter(node => points.some(point => greatCircleDistance(point, node.coordinates) <= CORRIDOR_WIDTH))
+      .map(node => node.coordinates);
+
+    return [...points, ...nearby];
+  }
+
+  /**
+   * Added resistance as a fraction of calm-water resistance for the
+   * conditions met on a heading.
+   */
+  addedResistance({ waveHeight, waveDirection, windSpeed, windDirection }, heading) {
+    return 0.04 * waveHeight ** 2 * directionFactor(heading, waveDirection) +
+      0.0005 * windSpeed ** 2 * directionFactor(heading, windDirection);
+  }
+
+  /**
+   * Sails from one point to another starting at `startTime` (ms), in
+   * segments at most `spacing` km long, each under the conditions at its
+   * start when the ship gets there. Returns { segments, arrival, fuel } or
+   * null when a segment breaks the safety limits. `fuelRate` is the
+   * calm-water consumption per hour at `speed` knots.
+   */
+  sail(from, to, {
+    startTime,
+    speed,
+    fuelRate = 0,
+    pathType = 'GREAT_CIRCLE',
+    spacing,
+    objective = 'FUEL',
+    limits = DEFAULT_LIMITS,
+    forecast = new ForecastGrid()
+  }) {
+    const points = interpolatePath(from, to, { pathType, spacing });
+    const segments = [];
+    let time = startTime;
+    let fuel = 0;
+
+    for (let index = 1; index < points.length; index++) {
+      const start = points[index - 1];
+      const end = points[index];
+      const distance = end.distance - start.distance;
+
+      const { forecast: forecasted, ...conditions } = forecast.conditionsAt(start.coordinates, time);
+      if (conditions.waveHeight > limits.maxWaveHeight || conditions.windSpeed > limits.maxWindSpeed) {
+        return null;
+      }
+
+      const resistance = 1 + this.addedResistance(conditions, initialBearing(start.coordinates, end.coordinates));
+      const power = objective === 'TIME' ? Math.min(resistance, SEA_MARGIN) : 1;
+      // Power grows with resistance times speed cubed
+      const segmentSpeed = speed * Math.cbrt(power / resistance);
+      const hours = distance / (segmentSpeed * KM_PER_NM);
+      const segmentFuel = fuelRate * power * hours;
+
+      segments.push({
+        from: start.coordinates,
+        to: end.coordinates,
+        departure: new Date(time),
+        arrival: new Date(time + hours * HOUR_MS),
+        distance,
+        speed: segmentSpeed,
+        ...conditions,
+        forecast: forecasted,
+        fuelConsumption: segmentFuel
+      });
+      time += hours * HOUR_MS;
+      fuel += segmentFuel;
+    }
+
+    return { segments, arrival: time, fuel };
+  }
+
+  /**
+   * Best route between two positions leaving at `departureTime`:
+   * { path, nodes, segments, distance, arrival, fuel }. `edgeDelays` maps
+   * edge keys to hours spent beyond sailing them, e.g. waiting for a canal.
+   * `costFactor(from, to, { departure, arrival })`, at least 1, weighs the
+   * fuel or time of sailing between two points leaving and arriving at
+   * those times (ms), e.g. more inside Emission Control Areas; Infinity
+   * closes the way between them, e.g. through a no-go zone in force then.
+   */
+  findRoute(departure, destination, {
+    departureTime,
+    speed,
+    fuelRate = 0,
+    objective = 'FUEL',
+    limits = DEFAULT_LIMITS,
+    forecast,
+    pathType,
+    spacing,
+    excludedEdges = [],
+    edgeDelays = new Map(),
+    costFactor = null
+  }) {
+    const { DEPARTURE, DESTINATION, edgeKey } = SeaRouter;
+    const graph = this.seaRouter.searchGraph(departure, destination, { excludedEdges });
+    const start = new Date(departureTime).getTime();
+
+    // Lower bound of the cost left: sailing the great circle in calm water
+    const heuristic = id => {
+      const hours = greatCircleDistance(graph.coordinatesOf(id), destination) / (speed * KM_PER_NM);
+      return objective === 'TIME' ? hours : hours * fuelRate;
+    };
+
+    const best = new Map([[DEPARTURE, { from: null, time: start, fuel: 0, cost: 0, segments: [] }]]);
+    const open = new Map([[DEPARTURE, heuristic(DEPARTURE)]]);
+    const closed = new Set();
+    let closedAreas = false;
+
+    while (open.size > 0) {
+      let current = null;
+      open.forEach((estimate, id) => {
+        if (current === null || estimate < open.get(current)) current = id;
+      });
+      if (current === DESTINATION) break;
+
+      open.delete(current);
+      closed.add(current);
+      const label = best.get(current);
+
+      graph.neighbours(current).forEach(({ to }) => {
+        if (closed.has(to)) return;
+        const leg = this.sail(graph.coordinatesOf(current), graph.coordinatesOf(to), {
+          startTime: label.time, speed, fuelRate, pathType, spacing, objective, limits, forecast
+        });
+        if (!leg) return;
+        const factor = costFactor
+          ? costFactor(graph.coordinatesOf(current), graph.coordinatesOf(to), { departure: label.time, arrival: leg.arrival })
+          : 1;
+        if (factor === Infinity) {
+          closedAreas = true;
+          return;
+        }
+
+        const time = leg.arrival + (edgeDelays.get(edgeKey(current, to)) || 0) * HOUR_MS;
+        const fuel = label.fuel + leg.fuel;
+        const legCost = objective === 'TIME' ? (time - label.time) / HOUR_MS : leg.fuel;
+        const cost = label.cost + legCost * factor;
+        if (!best.has(to) || cost < best.get(to).cost) {
+          best.set(to, { from: current, time, fuel, cost, segments: leg.segments });
+          open.set(to, cost + heuristic(to));
+        }
+      });
+    }
+
+    if (!best.has(DESTINATION)) {
+      throw new Error(`Invalid route: no sea route within the weather safety limits${closedAreas ? ' outside the closed areas' : ''}`);
+    }
+
+    const { path, nodes } = this.seaRouter.trace(best, graph.coordinatesOf);
+    const ids = [DEPARTURE, ...nodes, DESTINATION];
+    const segments = ids.slice(1).flatMap(id => best.get(id).segments);
+    const arrival = best.get(DESTINATION);
+
+    return {
+      path,
+      nodes,
+      segments,
+      distance: segments.reduce((sum, segment) => sum + segment.distance, 0),
+      arrival: new Date(arrival.time),
+      fuel: arrival.fuel
+    };
+  }
+}
+
+WeatherRouter.DEFAULT_LIMITS = DEFAULT_LIMITS;
+
+// Export the class
+module.exports = WeatherRouter;
@@ -0,0 +1,89 @@
+// Minimal RFC 4180 CSV reading and writing for bulk imports and exports
+
+/**
+ * Splits CSV text into records of fields. Quoted fields may contain
+ * commas, doubled quotes and line breaks.
+ */
+const parseRecords = text => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Invalid CSV: unterminated quoted field');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Blank lines carry no data
+  return records.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parses CSV text with a header line into one object per row, keyed by
+ * the header names. Empty cells are left out of the row object.
+ */
+const parseCsv = text => {
+  const [header, ...records] = parseRecords(text.replace(/^\uFEFF/, ''));
+  if (!header) return [];
+
+  const columns = header.map(name => name.trim());
+  return records.map(fields => columns.reduce((row, column, index) => {
+    const value = (fields[index] ?? '').trim();
+    if (column && value !== '') row[column] = value;
+    return row;
+  }, {}));
+};
+
+const escapeField = value => {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes objects to CSV text using the given columns as the header.
+ */
+const toCsv = (rows, columns) => {
+  const lines = [columns.map(escapeField).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeField(row[column])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  parseCsv,
+  toCsv
+};
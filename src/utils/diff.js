@@ -0,0 +1,47 @@
+// Bookkeeping fields that never count as a change
+const DEFAULT_IGNORED_PATHS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// ObjectIds become hex strings and dates ISO strings, as in API responses
+const normalize = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const isPlainObject = value =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0;
+
+const flatten = (object, prefix = '', paths = {}) => {
+  Object.entries(object || {}).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) {
+      flatten(value, path, paths);
+    } else {
+      paths[path] = value;
+    }
+  });
+  return paths;
+};
+
+/**
+ * Lists the fields that differ between two versions of a document as
+ * { path, before, after } with dotted paths. Arrays are compared whole.
+ * Either side may be null for a created or deleted document.
+ */
+const diffObjects = (before, after, { ignore = [] } = {}) => {
+  const ignored = [...DEFAULT_IGNORED_PATHS, ...ignore];
+  const isIgnored = path => ignored.some(prefix => path === prefix || path.startsWith(`${prefix}.`));
+
+  const beforePaths = flatten(normalize(before));
+  const afterPaths = flatten(normalize(after));
+
+  return [...new Set([...Object.keys(beforePaths), ...Object.keys(afterPaths)])]
+    .filter(path => !isIgnored(path))
+    .filter(path => JSON.stringify(beforePaths[path]) !== JSON.stringify(afterPaths[path]))
+    .sort()
+    .map(path => ({
+      path,
+      before: beforePaths[path] === undefined ? null : beforePaths[path],
+      after: afterPaths[path] === undefined ? null : afterPaths[path]
+    }));
+};
+
+module.exports = {
+  diffObjects
+};
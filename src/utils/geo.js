@@ -0,0 +1,186 @@
+// Distances are in km and speeds in knots throughout the system
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_NM = 1.852;
+
+const PATH_TYPES = ['GREAT_CIRCLE', 'RHUMB_LINE'];
+
+// What weather routing minimizes: fuel burnt or time to arrival
+const ROUTING_OBJECTIVES = ['FUEL', 'TIME'];
+
+const EPSILON = 1e-12;
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+const toDegrees = radians => (radians * 180) / Math.PI;
+
+// Wraps a longitude into [-180, 180], keeping 180 itself
+const normalizeLongitude = longitude => {
+  const wrapped = ((((longitude + 180) % 360) + 360) % 360) - 180;
+  return wrapped === -180 && longitude > 0 ? 180 : wrapped;
+};
+
+// Longitude difference taking the short way round, in radians
+const longitudeDelta = (from, to) => {
+  const delta = toRadians(to - from);
+  if (delta > Math.PI) return delta - 2 * Math.PI;
+  if (delta < -Math.PI) return delta + 2 * Math.PI;
+  return delta;
+};
+
+// Angular distance between two [longitude, latitude] points (haversine)
+const angularDistance = ([lon1, lat1], [lon2, lat2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+const greatCircleDistance = (from, to) => EARTH_RADIUS_KM * angularDistance(from, to);
+
+// Stretched latitude of the Mercator projection; rhumb lines are straight in it
+const mercatorLatitude = latitude => Math.log(Math.tan(Math.PI / 4 + toRadians(latitude) / 2));
+
+const rhumbLineDistance = ([lon1, lat1], [lon2, lat2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dPsi = mercatorLatitude(lat2) - mercatorLatitude(lat1);
+  const q = Math.abs(dPsi) > EPSILON ? dLat / dPsi : Math.cos(toRadians(lat1));
+  const dLon = longitudeDelta(lon1, lon2);
+  return EARTH_RADIUS_KM * Math.sqrt(dLat ** 2 + (q * dLon) ** 2);
+};
+
+// Initial course from one point towards another, in degrees from true north
+const initialBearing = ([lon1, lat1], [lon2, lat2]) => {
+  const phi1 = toRadians(lat1);
+  const phi2 = toRadians(lat2);
+  const dLon = longitudeDelta(lon1, lon2);
+  const y = Math.sin(dLon) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+  return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+};
+
+const pathDistance = (from, to, pathType = 'GREAT_CIRCLE') =>
+  (pathType === 'RHUMB_LINE' ? rhumbLineDistance(from, to) : greatCircleDistance(from, to));
+
+/**
+ * Point a fraction of the way along the great circle between two points.
+ * Interpolates on the unit sphere, so crossing the antimeridian needs no
+ * special handling.
+ */
+const interpolateGreatCircle = ([lon1, lat1], [lon2, lat2], fraction) => {
+  const delta = angularDistance([lon1, lat1], [lon2, lat2]);
+  if (delta < EPSILON) return [lon1, lat1];
+  if (Math.PI - delta < 1e-9) {
+    throw new Error('Invalid route: antipodal points have no single great circle between them');
+  }
+
+  const phi1 = toRadians(lat1);
+  const phi2 = toRadians(lat2);
+  const lambda1 = toRadians(lon1);
+  const lambda2 = toRadians(lon2);
+  const a = Math.sin((1 - fraction) * delta) / Math.sin(delta);
+  const b = Math.sin(fraction * delta) / Math.sin(delta);
+
+  const x = a * Math.cos(phi1) * Math.cos(lambda1) + b * Math.cos(phi2) * Math.cos(lambda2);
+  const y = a * Math.cos(phi1) * Math.sin(lambda1) + b * Math.cos(phi2) * Math.sin(lambda2);
+  const z = a * Math.sin(phi1) + b * Math.sin(phi2);
+
+  return [
+    normalizeLongitude(toDegrees(Math.atan2(y, x))),
+    toDegrees(Math.atan2(z, Math.sqrt(x ** 2 + y ** 2)))
+  ];
+};
+
+// Point a fraction of the way along the rhumb line (constant course)
+const interpolateRhumbLine = ([lon1, lat1], [lon2, lat2], fraction) => {
+  const latitude = lat1 + (lat2 - lat1) * fraction;
+  const dPsi = mercatorLatitude(lat2) - mercatorLatitude(lat1);
+  const dLon = toDegrees(longitudeDelta(lon1, lon2));
+
+  // Longitude changes linearly with the Mercator latitude along the line
+  const progress = Math.abs(dPsi) > EPSILON
+    ? (mercatorLatitude(latitude) - mercatorLatitude(lat1)) / dPsi
+    : fraction;
+
+  return [normalizeLongitude(lon1 + dLon * progress), latitude];
+};
+
+/**
+ * Points along the path between two [longitude, latitude] points, no more
+ * than `spacing` km apart, each with its distance from the start:
+ * [{ coordinates, distance }]. The first and last points are the ends.
+ */
+const interpolatePath = (from, to, { pathType = 'GREAT_CIRCLE', spacing }) => {
+  if (!PATH_TYPES.includes(pathType)) {
+    throw new Error(`Invalid path type: ${pathType}`);
+  }
+  if (!(spacing > 0)) {
+    throw new Error('Invalid waypoint spacing: must be a positive distance');
+  }
+
+  const total = pathDistance(from, to, pathType);
+  const segments = Math.max(1, Math.ceil(total / spacing));
+  const interpolate = pathType === 'RHUMB_LINE' ? interpolateRhumbLine : interpolateGreatCircle;
+
+  return Array.from({ length: segments + 1 }, (_, index) => {
+    const fraction = index / segments;
+    return {
+      coordinates: index === 0 ? from : index === segments ? to : interpolate(from, to, fraction),
+      distance: total * fraction
+    };
+  });
+};
+
+/**
+ * Whether a [longitude, latitude] point lies inside a polygon given as its
+ * corners, by casting a ray along the parallel. Polygons are taken to be
+ * drawn on a plain longitude/latitude grid and not to cross the antimeridian.
+ */
+const pointInPolygon = ([longitude, latitude], polygon) => {
+  let inside = false;
+  for (let index = 0, previous = polygon.length - 1; index < polygon.length; previous = index++) {
+    const [lon1, lat1] = polygon[index];
+    const [lon2, lat2] = polygon[previous];
+    if ((lat1 > latitude) !== (lat2 > latitude) &&
+        longitude < lon1 + (latitude - lat1) * (lon2 - lon1) / (lat2 - lat1)) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Distance-weighted average of `valueAt(coordinates, fraction)` along the
+ * path between two points, taken at the middle of steps at most `spacing`
+ * km long, e.g. with 1 inside an area and 0 outside, the share inside it.
+ * `fraction` is how far along the path the middle of the step lies, 0-1.
+ */
+const pathAverage = (from, to, valueAt, { pathType = 'GREAT_CIRCLE', spacing }) => {
+  const points = interpolatePath(from, to, { pathType, spacing });
+  const total = points[points.length - 1].distance;
+  if (total === 0) {
+    return valueAt(from, 0);
+  }
+
+  return points.slice(1).reduce((sum, point, index) => {
+    const midpoint = interpolateGreatCircle(points[index].coordinates, point.coordinates, 0.5);
+    const fraction = (points[index].distance + point.distance) / 2 / total;
+    return sum + valueAt(midpoint, fraction) * (point.distance - points[index].distance);
+  }, 0) / total;
+};
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  KM_PER_NM,
+  PATH_TYPES,
+  ROUTING_OBJECTIVES,
+  normalizeLongitude,
+  greatCircleDistance,
+  rhumbLineDistance,
+  pathDistance,
+  initialBearing,
+  interpolateGreatCircle,
+  interpolateRhumbLine,
+  interpolatePath,
+  pointInPolygon,
+  pathAverage
+};
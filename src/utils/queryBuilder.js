@@ -0,0 +1,199 @@
+/**
+ * Query language shared by the list endpoints:
+ *
+ *   ?type=CARGO,TANKER            equality, comma separated values match any
+ *   ?capacity[gte]=1000           range operators gt, gte, lt, lte; dates also
+ *   ?nextMaintenance[before]=...  accept before and after
+ *   ?q=pacific                    case-insensitive search on the text fields
+ *   ?sort=-capacity,name          sort keys, "-" for descending
+ *   ?fields=name,capacity         projection
+ *   ?page=2&limit=50              page-based pagination
+ *
+ * Every problem is reported as an "Invalid ..." error for the route to
+ * answer with 400.
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const RANGE_OPERATORS = {
+  gt: '$gt',
+  gte: '$gte',
+  lt: '$lt',
+  lte: '$lte',
+  after: '$gt',
+  before: '$lt'
+};
+
+const RESERVED_PARAMS = ['q', 'sort', 'fields', 'page', 'limit'];
+
+// Fields every document has, always sortable and selectable
+const COMMON_FIELDS = { _id: 'objectId', createdAt: 'date', updatedAt: 'date' };
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const splitList = value =>
+  (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+
+const parseValue = (value, type, param) => {
+  if (typeof value === 'object') {
+    throw new Error(`Invalid value for ${param}`);
+  }
+  switch (type) {
+    case 'number': {
+      const number = Number(value);
+      if (value === '' || !Number.isFinite(number)) {
+        throw new Error(`Invalid value for ${param}: expected a number`);
+      }
+      return number;
+    }
+    case 'date': {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid value for ${param}: expected a date`);
+      }
+      return date;
+    }
+    case 'objectId':
+      if (!/^[0-9a-fA-F]{24}$/.test(value)) {
+        throw new Error(`Invalid value for ${param}: expected an id`);
+      }
+      return value;
+    default:
+      return String(value);
+  }
+};
+
+const buildCondition = (field, type, value) => {
+  // Extended query parsing turns capacity[gte]=1 into { gte: '1' }
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    if (!['number', 'date'].includes(type)) {
+      throw new Error(`Invalid filter on ${field}: range operators need a number or date field`);
+    }
+    return Object.entries(value).reduce((range, [operator, operand]) => {
+      const mongoOperator = RANGE_OPERATORS[operator];
+      if (!mongoOperator || (type === 'number' && ['before', 'after'].includes(operator))) {
+        throw new Error(`Invalid filter operator on ${field}: ${operator}`);
+      }
+      range[mongoOperator] = parseValue(operand, type, `${field}[${operator}]`);
+      return range;
+    }, {});
+  }
+
+  const values = splitList(value).map(item => parseValue(item, type, field));
+  return values.length === 1 ? values[0] : { $in: values };
+};
+
+const buildSort = (value, allowed, defaultSort) => {
+  const sort = {};
+  splitList(value || defaultSort).forEach(key => {
+    const field = key.replace(/^[-+]/, '');
+    if (!allowed.includes(field)) {
+      throw new Error(`Invalid sort field: ${field}`);
+    }
+    sort[field] = key.startsWith('-') ? -1 : 1;
+  });
+  // A unique tie-breaker keeps page boundaries stable
+  if (!('_id' in sort)) sort._id = 1;
+  return sort;
+};
+
+const buildProjection = (value, allowed, hidden) => {
+  if (!value) {
+    return hidden.map(field => `-${field}`).join(' ');
+  }
+  const fields = splitList(value);
+  fields.forEach(field => {
+    if (!allowed.includes(field)) {
+      throw new Error(`Invalid field: ${field}`);
+    }
+  });
+  return fields.join(' ');
+};
+
+const parsePositiveInteger = (value, fallback, name) => {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`Invalid ${name}: must be a positive integer`);
+  }
+  return number;
+};
+
+/**
+ * Turns request query parameters into a Mongo filter, sort, projection
+ * and page. The spec lists the fields that may be filtered, sorted and
+ * selected with their types, the fields searched by `q`, the default
+ * sort and the fields left out unless named in `fields`. Parameters
+ * that are not in the spec are ignored so routes can handle their own.
+ */
+const buildListQuery = (params = {}, spec) => {
+  const {
+    fields,
+    search = [],
+    defaultSort = '_id',
+    hidden = []
+  } = spec;
+  const types = { ...COMMON_FIELDS, ...fields };
+  const filter = {};
+
+  Object.entries(fields).forEach(([field, type]) => {
+    if (params[field] !== undefined && !RESERVED_PARAMS.includes(field)) {
+      filter[field] = buildCondition(field, type, params[field]);
+    }
+  });
+
+  if (params.q !== undefined) {
+    if (typeof params.q !== 'string' || search.length === 0) {
+      throw new Error('Invalid search: q must be a single string');
+    }
+    const pattern = escapeRegExp(params.q.trim());
+    filter.$and = [{ $or: search.map(field => ({ [field]: { $regex: pattern, $options: 'i' } })) }];
+  }
+
+  const page = parsePositiveInteger(params.page, 1, 'page');
+  const limit = parsePositiveInteger(params.limit, DEFAULT_LIMIT, 'limit');
+  if (limit > MAX_LIMIT) {
+    throw new Error(`Invalid limit: at most ${MAX_LIMIT}`);
+  }
+
+  return {
+    filter,
+    sort: buildSort(params.sort, Object.keys(types), defaultSort),
+    projection: buildProjection(params.fields, [...Object.keys(types), ...hidden], hidden),
+    page,
+    limit,
+    skip: (page - 1) * limit
+  };
+};
+
+/**
+ * Sets X-Total-Count and an RFC 8288 Link header with the first, prev,
+ * next and last pages, keeping the rest of the request's query string.
+ */
+const setPaginationHeaders = (req, res, { total, page, limit }) => {
+  const lastPage = Math.max(1, Math.ceil(total / limit));
+  const link = (targetPage, rel) => {
+    const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+    url.searchParams.set('page', targetPage);
+    url.searchParams.set('limit', limit);
+    return `<${url.pathname}${url.search}>; rel="${rel}"`;
+  };
+
+  const links = [link(1, 'first')];
+  if (page > 1) links.push(link(Math.min(page - 1, lastPage), 'prev'));
+  if (page < lastPage) links.push(link(page + 1, 'next'));
+  links.push(link(lastPage, 'last'));
+
+  res.set('X-Total-Count', String(total));
+  res.set('Link', links.join(', '));
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  buildListQuery,
+  setPaginationHeaders
+};
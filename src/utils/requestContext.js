@@ -0,0 +1,29 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+// Actor recorded for work that does not come from an HTTP request
+const SYSTEM_ACTOR = 'system';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Express middleware giving every request an ID and an actor that code
+ * further down the call chain can read without them being passed along.
+ * The request ID is taken from X-Request-Id when the caller sends one and
+ * echoed back; the actor comes from X-Actor.
+ */
+const requestContext = (req, res, next) => {
+  const requestId = req.get('X-Request-Id') || crypto.randomUUID();
+  const actor = req.get('X-Actor') || 'anonymous';
+
+  res.set('X-Request-Id', requestId);
+  storage.run({ requestId, actor }, next);
+};
+
+const getRequestContext = () => storage.getStore() || { requestId: null, actor: SYSTEM_ACTOR };
+
+module.exports = {
+  SYSTEM_ACTOR,
+  requestContext,
+  getRequestContext
+};
@@ -0,0 +1,36 @@
+// Validation helpers for vessel identifiers
+
+const MMSI_PATTERN = /^\d{9}$/;
+const IMO_PATTERN = /^\d{7}$/;
+
+/**
+ * Strips the optional "IMO" prefix so "IMO 9134270" and "9134270" are
+ * stored and looked up the same way.
+ */
+const normalizeImoNumber = value => String(value).trim().toUpperCase().replace(/^IMO\s*/, '');
+
+/**
+ * An IMO number is seven digits; the last one is the check digit, equal to
+ * the last digit of the sum of the first six weighted 7 down to 2.
+ */
+const isValidImoNumber = value => {
+  if (value === undefined || value === null) return false;
+  const digits = normalizeImoNumber(value);
+  if (!IMO_PATTERN.test(digits)) return false;
+
+  const sum = digits
+    .slice(0, 6)
+    .split('')
+    .reduce((total, digit, index) => total + Number(digit) * (7 - index), 0);
+
+  return sum % 10 === Number(digits[6]);
+};
+
+const isValidMmsi = value => MMSI_PATTERN.test(String(value));
+
+module.exports = {
+  MMSI_PATTERN,
+  normalizeImoNumber,
+  isValidImoNumber,
+  isValidMmsi
+};
@@ -0,0 +1,158 @@
+const AisDecoder = require('../src/services/ais/AisDecoder');
+const AisIngestionService = require('../src/services/AisIngestionService');
+
+// Builds a sentence with a valid checksum around the given body
+const withChecksum = body => `!${body}*${AisDecoder.calculateChecksum(body)}`;
+
+// Rewrites the 6-bit time stamp field of a type 1-3 payload, bits 137-142
+const withSecond = (payload, second) => {
+  const bits = [...payload].map(char => {
+    const value = char.charCodeAt(0) - 48;
+    return (value > 40 ? value - 8 : value).toString(2).padStart(6, '0');
+  }).join('');
+  const changed = bits.slice(0, 137) + second.toString(2).padStart(6, '0') + bits.slice(143);
+  return changed.match(/.{6}/g)
+    .map(chunk => parseInt(chunk, 2))
+    .map(value => String.fromCharCode(value < 40 ? value + 48 : value + 56))
+    .join('');
+};
+
+describe('AIS Decoder', () => {
+  let decoder;
+
+  beforeEach(() => {
+    decoder = new AisDecoder();
+  });
+
+  describe('Checksum Validation', () => {
+    it('should calculate NMEA checksums', () => {
+      expect(AisDecoder.calculateChecksum('AIVDM,1,1,,B,177KQJ5000G?tO`K>RA1wUbN0TKH,0')).toBe('5C');
+    });
+
+    it('should reject sentences with a bad checksum', () => {
+      expect(() => decoder.decode('!AIVDM,1,1,,B,177KQJ5000G?tO`K>RA1wUbN0TKH,0*5D'))
+        .toThrow('checksum mismatch');
+    });
+
+    it('should reject sentences without a checksum', () => {
+      expect(() => decoder.decode('!AIVDM,1,1,,B,177KQJ5000G?tO`K>RA1wUbN0TKH,0'))
+        .toThrow('missing checksum');
+    });
+  });
+
+  describe('Position Reports', () => {
+    it('should decode a class A position report', () => {
+      const message = decoder.decode('!AIVDM,1,1,,B,177KQJ5000G?tO`K>RA1wUbN0TKH,0*5C');
+
+      expect(message.messageType).toBe(1);
+      expect(message.kind).toBe('POSITION');
+      expect(message.mmsi).toBe('477553000');
+      expect(message.navigationalStatus).toBe('MOORED');
+      expect(message.longitude).toBeCloseTo(-122.345833, 5);
+      expect(message.latitude).toBeCloseTo(47.582833, 5);
+      expect(message.courseOverGround).toBe(51);
+      expect(message.heading).toBe(181);
+    });
+
+    it('should decode a class B position report', () => {
+      const message = decoder.decode('!AIVDM,1,1,,A,B52K>;h00Fc>jpUlNV@ikwpUoP06,0*4C');
+
+      expect(message.messageType).toBe(18);
+      expect(message.mmsi).toBe('338087471');
+      expect(message.speedOverGround).toBe(0.1);
+      expect(message.longitude).toBeCloseTo(-74.072132, 5);
+      expect(message.latitude).toBeCloseTo(40.68454, 5);
+      expect(message.heading).toBeNull();
+    });
+  });
+
+  describe('Static Data', () => {
+    it('should reassemble and decode a two-fragment type 5 message', () => {
+      const first = decoder.decode(
+        '!AIVDM,2,1,1,A,55?MbV02;H;s<HtKR20EHE:0@T4@Dn2222222216L961O5Gf0NSQEp6ClRp8,0*1C'
+      );
+      expect(first).toBeNull();
+      expect(decoder.pendingFragments).toBe(1);
+
+      const message = decoder.decode('!AIVDM,2,2,1,A,88888888880,2*25');
+
+      expect(decoder.pendingFragments).toBe(0);
+      expect(message.messageType).toBe(5);
+      expect(message.mmsi).toBe('351759000');
+      expect(message.imoNumber).toBe('9134270');
+      expect(message.callSign).toBe('3FOF8');
+      expect(message.shipName).toBe('EVER DIADEM');
+      expect(message.destination).toBe('NEW YORK');
+      expect(message.draught).toBe(12.2);
+      expect(message.dimensions).toEqual({ toBow: 225, toStern: 70, toPort: 1, toStarboard: 31 });
+    });
+
+    it('should decode both parts of a type 24 message', () => {
+      const partA = decoder.decode('!AIVDM,1,1,,A,H42O55i18tMET00000000000000,2*6D');
+      const partB = decoder.decode('!AIVDM,1,1,,A,H42O55lti4hhhilD3nink000?050,0*40');
+
+      expect(partA.partNumber).toBe(0);
+      expect(partA.shipName).toBe('PROGUY');
+      expect(partB.partNumber).toBe(1);
+      expect(partB.mmsi).toBe('271041815');
+      expect(partB.callSign).toBe('TC6163');
+      expect(partB.shipType).toBe(60);
+    });
+
+    it('should drop incomplete fragments after the timeout', () => {
+      decoder = new AisDecoder({ fragmentTimeoutMs: -1 });
+      decoder.decode(
+        '!AIVDM,2,1,1,A,55?MbV02;H;s<HtKR20EHE:0@T4@Dn2222222216L961O5Gf0NSQEp6ClRp8,0*1C'
+      );
+
+      expect(decoder.decode('!AIVDM,2,2,1,A,88888888880,2*25')).toBeNull();
+    });
+  });
+
+  describe('Timestamps', () => {
+    const body = 'AIVDM,1,1,,B,177KQJ5000G?tO`K>RA1wUbN0TKH,0';
+
+    it('should read the time from an NMEA tag block', () => {
+      const message = decoder.decode(`\\s:2573135,c:1671620143*0B\\${withChecksum(body)}`);
+      expect(message.receivedAt.toISOString()).toBe('2022-12-21T10:55:43.000Z');
+    });
+
+    it('should read a leading log timestamp', () => {
+      const message = decoder.decode(`2024-03-01T08:00:00Z ${withChecksum(body)}`);
+      expect(message.receivedAt.toISOString()).toBe('2024-03-01T08:00:00.000Z');
+    });
+
+    it('should leave the time empty when none is present', () => {
+      expect(decoder.decode(withChecksum(body)).receivedAt).toBeNull();
+    });
+
+    it('should keep apart reports from one ship sharing a batch reception time', () => {
+      const ingestionService = new AisIngestionService({ decoder });
+      const receivedAt = new Date('2024-03-01T08:00:30.500Z');
+      const [first, second] = [12, 22].map(seconds =>
+        decoder.decode(withChecksum(`AIVDM,1,1,,B,${withSecond('177KQJ5000G?tO`K>RA1wUbN0TKH', seconds)},0`)));
+
+      expect(first.mmsi).toBe(second.mmsi);
+      expect(first.messageType).toBe(1);
+      expect(ingestionService.reportTime(first, receivedAt).toISOString()).toBe('2024-03-01T08:00:12.000Z');
+      expect(ingestionService.reportTime(second, receivedAt).toISOString()).toBe('2024-03-01T08:00:22.000Z');
+    });
+
+    it('should place reports made before the minute turned in the previous minute', () => {
+      const ingestionService = new AisIngestionService({ decoder });
+      const message = decoder.decode(withChecksum(`AIVDM,1,1,,B,${withSecond('177KQJ5000G?tO`K>RA1wUbN0TKH', 55)},0`));
+
+      expect(ingestionService.reportTime(message, new Date('2024-03-01T08:01:02Z')).toISOString())
+        .toBe('2024-03-01T08:00:55.000Z');
+      expect(ingestionService.reportTime({ ...message, second: 60 }, new Date('2024-03-01T08:01:02Z')).toISOString())
+        .toBe('2024-03-01T08:01:02.000Z');
+    });
+  });
+
+  it('should report unsupported message types', () => {
+    // Type 4 base station report
+    const message = decoder.decode('!AIVDM,1,1,,A,403OviQuMGCqWrRO9>E6fE700@GO,0*4D');
+    expect(message.messageType).toBe(4);
+    expect(message.supported).toBe(false);
+  });
+});
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const { diffObjects } = require('../src/utils/diff');
+const { requestContext, getRequestContext } = require('../src/utils/requestContext');
+
+const runMiddleware = headers => {
+  const responseHeaders = {};
+  const req = { get: name => headers[name] };
+  const res = { set: (name, value) => { responseHeaders[name] = value; } };
+
+  return new Promise(resolve => {
+    requestContext(req, res, () => resolve({ context: getRequestContext(), responseHeaders }));
+  });
+};
+
+describe('Audit Trail', () => {
+  describe('Diffs', () => {
+    it('should list changed fields with dotted paths', () => {
+      const before = { name: 'Aurora', capacity: 5000, cost: { estimated: 100, actual: 90 } };
+      const after = { name: 'Aurora', capacity: 5200, cost: { estimated: 100, actual: 120 } };
+
+      expect(diffObjects(before, after)).toEqual([
+        { path: 'capacity', before: 5000, after: 5200 },
+        { path: 'cost.actual', before: 90, after: 120 }
+      ]);
+    });
+
+    it('should list every field of a created or deleted document', () => {
+      expect(diffObjects(null, { name: 'Aurora', capacity: 5000 })).toEqual([
+        { path: 'capacity', before: null, after: 5000 },
+        { path: 'name', before: null, after: 'Aurora' }
+      ]);
+      expect(diffObjects({ name: 'Aurora' }, null)).toEqual([
+        { path: 'name', before: 'Aurora', after: null }
+      ]);
+    });
+
+    it('should compare ObjectIds and dates by value', () => {
+      const id = new mongoose.Types.ObjectId();
+      const before = { ship: id, date: new Date('2024-03-01T00:00:00Z') };
+      const after = { ship: new mongoose.Types.ObjectId(id.toString()), date: '2024-03-01T00:00:00.000Z' };
+
+      expect(diffObjects(before, after)).toEqual([]);
+    });
+
+    it('should compare arrays as a whole', () => {
+      const before = { tasks: [{ description: 'Oil change', status: 'PENDING' }] };
+      const after = { tasks: [{ description: 'Oil change', status: 'COMPLETED' }] };
+
+      expect(diffObjects(before, after)).toEqual([
+        { path: 'tasks', before: before.tasks, after: after.tasks }
+      ]);
+    });
+
+    it('should skip bookkeeping and ignored paths', () => {
+      const before = { _id: 'a', __v: 0, updatedAt: '2024-03-01', currentLocation: { coordinates: [0, 0] }, status: 'ACTIVE' };
+      const after = { _id: 'a', __v: 1, updatedAt: '2024-03-02', currentLocation: { coordinates: [1, 1] }, status: 'ACTIVE' };
+
+      expect(diffObjects(before, after, { ignore: ['currentLocation'] })).toEqual([]);
+    });
+  });
+
+  describe('Request context', () => {
+    it('should take the request ID and actor from the headers', async () => {
+      const { context, responseHeaders } = await runMiddleware({ 'X-Request-Id': 'req-1', 'X-Actor': 'chief.engineer' });
+
+      expect(context).toEqual({ requestId: 'req-1', actor: 'chief.engineer' });
+      expect(responseHeaders['X-Request-Id']).toBe('req-1');
+    });
+
+    it('should generate a request ID and echo it', async () => {
+      const { context, responseHeaders } = await runMiddleware({});
+
+      expect(context.requestId).toMatch(/^[0-9a-f-]{36}$/);
+      expect(context.actor).toBe('anonymous');
+      expect(responseHeaders['X-Request-Id']).toBe(context.requestId);
+    });
+
+    it('should fall back to the system actor outside a request', () => {
+      expect(getRequestContext()).toEqual({ requestId: null, actor: 'system' });
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const Certificate = require('../src/models/Certificate');
+const CertificateService = require('../src/services/CertificateService');
+
+describe('Certificate Registry', () => {
+  let certificate;
+
+  beforeEach(() => {
+    certificate = new Certificate({
+      ship: new mongoose.Types.ObjectId(),
+      type: 'IOPP',
+      issuingAuthority: 'Panama Maritime Authority',
+      issuedAt: new Date('2022-06-15'),
+      expiresAt: new Date('2027-06-15')
+    });
+  });
+
+  describe('Endorsement Schedule', () => {
+    it('should default annual endorsement by certificate type', () => {
+      expect(certificate.requiresAnnualEndorsement).toBe(true);
+      expect(new Certificate({ type: 'TONNAGE' }).requiresAnnualEndorsement).toBe(false);
+    });
+
+    it('should open a window three months either side of each anniversary', () => {
+      const schedule = certificate.getEndorsementSchedule(new Date('2024-07-01'));
+
+      expect(schedule.map(entry => entry.anniversary.toISOString().slice(0, 10)))
+        .toEqual(['2023-06-15', '2024-06-15', '2025-06-15', '2026-06-15']);
+      expect(schedule[1].windowOpens.toISOString().slice(0, 10)).toBe('2024-03-15');
+      expect(schedule[1].windowCloses.toISOString().slice(0, 10)).toBe('2024-09-15');
+      expect(schedule.map(entry => entry.status)).toEqual(['OVERDUE', 'OPEN', 'UPCOMING', 'UPCOMING']);
+    });
+
+    it('should mark recorded endorsements', () => {
+      certificate.endorsements.push({
+        anniversary: new Date('2023-06-15'),
+        endorsedAt: new Date('2023-05-20')
+      });
+
+      expect(certificate.getEndorsementSchedule(new Date('2024-01-01'))[0].status).toBe('ENDORSED');
+    });
+  });
+
+  describe('Validity', () => {
+    it('should be invalid once an endorsement window is missed', () => {
+      expect(certificate.getValidity(new Date('2024-01-01')).status).toBe('ENDORSEMENT_OVERDUE');
+    });
+
+    it('should report expiry', () => {
+      certificate.requiresAnnualEndorsement = false;
+      expect(certificate.getValidity(new Date('2027-07-01')).status).toBe('EXPIRED');
+      expect(certificate.getValidity(new Date('2027-06-01')).status).toBe('DUE_SOON');
+      expect(certificate.getValidity(new Date('2026-01-01')).status).toBe('VALID');
+    });
+  });
+
+  describe('Expiring Certificates', () => {
+    const certificateService = new CertificateService();
+
+    it('should list expiries and endorsement windows within the horizon', () => {
+      certificate.endorsements.push(
+        { anniversary: new Date('2023-06-15'), endorsedAt: new Date('2023-06-01') },
+        { anniversary: new Date('2024-06-15'), endorsedAt: new Date('2024-06-01') },
+        { anniversary: new Date('2025-06-15'), endorsedAt: new Date('2025-06-01') }
+      );
+
+      const items = certificateService.findDueItems([certificate], 365, new Date('2026-07-01'));
+
+      expect(items.map(item => item.reason)).toEqual(['ENDORSEMENT', 'EXPIRY']);
+      expect(items[0].dueDate.toISOString().slice(0, 10)).toBe('2026-09-15');
+      expect(items[0].overdue).toBe(false);
+      expect(items[1].daysRemaining).toBe(349);
+    });
+
+    it('should include missed windows as overdue', () => {
+      const items = certificateService.findDueItems([certificate], 30, new Date('2024-01-01'));
+
+      expect(items).toHaveLength(1);
+      expect(items[0].overdue).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const ChokepointCatalogue = require('../src/services/routing/ChokepointCatalogue');
+const RouteOptimizer = require('../src/services/ai/RouteOptimizer');
+const seaLanes = require('../src/data/seaLanes.json');
+const chokepoints = require('../src/data/chokepoints.json');
+
+const ROTTERDAM = [4.05, 51.95];
+const SINGAPORE = [103.85, 1.26];
+const NEW_YORK = [-74.0, 40.6];
+const SHANGHAI = [121.8, 31.2];
+const GDANSK = [18.67, 54.4];
+
+const FEEDER = { type: 'CARGO', serviceSpeed: 16, grossTonnage: 9000, lengthOverall: 150, beam: 22, designDraft: 8 };
+const PANAMAX = { type: 'CARGO', serviceSpeed: 18, grossTonnage: 50000, lengthOverall: 290, beam: 32.2, designDraft: 12 };
+const NEOPANAMAX = { type: 'CARGO', serviceSpeed: 18, grossTonnage: 120000, lengthOverall: 366, beam: 48, designDraft: 15 };
+const ULCV = { type: 'CARGO', serviceSpeed: 18, grossTonnage: 200000, lengthOverall: 400, beam: 61, designDraft: 16 };
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Chokepoints', () => {
+  const catalogue = new ChokepointCatalogue();
+
+  describe('Catalogue', () => {
+    it('should only cover edges of the sea lane network', () => {
+      const edges = new Set(seaLanes.edges.map(([from, to]) => [from, to].sort().join('|')));
+
+      chokepoints.forEach(chokepoint => {
+        chokepoint.edges.forEach(([from, to]) => expect(edges.has([from, to].sort().join('|'))).toBe(true));
+      });
+    });
+
+    it('should put ships in the smallest vessel class they fit', () => {
+      const panama = catalogue.get('PANAMA');
+
+      expect(catalogue.vesselClassFor(panama, PANAMAX).vesselClass.name).toBe('Panamax');
+      expect(catalogue.vesselClassFor(panama, NEOPANAMAX).vesselClass.name).toBe('Neopanamax');
+      expect(catalogue.vesselClassFor(panama, ULCV)).toEqual({
+        vesselClass: null,
+        reason: 'Panama Canal: length 400 m > 366 m, beam 61 m > 51.25 m, draft 16 m > 15.2 m'
+      });
+    });
+
+    it('should not check particulars a ship does not record', () => {
+      expect(catalogue.excludedFor({ type: 'TANKER' })).toEqual([]);
+      expect(catalogue.excludedFor(ULCV).map(({ id }) => id)).toEqual(['PANAMA', 'KIEL']);
+    });
+
+    it('should estimate tariffs from the gross tonnage', () => {
+      expect(catalogue.estimateTariff(catalogue.get('KIEL'), FEEDER)).toBe(1500 + 0.45 * 9000);
+    });
+  });
+
+  describe('Route planning', () => {
+    const routeOptimizer = new RouteOptimizer();
+    const plan = (ship, departure, destination, options = {}) => routeOptimizer.optimizeRoute({
+      ship,
+      departure: { coordinates: departure },
+      destination: { coordinates: destination },
+      cargoWeight: 0,
+      departureTime: new Date(0),
+      ...options
+    });
+
+    it('should add canal waiting and transit time to the arrival', async () => {
+      const route = await plan(PANAMAX, ROTTERDAM, SINGAPORE);
+      const sailingHours = routeOptimizer.estimateDuration(route.distance, PANAMAX.serviceSpeed);
+
+      expect(route.chokepoints.map(({ chokepoint }) => chokepoint)).toEqual(['SUEZ']);
+      expect(route.estimatedArrival.getTime() / HOUR_MS).toBeGreaterThan(sailingHours + 12);
+      expect(route.waypoints[route.waypoints.length - 1].estimatedArrival.getTime())
+        .toBeLessThan(route.estimatedArrival.getTime());
+    });
+
+    it('should offer the way round each canal used', async () => {
+      const route = await plan(PANAMAX, ROTTERDAM, SINGAPORE);
+
+      expect(route.alternatives).toHaveLength(1);
+      expect(route.alternatives[0].avoids).toBe('SUEZ');
+      expect(route.alternatives[0].chokepoints).toEqual([]);
+      expect(route.alternatives[0].distance).toBeGreaterThan(route.distance + 5000);
+      expect(route.alternatives[0].tariff).toBe(0);
+    });
+
+    it('should keep ships out of canals they do not fit', async () => {
+      const panamax = await plan(PANAMAX, NEW_YORK, SHANGHAI);
+      const ulcv = await plan(ULCV, NEW_YORK, SHANGHAI);
+
+      expect(panamax.chokepoints.map(({ chokepoint }) => chokepoint)).toEqual(['PANAMA']);
+      expect(ulcv.chokepoints.map(({ chokepoint }) => chokepoint)).not.toContain('PANAMA');
+      expect(ulcv.excludedChokepoints.map(({ chokepoint }) => chokepoint)).toContain('PANAMA');
+    });
+
+    it('should route around chokepoints avoided on request', async () => {
+      const route = await plan(FEEDER, ROTTERDAM, GDANSK, { avoidChokepoints: ['KIEL'] });
+
+      expect(route.chokepoints).toEqual([]);
+      expect(route.excludedChokepoints).toEqual([{ chokepoint: 'KIEL', reason: 'Avoided on request' }]);
+      expect(route.alternatives).toEqual([]);
+    });
+  });
+});
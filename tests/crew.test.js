@@ -0,0 +1,75 @@
+const CrewMember = require('../src/models/CrewMember');
+const CrewService = require('../src/services/CrewService');
+const Ship = require('../src/models/Ship');
+
+describe('Crew Management', () => {
+  const crewService = new CrewService();
+  let crewMember;
+
+  beforeEach(() => {
+    crewMember = new CrewMember({
+      firstName: 'Maria',
+      lastName: 'Santos',
+      rank: 'CHIEF_OFFICER',
+      stcwCertificates: [
+        { regulation: 'II/2', expiresAt: new Date('2023-01-01') },
+        { regulation: 'II/2', expiresAt: new Date('2028-01-01') },
+        { regulation: 'VI/1', expiresAt: new Date('2025-06-01') }
+      ],
+      contracts: [
+        { startDate: new Date('2024-01-01'), endDate: new Date('2024-09-30') }
+      ]
+    });
+  });
+
+  describe('STCW Certificates', () => {
+    it('should ignore certificates that have been renewed', () => {
+      expect(crewMember.getExpiredStcwCertificates(new Date('2024-03-01'))).toHaveLength(0);
+    });
+
+    it('should report the latest certificate once it expires', () => {
+      const expired = crewMember.getExpiredStcwCertificates(new Date('2025-07-01'));
+      expect(expired.map(certificate => certificate.regulation)).toEqual(['VI/1']);
+    });
+  });
+
+  describe('Sign-on Eligibility', () => {
+    it('should accept a sign-on within a contract', () => {
+      expect(() => crewService.checkSignOnEligibility(crewMember, new Date('2024-03-01'))).not.toThrow();
+    });
+
+    it('should reject a sign-on outside every contract', () => {
+      expect(() => crewService.checkSignOnEligibility(crewMember, new Date('2024-11-01')))
+        .toThrow('outside every contract period');
+    });
+
+    it('should reject a sign-on with expired certificates', () => {
+      crewMember.contracts.push({ startDate: new Date('2025-06-15'), endDate: new Date('2026-01-01') });
+
+      expect(() => crewService.checkSignOnEligibility(crewMember, new Date('2025-07-01')))
+        .toThrow('STCW certificate(s) VI/1 expired');
+    });
+  });
+
+  describe('Ships', () => {
+    const ship = overrides => new Ship({ name: 'Test Ship', type: 'CARGO', capacity: 5000, ...overrides });
+
+    it('should take crew on board ships in service', () => {
+      expect(() => crewService.checkShipForSignOn(ship({ status: 'LAID_UP' }))).not.toThrow();
+    });
+
+    it('should reject sign-on to archived or decommissioned ships', () => {
+      expect(() => crewService.checkShipForSignOn(ship({ archivedAt: new Date() })))
+        .toThrow('Ship is not available for crew sign-on (archived)');
+      expect(() => crewService.checkShipForSignOn(ship({ status: 'DECOMMISSIONED' })))
+        .toThrow('Ship is not available for crew sign-on (status: DECOMMISSIONED)');
+    });
+  });
+
+  it('should reject overlapping contracts', () => {
+    expect(() => crewService.validateContracts([
+      { startDate: '2024-01-01', endDate: '2024-06-30' },
+      { startDate: '2024-06-01', endDate: '2024-12-31' }
+    ])).toThrow('contract periods overlap');
+  });
+});
@@ -0,0 +1,43 @@
+const { parseCsv, toCsv } = require('../src/utils/csv');
+
+describe('CSV Utilities', () => {
+  describe('Parsing', () => {
+    it('should map rows to objects keyed by the header', () => {
+      const rows = parseCsv('name,type,capacity\nEver Diadem,CARGO,44900\nNordic Star,TANKER,80000\n');
+
+      expect(rows).toEqual([
+        { name: 'Ever Diadem', type: 'CARGO', capacity: '44900' },
+        { name: 'Nordic Star', type: 'TANKER', capacity: '80000' }
+      ]);
+    });
+
+    it('should handle quoted fields, CRLF line endings and blank lines', () => {
+      const rows = parseCsv('name,builder\r\n"Star, The","Say ""hi"""\r\n\r\n"Multi\nLine",X\r\n');
+
+      expect(rows).toEqual([
+        { name: 'Star, The', builder: 'Say "hi"' },
+        { name: 'Multi\nLine', builder: 'X' }
+      ]);
+    });
+
+    it('should leave empty cells out of the row', () => {
+      expect(parseCsv('name,mmsi,imoNumber\nEver Diadem,,9134270')).toEqual([
+        { name: 'Ever Diadem', imoNumber: '9134270' }
+      ]);
+    });
+
+    it('should reject unterminated quotes', () => {
+      expect(() => parseCsv('name\n"Ever Diadem')).toThrow('unterminated quoted field');
+    });
+  });
+
+  it('should write CSV that parses back to the same values', () => {
+    const ships = [
+      { name: 'Star, The', capacity: 5000, builder: 'Say "hi"', mmsi: null }
+    ];
+    const csv = toCsv(ships, ['name', 'capacity', 'builder', 'mmsi']);
+
+    expect(csv).toBe('name,capacity,builder,mmsi\r\n"Star, The",5000,"Say ""hi""",\r\n');
+    expect(parseCsv(csv)).toEqual([{ name: 'Star, The', capacity: '5000', builder: 'Say "hi"' }]);
+  });
+});
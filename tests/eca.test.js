@@ -0,0 +1,144 @@
+const EcaZones = require('../src/services/routing/EcaZones');
+const RouteOptimizer = require('../src/services/ai/RouteOptimizer');
+const RouteScorer = require('../src/services/routing/RouteScorer');
+const { pointInPolygon } = require('../src/utils/geo');
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = new Date(Date.UTC(2026, 0, 1));
+
+const ROTTERDAM = [4.05, 51.95];
+const NEW_YORK = [-74.0, 40.5];
+const SINGAPORE = [103.85, 1.26];
+const ST_PETERSBURG = [29.5, 59.95];
+
+const HFO_FEEDER = { type: 'CARGO', serviceSpeed: 18, fuelType: 'HFO' };
+
+describe('Emission Control Areas', () => {
+  const ecaZones = new EcaZones();
+  const routeOptimizer = new RouteOptimizer();
+  const plan = (from, to, options = {}) => routeOptimizer.optimizeRoute({
+    ship: HFO_FEEDER,
+    departure: { coordinates: from },
+    destination: { coordinates: to },
+    cargoWeight: 0,
+    departureTime: START,
+    ...options
+  });
+
+  describe('Zones', () => {
+    it('should tell points inside a polygon from those outside', () => {
+      const square = [[0, 0], [10, 0], [10, 10], [0, 10]];
+
+      expect(pointInPolygon([5, 5], square)).toBe(true);
+      expect(pointInPolygon([15, 5], square)).toBe(false);
+      expect(pointInPolygon([5, -1], square)).toBe(false);
+    });
+
+    it('should place positions in the zone covering them', () => {
+      expect(ecaZones.zoneAt([3.2, 52.2], START).id).toBe('NORTH_SEA');
+      expect(ecaZones.zoneAt([17.5, 55.5], START).id).toBe('BALTIC');
+      expect(ecaZones.zoneAt([-73.6, 40.3], START).id).toBe('NORTH_AMERICAN');
+      expect(ecaZones.zoneAt([-30, 47], START)).toBeNull();
+    });
+
+    it('should only apply a zone from its effective date', () => {
+      const westernMediterranean = [2.5, 38.3];
+
+      expect(ecaZones.zoneAt(westernMediterranean, new Date('2025-04-30'))).toBeNull();
+      expect(ecaZones.zoneAt(westernMediterranean, new Date('2025-05-01')).id).toBe('MEDITERRANEAN');
+    });
+  });
+
+  describe('Passages', () => {
+    it('should measure the distance and time inside each zone', async () => {
+      const route = await plan(ROTTERDAM, NEW_YORK);
+      const [northSea, northAmerican] = route.ecaPassages;
+
+      expect(route.ecaPassages.map(({ eca }) => eca)).toEqual(['NORTH_SEA', 'NORTH_AMERICAN']);
+      expect(northSea.entry).toEqual({ coordinates: ROTTERDAM, time: START });
+      // Left through the western end of the Channel, at 5 degrees west
+      expect(northSea.exit.coordinates[0]).toBeCloseTo(-5, 0);
+      expect(northAmerican.exit).toEqual({ coordinates: NEW_YORK, time: route.estimatedArrival });
+
+      route.ecaPassages.forEach(passage => {
+        expect(passage.distance).toBeGreaterThan(500);
+        expect(passage.duration).toBeCloseTo((passage.exit.time - passage.entry.time) / HOUR_MS);
+      });
+    });
+
+    it('should find no passages on routes before their zones apply', async () => {
+      const route = await plan([-3, 36], [32.35, 31.4], { departureTime: new Date(Date.UTC(2024, 0, 1)) });
+
+      expect(route.ecaPassages).toEqual([]);
+      expect(route.fuelPlan.compliantFuel).toBeNull();
+    });
+  });
+
+  describe('Fuel changeover', () => {
+    it('should switch to MGO before entering a zone and back on leaving', async () => {
+      const route = await plan(ROTTERDAM, NEW_YORK);
+      const [northSea, northAmerican] = route.ecaPassages;
+      const { changeovers, byFuel } = route.fuelPlan;
+
+      expect(changeovers.map(({ from, to, eca }) => [from, to, eca])).toEqual([
+        ['MGO', 'HFO', 'NORTH_SEA'],
+        ['HFO', 'MGO', 'NORTH_AMERICAN']
+      ]);
+      expect(changeovers[0].time).toEqual(northSea.exit.time);
+      expect(northAmerican.entry.time - changeovers[1].time).toBeCloseTo(EcaZones.CHANGEOVER_HOURS * HOUR_MS, -4);
+
+      expect(byFuel.map(({ fuel }) => fuel)).toEqual(['HFO', 'MGO']);
+      expect(byFuel[0].estimated + byFuel[1].estimated).toBeCloseTo(route.fuelConsumption);
+      expect(byFuel[1].estimated).toBeGreaterThan(northSea.fuelConsumption + northAmerican.fuelConsumption);
+    });
+
+    it('should stay on MGO between adjoining zones', async () => {
+      const route = await plan(ROTTERDAM, ST_PETERSBURG);
+
+      expect(route.ecaPassages.map(({ eca }) => eca)).toEqual(['NORTH_SEA', 'BALTIC']);
+      expect(route.fuelPlan.changeovers).toEqual([]);
+      expect(route.fuelPlan.byFuel[1].estimated).toBeCloseTo(route.fuelConsumption);
+    });
+
+    it('should not switch ships already burning compliant fuel', async () => {
+      const route = await plan(ROTTERDAM, NEW_YORK, { ship: { ...HFO_FEEDER, fuelType: 'LNG' } });
+
+      expect(route.fuelPlan).toMatchObject({ mainFuel: 'LNG', compliantFuel: null, changeovers: [] });
+      expect(route.fuelPlan.byFuel).toEqual([{ fuel: 'LNG', estimated: expect.any(Number) }]);
+      expect(route.fuelPlan.byFuel[0].estimated).toBeCloseTo(route.fuelConsumption);
+    });
+
+    it('should cost each fuel at its own price', () => {
+      const route = {
+        distance: 100,
+        estimatedDeparture: START,
+        estimatedArrival: new Date(START.getTime() + 10 * HOUR_MS),
+        fuelConsumption: { estimated: 2000, byFuel: [{ fuel: 'HFO', estimated: 1000 }, { fuel: 'MGO', estimated: 1000 }] },
+        chokepoints: []
+      };
+
+      expect(new RouteScorer().metrics(route, HFO_FEEDER).cost).toBe(Math.round(0.991 * 480 + 0.89 * 720));
+    });
+  });
+
+  describe('Routing', () => {
+    it('should go further round to keep out of zones weighted heavily enough', async () => {
+      const shortest = await plan(NEW_YORK, SINGAPORE);
+      const avoiding = await plan(NEW_YORK, SINGAPORE, { ecaCostFactor: 3 });
+      const ecaDistance = route => route.ecaPassages.reduce((sum, passage) => sum + passage.distance, 0);
+
+      expect(shortest.chokepoints.map(({ chokepoint }) => chokepoint)).toEqual(['SUEZ']);
+      expect(avoiding.chokepoints).toEqual([]);
+      expect(ecaDistance(avoiding)).toBeLessThan(ecaDistance(shortest));
+      expect(avoiding.distance).toBeGreaterThan(shortest.distance);
+      expect(avoiding.weatherRouting.ecaCostFactor).toBe(3);
+    });
+
+    it('should keep the shortest way when the detour outweighs the time inside', async () => {
+      const route = await plan(NEW_YORK, SINGAPORE, { ecaCostFactor: 2 });
+
+      expect(route.chokepoints.map(({ chokepoint }) => chokepoint)).toEqual(['SUEZ']);
+      expect(route.alternatives[0].ecaDistance).toBeLessThan(1000);
+    });
+  });
+});
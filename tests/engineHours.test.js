@@ -0,0 +1,74 @@
+const EngineHoursService = require('../src/services/EngineHoursService');
+
+const reading = (readAt, hours) => ({ readAt: new Date(readAt), hours });
+
+describe('Engine Hour History', () => {
+  const engineHoursService = new EngineHoursService();
+
+  describe('Utilisation', () => {
+    it('should spread the hours between readings over the days between them', () => {
+      const readings = [
+        reading('2024-03-01T12:00:00Z', 1000),
+        reading('2024-03-03T12:00:00Z', 1024)
+      ];
+
+      const periods = engineHoursService.computeUtilisation(readings, {
+        from: new Date('2024-03-01T00:00:00Z'),
+        to: new Date('2024-03-04T00:00:00Z')
+      });
+
+      expect(periods.map(period => period.runningHours)).toEqual([6, 12, 6]);
+      expect(periods.map(period => period.utilisation)).toEqual([0.5, 0.5, 0.5]);
+    });
+
+    it('should leave periods without readings on both sides empty', () => {
+      const readings = [
+        reading('2024-03-01T00:00:00Z', 500),
+        reading('2024-03-02T00:00:00Z', 524)
+      ];
+
+      const periods = engineHoursService.computeUtilisation(readings, {
+        from: new Date('2024-03-01T00:00:00Z'),
+        to: new Date('2024-03-03T00:00:00Z')
+      });
+
+      expect(periods[0]).toMatchObject({ runningHours: 24, utilisation: 1 });
+      expect(periods[1]).toMatchObject({ runningHours: null, utilisation: null });
+    });
+
+    it('should group by ISO week starting on Monday', () => {
+      const readings = [
+        reading('2024-03-04T00:00:00Z', 0),
+        reading('2024-03-18T00:00:00Z', 168)
+      ];
+
+      const periods = engineHoursService.computeUtilisation(readings, {
+        from: new Date('2024-03-06T00:00:00Z'),
+        to: new Date('2024-03-18T00:00:00Z'),
+        interval: 'week'
+      });
+
+      expect(periods.map(period => period.periodStart)).toEqual([
+        new Date('2024-03-04T00:00:00Z'),
+        new Date('2024-03-11T00:00:00Z')
+      ]);
+      expect(periods.map(period => period.runningHours)).toEqual([84, 84]);
+    });
+  });
+
+  describe('Average running hours', () => {
+    it('should average over the first and last reading', () => {
+      const readings = [
+        reading('2024-03-11T00:00:00Z', 1300),
+        reading('2024-03-01T00:00:00Z', 1000),
+        reading('2024-03-06T00:00:00Z', 1100)
+      ];
+
+      expect(engineHoursService.averageHoursPerDay(readings)).toBe(30);
+    });
+
+    it('should need at least two readings', () => {
+      expect(engineHoursService.averageHoursPerDay([reading('2024-03-01', 10)])).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,252 @@
+const mongoose = require('mongoose');
+const Route = require('../src/models/Route');
+const EtaService = require('../src/services/EtaService');
+const PositionService = require('../src/services/PositionService');
+const ForecastGrid = require('../src/services/routing/ForecastGrid');
+const WeatherService = require('../src/services/WeatherService');
+const RouteOptimizer = require('../src/services/ai/RouteOptimizer');
+const { KM_PER_NM, greatCircleDistance } = require('../src/utils/geo');
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = new Date(Date.UTC(2024, 0, 1));
+
+const PANAMAX = { type: 'CARGO', serviceSpeed: 18, grossTonnage: 50000, lengthOverall: 290, beam: 32.2, designDraft: 12 };
+
+// Waypoints every 5 degrees along the equator, planned at 15 knots
+const equatorRoute = () => {
+  const points = [[0, 0], [5, 0], [10, 0], [15, 0], [20, 0]];
+  const hoursTo = index => greatCircleDistance(points[0], points[index]) / (15 * KM_PER_NM);
+  return new Route({
+    ship: new mongoose.Types.ObjectId(),
+    departure: { port: 'West', coordinates: points[0] },
+    destination: { port: 'East', coordinates: points[4] },
+    estimatedDeparture: START,
+    actualDeparture: START,
+    estimatedArrival: new Date(START.getTime() + hoursTo(4) * HOUR_MS),
+    distance: greatCircleDistance(points[0], points[4]),
+    plannedSpeed: 15,
+    waypoints: points.slice(1, -1).map((coordinates, index) => ({
+      coordinates,
+      estimatedArrival: new Date(START.getTime() + hoursTo(index + 1) * HOUR_MS)
+    })),
+    status: 'IN_PROGRESS'
+  });
+};
+
+const at = hours => new Date(START.getTime() + hours * HOUR_MS);
+
+describe('ETA', () => {
+  const etaService = new EtaService();
+  const calm = new ForecastGrid();
+
+  describe('Progress', () => {
+    it('should mark the waypoints behind the ship as passed', () => {
+      const route = equatorRoute();
+      const { leg, passed, remainingDistance } = etaService.locate(route, [7, 0.1], at(28));
+
+      expect(leg).toBe(1);
+      expect(passed.map(({ index }) => index)).toEqual([0]);
+      // Interpolated by the distance sailed since departure
+      expect(passed[0].actualArrival.getTime()).toBeCloseTo(at(28 * 5 / 7).getTime(), -5);
+      expect(remainingDistance).toBeCloseTo(greatCircleDistance([7, 0.1], [10, 0]) + 2 * greatCircleDistance([10, 0], [15, 0]));
+    });
+
+    it('should never put the ship behind a waypoint already passed', () => {
+      const route = equatorRoute();
+      route.waypoints[1].actualArrival = at(40);
+
+      const { leg, passed } = etaService.locate(route, [8, 0], at(41));
+      expect(leg).toBe(2);
+      expect(passed).toEqual([]);
+    });
+  });
+
+  describe('Predicted arrival', () => {
+    it('should sail the rest of the route at the recent speed over ground', () => {
+      const route = equatorRoute();
+      const estimate = etaService.estimateArrival(route, {
+        coordinates: [10, 0], timestamp: at(40), leg: 2, speedOverGround: 12, forecast: calm
+      });
+
+      const hours = greatCircleDistance([10, 0], [20, 0]) / (12 * KM_PER_NM);
+      expect(estimate.estimatedArrival.getTime()).toBeCloseTo(at(40 + hours).getTime(), -3);
+      expect(estimate.speed).toBe(12);
+    });
+
+    it('should fall back to the planned speed while the ship is stopped', () => {
+      const estimate = etaService.estimateArrival(equatorRoute(), {
+        coordinates: [10, 0], timestamp: at(40), leg: 2, speedOverGround: 0.4, forecast: calm
+      });
+
+      expect(estimate.speed).toBe(15);
+    });
+
+    it('should expect the ship to pick up speed once out of head seas', () => {
+      const forecast = new ForecastGrid();
+      forecast.setCell(forecast.cellKey([10, 0]), { forecast: [] }, { waveHeight: 4, waveDirection: 90 });
+
+      const estimate = etaService.estimateArrival(equatorRoute(), {
+        coordinates: [10, 0], timestamp: at(40), leg: 2, speedOverGround: 12, forecast
+      });
+      const atObservedSpeed = at(40 + greatCircleDistance([10, 0], [20, 0]) / (12 * KM_PER_NM));
+
+      expect(estimate.speed).toBeGreaterThan(12);
+      expect(estimate.estimatedArrival.getTime()).toBeLessThan(atObservedSpeed.getTime());
+    });
+
+    it('should match the plan for a ship on schedule, with canal time still ahead', async () => {
+      const plan = await new RouteOptimizer().optimizeRoute({
+        ship: PANAMAX,
+        departure: { coordinates: [4.05, 51.95] },
+        destination: { coordinates: [103.85, 1.26] },
+        cargoWeight: 0,
+        departureTime: START
+      });
+      const route = new Route({
+        ship: new mongoose.Types.ObjectId(),
+        departure: { port: 'Rotterdam', coordinates: [4.05, 51.95] },
+        destination: { port: 'Singapore', coordinates: [103.85, 1.26] },
+        estimatedDeparture: START,
+        actualDeparture: START,
+        estimatedArrival: plan.estimatedArrival,
+        distance: plan.distance,
+        plannedSpeed: plan.speed,
+        waypoints: plan.waypoints,
+        chokepoints: plan.chokepoints,
+        status: 'IN_PROGRESS'
+      });
+
+      // Off Portugal, before Suez, and in the Indian Ocean, after it
+      const before = route.waypoints.findIndex(({ coordinates }) => coordinates[1] < 40);
+      const after = route.waypoints.findIndex(({ coordinates }) => coordinates[0] > 60);
+      [before, after].forEach(index => {
+        const { coordinates, estimatedArrival } = route.waypoints[index];
+        const estimate = etaService.estimateArrival(route, {
+          coordinates, timestamp: estimatedArrival, leg: index + 1, speedOverGround: plan.speed, forecast: calm
+        });
+
+        expect(Math.abs(estimate.estimatedArrival - plan.estimatedArrival)).toBeLessThan(0.1 * HOUR_MS);
+      });
+    });
+  });
+
+  describe('Revisions', () => {
+    const estimate = arrival => ({
+      estimatedArrival: arrival, remainingDistance: 500, speedOverGround: 12, speed: 12.5
+    });
+
+    it('should keep each ETA and flag delays over the threshold', () => {
+      const route = equatorRoute();
+      const planned = route.estimatedArrival.getTime();
+      const revise = hoursLate => etaService.reviseEta(route, {
+        ...estimate(new Date(planned + hoursLate * HOUR_MS)),
+        coordinates: [10, 0],
+        timestamp: at(40),
+        source: 'POSITION'
+      });
+
+      expect(revise(2)).toMatchObject({ delay: 2, delayed: false, delayThreshold: EtaService.DEFAULT_DELAY_THRESHOLD });
+      expect(revise(9)).toMatchObject({ delay: 9, delayed: true });
+      expect(route.etaRevisions.map(({ delayed }) => delayed)).toEqual([false, true]);
+      expect(route.estimatedArrival.getTime()).toBe(planned);
+    });
+
+    it('should keep a threshold set on the route', () => {
+      const route = equatorRoute();
+      route.set('eta.delayThreshold', 12);
+
+      const eta = etaService.reviseEta(route, {
+        ...estimate(new Date(route.estimatedArrival.getTime() + 9 * HOUR_MS)),
+        coordinates: [10, 0],
+        timestamp: at(40),
+        source: 'MANUAL'
+      });
+      expect(eta).toMatchObject({ delayed: false, delayThreshold: 12 });
+    });
+  });
+
+  describe('Forecasts', () => {
+    // A WeatherService counting the cells it fetches
+    const countingWeatherService = () => {
+      const service = new WeatherService();
+      service.fetched = 0;
+      service.getWeatherForecast = async () => {
+        service.fetched++;
+        return { current: { windSpeed: 5, windDirection: 90 }, forecast: [] };
+      };
+      service.getMarineWeather = async () => ({ waveHeight: 1, waveDirection: 90 });
+      return service;
+    };
+
+    it('should reuse a route\'s forecast within a forecast cycle', async () => {
+      const weatherService = countingWeatherService();
+      const etaService = new EtaService({ weatherService });
+      const route = equatorRoute();
+      const now = Date.UTC(2024, 0, 1, 1);
+
+      await etaService.forecastFor(route, [[7, 0], [10, 0], [15, 0], [20, 0]], now);
+      expect(weatherService.fetched).toBe(4);
+
+      // Further on within the cycle nothing is fetched again
+      const grid = await etaService.forecastFor(route, [[12, 0], [15, 0], [20, 0]], now + HOUR_MS);
+      expect(weatherService.fetched).toBe(4);
+      expect(grid.conditionsAt([16, 0], at(50)).windSpeed).toBe(5);
+
+      // A new cycle fetches afresh
+      await etaService.forecastFor(route, [[17, 0], [20, 0]], now + 3 * HOUR_MS);
+      expect(weatherService.fetched).toBe(6);
+    });
+
+    it('should keep the forecasts of different routes apart', async () => {
+      const weatherService = countingWeatherService();
+      const etaService = new EtaService({ weatherService });
+      const now = Date.UTC(2024, 0, 1, 1);
+
+      await etaService.forecastFor(equatorRoute(), [[7, 0]], now);
+      await etaService.forecastFor(equatorRoute(), [[7, 0]], now);
+      expect(weatherService.fetched).toBe(2);
+    });
+  });
+
+  describe('Position reports', () => {
+    // Records the positions ETA updates are run with, each taking until released
+    const slowEtaService = () => {
+      const service = { used: [], releases: [] };
+      service.updateFromPosition = position => new Promise(resolve => {
+        service.used.push(position.timestamp);
+        service.releases.push(resolve);
+      });
+      return service;
+    };
+    const report = (ship, hours) => ({ ship, timestamp: at(hours) });
+    const settle = () => new Promise(resolve => setImmediate(resolve));
+
+    it('should run ETA updates one at a time per ship with the latest position waiting', async () => {
+      const etaService = slowEtaService();
+      const positionService = new PositionService({ etaService });
+      const ship = new mongoose.Types.ObjectId();
+
+      const done = positionService.scheduleEtaUpdate(report(ship, 1));
+      positionService.scheduleEtaUpdate(report(ship, 3));
+      positionService.scheduleEtaUpdate(report(ship, 2));
+      await settle();
+      expect(etaService.used).toEqual([at(1)]);
+
+      etaService.releases[0]();
+      await settle();
+      expect(etaService.used).toEqual([at(1), at(3)]);
+
+      etaService.releases[1]();
+      await done;
+      expect(etaService.used).toEqual([at(1), at(3)]);
+    });
+
+    it('should log failed ETA updates without rejecting', async () => {
+      const positionService = new PositionService({
+        etaService: { updateFromPosition: () => Promise.reject(new Error('Weather service unavailable')) }
+      });
+
+      await expect(positionService.scheduleEtaUpdate(report(new mongoose.Types.ObjectId(), 1))).resolves.toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const Fleet = require('../src/models/Fleet');
+const RoutePlanningService = require('../src/services/RoutePlanningService');
+
+describe('Fleet Membership', () => {
+  const shipA = new mongoose.Types.ObjectId();
+  const shipB = new mongoose.Types.ObjectId();
+  const shipC = new mongoose.Types.ObjectId();
+  let fleet;
+
+  beforeEach(() => {
+    fleet = new Fleet({
+      name: 'Asia Container Service',
+      ships: [
+        { ship: shipA, effectiveFrom: new Date('2024-01-01') },
+        { ship: shipB, effectiveFrom: new Date('2024-01-01'), effectiveTo: new Date('2024-06-01') },
+        { ship: shipC, effectiveFrom: new Date('2024-09-01') }
+      ]
+    });
+  });
+
+  it('should return the ships assigned at a given time', () => {
+    const ids = fleet.getActiveShipIds(new Date('2024-03-01')).map(id => id.toString());
+    expect(ids).toEqual([shipA.toString(), shipB.toString()]);
+  });
+
+  it('should treat effectiveTo as the end of the membership', () => {
+    const ids = fleet.getActiveShipIds(new Date('2024-06-01')).map(id => id.toString());
+    expect(ids).toEqual([shipA.toString()]);
+  });
+
+  it('should leave open-ended memberships active', () => {
+    const ids = fleet.getActiveShipIds(new Date('2030-01-01')).map(id => id.toString());
+    expect(ids).toEqual([shipA.toString(), shipC.toString()]);
+  });
+
+  it('should match records of each ship dated while it was in the fleet', () => {
+    expect(fleet.membershipFilter('date')).toEqual({
+      $or: [
+        { ship: shipA, date: { $gte: new Date('2024-01-01') } },
+        { ship: shipB, date: { $gte: new Date('2024-01-01'), $lt: new Date('2024-06-01') } },
+        { ship: shipC, date: { $gte: new Date('2024-09-01') } }
+      ]
+    });
+  });
+
+  it('should match no records of a fleet without ships', () => {
+    expect(new Fleet({ name: 'Laid up' }).membershipFilter('date')).toEqual({ ship: { $in: [] } });
+  });
+
+  it('should scope fleet route analytics by the departure of each route', () => {
+    const routePlanningService = new RoutePlanningService();
+
+    expect(routePlanningService.scopeFilter({ shipId: shipA })).toEqual({ ship: shipA });
+    expect(routePlanningService.scopeFilter({ fleet }).$or[1]).toEqual({
+      ship: shipB,
+      actualDeparture: { $gte: new Date('2024-01-01'), $lt: new Date('2024-06-01') }
+    });
+  });
+});
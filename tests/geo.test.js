@@ -0,0 +1,98 @@
+const RouteOptimizer = require('../src/services/ai/RouteOptimizer');
+const WeatherRouter = require('../src/services/routing/WeatherRouter');
+const {
+  KM_PER_NM,
+  normalizeLongitude,
+  greatCircleDistance,
+  rhumbLineDistance,
+  interpolateGreatCircle,
+  interpolatePath
+} = require('../src/utils/geo');
+
+const YOKOHAMA = [139.64, 35.44];
+const LOS_ANGELES = [-118.27, 33.74];
+
+describe('Great-Circle Waypoints', () => {
+  describe('Geometry', () => {
+    it('should wrap longitudes into -180..180', () => {
+      expect(normalizeLongitude(190)).toBe(-170);
+      expect(normalizeLongitude(-181)).toBe(179);
+      expect(normalizeLongitude(180)).toBe(180);
+    });
+
+    it('should measure one degree of the equator as 60 nautical miles', () => {
+      expect(greatCircleDistance([0, 0], [1, 0]) / KM_PER_NM).toBeCloseTo(60.04, 1);
+    });
+
+    it('should make the rhumb line longer than the great circle across the Pacific', () => {
+      const greatCircle = greatCircleDistance(YOKOHAMA, LOS_ANGELES);
+      const rhumbLine = rhumbLineDistance(YOKOHAMA, LOS_ANGELES);
+
+      expect(greatCircle).toBeGreaterThan(8700);
+      expect(greatCircle).toBeLessThan(8900);
+      expect(rhumbLine).toBeGreaterThan(greatCircle);
+    });
+
+    it('should bow the great circle towards the pole', () => {
+      const [, latitude] = interpolateGreatCircle(YOKOHAMA, LOS_ANGELES, 0.5);
+      expect(latitude).toBeGreaterThan(45);
+    });
+  });
+
+  describe('Paths across the antimeridian', () => {
+    it('should take the short way round and stay within -180..180', () => {
+      const path = interpolatePath(YOKOHAMA, LOS_ANGELES, { spacing: 500 });
+      const longitudes = path.map(point => point.coordinates[0]);
+
+      expect(longitudes.every(longitude => longitude >= -180 && longitude <= 180)).toBe(true);
+      expect(longitudes.some(longitude => longitude > 170)).toBe(true);
+      expect(longitudes.some(longitude => longitude < -170)).toBe(true);
+      expect(longitudes.filter(longitude => longitude > 0 && longitude < 139)).toHaveLength(0);
+    });
+
+    it('should keep the rhumb line on one latitude band going east', () => {
+      const path = interpolatePath([170, 10], [-170, 10], { pathType: 'RHUMB_LINE', spacing: 100 });
+
+      expect(path[Math.floor(path.length / 2)].coordinates[0]).toBeCloseTo(180, 0);
+      expect(path.every(point => point.coordinates[1] === 10)).toBe(true);
+    });
+
+    it('should space points no further apart than asked', () => {
+      const path = interpolatePath(YOKOHAMA, LOS_ANGELES, { spacing: 250 });
+
+      for (let i = 1; i < path.length; i++) {
+        expect(greatCircleDistance(path[i - 1].coordinates, path[i].coordinates)).toBeLessThanOrEqual(250);
+      }
+      expect(path[path.length - 1].coordinates).toEqual(LOS_ANGELES);
+    });
+
+    it('should reject antipodal points on a great circle', () => {
+      expect(() => interpolatePath([0, 0], [180, 0], { spacing: 500 })).toThrow('Invalid route');
+    });
+  });
+
+  describe('Waypoint times', () => {
+    const routeOptimizer = new RouteOptimizer();
+    const weatherRouter = new WeatherRouter();
+
+    it('should time waypoints from the planned speed', () => {
+      const departureTime = new Date('2024-03-01T00:00:00Z');
+      const { segments } = weatherRouter.sail([0, 0], [10, 0], {
+        startTime: departureTime.getTime(),
+        spacing: 200,
+        speed: 20
+      });
+
+      const first = segments[0];
+      const hours = greatCircleDistance([0, 0], first.to) / (20 * KM_PER_NM);
+      expect((first.arrival - departureTime) / 3600000).toBeCloseTo(hours, 5);
+      expect(segments).toHaveLength(6);
+    });
+
+    it('should fall back to the ship\'s service speed', () => {
+      expect(routeOptimizer.resolveSpeed({ type: 'TANKER', serviceSpeed: 14 }, undefined)).toBe(14);
+      expect(routeOptimizer.resolveSpeed({ type: 'TANKER' }, undefined)).toBe(15);
+      expect(routeOptimizer.resolveSpeed({ type: 'TANKER', serviceSpeed: 14 }, 11)).toBe(11);
+    });
+  });
+});
@@ -0,0 +1,34 @@
+const RouteOptimizer = require('../../src/services/ai/RouteOptimizer');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const START = new Date(Date.UTC(2026, 0, 1));
+
+// Ports as [longitude, latitude], at sea off the harbour entrance
+const ROTTERDAM = [4.05, 51.95];
+const NEW_YORK = [-74.0, 40.5];
+const SINGAPORE = [103.85, 1.26];
+
+const HFO_FEEDER = { type: 'CARGO', serviceSpeed: 18, fuelType: 'HFO' };
+
+const routeOptimizer = new RouteOptimizer();
+
+// Plans an empty HFO feeder between two positions from START unless told otherwise
+const plan = (from, to, options = {}) => routeOptimizer.optimizeRoute({
+  ship: HFO_FEEDER,
+  departure: { coordinates: from },
+  destination: { coordinates: to },
+  cargoWeight: 0,
+  departureTime: START,
+  ...options
+});
+
+module.exports = {
+  HOUR_MS,
+  DAY_MS,
+  START,
+  ROTTERDAM,
+  NEW_YORK,
+  SINGAPORE,
+  plan
+};
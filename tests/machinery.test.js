@@ -0,0 +1,135 @@
+const Ship = require('../src/models/Ship');
+const Maintenance = require('../src/models/Maintenance');
+const MaintenanceService = require('../src/services/MaintenanceService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const buildShip = (machinery = []) => new Ship({
+  name: 'Nordic Star',
+  type: 'TANKER',
+  capacity: 80000,
+  machinery
+});
+
+describe('Ship Machinery', () => {
+  const maintenanceService = new MaintenanceService();
+
+  describe('Service status', () => {
+    it('should default the service interval by category', () => {
+      const ship = buildShip([
+        { name: 'Main Engine', category: 'MAIN_ENGINE' },
+        { name: 'Generator 1', category: 'AUXILIARY_ENGINE' },
+        { name: 'Ballast Pump', category: 'PUMP', serviceInterval: 6000 }
+      ]);
+
+      expect(ship.machinery.map(machine => machine.serviceInterval)).toEqual([5000, 3000, 6000]);
+    });
+
+    it('should project the due date from the hours run since the last service', () => {
+      const at = new Date('2024-06-01T00:00:00Z');
+      const ship = buildShip([{
+        name: 'Generator 1',
+        category: 'AUXILIARY_ENGINE',
+        runningHours: 11200,
+        hoursAtLastService: 10000,
+        lastServiceDate: new Date(at.getTime() - 100 * DAY_MS)
+      }]);
+
+      const status = ship.machinery[0].getServiceStatus(at);
+
+      expect(status.hoursSinceService).toBe(1200);
+      expect(status.hoursUntilService).toBe(1800);
+      expect(status.hoursPerDay).toBe(12);
+      expect(status.dueDate).toEqual(new Date(at.getTime() + 150 * DAY_MS));
+      expect(status.overdue).toBe(false);
+    });
+
+    it('should report overdue machines as due now', () => {
+      const at = new Date('2024-06-01T00:00:00Z');
+      const ship = buildShip([{ name: 'Boiler', category: 'BOILER', runningHours: 4500, installedAt: new Date('2023-01-01') }]);
+
+      const status = ship.machinery[0].getServiceStatus(at);
+
+      expect(status.overdue).toBe(true);
+      expect(status.dueDate).toEqual(at);
+    });
+
+    it('should leave the due date open until the machine has run', () => {
+      const ship = buildShip([{ name: 'Fire Pump', category: 'PUMP' }]);
+
+      expect(ship.machinery[0].getServiceStatus().dueDate).toBeNull();
+    });
+
+    it('should set the next maintenance to the earliest machine due date', () => {
+      const at = new Date('2024-06-01T00:00:00Z');
+      const installedAt = new Date(at.getTime() - 100 * DAY_MS);
+      const ship = buildShip([
+        { name: 'Main Engine', category: 'MAIN_ENGINE', runningHours: 2000, installedAt },
+        { name: 'Compressor', category: 'COMPRESSOR', runningHours: 1900, installedAt }
+      ]);
+
+      const next = ship.calculateNextMaintenance(at);
+
+      // The compressor runs 19 h/day with 100 h to go; the main engine has 3000 h left at 20 h/day
+      expect(next).toEqual(ship.machinery[1].getServiceStatus(at).dueDate);
+      expect(ship.nextMaintenance).toEqual(next);
+    });
+  });
+
+  describe('Maintenance prediction', () => {
+    it('should base the engine factor on the machine closest to its service', () => {
+      const ship = buildShip([
+        { name: 'Main Engine', category: 'MAIN_ENGINE', runningHours: 1000 },
+        { name: 'Compressor', category: 'COMPRESSOR', runningHours: 1800 }
+      ]);
+      const machinery = ship.machinery.map(machine => machine.getServiceStatus());
+
+      const engineHours = maintenanceService.calculateEngineHours(ship, machinery);
+
+      expect(engineHours).toMatchObject({ sinceLastMaintenance: 1800, serviceInterval: 2000, critical: 'Compressor' });
+    });
+
+    it('should add a service task for each machine near its interval', () => {
+      const ship = buildShip([
+        { name: 'Main Engine', category: 'MAIN_ENGINE', runningHours: 4200 },
+        { name: 'Generator 1', category: 'AUXILIARY_ENGINE', runningHours: 500 }
+      ]);
+      const machinery = ship.machinery.map(machine => machine.getServiceStatus());
+      const factors = {
+        engineHours: maintenanceService.calculateEngineHours(ship, machinery),
+        machinery,
+        weatherImpact: 0,
+        routeIntensity: { averageSpeed: 0 }
+      };
+
+      const tasks = maintenanceService.generateMaintenanceTasks(ship, factors);
+      const serviceTasks = tasks.filter(task => task.machinery);
+
+      expect(serviceTasks).toHaveLength(1);
+      expect(serviceTasks[0]).toMatchObject({ name: 'Service Main Engine', estimatedDuration: 8 });
+      expect(tasks.find(task => task.name === 'Engine Oil Change')).toBeUndefined();
+    });
+
+    it('should restart the interval of serviced machinery on completion', () => {
+      const ship = buildShip([{ name: 'Main Engine', category: 'MAIN_ENGINE', runningHours: 4900 }]);
+      const maintenance = new Maintenance({
+        ship: ship._id,
+        type: 'ROUTINE',
+        date: new Date(),
+        description: 'Yard period',
+        tasks: [{
+          name: 'Service Main Engine',
+          estimatedDuration: 8,
+          status: 'COMPLETED',
+          machinery: ship.machinery[0]._id
+        }],
+        cost: { estimated: 1000 }
+      });
+
+      maintenanceService.resetServicedMachinery(ship, maintenance);
+
+      expect(ship.machinery[0].hoursAtLastService).toBe(4900);
+      expect(ship.machinery[0].getServiceStatus().hoursUntilService).toBe(5000);
+    });
+  });
+});
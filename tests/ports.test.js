@@ -0,0 +1,52 @@
+const Port = require('../src/models/Port');
+const ports = require('../src/data/ports.json');
+const SeaRouter = require('../src/services/routing/SeaRouter');
+
+const ROTTERDAM = [4.05, 51.95];
+
+describe('Port Registry', () => {
+  describe('Bundled dataset', () => {
+    it('should hold each UN/LOCODE once', () => {
+      const codes = ports.map(port => port.code);
+
+      expect(new Set(codes).size).toBe(codes.length);
+      codes.forEach(code => expect(code).toMatch(Port.LOCODE_PATTERN));
+    });
+
+    it('should prefix each code with the port country', () => {
+      ports.forEach(port => expect(port.code.slice(0, 2)).toBe(port.country));
+    });
+
+    it('should pass the Port model validation', () => {
+      ports.forEach(({ coordinates, ...port }) => {
+        const document = new Port({ ...port, location: { type: 'Point', coordinates } });
+        expect(document.validateSync()).toBeUndefined();
+      });
+    });
+
+    it('should reach every port over the sea lane network', () => {
+      const seaRouter = new SeaRouter();
+
+      ports.forEach(port => {
+        const route = seaRouter.findRoute(port.coordinates, ROTTERDAM);
+        expect(route.distance).toBeGreaterThanOrEqual(0);
+      });
+    });
+  });
+
+  describe('Port model', () => {
+    it('should reject malformed codes and unknown time zones', () => {
+      const port = new Port({
+        code: 'NL-RT',
+        name: 'Rotterdam',
+        country: 'NL',
+        location: { type: 'Point', coordinates: ROTTERDAM },
+        timeZone: 'Europe/Nowhere'
+      });
+
+      const error = port.validateSync();
+      expect(error.errors.code.message).toBe('Invalid UN/LOCODE');
+      expect(error.errors.timeZone.message).toBe('Invalid time zone');
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const { buildListQuery, setPaginationHeaders, MAX_LIMIT } = require('../src/utils/queryBuilder');
+
+const spec = {
+  fields: {
+    name: 'string',
+    type: 'string',
+    capacity: 'number',
+    nextMaintenance: 'date',
+    ship: 'objectId'
+  },
+  search: ['name'],
+  defaultSort: 'name',
+  hidden: ['maintenanceHistory']
+};
+
+describe('List Query Builder', () => {
+  describe('Filters', () => {
+    it('should match single and comma-separated values', () => {
+      const { filter } = buildListQuery({ type: 'CARGO,TANKER', name: 'Nordic Star' }, spec);
+
+      expect(filter).toEqual({ type: { $in: ['CARGO', 'TANKER'] }, name: 'Nordic Star' });
+    });
+
+    it('should build ranges for numbers and dates', () => {
+      const { filter } = buildListQuery({
+        capacity: { gte: '1000', lt: '5000' },
+        nextMaintenance: { before: '2024-06-01' }
+      }, spec);
+
+      expect(filter.capacity).toEqual({ $gte: 1000, $lt: 5000 });
+      expect(filter.nextMaintenance).toEqual({ $lt: new Date('2024-06-01') });
+    });
+
+    it('should reject bad values and operators', () => {
+      expect(() => buildListQuery({ capacity: { gte: 'lots' } }, spec)).toThrow('Invalid value for capacity[gte]');
+      expect(() => buildListQuery({ capacity: { before: '10' } }, spec)).toThrow('Invalid filter operator');
+      expect(() => buildListQuery({ name: { gte: 'A' } }, spec)).toThrow('Invalid filter on name');
+      expect(() => buildListQuery({ ship: 'abc' }, spec)).toThrow('Invalid value for ship');
+    });
+
+    it('should ignore parameters outside the spec', () => {
+      expect(buildListQuery({ archived: 'include' }, spec).filter).toEqual({});
+    });
+
+    it('should search case-insensitively with the input escaped', () => {
+      const { filter } = buildListQuery({ q: 'star (ii)' }, spec);
+
+      expect(filter.$and).toEqual([{ $or: [{ name: { $regex: 'star \\(ii\\)', $options: 'i' } }] }]);
+    });
+  });
+
+  describe('Sorting and projection', () => {
+    it('should default the sort and add an _id tie-breaker', () => {
+      expect(buildListQuery({}, spec).sort).toEqual({ name: 1, _id: 1 });
+      expect(buildListQuery({ sort: '-capacity,name' }, spec).sort).toEqual({ capacity: -1, name: 1, _id: 1 });
+    });
+
+    it('should reject unknown sort keys and fields', () => {
+      expect(() => buildListQuery({ sort: 'password' }, spec)).toThrow('Invalid sort field: password');
+      expect(() => buildListQuery({ fields: 'name,secret' }, spec)).toThrow('Invalid field: secret');
+    });
+
+    it('should leave hidden fields out unless requested', () => {
+      expect(buildListQuery({}, spec).projection).toBe('-maintenanceHistory');
+      expect(buildListQuery({ fields: 'name,maintenanceHistory' }, spec).projection).toBe('name maintenanceHistory');
+    });
+  });
+
+  describe('Pagination', () => {
+    it('should compute the page offset', () => {
+      expect(buildListQuery({ page: '3', limit: '20' }, spec)).toMatchObject({ page: 3, limit: 20, skip: 40 });
+    });
+
+    it('should reject invalid pages and oversized limits', () => {
+      expect(() => buildListQuery({ page: '0' }, spec)).toThrow('Invalid page');
+      expect(() => buildListQuery({ limit: String(MAX_LIMIT + 1) }, spec)).toThrow('Invalid limit');
+    });
+
+    it('should set the total count and page links', () => {
+      const headers = {};
+      const req = {
+        originalUrl: '/api/v1/ships?type=CARGO&page=2&limit=10',
+        protocol: 'http',
+        get: () => 'localhost:3000'
+      };
+      const res = { set: (name, value) => { headers[name] = value; } };
+
+      setPaginationHeaders(req, res, { total: 35, page: 2, limit: 10 });
+
+      expect(headers['X-Total-Count']).toBe('35');
+      expect(headers.Link).toBe([
+        '</api/v1/ships?type=CARGO&page=1&limit=10>; rel="first"',
+        '</api/v1/ships?type=CARGO&page=1&limit=10>; rel="prev"',
+        '</api/v1/ships?type=CARGO&page=3&limit=10>; rel="next"',
+        '</api/v1/ships?type=CARGO&page=4&limit=10>; rel="last"'
+      ].join(', '));
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const RestHoursEvaluator = require('../src/services/RestHoursEvaluator');
+
+// Builds consecutive daily records starting on 1 March 2024
+const days = (...restPeriodsPerDay) => restPeriodsPerDay.map((restPeriods, index) => ({
+  date: new Date(Date.UTC(2024, 2, 1 + index)),
+  restPeriods: restPeriods.map(([start, end]) => ({ start, end }))
+}));
+
+// Eight hours of night rest across midnight plus four hours in the afternoon
+const watchDay = [['00:00', '06:00'], ['13:00', '17:00'], ['22:00', '24:00']];
+
+describe('Hours of Rest Evaluator', () => {
+  const evaluator = new RestHoursEvaluator();
+
+  it('should accept a compliant watch pattern', () => {
+    const records = days(...Array(10).fill(watchDay));
+    expect(evaluator.evaluate(records)).toEqual([]);
+  });
+
+  it('should flag less than 10 hours rest in 24 hours', () => {
+    const records = days(
+      watchDay,
+      [['00:00', '06:00'], ['22:00', '24:00']],
+      watchDay
+    );
+
+    const violation = evaluator.evaluate(records).find(v => v.rule === 'MIN_REST_24H');
+    expect(violation.restHours).toBe(8);
+    expect(violation.requiredHours).toBe(10);
+    expect(violation.windowEnd - violation.windowStart).toBe(24 * 60 * 60 * 1000);
+  });
+
+  it('should flag less than 77 hours rest in 7 days', () => {
+    // 11 hours a day keeps every 24 hours compliant but totals 77 only just
+    const elevenHours = [['00:00', '07:00'], ['20:00', '24:00']];
+    const tenHours = [['00:00', '07:00'], ['21:00', '24:00']];
+
+    expect(evaluator.evaluate(days(...Array(7).fill(elevenHours)))
+      .filter(v => v.rule === 'MIN_REST_7D')).toHaveLength(0);
+
+    const violations = evaluator.evaluate(days(...Array(7).fill(tenHours)))
+      .filter(v => v.rule === 'MIN_REST_7D');
+    expect(violations).toHaveLength(1);
+    expect(violations[0].restHours).toBe(70);
+  });
+
+  it('should flag rest split into more than two periods', () => {
+    const records = days(
+      watchDay,
+      [['00:00', '06:00'], ['10:00', '12:00'], ['15:00', '17:00'], ['22:00', '24:00']],
+      watchDay
+    );
+
+    const violation = evaluator.evaluate(records).find(v => v.rule === 'REST_PERIODS');
+    expect(violation.restPeriods).toBe(3);
+  });
+
+  it('should flag rest without a period of at least 6 hours', () => {
+    const records = days(...Array(3).fill([['01:00', '06:00'], ['12:00', '17:00']]));
+
+    const violation = evaluator.evaluate(records).find(v => v.rule === 'REST_PERIODS');
+    expect(violation.longestRestHours).toBe(5);
+  });
+
+  it('should flag more than 14 hours between rest periods', () => {
+    const records = days(
+      [['00:00', '06:00'], ['21:00', '24:00']],
+      [['00:00', '07:00'], ['21:00', '24:00']]
+    );
+
+    const violation = evaluator.evaluate(records).find(v => v.rule === 'MAX_INTERVAL');
+    expect(violation.intervalHours).toBe(15);
+    expect(violation.windowStart.toISOString()).toBe('2024-03-01T06:00:00.000Z');
+  });
+
+  it('should not judge windows that reach into unrecorded days', () => {
+    const records = [
+      ...days(watchDay),
+      { date: new Date(Date.UTC(2024, 2, 5)), restPeriods: [{ start: '00:00', end: '06:00' }, { start: '13:00', end: '17:00' }] }
+    ];
+
+    expect(evaluator.evaluate(records)).toEqual([]);
+  });
+
+  it('should total rest and work hours', () => {
+    expect(evaluator.summarize(days(watchDay, watchDay))).toEqual({
+      daysRecorded: 2,
+      restHours: 24,
+      workHours: 24
+    });
+  });
+});
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const Route = require('../src/models/Route');
+const RouteScorer = require('../src/services/routing/RouteScorer');
+const RouteOptimizer = require('../src/services/ai/RouteOptimizer');
+const RoutePlanningService = require('../src/services/RoutePlanningService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = new Date(Date.UTC(2024, 0, 1));
+
+const PANAMAX = { type: 'CARGO', serviceSpeed: 18, fuelType: 'HFO', grossTonnage: 50000, lengthOverall: 290, beam: 32.2, designDraft: 12 };
+
+// An unsaved Route from Rotterdam to Singapore as planLeg would build it
+const plannedRoute = async (options = {}) => {
+  const plan = await new RouteOptimizer().optimizeRoute({
+    ship: PANAMAX,
+    departure: { coordinates: [4.05, 51.95] },
+    destination: { coordinates: [103.85, 1.26] },
+    cargoWeight: 0,
+    departureTime: START,
+    ...options
+  });
+  return new Route({
+    ship: new mongoose.Types.ObjectId(),
+    departure: { port: 'Rotterdam', coordinates: [4.05, 51.95] },
+    destination: { port: 'Singapore', coordinates: [103.85, 1.26] },
+    estimatedDeparture: START,
+    estimatedArrival: plan.estimatedArrival,
+    distance: plan.distance,
+    plannedSpeed: plan.speed,
+    pathType: plan.pathType,
+    fuelConsumption: { estimated: plan.fuelConsumption },
+    waypoints: plan.waypoints,
+    chokepoints: plan.chokepoints,
+    weatherRouting: plan.weatherRouting
+  });
+};
+
+const candidate = (label, metrics) => ({
+  label,
+  metrics: { distance: 1000, duration: 100, fuelConsumption: 50000, cost: 30000, emissions: 150, weatherRisk: 0.2, ...metrics }
+});
+
+describe('Route preview', () => {
+  const routeScorer = new RouteScorer();
+
+  describe('Metrics', () => {
+    it('should cost fuel by its price and add canal tariffs', async () => {
+      const route = await plannedRoute();
+      const metrics = routeScorer.metrics(route, PANAMAX);
+      const tonnes = route.fuelConsumption.estimated / 1000 * 0.991;
+      const tariffs = route.chokepoints.reduce((sum, transit) => sum + transit.tariff, 0);
+
+      expect(tariffs).toBeGreaterThan(0);
+      expect(metrics.cost).toBe(Math.round(tonnes * 480 + tariffs));
+      expect(metrics.emissions).toBeCloseTo(tonnes * 3.114);
+      expect(metrics.duration).toBeCloseTo((route.estimatedArrival - START) / HOUR_MS);
+    });
+
+    it('should rate weather risk by the worst conditions against the limits', () => {
+      const route = {
+        distance: 100,
+        estimatedDeparture: START,
+        estimatedArrival: new Date(START.getTime() + 10 * HOUR_MS),
+        fuelConsumption: { estimated: 1000 },
+        chokepoints: [],
+        weather: { maximum: { waveHeight: 3, windSpeed: 10 } },
+        weatherRouting: { maxWaveHeight: 6, maxWindSpeed: 25 }
+      };
+
+      expect(routeScorer.metrics(route, PANAMAX).weatherRisk).toBe(0.5);
+    });
+  });
+
+  describe('Ranking', () => {
+    it('should rank the candidate best on every metric first with full marks', () => {
+      const ranked = routeScorer.rank([
+        candidate('Worse', { cost: 40000, duration: 120 }),
+        candidate('Better')
+      ]);
+
+      expect(ranked.map(({ label, rank, score }) => [label, rank, score])).toEqual([
+        ['Better', 1, 100],
+        ['Worse', 2, 55]
+      ]);
+    });
+
+    it('should follow the weights given', () => {
+      const candidates = [
+        candidate('Cheap', { cost: 20000, duration: 140 }),
+        candidate('Fast', { cost: 40000, duration: 90 })
+      ];
+
+      expect(routeScorer.rank(candidates)[0].label).toBe('Cheap');
+      expect(routeScorer.rank(candidates, { duration: 1, cost: 0 })[0].label).toBe('Fast');
+    });
+  });
+
+  describe('Candidates', () => {
+    const routePlanningService = new RoutePlanningService();
+
+    it('should try the way round each canal, the other path type, slower speeds and later departures', async () => {
+      const base = await plannedRoute();
+      const variants = routePlanningService.candidateVariants(base, { departureTime: START });
+
+      expect(variants.map(({ label }) => label)).toEqual([
+        'Avoiding Suez Canal',
+        'Rhumb lines',
+        'Slow steaming at 15.3 knots',
+        'Slow steaming at 12.6 knots',
+        'Departing 12 hours later',
+        'Departing 24 hours later'
+      ]);
+      expect(variants[0].variant).toEqual({ avoidChokepoints: ['SUEZ'] });
+      expect(variants[5].variant.departureTime).toEqual(new Date(START.getTime() + 24 * HOUR_MS));
+    });
+
+    it('should leave the speed to the arrival window', async () => {
+      const base = await plannedRoute();
+      const variants = routePlanningService.candidateVariants(base, {
+        departureTime: START,
+        arrivalWindow: { latest: new Date(START.getTime() + 1000 * HOUR_MS) }
+      });
+
+      expect(variants.some(({ variant }) => variant.plannedSpeed)).toBe(false);
+    });
+  });
+});
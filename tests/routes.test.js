@@ -5,6 +5,22 @@ const app = require('../src/index');
 const Ship = require('../src/models/Ship');
 const Route = require('../src/models/Route');
 const Maintenance = require('../src/models/Maintenance');
+const Position = require('../src/models/Position');
+const Voyage = require('../src/models/Voyage');
+const CrewMember = require('../src/models/CrewMember');
+const CrewAssignment = require('../src/models/CrewAssignment');
+const Certificate = require('../src/models/Certificate');
+const Fleet = require('../src/models/Fleet');
+const Organization = require('../src/models/Organization');
+const RestHourRecord = require('../src/models/RestHourRecord');
+const EngineHourReading = require('../src/models/EngineHourReading');
+const AuditLog = require('../src/models/AuditLog');
+const Port = require('../src/models/Port');
+const RoutePreview = require('../src/models/RoutePreview');
+const Zone = require('../src/models/Zone');
+const ShipBulkService = require('../src/services/ShipBulkService');
+const PortService = require('../src/services/PortService');
+const { logger } = require('../src/utils/logger');
 
 let mongoServer;
 
@@ -23,6 +39,18 @@ beforeEach(async () => {
   await Ship.deleteMany({});
   await Route.deleteMany({});
   await Maintenance.deleteMany({});
+  await Position.deleteMany({});
+  await Voyage.deleteMany({});
+  await CrewMember.deleteMany({});
+  await CrewAssignment.deleteMany({});
+  await Certificate.deleteMany({});
+  await Fleet.deleteMany({});
+  await Organization.deleteMany({});
+  await RestHourRecord.deleteMany({});
+  await EngineHourReading.deleteMany({});
+  await AuditLog.deleteMany({});
+  await RoutePreview.deleteMany({});
+  await Zone.deleteMany({});
 });
 
 describe('Ship Management API', () => {
@@ -55,6 +83,67 @@ describe('Ship Management API', () => {
 
       expect(response.body).toHaveProperty('errors');
     });
+
+    it('should record the vessel particulars', async () => {
+      const response = await request(app)
+        .post('/api/v1/ships')
+        .send({
+          name: 'Ever Diadem',
+          type: 'CARGO',
+          capacity: 44900,
+          fuelType: 'HFO',
+          imoNumber: 'IMO 9134270',
+          mmsi: '477553000',
+          flagState: 'PA',
+          grossTonnage: 53000,
+          netTonnage: 31000
+        })
+        .expect(201);
+
+      expect(response.body.imoNumber).toBe('9134270');
+      expect(response.body.flagState).toBe('PA');
+    });
+
+    it('should reject an IMO number with a wrong check digit', async () => {
+      const response = await request(app)
+        .post('/api/v1/ships')
+        .send({ name: 'Ever Diadem', type: 'CARGO', capacity: 44900, fuelType: 'HFO', imoNumber: '9134271' })
+        .expect(400);
+
+      expect(response.body.error).toBe('IMO number must be 7 digits with a valid check digit');
+    });
+
+    it('should refuse a second ship with the same IMO number', async () => {
+      await Ship.init();
+      const ship = { type: 'CARGO', capacity: 44900, fuelType: 'HFO', imoNumber: '9134270' };
+      await request(app).post('/api/v1/ships').send({ ...ship, name: 'Ever Diadem' }).expect(201);
+
+      const response = await request(app)
+        .post('/api/v1/ships')
+        .send({ ...ship, name: 'Ever Dainty' })
+        .expect(409);
+
+      expect(response.body.error).toBe('Ship with this IMO number already exists');
+    });
+
+    it('should refuse fields owned by the position feed and other endpoints', async () => {
+      const ship = { name: 'Test Ship', type: 'CARGO', capacity: 5000, fuelType: 'HFO' };
+
+      const response = await request(app)
+        .post('/api/v1/ships')
+        .send({ ...ship, currentLocation: { type: 'Point', coordinates: [4.05, 51.95] } })
+        .expect(400);
+      expect(response.body.error).toBe('Use POST /api/v1/ships/{shipId}/positions to report the position');
+
+      for (const field of ['archivedAt', 'statusHistory', 'aisStatic']) {
+        await request(app).post('/api/v1/ships').send({ ...ship, [field]: {} }).expect(400);
+      }
+      await request(app)
+        .post('/api/v1/ships')
+        .send({ ...ship, machinery: [{ name: 'Main engine', category: 'MAIN_ENGINE', runningHours: 90000 }] })
+        .expect(400);
+      expect(await Ship.countDocuments()).toBe(0);
+    });
   });
 
   describe('GET /api/v1/ships', () => {
@@ -94,6 +183,36 @@ describe('Ship Management API', () => {
       expect(response.body).toHaveLength(1);
       expect(response.body[0].type).toBe('CARGO');
     });
+
+    it('should page and sort the listing', async () => {
+      const response = await request(app)
+        .get('/api/v1/ships')
+        .query({ sort: '-capacity', limit: 1, page: 2 })
+        .expect(200);
+
+      expect(response.headers['x-total-count']).toBe('2');
+      expect(response.body.map(ship => ship.name)).toEqual(['Ship 1']);
+    });
+
+    it('should filter by range, search by name and select fields', async () => {
+      const response = await request(app)
+        .get('/api/v1/ships')
+        .query({ 'capacity[gte]': 6000, q: 'ship', fields: 'name,capacity' })
+        .expect(200);
+
+      expect(response.body).toHaveLength(1);
+      expect(response.body[0].name).toBe('Ship 2');
+      expect(response.body[0]).not.toHaveProperty('fuelType');
+    });
+
+    it('should reject an unknown sort field', async () => {
+      const response = await request(app)
+        .get('/api/v1/ships')
+        .query({ sort: 'owner' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid sort field: owner');
+    });
   });
 
   describe('POST /api/v1/route-plan', () => {
@@ -141,6 +260,208 @@ describe('Ship Management API', () => {
 
       expect(response.body).toHaveProperty('errors');
     });
+
+    describe('with an arrival window', () => {
+      const HOUR_MS = 60 * 60 * 1000;
+      const departure = new Date(Date.now() + HOUR_MS);
+      const routeData = arrivalWindow => ({
+        shipId: ship._id,
+        departure: { port: 'Port A', coordinates: [0, 0] },
+        destination: { port: 'Port B', coordinates: [1, 1] },
+        estimatedDeparture: departure.toISOString(),
+        cargoWeight: 3000,
+        arrivalWindow
+      });
+
+      it('should pick the speed that arrives within the window', async () => {
+        const latest = new Date(departure.getTime() + 48 * HOUR_MS);
+
+        const response = await request(app)
+          .post('/api/v1/route-plan')
+          .send(routeData({ latest: latest.toISOString() }))
+          .expect(201);
+
+        const { route } = response.body;
+        expect(route.speedOptimization.speed).toBeGreaterThan(0);
+        expect(new Date(route.estimatedArrival).getTime()).toBeLessThanOrEqual(latest.getTime());
+      });
+
+      it('should refuse a window the ship cannot make', async () => {
+        const response = await request(app)
+          .post('/api/v1/route-plan')
+          .send(routeData({ latest: new Date(departure.getTime() + HOUR_MS).toISOString() }))
+          .expect(400);
+
+        expect(response.body.error).toMatch(/^Invalid arrival window: /);
+      });
+
+      it('should refuse a planned speed together with a window', async () => {
+        const response = await request(app)
+          .post('/api/v1/route-plan')
+          .send({ ...routeData({ latest: new Date(departure.getTime() + 48 * HOUR_MS).toISOString() }), plannedSpeed: 12 })
+          .expect(400);
+
+        expect(response.body.details[0].msg).toBe('Give either a planned speed or an arrival window');
+      });
+    });
+  });
+
+  describe('POST /api/v1/route-plan/preview', () => {
+    let ship;
+
+    beforeEach(async () => {
+      ship = await Ship.create({
+        name: 'Test Ship',
+        type: 'CARGO',
+        capacity: 5000,
+        fuelType: 'HFO'
+      });
+    });
+
+    const routeData = () => ({
+      shipId: ship._id,
+      departure: { port: 'Port A', coordinates: [0, 0] },
+      destination: { port: 'Port B', coordinates: [1, 1] },
+      estimatedDeparture: new Date().toISOString(),
+      cargoWeight: 3000
+    });
+
+    it('should rank candidates and commit the chosen one once', async () => {
+      const preview = await request(app)
+        .post('/api/v1/route-plan/preview')
+        .send({ ...routeData(), candidates: 2 })
+        .expect(201);
+
+      expect(preview.body.candidates.map(candidate => candidate.rank)).toEqual([1, 2]);
+      expect(await Route.countDocuments()).toBe(0);
+
+      const committed = await request(app)
+        .post(`/api/v1/route-plan/preview/${preview.body._id}/commit`)
+        .send({ candidate: 2 })
+        .expect(201);
+
+      expect(committed.body.ship.toString()).toBe(ship._id.toString());
+      expect(await Route.countDocuments({ ship: ship._id })).toBe(1);
+
+      await request(app)
+        .post(`/api/v1/route-plan/preview/${preview.body._id}/commit`)
+        .send({ candidate: 1 })
+        .expect(404);
+    });
+
+    it('should keep the preview and no route when the ship cannot be saved', async () => {
+      const preview = await request(app)
+        .post('/api/v1/route-plan/preview')
+        .send(routeData())
+        .expect(201);
+
+      const save = jest.spyOn(Ship.prototype, 'save').mockRejectedValueOnce(new Error('No matching document found'));
+      try {
+        await request(app)
+          .post(`/api/v1/route-plan/preview/${preview.body._id}/commit`)
+          .send({ candidate: 1 })
+          .expect(500);
+      } finally {
+        save.mockRestore();
+      }
+
+      expect(await Route.countDocuments()).toBe(0);
+      expect(await RoutePreview.countDocuments({ _id: preview.body._id })).toBe(1);
+    });
+
+    it('should validate the number of candidates', async () => {
+      const response = await request(app)
+        .post('/api/v1/route-plan/preview')
+        .send({ ...routeData(), candidates: 20 })
+        .expect(400);
+
+      expect(response.body.details[0].msg).toBe('Candidates must be between 1 and 10');
+    });
+
+    it('should validate the committed candidate', async () => {
+      const preview = await request(app)
+        .post('/api/v1/route-plan/preview')
+        .send(routeData())
+        .expect(201);
+
+      const response = await request(app)
+        .post(`/api/v1/route-plan/preview/${preview.body._id}/commit`)
+        .send({ candidate: 0 })
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe('candidate');
+    });
+  });
+
+  describe('POST /api/v1/route-plan/:routeId/eta', () => {
+    let routeId;
+
+    beforeEach(async () => {
+      const ship = await Ship.create({
+        name: 'Test Ship',
+        type: 'CARGO',
+        capacity: 5000,
+        fuelType: 'HFO'
+      });
+      const planned = await request(app)
+        .post('/api/v1/route-plan')
+        .send({
+          shipId: ship._id,
+          departure: { port: 'Port A', coordinates: [0, 0] },
+          destination: { port: 'Port B', coordinates: [1, 1] },
+          estimatedDeparture: new Date().toISOString(),
+          cargoWeight: 3000
+        })
+        .expect(201);
+      routeId = planned.body.route._id;
+    });
+
+    const reportPosition = () => request(app)
+      .post(`/api/v1/route-plan/${routeId}/eta`)
+      .send({ position: { coordinates: [0.5, 0.5], timestamp: new Date().toISOString(), speedOverGround: 12 } });
+
+    it('should revise the ETA from the reported position', async () => {
+      await request(app)
+        .put(`/api/v1/route-plan/${routeId}/status`)
+        .send({ status: 'IN_PROGRESS' })
+        .expect(200);
+
+      const response = await reportPosition().expect(200);
+
+      expect(response.body.eta.estimatedArrival).toBeDefined();
+      expect(response.body.etaRevisions).toHaveLength(1);
+    });
+
+    it('should keep the route status when the ship cannot be saved', async () => {
+      const save = jest.spyOn(Ship.prototype, 'save').mockRejectedValueOnce(new Error('No matching document found'));
+      try {
+        await request(app)
+          .put(`/api/v1/route-plan/${routeId}/status`)
+          .send({ status: 'IN_PROGRESS' })
+          .expect(500);
+      } finally {
+        save.mockRestore();
+      }
+
+      const route = await Route.findById(routeId);
+      expect(route.status).toBe('PLANNED');
+      expect(route.actualDeparture).toBeUndefined();
+    });
+
+    it('should refuse to revise a route that has not departed', async () => {
+      const response = await reportPosition().expect(400);
+
+      expect(response.body.error).toBe('Invalid ETA update: route is PLANNED, not IN_PROGRESS');
+    });
+
+    it('should validate the position', async () => {
+      const response = await request(app)
+        .post(`/api/v1/route-plan/${routeId}/eta`)
+        .send({ position: { coordinates: [0.5, 95] } })
+        .expect(400);
+
+      expect(response.body.errors[0].msg).toBe('Latitude must be between -90 and 90');
+    });
   });
 
   describe('POST /api/v1/maintenance/schedule', () => {
@@ -234,4 +555,1735 @@ describe('Ship Management API', () => {
       expect(response.body).toHaveProperty('errors');
     });
   });
-}); 
\ No newline at end of file
+
+  describe('PUT /api/v1/ships/:shipId', () => {
+    let ship;
+
+    beforeEach(async () => {
+      ship = await Ship.create({
+        name: 'Test Ship',
+        type: 'CARGO',
+        capacity: 5000,
+        fuelType: 'HFO'
+      });
+    });
+
+    it('should update the ship', async () => {
+      const response = await request(app)
+        .put(`/api/v1/ships/${ship._id}`)
+        .send({ capacity: 6000 })
+        .expect(200);
+
+      expect(response.body.capacity).toBe(6000);
+    });
+
+    it('should refuse to archive or restore the ship', async () => {
+      const response = await request(app)
+        .put(`/api/v1/ships/${ship._id}`)
+        .send({ archivedAt: '2024-01-01T00:00:00Z' })
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe('archivedAt');
+      expect((await Ship.findById(ship._id)).archivedAt).toBeNull();
+    });
+
+    it('should refuse to overwrite the engine hours', async () => {
+      const response = await request(app)
+        .put(`/api/v1/ships/${ship._id}`)
+        .send({ engineHours: 100 })
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe('engineHours');
+    });
+
+    it('should refuse to move the ship outside the position feed', async () => {
+      const response = await request(app)
+        .put(`/api/v1/ships/${ship._id}`)
+        .send({ currentLocation: { type: 'Point', coordinates: [4.05, 51.95] } })
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe('currentLocation');
+    });
+
+    it('should refuse to rewrite the status history', async () => {
+      const response = await request(app)
+        .put(`/api/v1/ships/${ship._id}`)
+        .send({ statusHistory: [] })
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe('statusHistory');
+    });
+
+    it('should refuse to overwrite the AIS static data', async () => {
+      const response = await request(app)
+        .put(`/api/v1/ships/${ship._id}`)
+        .send({ aisStatic: { callSign: 'FAKE1' } })
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe('aisStatic');
+    });
+  });
+
+  describe('PUT /api/v1/ships/:shipId/status', () => {
+    let ship;
+
+    beforeEach(async () => {
+      ship = await Ship.create({
+        name: 'Test Ship',
+        type: 'CARGO',
+        capacity: 5000,
+        fuelType: 'HFO'
+      });
+    });
+
+    it('should change the status', async () => {
+      const response = await request(app)
+        .put(`/api/v1/ships/${ship._id}/status`)
+        .send({ status: 'LAID_UP', reason: 'Laid up awaiting charter' })
+        .expect(200);
+
+      expect(response.body.status).toBe('LAID_UP');
+    });
+
+    it('should validate the status', async () => {
+      const response = await request(app)
+        .put(`/api/v1/ships/${ship._id}/status`)
+        .send({ status: 'SUNK' })
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe('status');
+    });
+
+    it('should refuse a transition out of a final status', async () => {
+      await Ship.updateOne({ _id: ship._id }, { status: 'DECOMMISSIONED' });
+
+      await request(app)
+        .put(`/api/v1/ships/${ship._id}/status`)
+        .send({ status: 'ACTIVE' })
+        .expect(409);
+
+      expect((await Ship.findById(ship._id)).status).toBe('DECOMMISSIONED');
+    });
+  });
+
+  describe('DELETE /api/v1/ships/:shipId', () => {
+    let ship;
+
+    beforeEach(async () => {
+      ship = await Ship.create({
+        name: 'Test Ship',
+        type: 'CARGO',
+        capacity: 5000,
+        fuelType: 'HFO'
+      });
+      await Voyage.create({
+        ship: ship._id,
+        portCalls: [
+          { port: 'Rotterdam', coordinates: [4.05, 51.95] },
+          { port: 'Algeciras', coordinates: [-5.44, 36.13] }
+        ]
+      });
+    });
+
+    it('should refuse a hard delete while voyages reference the ship', async () => {
+      const response = await request(app)
+        .delete(`/api/v1/ships/${ship._id}`)
+        .query({ mode: 'hard' })
+        .expect(409);
+
+      expect(response.body.related.voyages).toBe(1);
+      expect(await Ship.exists({ _id: ship._id })).toBeTruthy();
+    });
+
+    it('should delete the ship\'s voyages with cascade', async () => {
+      const response = await request(app)
+        .delete(`/api/v1/ships/${ship._id}`)
+        .query({ mode: 'hard', cascade: true })
+        .expect(200);
+
+      expect(response.body.deleted.voyages).toBe(1);
+      expect(await Voyage.countDocuments({ ship: ship._id })).toBe(0);
+    });
+
+    it('should delete the ship\'s route previews with cascade', async () => {
+      await RoutePreview.create({ ship: ship._id, candidates: [] });
+
+      const response = await request(app)
+        .delete(`/api/v1/ships/${ship._id}`)
+        .query({ mode: 'hard', cascade: true })
+        .expect(200);
+
+      expect(response.body.deleted.routePreviews).toBe(1);
+      expect(await RoutePreview.countDocuments({ ship: ship._id })).toBe(0);
+    });
+
+    it('should refuse to delete a ship with a voyage in progress, even with cascade', async () => {
+      await Route.create({
+        ship: ship._id,
+        departure: { port: 'Rotterdam', coordinates: [4.05, 51.95] },
+        destination: { port: 'Algeciras', coordinates: [-5.44, 36.13] },
+        status: 'IN_PROGRESS',
+        distance: 1370,
+        fuelConsumption: { estimated: 180 },
+        estimatedDeparture: new Date('2024-01-01'),
+        estimatedArrival: new Date('2024-01-05')
+      });
+
+      const response = await request(app)
+        .delete(`/api/v1/ships/${ship._id}`)
+        .query({ mode: 'hard', cascade: true })
+        .expect(409);
+
+      expect(response.body.error).toBe('Ship cannot be deleted while a voyage or maintenance is in progress');
+      expect(await Ship.exists({ _id: ship._id })).toBeTruthy();
+      expect(await Voyage.countDocuments({ ship: ship._id })).toBe(1);
+    });
+
+    it('should archive the ship by default and hide it from the listing', async () => {
+      const response = await request(app)
+        .delete(`/api/v1/ships/${ship._id}`)
+        .expect(200);
+
+      expect(response.body.action).toBe('ARCHIVED');
+
+      const listed = await request(app)
+        .get('/api/v1/ships')
+        .expect(200);
+      expect(listed.body).toHaveLength(0);
+
+      const archived = await request(app)
+        .get('/api/v1/ships')
+        .query({ archived: 'only' })
+        .expect(200);
+      expect(archived.body.map(listedShip => listedShip._id)).toEqual([ship._id.toString()]);
+    });
+
+    it('should validate the delete mode', async () => {
+      const response = await request(app)
+        .delete(`/api/v1/ships/${ship._id}`)
+        .query({ mode: 'purge' })
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe('mode');
+    });
+  });
+
+  describe('POST /api/v1/ships/:shipId/restore', () => {
+    let ship;
+
+    beforeEach(async () => {
+      ship = await Ship.create({
+        name: 'Test Ship',
+        type: 'CARGO',
+        capacity: 5000,
+        fuelType: 'HFO',
+        archivedAt: new Date('2024-01-01')
+      });
+    });
+
+    it('should restore an archived ship', async () => {
+      const response = await request(app)
+        .post(`/api/v1/ships/${ship._id}/restore`)
+        .expect(200);
+
+      expect(response.body.archivedAt).toBeNull();
+    });
+
+    it('should refuse to restore a ship that is not archived', async () => {
+      await request(app)
+        .post(`/api/v1/ships/${ship._id}/restore`)
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/api/v1/ships/${ship._id}/restore`)
+        .expect(409);
+
+      expect(response.body.error).toBe('Ship is not archived');
+    });
+
+    it('should validate the ship ID', async () => {
+      const response = await request(app)
+        .post('/api/v1/ships/not-an-id/restore')
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe('shipId');
+    });
+  });
+
+  describe('POST /api/v1/ships/import', () => {
+    it('should create new ships and update matching ones', async () => {
+      const ship = await Ship.create({
+        name: 'Test Ship',
+        type: 'CARGO',
+        capacity: 5000,
+        fuelType: 'HFO'
+      });
+
+      const response = await request(app)
+        .post('/api/v1/ships/import')
+        .set('Content-Type', 'text/csv')
+        .send('name,type,capacity,fuelType\nTest Ship,CARGO,6000,HFO\nSecond Ship,TANKER,8000,MGO')
+        .expect(200);
+
+      expect(response.body).toMatchObject({ total: 2, created: 1, updated: 1, failed: 0 });
+      expect((await Ship.findById(ship._id)).capacity).toBe(6000);
+      expect(await Ship.exists({ name: 'Second Ship' })).toBeTruthy();
+    });
+
+    it('should reject an unknown upsert key', async () => {
+      const response = await request(app)
+        .post('/api/v1/ships/import')
+        .query({ upsertBy: 'mmsi' })
+        .send([{ name: 'Test Ship', type: 'CARGO', capacity: 5000, fuelType: 'HFO' }])
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe('upsertBy');
+    });
+
+    it('should report rows matching an archived ship as failed', async () => {
+      const ship = await Ship.create({
+        name: 'Test Ship',
+        type: 'CARGO',
+        capacity: 5000,
+        fuelType: 'HFO',
+        archivedAt: new Date()
+      });
+
+      const response = await request(app)
+        .post('/api/v1/ships/import')
+        .send([{ name: 'Test Ship', type: 'CARGO', capacity: 6000, fuelType: 'HFO' }])
+        .expect(200);
+
+      expect(response.body).toMatchObject({ created: 0, updated: 0, failed: 1 });
+      expect(response.body.rows[0].action).toBe('FAILED');
+      expect((await Ship.findById(ship._id)).capacity).toBe(5000);
+    });
+
+    it('should fail dry-run rows whose MMSI or IMO number belongs to another ship', async () => {
+      await Ship.create({
+        name: 'Ever Diadem',
+        type: 'CARGO',
+        capacity: 44900,
+        fuelType: 'HFO',
+        mmsi: '477553000',
+        imoNumber: '9134270'
+      });
+
+      const response = await request(app)
+        .post('/api/v1/ships/import')
+        .query({ dryRun: true })
+        .send([
+          { name: 'Ever Diadem', type: 'CARGO', capacity: 46000, fuelType: 'HFO', mmsi: '477553000' },
+          { name: 'Ever Dainty', type: 'CARGO', capacity: 44900, fuelType: 'HFO', mmsi: '477553000' },
+          { name: 'Ever Decent', type: 'CARGO', capacity: 44900, fuelType: 'HFO', imoNumber: '9134270' },
+          { name: 'Ever Delight', type: 'CARGO', capacity: 44900, fuelType: 'HFO', mmsi: '477554000' },
+          { name: 'Ever Develop', type: 'CARGO', capacity: 44900, fuelType: 'HFO', mmsi: '477554000' }
+        ])
+        .expect(200);
+
+      expect(response.body).toMatchObject({ created: 1, updated: 1, failed: 3 });
+      expect(response.body.rows.map(row => row.action)).toEqual(['UPDATE', 'FAILED', 'FAILED', 'CREATE', 'FAILED']);
+      expect(response.body.rows[1].errors).toEqual(['Ship with this mmsi already exists']);
+      expect(response.body.rows[2].errors).toEqual(['Ship with this imoNumber already exists']);
+      expect(await Ship.countDocuments()).toBe(1);
+    });
+  });
+
+  describe('GET /api/v1/ships/export', () => {
+    beforeEach(async () => {
+      await Ship.create([
+        { name: 'Ship 1', type: 'CARGO', capacity: 5000, fuelType: 'HFO' },
+        { name: 'Ship 2', type: 'TANKER', capacity: 8000, fuelType: 'MGO', archivedAt: new Date() }
+      ]);
+    });
+
+    it('should export the active fleet as CSV', async () => {
+      const response = await request(app)
+        .get('/api/v1/ships/export')
+        .query({ format: 'csv' })
+        .expect('Content-Type', /text\/csv/)
+        .expect(200);
+
+      const lines = response.text.trim().split(/\r?\n/);
+      expect(lines[0].split(',')).toEqual(ShipBulkService.SHIP_EXPORT_FIELDS);
+      expect(lines).toHaveLength(2);
+      expect(lines[1]).toContain('Ship 1');
+    });
+
+    it('should include archived ships on request', async () => {
+      const response = await request(app)
+        .get('/api/v1/ships/export')
+        .query({ archived: 'include' })
+        .expect(200);
+
+      expect(response.body.map(ship => ship.name)).toEqual(['Ship 1', 'Ship 2']);
+    });
+
+    it('should validate the format', async () => {
+      const response = await request(app)
+        .get('/api/v1/ships/export')
+        .query({ format: 'xlsx' })
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe('format');
+    });
+  });
+
+  describe('/api/v1/ships/:shipId/engine-hours', () => {
+    let ship;
+
+    beforeEach(async () => {
+      ship = await Ship.create({
+        name: 'Test Ship',
+        type: 'CARGO',
+        capacity: 5000,
+        fuelType: 'HFO'
+      });
+    });
+
+    const recordHours = (hours, readAt) => request(app)
+      .put(`/api/v1/ships/${ship._id}/engine-hours`)
+      .send({ hours, readAt });
+
+    it('should record a reading and keep it in the history', async () => {
+      const response = await recordHours(1500, '2024-01-02T00:00:00Z').expect(200);
+
+      expect(response.body.engineHours).toBe(1500);
+      expect(response.body.readings).toHaveLength(1);
+
+      const history = await request(app)
+        .get(`/api/v1/ships/${ship._id}/engine-hours`)
+        .query({ from: '2024-01-01T00:00:00Z', to: '2024-01-03T00:00:00Z' })
+        .expect(200);
+
+      expect(history.body.readings.map(reading => reading.hours)).toEqual([1500]);
+    });
+
+    it('should refuse a counter going backwards', async () => {
+      await recordHours(1500, '2024-01-02T00:00:00Z').expect(200);
+
+      const response = await recordHours(1400, '2024-01-03T00:00:00Z').expect(400);
+
+      expect(response.body.error).toBe('Invalid reading: The engine counter already shows 1500 running hours');
+    });
+
+    it('should not keep the readings when the ship cannot be saved', async () => {
+      const save = jest.spyOn(Ship.prototype, 'save').mockRejectedValueOnce(new Error('No matching document found'));
+
+      try {
+        await recordHours(1500, '2024-01-02T00:00:00Z').expect(500);
+      } finally {
+        save.mockRestore();
+      }
+
+      expect(await EngineHourReading.countDocuments({ ship: ship._id })).toBe(0);
+      expect((await Ship.findById(ship._id)).engineHours).toBe(0);
+    });
+
+    it('should validate the reading', async () => {
+      const response = await recordHours(-1).expect(400);
+
+      expect(response.body.errors[0].path).toBe('hours');
+    });
+
+    it('should put the counter back when the latest reading is deleted', async () => {
+      const recorded = await recordHours(1500, '2024-01-02T00:00:00Z').expect(200);
+
+      await request(app)
+        .delete(`/api/v1/ships/${ship._id}/engine-hours/${recorded.body.readings[0]._id}`)
+        .expect(204);
+
+      expect((await Ship.findById(ship._id)).engineHours).toBe(0);
+      expect(await EngineHourReading.countDocuments({ ship: ship._id })).toBe(0);
+    });
+
+    it('should validate the history interval', async () => {
+      const response = await request(app)
+        .get(`/api/v1/ships/${ship._id}/engine-hours`)
+        .query({ interval: 'month' })
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe('interval');
+    });
+  });
+
+  describe('/api/v1/ships/:shipId/machinery', () => {
+    let ship;
+
+    beforeEach(async () => {
+      ship = await Ship.create({
+        name: 'Test Ship',
+        type: 'CARGO',
+        capacity: 5000,
+        fuelType: 'HFO'
+      });
+    });
+
+    const addMainEngine = () => request(app)
+      .post(`/api/v1/ships/${ship._id}/machinery`)
+      .send({ name: 'Main Engine', category: 'MAIN_ENGINE', manufacturer: 'MAN B&W', runningHours: 4500 });
+
+    it('should add machinery with the default service interval and report its service status', async () => {
+      const added = await addMainEngine().expect(201);
+      expect(added.body.serviceInterval).toBe(5000);
+
+      const response = await request(app)
+        .get(`/api/v1/ships/${ship._id}/machinery`)
+        .expect(200);
+
+      expect(response.body).toHaveLength(1);
+      expect(response.body[0].hoursUntilService).toBe(500);
+    });
+
+    it('should validate the category', async () => {
+      const response = await request(app)
+        .post(`/api/v1/ships/${ship._id}/machinery`)
+        .send({ name: 'Main Engine', category: 'SAIL' })
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe('category');
+    });
+
+    it('should update the service interval', async () => {
+      const added = await addMainEngine().expect(201);
+
+      const response = await request(app)
+        .put(`/api/v1/ships/${ship._id}/machinery/${added.body._id}`)
+        .send({ serviceInterval: 6000 })
+        .expect(200);
+
+      expect(response.body.serviceInterval).toBe(6000);
+    });
+
+    it('should refuse to overwrite the running hours', async () => {
+      const added = await addMainEngine().expect(201);
+
+      const response = await request(app)
+        .put(`/api/v1/ships/${ship._id}/machinery/${added.body._id}`)
+        .send({ runningHours: 0 })
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe('runningHours');
+    });
+
+    it('should remove the machinery', async () => {
+      const added = await addMainEngine().expect(201);
+
+      await request(app)
+        .delete(`/api/v1/ships/${ship._id}/machinery/${added.body._id}`)
+        .expect(204);
+
+      expect((await Ship.findById(ship._id)).machinery).toHaveLength(0);
+    });
+
+    it('should report unknown machinery as not found', async () => {
+      const response = await request(app)
+        .delete(`/api/v1/ships/${ship._id}/machinery/${new mongoose.Types.ObjectId()}`)
+        .expect(404);
+
+      expect(response.body.error).toBe('Machinery not found');
+    });
+  });
+
+  describe('POST /api/v1/ships/:shipId/positions', () => {
+    let ship;
+
+    beforeEach(async () => {
+      ship = await Ship.create({
+        name: 'Test Ship',
+        type: 'CARGO',
+        capacity: 5000,
+        fuelType: 'HFO'
+      });
+    });
+
+    it('should record a position and update the current location', async () => {
+      const response = await request(app)
+        .post(`/api/v1/ships/${ship._id}/positions`)
+        .send({
+          timestamp: '2024-01-01T12:00:00Z',
+          latitude: 51.95,
+          longitude: 4.05,
+          speedOverGround: 12.5,
+          courseOverGround: 270
+        })
+        .expect(201);
+
+      expect(response.body.location.coordinates).toEqual([4.05, 51.95]);
+
+      const shipResponse = await request(app)
+        .get(`/api/v1/ships/${ship._id}`)
+        .expect(200);
+
+      expect(shipResponse.body.currentLocation.coordinates).toEqual([4.05, 51.95]);
+      expect(shipResponse.body.currentLocation.speedOverGround).toBe(12.5);
+    });
+
+    it('should keep the latest position when an older report arrives', async () => {
+      await request(app)
+        .post(`/api/v1/ships/${ship._id}/positions`)
+        .send({ timestamp: '2024-01-02T00:00:00Z', latitude: 10, longitude: 10 })
+        .expect(201);
+
+      await request(app)
+        .post(`/api/v1/ships/${ship._id}/positions`)
+        .send({ timestamp: '2024-01-01T00:00:00Z', latitude: 5, longitude: 5 })
+        .expect(201);
+
+      const updatedShip = await Ship.findById(ship._id);
+      expect(updatedShip.currentLocation.coordinates).toEqual([10, 10]);
+
+      const history = await request(app)
+        .get(`/api/v1/ships/${ship._id}/positions`)
+        .expect(200);
+
+      expect(history.body).toHaveLength(2);
+    });
+
+    it('should refuse a repeated report without logging it as an error', async () => {
+      await Position.init();
+      const report = { timestamp: '2024-01-02T00:00:00Z', latitude: 10, longitude: 10, source: 'AIS' };
+      await request(app).post(`/api/v1/ships/${ship._id}/positions`).send(report).expect(201);
+      const logError = jest.spyOn(logger, 'error');
+
+      try {
+        const response = await request(app)
+          .post(`/api/v1/ships/${ship._id}/positions`)
+          .send(report)
+          .expect(409);
+
+        expect(response.body.error).toBe('Position for this timestamp already exists');
+        expect(logError).not.toHaveBeenCalled();
+      } finally {
+        logError.mockRestore();
+      }
+    });
+
+    it('should validate position data', async () => {
+      const response = await request(app)
+        .post(`/api/v1/ships/${ship._id}/positions`)
+        .send({ latitude: 95, longitude: 4 })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('errors');
+    });
+  });
+
+  describe('GET /api/v1/ships/:shipId/positions', () => {
+    let ship;
+
+    beforeEach(async () => {
+      ship = await Ship.create({
+        name: 'Test Ship',
+        type: 'CARGO',
+        capacity: 5000,
+        fuelType: 'HFO'
+      });
+      await Position.create([1, 2, 3].map(day => ({
+        ship: ship._id,
+        timestamp: new Date(`2024-01-0${day}T00:00:00Z`),
+        location: { type: 'Point', coordinates: [day, day] }
+      })));
+    });
+
+    it('should return the positions in the period, most recent first', async () => {
+      const response = await request(app)
+        .get(`/api/v1/ships/${ship._id}/positions`)
+        .query({ from: '2024-01-02T00:00:00Z' })
+        .expect(200);
+
+      expect(response.body.map(position => position.location.coordinates)).toEqual([[3, 3], [2, 2]]);
+    });
+
+    it('should validate the history query', async () => {
+      const response = await request(app)
+        .get(`/api/v1/ships/${ship._id}/positions`)
+        .query({ limit: 5000 })
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe('limit');
+    });
+  });
+
+  describe('GET /api/v1/ships/:shipId/crew', () => {
+    let ship;
+    let relieved;
+    let relief;
+
+    beforeEach(async () => {
+      ship = await Ship.create({
+        name: 'Test Ship',
+        type: 'CARGO',
+        capacity: 5000,
+        fuelType: 'HFO'
+      });
+      [relieved, relief] = await CrewMember.create([
+        { firstName: 'Maria', lastName: 'Santos', rank: 'CHIEF_OFFICER' },
+        { firstName: 'Jan', lastName: 'de Vries', rank: 'CHIEF_OFFICER' }
+      ]);
+      await CrewAssignment.create([
+        {
+          crewMember: relieved._id,
+          ship: ship._id,
+          rank: 'CHIEF_OFFICER',
+          signOnDate: new Date('2024-02-01'),
+          signOffDate: new Date('2024-05-01')
+        },
+        {
+          crewMember: relief._id,
+          ship: ship._id,
+          rank: 'CHIEF_OFFICER',
+          signOnDate: new Date('2024-04-01')
+        }
+      ]);
+    });
+
+    const crewOn = async date => {
+      const response = await request(app)
+        .get(`/api/v1/ships/${ship._id}/crew`)
+        .query({ date })
+        .expect(200);
+      return response.body.map(assignment => assignment.crewMember.lastName);
+    };
+
+    it('should find nobody on board before the first sign-on', async () => {
+      expect(await crewOn('2024-01-15')).toEqual([]);
+    });
+
+    it('should find the crew signed on at the date', async () => {
+      expect(await crewOn('2024-03-01')).toEqual(['Santos']);
+      expect(await crewOn('2024-04-15')).toEqual(['Santos', 'de Vries']);
+    });
+
+    it('should leave out crew signed off by the date and keep open-ended assignments', async () => {
+      expect(await crewOn('2024-05-01')).toEqual(['de Vries']);
+      expect(await crewOn('2030-01-01')).toEqual(['de Vries']);
+    });
+
+    it('should validate the date', async () => {
+      const response = await request(app)
+        .get(`/api/v1/ships/${ship._id}/crew`)
+        .query({ date: 'yesterday' })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('errors');
+    });
+  });
+
+  describe('POST /api/v1/crew', () => {
+    it('should register a crew member with a contract', async () => {
+      const response = await request(app)
+        .post('/api/v1/crew')
+        .send({
+          firstName: 'Maria',
+          lastName: 'Santos',
+          rank: 'CHIEF_OFFICER',
+          nationality: 'PH',
+          contracts: [{ startDate: '2024-01-01', endDate: '2024-12-31' }]
+        })
+        .expect(201);
+
+      expect(response.body.contracts).toHaveLength(1);
+
+      const officers = await request(app)
+        .get('/api/v1/crew')
+        .query({ rank: 'CHIEF_OFFICER' })
+        .expect(200);
+      expect(officers.body.map(member => member.lastName)).toEqual(['Santos']);
+    });
+
+    it('should validate the rank', async () => {
+      const response = await request(app)
+        .post('/api/v1/crew')
+        .send({ firstName: 'Maria', lastName: 'Santos', rank: 'ADMIRAL' })
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe('rank');
+    });
+  });
+
+  describe('POST /api/v1/crew/:crewMemberId/certificates', () => {
+    let crewMember;
+
+    beforeEach(async () => {
+      crewMember = await CrewMember.create({ firstName: 'Maria', lastName: 'Santos', rank: 'CHIEF_OFFICER' });
+    });
+
+    it('should add an STCW certificate', async () => {
+      const response = await request(app)
+        .post(`/api/v1/crew/${crewMember._id}/certificates`)
+        .send({ regulation: 'II/2', issuedAt: '2023-01-01', expiresAt: '2028-01-01' })
+        .expect(201);
+
+      expect(response.body.stcwCertificates[0].regulation).toBe('II/2');
+    });
+
+    it('should require the STCW regulation', async () => {
+      const response = await request(app)
+        .post(`/api/v1/crew/${crewMember._id}/certificates`)
+        .send({ name: 'Chief mate' })
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe('regulation');
+    });
+  });
+
+  describe('POST /api/v1/crew/:crewMemberId/contracts', () => {
+    let crewMember;
+
+    beforeEach(async () => {
+      crewMember = await CrewMember.create({ firstName: 'Maria', lastName: 'Santos', rank: 'CHIEF_OFFICER' });
+    });
+
+    it('should add a contract', async () => {
+      const response = await request(app)
+        .post(`/api/v1/crew/${crewMember._id}/contracts`)
+        .send({ startDate: '2024-01-01', endDate: '2024-06-30', rotation: { onboardDays: 120, offDays: 60 } })
+        .expect(201);
+
+      expect(response.body.contracts).toHaveLength(1);
+    });
+
+    it('should validate the contract dates', async () => {
+      const response = await request(app)
+        .post(`/api/v1/crew/${crewMember._id}/contracts`)
+        .send({ startDate: '2024-01-01' })
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe('endDate');
+    });
+  });
+
+  describe('POST /api/v1/crew/:crewMemberId/sign-on', () => {
+    let crewMember;
+
+    beforeEach(async () => {
+      crewMember = await CrewMember.create({
+        firstName: 'Maria',
+        lastName: 'Santos',
+        rank: 'CHIEF_OFFICER',
+        contracts: [{ startDate: new Date('2024-01-01'), endDate: new Date('2024-12-31') }]
+      });
+    });
+
+    it('should refuse to sign crew on to an archived ship', async () => {
+      const ship = await Ship.create({
+        name: 'Test Ship',
+        type: 'CARGO',
+        capacity: 5000,
+        fuelType: 'HFO',
+        archivedAt: new Date('2024-01-01')
+      });
+
+      const response = await request(app)
+        .post(`/api/v1/crew/${crewMember._id}/sign-on`)
+        .send({ shipId: ship._id, signOnDate: '2024-03-01' })
+        .expect(409);
+
+      expect(response.body.error).toBe('Ship is not available for crew sign-on (archived)');
+      expect(await CrewAssignment.countDocuments()).toBe(0);
+    });
+
+    it('should sign the crew member on and off', async () => {
+      const ship = await Ship.create({
+        name: 'Test Ship',
+        type: 'CARGO',
+        capacity: 5000,
+        fuelType: 'HFO'
+      });
+
+      const signOn = await request(app)
+        .post(`/api/v1/crew/${crewMember._id}/sign-on`)
+        .send({ shipId: ship._id, signOnDate: '2024-03-01', port: 'Rotterdam' })
+        .expect(201);
+
+      expect(signOn.body.rank).toBe('CHIEF_OFFICER');
+
+      const signOff = await request(app)
+        .post(`/api/v1/crew/${crewMember._id}/sign-off`)
+        .send({ signOffDate: '2024-06-01', port: 'Singapore' })
+        .expect(200);
+
+      expect(signOff.body._id).toBe(signOn.body._id);
+      expect(signOff.body.signOffPort).toBe('Singapore');
+    });
+
+    it('should refuse a sign-on outside the crew member\'s contracts', async () => {
+      const ship = await Ship.create({
+        name: 'Test Ship',
+        type: 'CARGO',
+        capacity: 5000,
+        fuelType: 'HFO'
+      });
+
+      const response = await request(app)
+        .post(`/api/v1/crew/${crewMember._id}/sign-on`)
+        .send({ shipId: ship._id, signOnDate: '2025-03-01' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid assignment: sign-on date is outside every contract period');
+    });
+
+    it('should validate the ship ID', async () => {
+      const response = await request(app)
+        .post(`/api/v1/crew/${crewMember._id}/sign-on`)
+        .send({ shipId: 'Test Ship' })
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe('shipId');
+    });
+
+    it('should refuse to sign off crew who are not on board', async () => {
+      const response = await request(app)
+        .post(`/api/v1/crew/${crewMember._id}/sign-off`)
+        .send({ signOffDate: '2024-06-01' })
+        .expect(409);
+
+      expect(response.body.error).toBe('Crew member is not on board any ship');
+    });
+  });
+
+  describe('/api/v1/rest-hours', () => {
+    let ship;
+    let crewMember;
+
+    beforeEach(async () => {
+      ship = await Ship.create({
+        name: 'Test Ship',
+        type: 'CARGO',
+        capacity: 5000,
+        fuelType: 'HFO'
+      });
+      crewMember = await CrewMember.create({ firstName: 'Maria', lastName: 'Santos', rank: 'CHIEF_OFFICER' });
+      await CrewAssignment.create({
+        crewMember: crewMember._id,
+        ship: ship._id,
+        rank: 'CHIEF_OFFICER',
+        signOnDate: new Date('2024-02-01')
+      });
+    });
+
+    const recordRest = (date, restPeriods) => request(app)
+      .post('/api/v1/rest-hours')
+      .send({ crewMemberId: crewMember._id, date, restPeriods });
+
+    it('should record the day on the ship the crew member is on board', async () => {
+      const response = await recordRest('2024-03-01', [{ start: '00:00', end: '06:00' }, { start: '12:00', end: '18:00' }])
+        .expect(201);
+
+      expect(response.body.ship).toBe(ship._id.toString());
+    });
+
+    it('should validate the rest period times', async () => {
+      const response = await recordRest('2024-03-01', [{ start: '0:00', end: '06:00' }])
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe('restPeriods[0].start');
+    });
+
+    it('should refuse a day the crew member was not on board', async () => {
+      const response = await recordRest('2024-01-15', [{ start: '00:00', end: '10:00' }])
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid rest record: crew member is not on board a ship on that date');
+    });
+
+    it('should report a day with too little rest', async () => {
+      await recordRest('2024-03-01', [{ start: '00:00', end: '06:00' }]).expect(201);
+
+      const response = await request(app)
+        .get(`/api/v1/rest-hours/crew/${crewMember._id}`)
+        .query({ from: '2024-03-01', to: '2024-03-01' })
+        .expect(200);
+
+      expect(response.body.records).toHaveLength(1);
+      expect(response.body.violations.map(violation => violation.rule)).toContain('MIN_REST_24H');
+    });
+
+    it('should validate the period of the crew member\'s rest hours', async () => {
+      const response = await request(app)
+        .get(`/api/v1/rest-hours/crew/${crewMember._id}`)
+        .query({ from: 'March' })
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe('from');
+    });
+
+    it('should report the month for the ship\'s crew', async () => {
+      await recordRest('2024-03-01', [{ start: '00:00', end: '06:00' }, { start: '12:00', end: '18:00' }]).expect(201);
+
+      const response = await request(app)
+        .get(`/api/v1/rest-hours/ships/${ship._id}/report`)
+        .query({ month: '2024-03' })
+        .expect(200);
+
+      expect(response.body.summary.crewCount).toBe(1);
+      expect(response.body.crew[0].daysOnBoard).toBe(31);
+      expect(response.body.crew[0].missingDays).toBe(30);
+    });
+
+    it('should validate the report month', async () => {
+      const response = await request(app)
+        .get(`/api/v1/rest-hours/ships/${ship._id}/report`)
+        .query({ month: '2024-13' })
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe('month');
+    });
+  });
+
+  describe('POST /api/v1/certificates', () => {
+    let ship;
+
+    beforeEach(async () => {
+      ship = await Ship.create({
+        name: 'Test Ship',
+        type: 'CARGO',
+        capacity: 5000,
+        fuelType: 'HFO'
+      });
+    });
+
+    const iopp = issuedAt => ({
+      shipId: ship._id,
+      type: 'IOPP',
+      issuingAuthority: 'Panama Maritime Authority',
+      issuedAt,
+      expiresAt: new Date(new Date(issuedAt).getTime() + 5 * 365 * 24 * 60 * 60 * 1000).toISOString()
+    });
+
+    it('should supersede the certificate a renewal replaces', async () => {
+      const original = await request(app)
+        .post('/api/v1/certificates')
+        .send(iopp('2020-01-01T00:00:00Z'))
+        .expect(201);
+
+      const renewal = await request(app)
+        .post('/api/v1/certificates')
+        .send(iopp('2025-01-01T00:00:00Z'))
+        .expect(201);
+
+      const superseded = await Certificate.findById(original.body._id);
+      expect(superseded.supersededBy.toString()).toBe(renewal.body._id);
+    });
+
+    it('should refuse a certificate marked as superseded', async () => {
+      const other = await Certificate.create({ ...iopp('2020-01-01T00:00:00Z'), ship: ship._id, name: 'IOPP' });
+
+      const response = await request(app)
+        .post('/api/v1/certificates')
+        .send({ ...iopp('2025-01-01T00:00:00Z'), supersededBy: other._id })
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe('supersededBy');
+      expect(await Certificate.countDocuments()).toBe(1);
+    });
+  });
+
+  describe('PUT /api/v1/certificates/:certificateId', () => {
+    let certificate;
+
+    beforeEach(async () => {
+      const ship = await Ship.create({
+        name: 'Test Ship',
+        type: 'CARGO',
+        capacity: 5000,
+        fuelType: 'HFO'
+      });
+      certificate = await Certificate.create({
+        ship: ship._id,
+        type: 'IOPP',
+        name: 'IOPP',
+        issuingAuthority: 'Panama Maritime Authority',
+        issuedAt: new Date('2024-01-01'),
+        expiresAt: new Date('2029-01-01')
+      });
+    });
+
+    it('should update the certificate', async () => {
+      const response = await request(app)
+        .put(`/api/v1/certificates/${certificate._id}`)
+        .send({ certificateNumber: 'IOPP-2024-17' })
+        .expect(200);
+
+      expect(response.body.certificateNumber).toBe('IOPP-2024-17');
+    });
+
+    it('should refuse to mark the certificate as superseded', async () => {
+      const response = await request(app)
+        .put(`/api/v1/certificates/${certificate._id}`)
+        .send({ supersededBy: certificate._id })
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe('supersededBy');
+      expect((await Certificate.findById(certificate._id)).supersededBy).toBeNull();
+    });
+  });
+
+  describe('POST /api/v1/ais/messages', () => {
+    let ship;
+
+    beforeEach(async () => {
+      ship = await Ship.create({
+        name: 'Test Ship',
+        type: 'CARGO',
+        capacity: 5000,
+        fuelType: 'HFO',
+        mmsi: '477553000'
+      });
+    });
+
+    it('should store position reports for the ship with the MMSI', async () => {
+      const response = await request(app)
+        .post('/api/v1/ais/messages')
+        .set('Content-Type', 'text/plain')
+        .send('!AIVDM,1,1,,B,177KQJ5000G?tO`K>RA1wUbN0TKH,0*5C')
+        .expect(200);
+
+      expect(response.body).toMatchObject({ received: 1, decoded: 1, positions: 1, unmatched: 0 });
+      expect(await Position.countDocuments({ ship: ship._id, source: 'AIS' })).toBe(1);
+    });
+
+    it('should not join fragments across uploads', async () => {
+      const first = await request(app)
+        .post('/api/v1/ais/messages')
+        .set('Content-Type', 'text/plain')
+        .send('!AIVDM,2,1,1,A,55?MbV02;H;s<HtKR20EHE:0@T4@Dn2222222216L961O5Gf0NSQEp6ClRp8,0*1C')
+        .expect(200);
+      expect(first.body.pendingFragments).toBe(1);
+
+      const second = await request(app)
+        .post('/api/v1/ais/messages')
+        .set('Content-Type', 'text/plain')
+        .send('!AIVDM,2,2,1,A,88888888880,2*25')
+        .expect(200);
+
+      expect(second.body).toMatchObject({ received: 1, decoded: 0, staticUpdates: 0 });
+    });
+
+    it('should validate the sentences', async () => {
+      const response = await request(app)
+        .post('/api/v1/ais/messages')
+        .send({ sentences: [] })
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe('sentences');
+    });
+  });
+
+  describe('GET /api/v1/certificates/expiring', () => {
+    let ship;
+
+    beforeEach(async () => {
+      ship = await Ship.create({
+        name: 'Test Ship',
+        type: 'CARGO',
+        capacity: 5000,
+        fuelType: 'HFO'
+      });
+      const now = Date.now();
+      await Certificate.create(['IOPP', 'IAPP'].map((type, index) => ({
+        ship: ship._id,
+        type,
+        name: type,
+        issuingAuthority: 'Panama Maritime Authority',
+        issuedAt: new Date(now - 365 * 24 * 60 * 60 * 1000),
+        expiresAt: new Date(now + (index === 0 ? 30 : 400) * 24 * 60 * 60 * 1000),
+        requiresAnnualEndorsement: false
+      })));
+    });
+
+    it('should list the certificates expiring within the period', async () => {
+      const response = await request(app)
+        .get('/api/v1/certificates/expiring')
+        .query({ shipId: ship._id.toString() })
+        .expect(200);
+
+      expect(response.body.map(item => [item.type, item.reason])).toEqual([['IOPP', 'EXPIRY']]);
+    });
+
+    it('should validate the period', async () => {
+      const response = await request(app)
+        .get('/api/v1/certificates/expiring')
+        .query({ days: 0 })
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe('days');
+    });
+  });
+
+  describe('POST /api/v1/certificates/:certificateId/endorsements', () => {
+    let certificate;
+
+    beforeEach(async () => {
+      const ship = await Ship.create({
+        name: 'Test Ship',
+        type: 'CARGO',
+        capacity: 5000,
+        fuelType: 'HFO'
+      });
+      certificate = await Certificate.create({
+        ship: ship._id,
+        type: 'IOPP',
+        name: 'IOPP',
+        issuingAuthority: 'Panama Maritime Authority',
+        issuedAt: new Date('2024-01-01'),
+        expiresAt: new Date('2029-01-01'),
+        requiresAnnualEndorsement: true
+      });
+    });
+
+    it('should endorse the certificate for the anniversary in the window', async () => {
+      const response = await request(app)
+        .post(`/api/v1/certificates/${certificate._id}/endorsements`)
+        .send({ endorsedAt: '2025-01-15T00:00:00Z', endorsedBy: 'DNV', place: 'Rotterdam' })
+        .expect(201);
+
+      expect(response.body.endorsements).toHaveLength(1);
+      expect(response.body.endorsementSchedule[0].status).toBe('ENDORSED');
+    });
+
+    it('should refuse an endorsement outside every window', async () => {
+      const response = await request(app)
+        .post(`/api/v1/certificates/${certificate._id}/endorsements`)
+        .send({ endorsedAt: '2025-07-01T00:00:00Z' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid endorsement: date is outside every endorsement window');
+    });
+
+    it('should validate the endorsement date', async () => {
+      const response = await request(app)
+        .post(`/api/v1/certificates/${certificate._id}/endorsements`)
+        .send({ endorsedAt: 'last week' })
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe('endorsedAt');
+    });
+  });
+
+  describe('POST /api/v1/certificates/:certificateId/attachments', () => {
+    let certificate;
+
+    beforeEach(async () => {
+      const ship = await Ship.create({
+        name: 'Test Ship',
+        type: 'CARGO',
+        capacity: 5000,
+        fuelType: 'HFO'
+      });
+      certificate = await Certificate.create({
+        ship: ship._id,
+        type: 'IOPP',
+        name: 'IOPP',
+        issuingAuthority: 'Panama Maritime Authority',
+        issuedAt: new Date('2024-01-01'),
+        expiresAt: new Date('2029-01-01')
+      });
+    });
+
+    it('should attach a scanned copy', async () => {
+      const response = await request(app)
+        .post(`/api/v1/certificates/${certificate._id}/attachments`)
+        .send({ name: 'IOPP 2024', url: 'https://documents.example.com/iopp-2024.pdf', contentType: 'application/pdf' })
+        .expect(201);
+
+      expect(response.body.attachments[0].name).toBe('IOPP 2024');
+    });
+
+    it('should validate the attachment URL', async () => {
+      const response = await request(app)
+        .post(`/api/v1/certificates/${certificate._id}/attachments`)
+        .send({ name: 'IOPP 2024', url: 'iopp-2024.pdf' })
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe('url');
+    });
+  });
+
+  describe('POST /api/v1/organizations', () => {
+    it('should create an organization', async () => {
+      const response = await request(app)
+        .post('/api/v1/organizations')
+        .send({ name: 'Nordic Shipowners', roles: ['OWNER'], country: 'NO' })
+        .expect(201);
+
+      expect(response.body.roles).toEqual(['OWNER']);
+
+      const owners = await request(app)
+        .get('/api/v1/organizations')
+        .query({ role: 'OWNER' })
+        .expect(200);
+      expect(owners.body.map(organization => organization.name)).toEqual(['Nordic Shipowners']);
+    });
+
+    it('should validate the roles', async () => {
+      const response = await request(app)
+        .post('/api/v1/organizations')
+        .send({ name: 'Nordic Shipowners', roles: ['BROKER'] })
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe('roles[0]');
+    });
+
+    it('should refuse to delete an organization that owns a fleet', async () => {
+      const owner = await Organization.create({ name: 'Nordic Shipowners', roles: ['OWNER'] });
+      await Fleet.create({ name: 'North Sea Feeders', owner: owner._id });
+
+      await request(app)
+        .delete(`/api/v1/organizations/${owner._id}`)
+        .expect(409);
+
+      expect(await Organization.exists({ _id: owner._id })).toBeTruthy();
+    });
+  });
+
+  describe('POST /api/v1/fleets', () => {
+    it('should create a fleet with its owner', async () => {
+      const owner = await Organization.create({ name: 'Nordic Shipowners', roles: ['OWNER'] });
+
+      const response = await request(app)
+        .post('/api/v1/fleets')
+        .send({ name: 'North Sea Feeders', owner: owner._id })
+        .expect(201);
+
+      expect(response.body.owner).toBe(owner._id.toString());
+    });
+
+    it('should validate the owner', async () => {
+      const response = await request(app)
+        .post('/api/v1/fleets')
+        .send({ name: 'North Sea Feeders', owner: 'Nordic Shipowners' })
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe('owner');
+    });
+  });
+
+  describe('POST /api/v1/fleets/:fleetId/ships', () => {
+    let fleet;
+    let ship;
+
+    beforeEach(async () => {
+      fleet = await Fleet.create({ name: 'North Sea Feeders' });
+      ship = await Ship.create({
+        name: 'Test Ship',
+        type: 'CARGO',
+        capacity: 5000,
+        fuelType: 'HFO'
+      });
+    });
+
+    it('should assign the ship and list it with the fleet', async () => {
+      await request(app)
+        .post(`/api/v1/fleets/${fleet._id}/ships`)
+        .send({ shipId: ship._id, effectiveFrom: '2024-01-01T00:00:00Z' })
+        .expect(201);
+
+      const response = await request(app)
+        .get('/api/v1/ships')
+        .query({ fleetId: fleet._id.toString() })
+        .expect(200);
+
+      expect(response.body.map(listed => listed.name)).toEqual(['Test Ship']);
+    });
+
+    it('should refuse an overlapping assignment', async () => {
+      const assignment = { shipId: ship._id, effectiveFrom: '2024-01-01T00:00:00Z' };
+      await request(app).post(`/api/v1/fleets/${fleet._id}/ships`).send(assignment).expect(201);
+
+      const response = await request(app)
+        .post(`/api/v1/fleets/${fleet._id}/ships`)
+        .send(assignment)
+        .expect(409);
+
+      expect(response.body.error).toBe('Ship is already assigned to this fleet for an overlapping period');
+    });
+
+    it('should validate the ship ID', async () => {
+      const response = await request(app)
+        .post(`/api/v1/fleets/${fleet._id}/ships`)
+        .send({ shipId: 'Test Ship' })
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe('shipId');
+    });
+
+    it('should end the assignment', async () => {
+      await request(app)
+        .post(`/api/v1/fleets/${fleet._id}/ships`)
+        .send({ shipId: ship._id, effectiveFrom: '2024-01-01T00:00:00Z' })
+        .expect(201);
+
+      const response = await request(app)
+        .delete(`/api/v1/fleets/${fleet._id}/ships/${ship._id}`)
+        .query({ effectiveTo: '2024-06-01T00:00:00Z' })
+        .expect(200);
+
+      expect(new Date(response.body.ships[0].effectiveTo).toISOString()).toBe('2024-06-01T00:00:00.000Z');
+    });
+  });
+
+  describe('GET /api/v1/audit', () => {
+    let shipId;
+
+    beforeEach(async () => {
+      const created = await request(app)
+        .post('/api/v1/ships')
+        .set('X-Actor', 'fleet.manager')
+        .send({ name: 'Test Ship', type: 'CARGO', capacity: 5000, fuelType: 'HFO' })
+        .expect(201);
+      shipId = created.body._id;
+
+      await request(app)
+        .put(`/api/v1/ships/${shipId}`)
+        .set('X-Actor', 'superintendent')
+        .send({ capacity: 6000 })
+        .expect(200);
+    });
+
+    it('should list the changes to a ship with who made them', async () => {
+      const response = await request(app)
+        .get('/api/v1/audit')
+        .query({ ship: shipId, action: 'UPDATE' })
+        .expect(200);
+
+      expect(response.headers['x-total-count']).toBe('1');
+      expect(response.body[0].actor).toBe('superintendent');
+      expect(response.body[0].changes).toContainEqual({ path: 'capacity', before: 5000, after: 6000 });
+    });
+
+    it('should return the history of one document, latest first', async () => {
+      const response = await request(app)
+        .get(`/api/v1/audit/Ship/${shipId}`)
+        .expect(200);
+
+      expect(response.body.map(entry => entry.action)).toEqual(['UPDATE', 'CREATE']);
+    });
+
+    it('should reject an entity type that is not audited', async () => {
+      const response = await request(app)
+        .get(`/api/v1/audit/Crew/${shipId}`)
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe('entityType');
+    });
+
+    it('should validate the listing query', async () => {
+      const response = await request(app)
+        .get('/api/v1/audit')
+        .query({ ship: 'Test Ship' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid value for ship: expected an id');
+    });
+  });
+
+  describe('/api/v1/ports', () => {
+    beforeAll(async () => {
+      await Port.init();
+      await new PortService().seedPorts();
+    });
+
+    it('should list the ports of a country', async () => {
+      const response = await request(app)
+        .get('/api/v1/ports')
+        .query({ country: 'NL', fields: 'code,name' })
+        .expect(200);
+
+      expect(response.body.map(port => port.code)).toContain('NLRTM');
+      expect(response.body.every(port => port.country === undefined)).toBe(true);
+    });
+
+    it('should validate the listing filters', async () => {
+      const response = await request(app)
+        .get('/api/v1/ports')
+        .query({ 'maxDraft[gte]': 'deep' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid value for maxDraft[gte]: expected a number');
+    });
+
+    it('should find the ports near a position, nearest first', async () => {
+      const response = await request(app)
+        .get('/api/v1/ports/nearby')
+        .query({ longitude: 4.05, latitude: 51.95, radius: 150 })
+        .expect(200);
+
+      expect(response.body[0].code).toBe('NLRTM');
+      expect(response.body.map(port => port.code)).toContain('BEANR');
+    });
+
+    it('should validate the position', async () => {
+      const response = await request(app)
+        .get('/api/v1/ports/nearby')
+        .query({ longitude: 4.05, latitude: 95 })
+        .expect(400);
+
+      expect(response.body.errors[0].msg).toBe('Latitude must be between -90 and 90');
+    });
+
+    it('should look a port up by its UN/LOCODE', async () => {
+      const response = await request(app)
+        .get('/api/v1/ports/nlrtm')
+        .expect(200);
+
+      expect(response.body.name).toBe('Rotterdam');
+    });
+
+    it('should validate the UN/LOCODE', async () => {
+      const response = await request(app)
+        .get('/api/v1/ports/rotterdam')
+        .expect(400);
+
+      expect(response.body.errors[0].msg).toBe('Port code must be a UN/LOCODE, e.g. NLRTM');
+    });
+  });
+
+  describe('/api/v1/voyages', () => {
+    let ship;
+
+    beforeEach(async () => {
+      ship = await Ship.create({
+        name: 'Test Ship',
+        type: 'CARGO',
+        capacity: 5000,
+        fuelType: 'HFO'
+      });
+    });
+
+    const portCalls = [
+      { port: 'Port A', coordinates: [0, 0], cargoLoaded: 3000 },
+      { port: 'Port B', coordinates: [1, 1], cargoDischarged: 1000 },
+      { port: 'Port C', coordinates: [2, 0], cargoDischarged: 2000 }
+    ];
+
+    it('should plan a leg between each pair of port calls', async () => {
+      const response = await request(app)
+        .post('/api/v1/voyages')
+        .send({ shipId: ship._id, voyageNumber: '024W', estimatedDeparture: new Date().toISOString(), portCalls })
+        .expect(201);
+
+      expect(response.body.legs).toHaveLength(2);
+      expect(response.body.totals.distance).toBeGreaterThan(0);
+
+      const voyage = await request(app)
+        .get(`/api/v1/voyages/${response.body._id}`)
+        .expect(200);
+      expect(voyage.body.legs.map(leg => [leg.legNumber, leg.departure.port])).toEqual([[1, 'Port A'], [2, 'Port B']]);
+
+      const listed = await request(app)
+        .get('/api/v1/voyages')
+        .query({ ship: ship._id.toString() })
+        .expect(200);
+      expect(listed.body.map(listedVoyage => listedVoyage.voyageNumber)).toEqual(['024W']);
+    });
+
+    it('should refuse to load more cargo than the ship carries', async () => {
+      const response = await request(app)
+        .post('/api/v1/voyages')
+        .send({ shipId: ship._id, portCalls: [{ ...portCalls[0], cargoLoaded: 6000 }, portCalls[1]] })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid voyage data: cargo on board after port call 1 exceeds the ship\'s capacity of 5000 t');
+    });
+
+    it('should validate the port calls', async () => {
+      const response = await request(app)
+        .post('/api/v1/voyages')
+        .send({ shipId: ship._id, portCalls: [portCalls[0]] })
+        .expect(400);
+
+      expect(response.body.details[0].path).toBe('portCalls');
+    });
+
+    it('should validate the voyage ID', async () => {
+      const response = await request(app)
+        .get('/api/v1/voyages/024W')
+        .expect(400);
+
+      expect(response.body.errors[0].msg).toBe('Invalid voyage ID format');
+    });
+  });
+
+  describe('GET /api/v1/chokepoints', () => {
+    it('should list the chokepoint catalogue', async () => {
+      const response = await request(app)
+        .get('/api/v1/chokepoints')
+        .expect(200);
+
+      expect(response.body.map(chokepoint => chokepoint.id)).toEqual(['SUEZ', 'PANAMA', 'KIEL', 'TURKISH_STRAITS']);
+    });
+
+    it('should tell which chokepoints a ship fits', async () => {
+      const ship = await Ship.create({
+        name: 'Test Ship',
+        type: 'CARGO',
+        capacity: 5000,
+        fuelType: 'HFO',
+        lengthOverall: 300,
+        beam: 40,
+        designDraft: 12
+      });
+
+      const response = await request(app)
+        .get('/api/v1/chokepoints')
+        .query({ shipId: ship._id.toString() })
+        .expect(200);
+
+      const kiel = response.body.find(chokepoint => chokepoint.id === 'KIEL');
+      expect(kiel.fits).toBe(false);
+      expect(kiel.reason).toMatch(/^Kiel Canal: /);
+    });
+
+    it('should validate the ship ID', async () => {
+      const response = await request(app)
+        .get('/api/v1/chokepoints')
+        .query({ shipId: 'Test Ship' })
+        .expect(400);
+
+      expect(response.body.errors[0].msg).toBe('Invalid ship ID format');
+    });
+  });
+
+  describe('GET /api/v1/ecas', () => {
+    it('should tell which Emission Control Areas are in force at a date', async () => {
+      const response = await request(app)
+        .get('/api/v1/ecas')
+        .query({ at: '2024-01-01T00:00:00Z' })
+        .expect(200);
+
+      const inForce = Object.fromEntries(response.body.map(zone => [zone.id, zone.inForce]));
+      expect(inForce.NORTH_SEA).toBe(true);
+      expect(inForce.MEDITERRANEAN).toBe(false);
+    });
+
+    it('should validate the date', async () => {
+      const response = await request(app)
+        .get('/api/v1/ecas')
+        .query({ at: 'next year' })
+        .expect(400);
+
+      expect(response.body.errors[0].msg).toBe('Invalid date format');
+    });
+  });
+
+  describe('/api/v1/zones', () => {
+    const zoneData = {
+      name: 'Gulf of Aden',
+      type: 'PIRACY',
+      severity: 'HIGH',
+      area: {
+        type: 'Polygon',
+        coordinates: [[[43, 11], [51, 11], [51, 15], [43, 15], [43, 11]]]
+      }
+    };
+
+    it('should create a zone', async () => {
+      const response = await request(app)
+        .post('/api/v1/zones')
+        .send(zoneData)
+        .expect(201);
+
+      expect(response.body).toHaveProperty('_id');
+      expect(response.body.name).toBe(zoneData.name);
+      expect(response.body.area.type).toBe('Polygon');
+    });
+
+    it('should validate the area of a zone', async () => {
+      const response = await request(app)
+        .post('/api/v1/zones')
+        .send({ ...zoneData, area: { type: 'Polygon', coordinates: [[[43, 11], [51, 11], [51, 15]]] } })
+        .expect(400);
+
+      expect(response.body.errors.map(error => error.path)).toEqual(['area']);
+    });
+
+    it('should reject a zone that ends before it starts', async () => {
+      const response = await request(app)
+        .post('/api/v1/zones')
+        .send({ ...zoneData, validFrom: '2026-02-01T00:00:00Z', validTo: '2026-01-01T00:00:00Z' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid zone: validTo must be after validFrom');
+    });
+
+    it('should list zones by type without their areas', async () => {
+      await Zone.create([zoneData, { ...zoneData, name: 'Barents Sea', type: 'ICE', severity: 'NO_GO' }]);
+
+      const response = await request(app)
+        .get('/api/v1/zones')
+        .query({ type: 'ICE' })
+        .expect(200);
+
+      expect(response.headers['x-total-count']).toBe('1');
+      expect(response.body.map(zone => zone.name)).toEqual(['Barents Sea']);
+      expect(response.body[0]).not.toHaveProperty('area');
+    });
+
+    it('should get, update and delete a zone', async () => {
+      const zone = await Zone.create(zoneData);
+
+      const fetched = await request(app)
+        .get(`/api/v1/zones/${zone._id}`)
+        .expect(200);
+      expect(fetched.body.name).toBe(zoneData.name);
+
+      const updated = await request(app)
+        .put(`/api/v1/zones/${zone._id}`)
+        .send({ severity: 'NO_GO' })
+        .expect(200);
+      expect(updated.body.severity).toBe('NO_GO');
+
+      await request(app)
+        .delete(`/api/v1/zones/${zone._id}`)
+        .expect(204);
+      expect(await Zone.findById(zone._id)).toBeNull();
+    });
+
+    it('should flag planned routes entering a zone before answering', async () => {
+      const ship = await Ship.create({ name: 'Test Ship', type: 'CARGO', capacity: 5000, fuelType: 'HFO' });
+      const planned = await request(app)
+        .post('/api/v1/route-plan')
+        .send({
+          shipId: ship._id,
+          departure: { port: 'Port A', coordinates: [0, 0] },
+          destination: { port: 'Port B', coordinates: [1, 1] },
+          estimatedDeparture: new Date().toISOString(),
+          cargoWeight: 3000
+        })
+        .expect(201);
+      const routeId = planned.body.route._id;
+
+      const zone = await request(app)
+        .post('/api/v1/zones')
+        .send({ ...zoneData, area: { type: 'Polygon', coordinates: [[[-1, -1], [2, -1], [2, 2], [-1, 2], [-1, -1]]] } })
+        .expect(201);
+      expect((await Route.findById(routeId)).zoneConflicts.map(conflict => conflict.name)).toEqual([zoneData.name]);
+
+      await request(app)
+        .delete(`/api/v1/zones/${zone.body._id}`)
+        .expect(204);
+      expect((await Route.findById(routeId)).zoneConflicts).toHaveLength(0);
+    });
+
+    it('should validate the severity on update', async () => {
+      const zone = await Zone.create(zoneData);
+
+      const response = await request(app)
+        .put(`/api/v1/zones/${zone._id}`)
+        .send({ severity: 'EXTREME' })
+        .expect(400);
+
+      expect(response.body.errors.map(error => error.path)).toEqual(['severity']);
+    });
+
+    it('should return 404 for a missing zone', async () => {
+      const response = await request(app)
+        .get(`/api/v1/zones/${new mongoose.Types.ObjectId()}`)
+        .expect(404);
+
+      expect(response.body.error).toBe('Zone not found');
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const SeaRouter = require('../src/services/routing/SeaRouter');
+const RouteOptimizer = require('../src/services/ai/RouteOptimizer');
+const seaLanes = require('../src/data/seaLanes.json');
+const { greatCircleDistance, interpolatePath, pointInPolygon } = require('../src/utils/geo');
+
+const ROTTERDAM = [4.0, 51.95];
+const SINGAPORE = [103.85, 1.26];
+const NEW_YORK = [-74.0, 40.6];
+const SHANGHAI = [121.8, 31.2];
+const PIRAEUS = [23.62, 37.94];
+const TIANJIN = [117.78, 38.98];
+
+// Simplified coastlines of the land between these ports and lane nodes further off
+const ATTICA = [[23.4, 38.0], [23.7, 37.95], [23.95, 37.7], [24.05, 37.65], [24.1, 37.9], [23.95, 38.3], [23.6, 38.35], [23.4, 38.2]];
+const SHANDONG = [[118.5, 37.2], [119.8, 37.15], [120.3, 37.65], [121.4, 37.55], [122.6, 37.4], [122.5, 36.9], [121.0, 36.6], [120.2, 36.0], [119.3, 35.1], [118.5, 35.5]];
+
+const crossesLand = (from, to, land) =>
+  interpolatePath(from, to, { spacing: 5 }).some(({ coordinates }) => pointInPolygon(coordinates, land));
+
+describe('Sea Routing', () => {
+  const seaRouter = new SeaRouter();
+
+  describe('Lane network', () => {
+    it('should connect every node', () => {
+      const reached = new Set([seaLanes.nodes[0].id]);
+      const queue = [seaLanes.nodes[0].id];
+      while (queue.length > 0) {
+        seaRouter.adjacency.get(queue.shift()).forEach(({ to }) => {
+          if (!reached.has(to)) {
+            reached.add(to);
+            queue.push(to);
+          }
+        });
+      }
+
+      expect(reached.size).toBe(seaLanes.nodes.length);
+    });
+  });
+
+  describe('Shortest routes', () => {
+    it('should route Europe to Asia through Suez and Malacca', () => {
+      const route = seaRouter.findRoute(ROTTERDAM, SINGAPORE);
+
+      expect(route.nodes).toEqual(expect.arrayContaining(['SUEZ', 'BAB_EL_MANDEB', 'MALACCA_SOUTH']));
+      expect(route.distance).toBeGreaterThan(15000);
+      expect(route.distance).toBeLessThan(16500);
+      expect(route.path[0]).toEqual(ROTTERDAM);
+      expect(route.path[route.path.length - 1]).toEqual(SINGAPORE);
+    });
+
+    it('should route the US east coast to China through Panama', () => {
+      const route = seaRouter.findRoute(NEW_YORK, SHANGHAI);
+
+      expect(route.nodes).toEqual(expect.arrayContaining(['PANAMA_CARIBBEAN', 'PANAMA_PACIFIC']));
+    });
+
+    it('should sail nearly the great circle across open ocean', () => {
+      const yokohama = [139.64, 35.44];
+      const losAngeles = [-118.27, 33.74];
+      const route = seaRouter.findRoute(yokohama, losAngeles);
+
+      expect(route.distance).toBeLessThan(greatCircleDistance(yokohama, losAngeles) * 1.05);
+    });
+
+    it('should go straight between positions closer to each other than to the network', () => {
+      const route = seaRouter.findRoute([4.05, 51.95], [4.2, 51.9]);
+
+      expect(route.nodes).toEqual([]);
+      expect(route.path).toEqual([[4.05, 51.95], [4.2, 51.9]]);
+    });
+
+    it('should reject positions far inland', () => {
+      expect(() => seaRouter.findRoute([67, 48], SINGAPORE)).toThrow('Invalid route: departure');
+    });
+  });
+
+  describe('Access legs', () => {
+    const firstNodeFrom = port => seaRouter.findRoute(port, SINGAPORE).nodes[0];
+
+    it('should join ports to the lane node off their approach', () => {
+      expect(firstNodeFrom(PIRAEUS)).toBe('SARONIC_GULF');
+      expect(firstNodeFrom(TIANJIN)).toBe('BOHAI_STRAIT');
+      expect(seaRouter.searchGraph(PIRAEUS, SINGAPORE).neighbours(SeaRouter.DEPARTURE).map(({ to }) => to))
+        .toEqual(['SARONIC_GULF']);
+    });
+
+    it('should leave out legs to further nodes that would cross the land', () => {
+      const further = (port, id) => seaRouter.nearestNodes(port, 3).some(node => node.id === id);
+
+      // Joining three nodes also joined Piraeus across Attica and Tianjin across Shandong
+      expect(further(PIRAEUS, 'AEGEAN_NORTH')).toBe(true);
+      expect(crossesLand(PIRAEUS, seaRouter.nodes.get('AEGEAN_NORTH').coordinates, ATTICA)).toBe(true);
+      expect(further(TIANJIN, 'YELLOW_SEA')).toBe(true);
+      expect(crossesLand(TIANJIN, seaRouter.nodes.get('YELLOW_SEA').coordinates, SHANDONG)).toBe(true);
+
+      expect(crossesLand(PIRAEUS, seaRouter.nodes.get('SARONIC_GULF').coordinates, ATTICA)).toBe(false);
+      expect(crossesLand(TIANJIN, seaRouter.nodes.get('BOHAI_STRAIT').coordinates, SHANDONG)).toBe(false);
+    });
+
+    it('should reach Bohai ports round the Shandong peninsula', () => {
+      const route = seaRouter.findRoute(TIANJIN, SHANGHAI);
+
+      expect(route.nodes).toEqual(expect.arrayContaining(['BOHAI_STRAIT', 'SHANDONG_EAST', 'YELLOW_SEA']));
+      route.path.slice(1).forEach((to, index) => {
+        expect(crossesLand(route.path[index], to, SHANDONG)).toBe(false);
+      });
+    });
+  });
+
+  describe('Planned routes', () => {
+    it('should take distance and waypoints from the sea route', async () => {
+      const routeOptimizer = new RouteOptimizer();
+      const route = await routeOptimizer.optimizeRoute({
+        ship: { type: 'CARGO', serviceSpeed: 18 },
+        departure: { coordinates: ROTTERDAM },
+        destination: { coordinates: SINGAPORE },
+        cargoWeight: 0,
+        departureTime: new Date('2024-03-01T00:00:00Z')
+      });
+      const seaRoute = seaRouter.findRoute(ROTTERDAM, SINGAPORE);
+      const suez = seaLanes.nodes.find(node => node.id === 'SUEZ').coordinates;
+
+      expect(route.distance).toBeCloseTo(seaRoute.distance, 0);
+      expect(route.waypoints.map(waypoint => waypoint.coordinates)).toContainEqual(suez);
+      expect(route.waypoints.every((waypoint, index) =>
+        index === 0 || waypoint.estimatedArrival > route.waypoints[index - 1].estimatedArrival)).toBe(true);
+      expect(route.estimatedArrival > route.waypoints[route.waypoints.length - 1].estimatedArrival).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const Ship = require('../src/models/Ship');
+const Route = require('../src/models/Route');
+const MaintenanceService = require('../src/services/MaintenanceService');
+const RoutePlanningService = require('../src/services/RoutePlanningService');
+
+describe('Ship Operational Status', () => {
+  let ship;
+
+  beforeEach(() => {
+    ship = new Ship({
+      name: 'Test Ship',
+      type: 'CARGO',
+      capacity: 5000,
+      fuelType: 'HFO'
+    });
+  });
+
+  describe('State Machine', () => {
+    it('should start as ACTIVE', () => {
+      expect(ship.status).toBe('ACTIVE');
+      expect(ship.isAvailableForPlanning()).toBe(true);
+    });
+
+    it('should record allowed transitions in the status history', () => {
+      ship.transitionTo('AT_SEA', 'Departed');
+      ship.transitionTo('IN_PORT', 'Arrived');
+
+      expect(ship.status).toBe('IN_PORT');
+      expect(ship.statusHistory).toHaveLength(2);
+      expect(ship.statusHistory[1].from).toBe('AT_SEA');
+      expect(ship.statusHistory[1].reason).toBe('Arrived');
+    });
+
+    it('should reject transitions that are not allowed', () => {
+      ship.transitionTo('AT_SEA');
+
+      expect(() => ship.transitionTo('IN_MAINTENANCE'))
+        .toThrow('Invalid status transition: AT_SEA -> IN_MAINTENANCE');
+      expect(ship.status).toBe('AT_SEA');
+    });
+
+    it('should treat DECOMMISSIONED as final', () => {
+      ship.transitionTo('DECOMMISSIONED');
+
+      expect(ship.canTransitionTo('ACTIVE')).toBe(false);
+      expect(ship.isAvailableForPlanning()).toBe(false);
+    });
+
+    it('should not record a transition to the current status', () => {
+      expect(ship.transitionTo('ACTIVE')).toBe(false);
+      expect(ship.statusHistory).toHaveLength(0);
+    });
+  });
+
+  describe('Archival', () => {
+    it('should block planning for archived ships', () => {
+      ship.archivedAt = new Date();
+
+      expect(ship.isAvailableForPlanning()).toBe(false);
+      expect(ship.planningBlockReason()).toBe('archived');
+    });
+
+    it('should report the blocking status', () => {
+      ship.transitionTo('LAID_UP');
+      expect(ship.planningBlockReason()).toBe('status: LAID_UP');
+    });
+  });
+
+  describe('Route Status Effects', () => {
+    const routePlanningService = new RoutePlanningService();
+
+    it('should put the ship at sea when a route starts', () => {
+      const route = new Route({ ship: ship._id });
+      routePlanningService.applyShipStatusForRoute(ship, route, 'PLANNED', 'IN_PROGRESS');
+      expect(ship.status).toBe('AT_SEA');
+
+      routePlanningService.applyShipStatusForRoute(ship, route, 'IN_PROGRESS', 'COMPLETED');
+      expect(ship.status).toBe('IN_PORT');
+    });
+
+    it('should refuse to start a second route while at sea', () => {
+      ship.transitionTo('AT_SEA');
+      const route = new Route({ ship: ship._id });
+
+      expect(() => routePlanningService.applyShipStatusForRoute(ship, route, 'PLANNED', 'IN_PROGRESS'))
+        .toThrow('already at sea');
+    });
+
+    it('should refuse to start a route during maintenance', () => {
+      ship.transitionTo('IN_MAINTENANCE');
+      const route = new Route({ ship: ship._id });
+
+      expect(() => routePlanningService.applyShipStatusForRoute(ship, route, 'PLANNED', 'IN_PROGRESS'))
+        .toThrow('Invalid status transition');
+    });
+  });
+
+  describe('Maintenance Scheduling Around Voyages', () => {
+    const maintenanceService = new MaintenanceService();
+    const day = 24 * 60 * 60 * 1000;
+
+    it('should defer maintenance that falls inside a voyage', () => {
+      const voyage = {
+        _id: new mongoose.Types.ObjectId(),
+        status: 'PLANNED',
+        estimatedDeparture: new Date('2024-03-01'),
+        estimatedArrival: new Date('2024-03-10')
+      };
+
+      const schedule = maintenanceService.avoidActiveVoyages(new Date('2024-03-05'), [voyage]);
+
+      expect(schedule.date.getTime()).toBe(voyage.estimatedArrival.getTime() + day);
+      expect(schedule.deferredBy).toEqual([voyage._id.toString()]);
+    });
+
+    it('should ignore completed and cancelled voyages', () => {
+      const voyage = {
+        _id: new mongoose.Types.ObjectId(),
+        status: 'COMPLETED',
+        estimatedDeparture: new Date('2024-03-01'),
+        estimatedArrival: new Date('2024-03-10')
+      };
+
+      const schedule = maintenanceService.avoidActiveVoyages(new Date('2024-03-05'), [voyage]);
+
+      expect(schedule.date).toEqual(new Date('2024-03-05'));
+      expect(schedule.deferredBy).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const RouteOptimizer = require('../src/services/ai/RouteOptimizer');
+
+const ROTTERDAM = [4.05, 51.95];
+const ALGECIRAS = [-5.44, 36.13];
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = new Date(Date.UTC(2024, 0, 1));
+
+const FEEDER = { type: 'CARGO', serviceSpeed: 18 };
+const CURVED = { type: 'CARGO', fuelCurve: { referenceSpeed: 20, referenceConsumption: 4000, exponent: 3.5, minSpeed: 12, maxSpeed: 22 } };
+
+const at = hours => new Date(START.getTime() + hours * HOUR_MS);
+
+describe('Speed optimization', () => {
+  const routeOptimizer = new RouteOptimizer();
+  const plan = (ship, options = {}) => routeOptimizer.optimizeRoute({
+    ship,
+    departure: { coordinates: ROTTERDAM },
+    destination: { coordinates: ALGECIRAS },
+    cargoWeight: 0,
+    departureTime: START,
+    ...options
+  });
+
+  describe('Fuel curve', () => {
+    it('should burn fuel per hour with the cube of the speed', () => {
+      const atService = routeOptimizer.fuelRate(FEEDER, 18);
+
+      expect(atService).toBe(routeOptimizer.estimateFuelConsumption(18 * 1.852, 0, 'CARGO'));
+      expect(routeOptimizer.fuelRate(FEEDER, 9)).toBeCloseTo(atService / 8);
+    });
+
+    it('should follow the ship\'s own curve', () => {
+      expect(routeOptimizer.fuelRate(CURVED, 20)).toBe(4000);
+      expect(routeOptimizer.fuelRate(CURVED, 10)).toBeCloseTo(4000 / 2 ** 3.5);
+    });
+
+    it('should plan between half and 110% of the service speed unless the curve says otherwise', () => {
+      expect(routeOptimizer.speedRange(FEEDER)).toEqual({ minSpeed: 9, maxSpeed: 18 * 1.1 });
+      expect(routeOptimizer.speedRange(CURVED)).toEqual({ minSpeed: 12, maxSpeed: 22 });
+    });
+
+    it('should burn less fuel over the same route at lower speeds', async () => {
+      const fast = await plan(FEEDER, { plannedSpeed: 18 });
+      const slow = await plan(FEEDER, { plannedSpeed: 12 });
+
+      expect(slow.fuelConsumption / fast.fuelConsumption).toBeCloseTo((12 / 18) ** 2);
+    });
+  });
+
+  describe('Arrival window', () => {
+    it('should pick the slowest speed arriving by the latest time', async () => {
+      const atFifteen = await plan(FEEDER, { plannedSpeed: 15 });
+      const route = await plan(FEEDER, { arrivalWindow: { latest: atFifteen.estimatedArrival } });
+
+      expect(route.speed).toBeCloseTo(15, 0);
+      expect(route.estimatedArrival.getTime()).toBeLessThanOrEqual(atFifteen.estimatedArrival.getTime());
+      expect(route.speedOptimization.speed).toBe(route.speed);
+      expect(route.speedOptimization.waitingHours).toBe(0);
+    });
+
+    it('should slow steam and wait when the window opens late', async () => {
+      const slowest = await plan(FEEDER, { plannedSpeed: 9 });
+      const earliest = new Date(slowest.estimatedArrival.getTime() + 10 * HOUR_MS);
+      const route = await plan(FEEDER, { arrivalWindow: { earliest, latest: at(1000) } });
+
+      expect(route.speed).toBe(9);
+      expect(route.speedOptimization.waitingHours).toBeCloseTo(10);
+    });
+
+    it('should list the fuel-vs-speed trade-off', async () => {
+      const atFifteen = await plan(FEEDER, { plannedSpeed: 15 });
+      const { tradeOff } = (await plan(FEEDER, { arrivalWindow: { latest: atFifteen.estimatedArrival } })).speedOptimization;
+
+      expect(tradeOff.map(({ speed }) => Math.round(speed))).toEqual(expect.arrayContaining([9, 12, 15, 18, 19]));
+      tradeOff.slice(1).forEach((option, index) => {
+        expect(option.fuelConsumption).toBeGreaterThan(tradeOff[index].fuelConsumption);
+        expect(option.duration).toBeLessThan(tradeOff[index].duration);
+      });
+      expect(tradeOff.find(({ speed }) => speed === 14).withinWindow).toBe(false);
+      expect(tradeOff.find(({ speed }) => speed === 16).withinWindow).toBe(true);
+    });
+
+    it('should reject windows the ship cannot make at full speed', async () => {
+      await expect(plan(FEEDER, { arrivalWindow: { latest: at(24) } }))
+        .rejects.toThrow(/^Invalid arrival window: the earliest possible arrival at 19.8 knots is/);
+    });
+  });
+});
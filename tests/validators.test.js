@@ -0,0 +1,45 @@
+const { isValidImoNumber, isValidMmsi, normalizeImoNumber } = require('../src/utils/validators');
+const ShipService = require('../src/services/ShipService');
+
+describe('Vessel Identifier Validation', () => {
+  describe('IMO Numbers', () => {
+    it('should accept numbers with a valid check digit', () => {
+      expect(isValidImoNumber('9134270')).toBe(true);
+      expect(isValidImoNumber('9074729')).toBe(true);
+    });
+
+    it('should reject numbers with a wrong check digit', () => {
+      expect(isValidImoNumber('9134271')).toBe(false);
+    });
+
+    it('should reject malformed numbers', () => {
+      expect(isValidImoNumber('913427')).toBe(false);
+      expect(isValidImoNumber('91342700')).toBe(false);
+      expect(isValidImoNumber(undefined)).toBe(false);
+    });
+
+    it('should accept and strip the IMO prefix', () => {
+      expect(isValidImoNumber('IMO 9134270')).toBe(true);
+      expect(normalizeImoNumber('imo9134270')).toBe('9134270');
+    });
+  });
+
+  it('should validate MMSI numbers', () => {
+    expect(isValidMmsi('477553000')).toBe(true);
+    expect(isValidMmsi('47755300')).toBe(false);
+  });
+
+  describe('Ship Lookup', () => {
+    const shipService = new ShipService();
+
+    it('should look ships up by ObjectId or IMO number', () => {
+      expect(shipService.identifierFilter('507f1f77bcf86cd799439011'))
+        .toEqual({ _id: '507f1f77bcf86cd799439011' });
+      expect(shipService.identifierFilter('IMO 9134270')).toEqual({ imoNumber: '9134270' });
+    });
+
+    it('should reject other identifiers', () => {
+      expect(shipService.identifierFilter('not-a-ship')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const Voyage = require('../src/models/Voyage');
+const RoutePlanningService = require('../src/services/RoutePlanningService');
+
+const ROTTERDAM = { port: 'Rotterdam', portCode: 'NLRTM', coordinates: [4.05, 51.95] };
+const ALGECIRAS = { port: 'Algeciras', portCode: 'ESALG', coordinates: [-5.44, 36.13] };
+const PIRAEUS = { port: 'Piraeus', portCode: 'GRPIR', coordinates: [23.62, 37.94] };
+
+const at = hours => new Date(Date.UTC(2024, 0, 1) + hours * 60 * 60 * 1000);
+
+const leg = (departure, arrival, overrides = {}) => ({
+  estimatedDeparture: at(departure),
+  estimatedArrival: at(arrival),
+  distance: 1000,
+  fuelConsumption: { estimated: 50 },
+  status: 'PLANNED',
+  ...overrides
+});
+
+describe('Voyages', () => {
+  const newVoyage = () => new Voyage({
+    ship: new mongoose.Types.ObjectId(),
+    portCalls: [ROTTERDAM, ALGECIRAS, PIRAEUS]
+  });
+
+  describe('Roll-up', () => {
+    it('should total the planned legs and time the port calls', () => {
+      const voyage = newVoyage().rollUp([leg(0, 70), leg(94, 150)]);
+
+      expect(voyage.status).toBe('PLANNED');
+      expect(voyage.totals.distance).toBe(2000);
+      expect(voyage.totals.fuelConsumption.estimated).toBe(100);
+      expect(voyage.totals.fuelConsumption.actual).toBeUndefined();
+      expect(voyage.totals.duration.planned).toBe(150);
+      expect(voyage.portCalls[1].plannedArrival).toEqual(at(70));
+      expect(voyage.portCalls[1].plannedDeparture).toEqual(at(94));
+      expect(voyage.portCalls[0].plannedArrival).toBeUndefined();
+    });
+
+    it('should take actual times, fuel and status from the legs', () => {
+      const legs = [
+        leg(0, 70, { status: 'COMPLETED', actualDeparture: at(2), actualArrival: at(74), fuelConsumption: { estimated: 50, actual: 55 } }),
+        leg(94, 150, { status: 'IN_PROGRESS', actualDeparture: at(96) })
+      ];
+
+      const voyage = newVoyage().rollUp(legs);
+      expect(voyage.status).toBe('IN_PROGRESS');
+      expect(voyage.portCalls[1].actualArrival).toEqual(at(74));
+      expect(voyage.totals.fuelConsumption.actual).toBeUndefined();
+      expect(voyage.totals.duration.actual).toBeUndefined();
+
+      legs[1] = { ...legs[1], status: 'COMPLETED', actualArrival: at(160), fuelConsumption: { estimated: 50, actual: 45 } };
+      voyage.rollUp(legs);
+      expect(voyage.status).toBe('COMPLETED');
+      expect(voyage.totals.fuelConsumption.actual).toBe(100);
+      expect(voyage.totals.duration.actual).toBe(158);
+    });
+
+    it('should need at least two port calls', () => {
+      const voyage = new Voyage({ ship: new mongoose.Types.ObjectId(), portCalls: [ROTTERDAM] });
+
+      expect(voyage.validateSync().errors.portCalls.message).toBe('A voyage needs at least two port calls');
+    });
+  });
+
+  describe('Cargo on board', () => {
+    const routePlanningService = new RoutePlanningService();
+
+    it('should carry loaded cargo until it is discharged', () => {
+      const calls = [
+        { ...ROTTERDAM, cargoLoaded: 3000 },
+        { ...ALGECIRAS, cargoDischarged: 1000, cargoLoaded: 500 },
+        { ...PIRAEUS, cargoDischarged: 2500 }
+      ];
+
+      expect(routePlanningService.calculateCargoOnBoard(calls, 5000)).toEqual([3000, 2500, 0]);
+    });
+
+    it('should reject discharging more than is on board', () => {
+      const calls = [{ ...ROTTERDAM, cargoLoaded: 1000 }, { ...PIRAEUS, cargoDischarged: 1500 }];
+
+      expect(() => routePlanningService.calculateCargoOnBoard(calls, 5000))
+        .toThrow('Invalid voyage data: port call 2 discharges more cargo than is on board');
+    });
+
+    it('should reject loading beyond the ship capacity', () => {
+      const calls = [{ ...ROTTERDAM, cargoLoaded: 4000 }, { ...ALGECIRAS, cargoLoaded: 2000 }, PIRAEUS];
+
+      expect(() => routePlanningService.calculateCargoOnBoard(calls, 5000)).toThrow(/exceeds the ship's capacity/);
+    });
+  });
+});
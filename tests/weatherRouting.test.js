@@ -0,0 +1,263 @@
+const ForecastGrid = require('../src/services/routing/ForecastGrid');
+const SeaRouter = require('../src/services/routing/SeaRouter');
+const WeatherRouter = require('../src/services/routing/WeatherRouter');
+const RoutePlanningService = require('../src/services/RoutePlanningService');
+const WeatherService = require('../src/services/WeatherService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+
+// A direct lane along the equator with a long way round either side
+const NETWORK = {
+  nodes: [
+    { id: 'WEST', coordinates: [0, 0] },
+    { id: 'MIDDLE', coordinates: [10, 0] },
+    { id: 'EAST', coordinates: [20, 0] },
+    { id: 'NORTH', coordinates: [10, 20] },
+    { id: 'SOUTH', coordinates: [10, -20] }
+  ],
+  edges: [
+    ['WEST', 'MIDDLE'], ['MIDDLE', 'EAST'],
+    ['WEST', 'NORTH'], ['NORTH', 'EAST'],
+    ['WEST', 'SOUTH'], ['SOUTH', 'EAST']
+  ]
+};
+const DEPARTURE = [-1, 0];
+const DESTINATION = [21, 0];
+
+// Waves and wind from the east, head-on for a ship sailing east
+const weather = (windSpeed, hours = [0, 240]) => ({
+  current: { temperature: 15, windSpeed, windDirection: 90 },
+  forecast: hours.map(hour => ({
+    timestamp: new Date(START + hour * HOUR_MS),
+    temperature: 15,
+    windSpeed,
+    windDirection: 90
+  }))
+});
+
+// Weather over the equator between 5 and 15 degrees east
+const stormGrid = (waveHeight, windSpeed) => {
+  const grid = new ForecastGrid();
+  ['1:0', '1:-1', '2:0', '2:-1'].forEach(key =>
+    grid.setCell(key, weather(windSpeed), { waveHeight, waveDirection: 90 }));
+  return grid;
+};
+
+// The same storm blowing itself out during the second day
+const passingStorm = () => {
+  const grid = new ForecastGrid();
+  ['1:0', '1:-1', '2:0', '2:-1'].forEach(key => grid.setCell(key, weather(12), {
+    forecast: [
+      { timestamp: new Date(START + 24 * HOUR_MS), waveHeight: 9, waveDirection: 90 },
+      { timestamp: new Date(START + 36 * HOUR_MS), waveHeight: 1, waveDirection: 90 }
+    ]
+  }));
+  return grid;
+};
+
+describe('Weather routing', () => {
+  describe('Forecast grid', () => {
+    const calm = { windSpeed: 0, windDirection: 0, waveHeight: 0, waveDirection: 0 };
+
+    it('should interpolate the forecast at the time of passage', () => {
+      const grid = new ForecastGrid();
+      grid.setCell(grid.cellKey([12, 3]), {
+        forecast: [
+          { timestamp: new Date(START), windSpeed: 5, windDirection: 330, temperature: 10 },
+          { timestamp: new Date(START + 12 * HOUR_MS), windSpeed: 17, windDirection: 30, temperature: 13 }
+        ]
+      }, {
+        forecast: [
+          { timestamp: new Date(START), waveHeight: 2, waveDirection: 200 },
+          { timestamp: new Date(START + 24 * HOUR_MS), waveHeight: 6, waveDirection: 200 }
+        ]
+      });
+
+      const conditions = grid.conditionsAt([11, 1], START + 4 * HOUR_MS);
+      expect(conditions.windSpeed).toBeCloseTo(9);
+      // Veering the short way round through north
+      expect(conditions.windDirection).toBeCloseTo(350);
+      expect(conditions.temperature).toBeCloseTo(11);
+      expect(conditions.waveHeight).toBeCloseTo(2 + 4 / 6);
+      expect(conditions.forecast).toBe(true);
+      expect(grid.conditionsAt([11, 1], START + 48 * HOUR_MS)).toMatchObject({
+        windSpeed: 17, waveHeight: 6, forecast: false
+      });
+    });
+
+    it('should hold current conditions where no forecast was fetched', () => {
+      const grid = new ForecastGrid();
+      grid.setCell(grid.cellKey([12, 3]), { current: { windSpeed: 8, windDirection: 90 } }, { waveHeight: 2 });
+
+      expect(grid.conditionsAt([11, 1], START)).toMatchObject({ windSpeed: 8, waveHeight: 2, forecast: false });
+    });
+
+    it('should take cells without a forecast to be calm', () => {
+      expect(new ForecastGrid().conditionsAt([0, 0], START)).toEqual({ ...calm, forecast: false });
+    });
+
+    it('should mark cells whose forecast cannot be fetched as missing and fetch the rest', async () => {
+      const weatherService = new WeatherService();
+      const fetched = [];
+      weatherService.getWeatherForecast = async ([longitude]) => {
+        if (longitude === 7.5) throw new Error('Weather forecast service unavailable');
+        fetched.push(longitude);
+        return weather(10);
+      };
+      weatherService.getMarineWeather = async () => ({ waveHeight: 2, waveDirection: 90 });
+
+      const grid = await weatherService.getForecastGrid([[2, 1], [7, 1], [12, 1], [17, 1]]);
+
+      expect(fetched.sort((a, b) => a - b)).toEqual([2.5, 12.5, 17.5]);
+      expect([...grid.missing]).toEqual(['1:0']);
+      expect(grid.conditionsAt([7, 1], START)).toEqual({ ...calm, forecast: false });
+      expect(grid.conditionsAt([17, 1], START).waveHeight).toBe(2);
+    });
+
+    it('should mark cells past the fetch limit as missing', async () => {
+      const weatherService = new WeatherService();
+      let fetched = 0;
+      weatherService.getWeatherForecast = async () => {
+        fetched += 1;
+        return weather(10);
+      };
+      weatherService.getMarineWeather = async () => ({ waveHeight: 2, waveDirection: 90 });
+
+      // 72 cells of 5 degrees along the equator
+      const positions = Array.from({ length: 72 }, (_, index) => [index * 5 - 178, 1]);
+      const grid = await weatherService.getForecastGrid(positions);
+
+      expect(fetched).toBe(60);
+      expect(grid.cells.size).toBe(60);
+      expect(grid.missing.size).toBe(12);
+      expect(grid.missing.has(grid.cellKey(positions[71]))).toBe(true);
+      expect(grid.conditionsAt(positions[71], START)).toEqual({ ...calm, forecast: false });
+    });
+
+    it('should fetch each cell once, centred inside -180..180', () => {
+      const grid = new ForecastGrid();
+      const cells = grid.cellsFor([[1, 1], [2, 2], [179, 1], [-179, 1]]);
+
+      expect(cells).toEqual(['0:0', '35:0', '-36:0']);
+      expect(grid.cellCentre('35:0')).toEqual([177.5, 2.5]);
+    });
+  });
+
+  describe('Sailing through weather', () => {
+    const router = new WeatherRouter();
+    const options = { startTime: START, speed: 15, fuelRate: 2, spacing: 200, forecast: stormGrid(4, 12) };
+
+    it('should slow down in head seas when minimizing fuel', () => {
+      const calm = router.sail([5, 0], [15, 0], { ...options, forecast: new ForecastGrid() });
+      const rough = router.sail([5, 0], [15, 0], options);
+
+      expect(rough.segments.every(segment => segment.speed < 15)).toBe(true);
+      expect(rough.arrival).toBeGreaterThan(calm.arrival);
+      // The engine keeps its calm-water power, so fuel only grows with the time at sea
+      expect(rough.fuel / calm.fuel).toBeCloseTo((rough.arrival - START) / (calm.arrival - START));
+    });
+
+    it('should burn more fuel to hold speed when minimizing time', () => {
+      const fuel = router.sail([5, 0], [15, 0], options);
+      const time = router.sail([5, 0], [15, 0], { ...options, objective: 'TIME' });
+
+      expect(time.arrival).toBeLessThan(fuel.arrival);
+      expect(time.fuel).toBeGreaterThan(fuel.fuel);
+    });
+
+    it('should lose less speed with the weather astern', () => {
+      const ahead = router.sail([5, 0], [15, 0], options);
+      const astern = router.sail([15, 0], [5, 0], options);
+
+      expect(astern.arrival).toBeLessThan(ahead.arrival);
+    });
+
+    it('should meet the weather forecast for when the ship gets there', () => {
+      const grid = passingStorm();
+
+      expect(router.sail([5, 0], [15, 0], { ...options, forecast: grid })).toBeNull();
+      const later = router.sail([5, 0], [15, 0], { ...options, startTime: START + 48 * HOUR_MS, forecast: grid });
+      expect(later.segments.every(segment => segment.waveHeight === 1)).toBe(true);
+    });
+
+    it('should refuse legs beyond the safety limits', () => {
+      expect(router.sail([5, 0], [15, 0], { ...options, forecast: stormGrid(9, 12) })).toBeNull();
+      expect(router.sail([5, 0], [15, 0], { ...options, forecast: stormGrid(4, 30) })).toBeNull();
+      expect(router.sail([5, 0], [15, 0], {
+        ...options,
+        forecast: stormGrid(9, 12),
+        limits: { maxWaveHeight: 10, maxWindSpeed: 24.5 }
+      })).not.toBeNull();
+    });
+  });
+
+  describe('Route search', () => {
+    const router = new WeatherRouter(new SeaRouter(NETWORK));
+    const route = (forecast, options = {}) => router.findRoute(DEPARTURE, DESTINATION, {
+      departureTime: new Date(START), speed: 15, fuelRate: 2, spacing: 200, forecast, ...options
+    });
+
+    it('should take the direct lane in calm water', () => {
+      expect(route(new ForecastGrid()).nodes).toEqual(['WEST', 'MIDDLE', 'EAST']);
+    });
+
+    it('should route round a storm beyond the safety limits', () => {
+      const detour = route(stormGrid(9, 12));
+
+      expect(detour.nodes).not.toContain('MIDDLE');
+      expect(detour.segments.every(segment => segment.waveHeight <= 7)).toBe(true);
+    });
+
+    it('should sail through rough weather cheaper than the way round', () => {
+      const rough = route(stormGrid(9, 12), { limits: { maxWaveHeight: 10, maxWindSpeed: 24.5 } });
+
+      expect(rough.nodes).toEqual(['WEST', 'MIDDLE', 'EAST']);
+      expect(Math.max(...rough.segments.map(segment => segment.waveHeight))).toBe(9);
+    });
+
+    it('should take the direct lane once a storm over it has passed', () => {
+      const grid = passingStorm();
+
+      expect(route(grid).nodes).not.toContain('MIDDLE');
+      expect(route(grid, { departureTime: new Date(START + 24 * HOUR_MS) }).nodes).toEqual(['WEST', 'MIDDLE', 'EAST']);
+    });
+
+    it('should time each leg from the arrival at its start', () => {
+      const { segments, arrival } = route(stormGrid(4, 12));
+
+      segments.slice(1).forEach((segment, index) =>
+        expect(segment.departure.getTime()).toBeCloseTo(segments[index].arrival.getTime()));
+      expect(arrival).toEqual(segments[segments.length - 1].arrival);
+    });
+
+    it('should fail when no route stays within the safety limits', () => {
+      const grid = stormGrid(4, 12);
+      grid.setCell(grid.cellKey(DEPARTURE), weather(12), { waveHeight: 8, waveDirection: 90 });
+
+      expect(() => route(grid)).toThrow('Invalid route: no sea route within the weather safety limits');
+    });
+  });
+
+  describe('Route weather summary', () => {
+    const routePlanningService = new RoutePlanningService();
+    const segment = (distance, conditions) => ({
+      distance, windSpeed: 0, windDirection: 0, waveHeight: 0, forecast: true, ...conditions
+    });
+
+    it('should weight averages by distance and keep the worst conditions', () => {
+      const weather = routePlanningService.summarizeRouteWeather([
+        segment(300, { windSpeed: 10, windDirection: 350, waveHeight: 1, temperature: 10 }),
+        segment(100, { windSpeed: 10, windDirection: 30, waveHeight: 5, forecast: false })
+      ]);
+
+      expect(weather.average.windSpeed).toBe(10);
+      expect(weather.average.waveHeight).toBe(2);
+      // Averaged as vectors: just west of north, not 270 degrees
+      expect(weather.average.windDirection).toBeCloseTo(359.7, 1);
+      expect(weather.average.temperature).toBe(10);
+      expect(weather.maximum).toEqual({ windSpeed: 10, waveHeight: 5 });
+      expect(weather.forecastCoverage).toBe(0.5);
+    });
+  });
+});
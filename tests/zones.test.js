@@ -0,0 +1,176 @@
+const RiskZones = require('../src/services/routing/RiskZones');
+const Zone = require('../src/models/Zone');
+const ZoneService = require('../src/services/ZoneService');
+const { HOUR_MS, DAY_MS, START, ROTTERDAM, NEW_YORK, SINGAPORE, plan: planRoute } = require('./helpers/routing');
+
+const box = (west, south, east, north) => [[west, south], [east, south], [east, north], [west, north], [west, south]];
+
+const zone = (severity, rings, extra = {}) => ({
+  id: 'zone',
+  name: 'Test zone',
+  type: 'PIRACY',
+  severity,
+  area: { type: 'Polygon', coordinates: rings },
+  ...extra
+});
+
+const GULF_OF_ADEN = [box(42, 10, 52, 16)];
+const ENGLISH_CHANNEL = [box(-6, 48.5, 2, 51.2)];
+
+describe('Risk Zones', () => {
+  const plan = (from, to, zones) => planRoute(from, to, { zones });
+
+  describe('Areas', () => {
+    it('should accept closed rings of longitude and latitude', () => {
+      expect(Zone.isArea({ type: 'Polygon', coordinates: GULF_OF_ADEN })).toBe(true);
+      expect(Zone.isArea({ type: 'MultiPolygon', coordinates: [GULF_OF_ADEN, ENGLISH_CHANNEL] })).toBe(true);
+    });
+
+    it('should reject open rings, positions out of range and other geometries', () => {
+      expect(Zone.isArea({ type: 'Polygon', coordinates: [box(42, 10, 52, 16).slice(0, 4)] })).toBe(false);
+      expect(Zone.isArea({ type: 'Polygon', coordinates: [box(170, 10, 190, 16)] })).toBe(false);
+      expect(Zone.isArea({ type: 'Point', coordinates: [45, 12] })).toBe(false);
+    });
+
+    it('should reject rings drawn across the antimeridian and accept them split there', () => {
+      const beringSea = [[170, 55], [-165, 55], [-165, 65], [170, 65], [170, 55]];
+      const split = [[box(170, 55, 180, 65)], [box(-180, 55, -165, 65)]];
+
+      expect(Zone.isArea({ type: 'Polygon', coordinates: [beringSea] })).toBe(false);
+      expect(Zone.isArea({ type: 'MultiPolygon', coordinates: split })).toBe(true);
+
+      const closed = new Zone({
+        name: 'Bering Sea ice', type: 'ICE', severity: 'NO_GO', area: { type: 'Polygon', coordinates: [beringSea] }
+      });
+      expect(closed.validateSync().errors['area.coordinates'].message).toMatch('split at the antimeridian');
+    });
+
+    it('should leave holes out of a zone', () => {
+      const riskZones = new RiskZones([zone('HIGH', [box(0, 0, 10, 10), box(4, 4, 6, 6)])]);
+
+      expect(riskZones.factorAt([2, 2])).toBe(RiskZones.SEVERITY_FACTORS.HIGH);
+      expect(riskZones.factorAt([5, 5])).toBe(1);
+    });
+
+    it('should apply the most severe of overlapping zones', () => {
+      const riskZones = new RiskZones([
+        zone('LOW', [box(0, 0, 10, 10)], { id: 'low' }),
+        zone('NO_GO', [box(5, 0, 10, 10)], { id: 'closed' })
+      ]);
+
+      expect(riskZones.factorAt([2, 5])).toBe(RiskZones.SEVERITY_FACTORS.LOW);
+      expect(riskZones.factorAt([7, 5])).toBe(Infinity);
+      expect(riskZones.noGoAt([7, 5]).id).toBe('closed');
+    });
+
+    it('should tell whether a path through route points enters a zone', () => {
+      const riskZones = new RiskZones();
+      const closed = zone('NO_GO', [box(0, 0, 10, 10)]);
+
+      expect(riskZones.crosses(closed, [[-5, 5], [15, 5]])).toBe(true);
+      expect(riskZones.crosses(closed, [[-5, 5], [-5, 15], [15, 15]])).toBe(false);
+    });
+
+    it('should only count zones while they are in force', () => {
+      const exercise = zone('NO_GO', [box(0, 0, 10, 10)], {
+        validFrom: new Date(START.getTime() + 2 * DAY_MS),
+        validTo: new Date(START.getTime() + 4 * DAY_MS)
+      });
+      const riskZones = new RiskZones([exercise]);
+      const across = [[-5, 5], [15, 5]];
+
+      expect(riskZones.factorAt([5, 5], START)).toBe(1);
+      expect(riskZones.factorAt([5, 5], new Date(START.getTime() + 3 * DAY_MS))).toBe(Infinity);
+      expect(riskZones.crosses(exercise, across, { times: [START, START.getTime() + DAY_MS] })).toBe(false);
+      expect(riskZones.crosses(exercise, across, { times: [START, START.getTime() + 6 * DAY_MS] })).toBe(true);
+    });
+  });
+
+  describe('Route re-checks', () => {
+    // Records the steps of a re-check in order
+    const recordingZoneService = () => {
+      const service = new ZoneService();
+      service.steps = [];
+      service.clearConflicts = async zoneId => { service.steps.push(`clear ${zoneId}`); };
+      service.recheckRoutes = async zone => {
+        service.steps.push(`check ${zone.name}`);
+        return ['route'];
+      };
+      return service;
+    };
+
+    it('should replace the conflicts of a zone with those of its current state', async () => {
+      const zoneService = recordingZoneService();
+
+      await expect(zoneService.recheckZone('zone', { name: 'Exercise' })).resolves.toEqual(['route']);
+      expect(zoneService.steps).toEqual(['clear zone', 'check Exercise']);
+    });
+
+    it('should only clear the conflicts of a deleted zone', async () => {
+      const zoneService = recordingZoneService();
+
+      await expect(zoneService.recheckZone('zone', null)).resolves.toEqual([]);
+      expect(zoneService.steps).toEqual(['clear zone']);
+    });
+
+    it('should fail with the re-check', async () => {
+      const zoneService = new ZoneService();
+      zoneService.clearConflicts = () => Promise.reject(new Error('Database unavailable'));
+
+      await expect(zoneService.recheckZone('zone', null)).rejects.toThrow('Database unavailable');
+    });
+  });
+
+  describe('Routing', () => {
+    it('should go round no-go zones', async () => {
+      const route = await plan(NEW_YORK, SINGAPORE, [zone('NO_GO', GULF_OF_ADEN)]);
+
+      expect(route.chokepoints.map(({ chokepoint }) => chokepoint)).not.toContain('SUEZ');
+      expect(route.riskZones).toEqual([]);
+    });
+
+    it('should sail through no-go zones coming into force after the ship has passed', async () => {
+      const direct = await plan(ROTTERDAM, NEW_YORK, []);
+      const later = await plan(ROTTERDAM, NEW_YORK, [zone('NO_GO', ENGLISH_CHANNEL, {
+        validFrom: new Date(START.getTime() + 30 * DAY_MS)
+      })]);
+
+      expect(later.distance).toBeCloseTo(direct.distance);
+    });
+
+    it('should go round no-go zones in force while the ship would be inside', async () => {
+      const direct = await plan(ROTTERDAM, NEW_YORK, []);
+      const route = await plan(ROTTERDAM, NEW_YORK, [zone('NO_GO', ENGLISH_CHANNEL, {
+        validFrom: new Date(START.getTime() + 6 * HOUR_MS),
+        validTo: new Date(START.getTime() + 2 * DAY_MS)
+      })]);
+
+      expect(route.distance).toBeGreaterThan(direct.distance);
+    });
+
+    it('should refuse routes starting or ending in a no-go zone', async () => {
+      await expect(plan([45, 12], SINGAPORE, [zone('NO_GO', GULF_OF_ADEN)]))
+        .rejects.toThrow('Invalid route: departure lies in no-go zone Test zone');
+    });
+
+    it('should go round high-risk zones when the way round costs less', async () => {
+      const direct = await plan(ROTTERDAM, NEW_YORK, []);
+      const avoiding = await plan(ROTTERDAM, NEW_YORK, [zone('HIGH', ENGLISH_CHANNEL)]);
+
+      expect(avoiding.riskZones).toEqual([]);
+      expect(avoiding.distance).toBeGreaterThan(direct.distance);
+    });
+
+    it('should pass through low-risk zones and report the time inside', async () => {
+      const direct = await plan(ROTTERDAM, NEW_YORK, []);
+      const route = await plan(ROTTERDAM, NEW_YORK, [zone('LOW', ENGLISH_CHANNEL)]);
+      const [crossing] = route.riskZones;
+
+      expect(route.distance).toBeCloseTo(direct.distance);
+      expect(route.riskZones).toHaveLength(1);
+      expect(crossing).toMatchObject({ zone: 'zone', name: 'Test zone', type: 'PIRACY', severity: 'LOW' });
+      expect(crossing.distance).toBeGreaterThan(500);
+      expect(crossing.duration).toBeCloseTo(crossing.distance / 1.852 / route.speed, 0);
+    });
+  });
+});